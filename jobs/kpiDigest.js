@@ -0,0 +1,282 @@
+// jobs/kpiDigest.js
+
+const { db } = require("../firebaseConfig.js");
+const reportSchemas = require("../services/reportSchemas.js");
+const { ReportError, loadReport } = require("../services/reportIngestion.js");
+const { merchantOverview, buyerRowSummary, mostDelayedPos } = require("../services/performanceKpis.js");
+const { escapeHtml, renderPdf } = require("../services/reportExport.js");
+const { transporter } = require("../services/mailer.js");
+const { wantsWeeklyDigest, markDigestSent, unsubscribeUrl } = require("../services/digestPreferences.js");
+
+/**
+ * Weekly KPI digest for verified customers.
+ *
+ * For every verified customer who has not opted out, the job builds a digest
+ * from the same KPIs the dashboards show - YTD vs target and OTIF from
+ * merchantperformance / buyers_performance, open and late POs, and the most
+ * delayed POs from the customer's recentpo workbook - and emails it as HTML
+ * with a PDF copy attached.
+ *
+ * Run it in-process (KPI_DIGEST_ENABLED=true, scheduled on KPI_DIGEST_DAY at
+ * KPI_DIGEST_HOUR UTC) or from the command line:
+ *   node jobs/kpiDigest.js [--dry-run] [--force] [--customer=<id>]
+ */
+
+const DIGEST_DAY = parseInt(process.env.KPI_DIGEST_DAY || "1", 10); // 0 = Sunday
+const DIGEST_HOUR = parseInt(process.env.KPI_DIGEST_HOUR || "6", 10); // UTC
+// Customers who got a digest more recently than this are skipped, so a re-run does not double-send
+const MIN_INTERVAL_MS = 6 * 24 * 60 * 60 * 1000;
+
+const formatNumber = (value) =>
+  typeof value === "number" ? value.toLocaleString("en-US", { maximumFractionDigits: 1 }) : escapeHtml(value);
+
+const percentOf = (value, target) => (target > 0 ? `${((value / target) * 100).toFixed(0)}%` : "N/A");
+
+// Shop-wide reports are shared by every customer in a run; a missing one just drops its section
+async function loadOptionalReport(schema, options) {
+  try {
+    return await loadReport(schema, options);
+  } catch (err) {
+    if (err instanceof ReportError && err.status === 404) return null;
+    throw err;
+  }
+}
+
+function kpiTable(rows) {
+  return `<table style="border-collapse:collapse;margin-bottom:16px">${rows
+    .map(
+      ([label, value]) =>
+        `<tr><th style="text-align:left;padding:4px 12px 4px 0;border-bottom:1px solid #eee">${escapeHtml(label)}</th>` +
+        `<td style="padding:4px 0;border-bottom:1px solid #eee">${value}</td></tr>`
+    )
+    .join("")}</table>`;
+}
+
+/**
+ * Build the digest content for one customer.
+ * @returns {Promise<object|null>} { merchant, buyer, delayedPos } or null when there is nothing to report.
+ */
+async function buildDigest(customer, reports) {
+  const email = customer.email.toLowerCase().trim();
+  const digest = { merchant: null, buyer: null, delayedPos: [], delayedCount: 0 };
+
+  if (reports.merchantPerformance) {
+    const report = reports.merchantPerformance;
+    const rows = report.rows.filter((row) => report.text(row, "email").toLowerCase() === email);
+    if (rows.length > 0) digest.merchant = merchantOverview(report, rows);
+  }
+
+  if (reports.buyerPerformance) {
+    const report = reports.buyerPerformance;
+    const row = report.rows.find((r) => report.text(r, "email").toLowerCase() === email);
+    if (row) digest.buyer = buyerRowSummary(report, row);
+  }
+
+  const recentPos = await loadOptionalReport(reportSchemas.recentPos, { customerId: customer.customerId });
+  if (recentPos) {
+    digest.delayedPos = mostDelayedPos(recentPos, 5);
+    digest.delayedCount = recentPos.rows.filter((row) => recentPos.value(row, "delayDays") > 0).length;
+  }
+
+  if (!digest.merchant && !digest.buyer && digest.delayedPos.length === 0) return null;
+  return digest;
+}
+
+function digestHtml(customer, digest, { forPdf = false } = {}) {
+  const sections = [];
+  const { merchant, buyer } = digest;
+
+  if (merchant) {
+    sections.push(`<h2>Supplier performance (${escapeHtml(merchant.currentYear.label || "")})</h2>`);
+    sections.push(
+      kpiTable([
+        ["YTD", formatNumber(merchant.ytd)],
+        ["Target", formatNumber(merchant.target)],
+        ["YTD vs target", percentOf(merchant.ytd, merchant.target)],
+        [`Last year (${merchant.lastYear.label || "LY"})`, formatNumber(merchant.lastYear.volume)],
+        ["OTIF", escapeHtml(merchant.otifRate)],
+        ["Open POs", formatNumber(merchant.totalOpenPos)],
+        ["Late POs", formatNumber(merchant.latePos)],
+      ])
+    );
+  }
+
+  if (buyer) {
+    sections.push(`<h2>Buyer performance (${escapeHtml(buyer.currentYear.label || "")})</h2>`);
+    sections.push(
+      kpiTable([
+        ["YTD", formatNumber(buyer.ytd)],
+        ["OTIF", escapeHtml(buyer.otifRate)],
+        ["Open POs (current)", formatNumber(buyer.openPosCurrent)],
+        ["Open POs (next)", formatNumber(buyer.openPosNext)],
+      ])
+    );
+  }
+
+  if (digest.delayedPos.length > 0) {
+    sections.push(`<h2>Most delayed purchase orders (${digest.delayedCount} delayed)</h2>`);
+    sections.push(
+      `<table style="border-collapse:collapse"><tr>${["PO", "Supplier", "Due date", "Delay (days)"]
+        .map((h) => `<th style="text-align:left;padding:4px 12px 4px 0;border-bottom:1px solid #ccc">${h}</th>`)
+        .join("")}</tr>${digest.delayedPos
+        .map(
+          (po) =>
+            `<tr>${[po.purchaseOrder, po.supplier, po.dueDate, po.delayDays]
+              .map((v) => `<td style="padding:4px 12px 4px 0;border-bottom:1px solid #eee">${escapeHtml(v)}</td>`)
+              .join("")}</tr>`
+        )
+        .join("")}</table>`
+    );
+  }
+
+  const unsubscribe = unsubscribeUrl(customer.customerId);
+  const footer = forPdf
+    ? ""
+    : `<p style="color:#777;font-size:12px;margin-top:24px">You receive this digest because weekly KPI emails are enabled for your account.${
+        unsubscribe ? ` <a href="${escapeHtml(unsubscribe)}">Unsubscribe</a>.` : ""
+      }</p>`;
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"></head>
+<body style="font-family:Arial,sans-serif;font-size:14px;color:#222">
+  <h1 style="font-size:20px">Weekly performance digest</h1>
+  <p>Hello ${escapeHtml(customer.customerName || customer.businessName || "")},</p>
+  <p>Here is your performance summary for the week of ${new Date().toISOString().slice(0, 10)}.</p>
+  ${sections.join("\n")}
+  ${footer}
+</body></html>`;
+}
+
+/**
+ * Send the digest to every eligible customer.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Build digests without sending or recording anything.
+ * @param {boolean} [options.force] - Ignore the "sent in the last 6 days" guard.
+ * @param {string} [options.customerId] - Only this customer.
+ * @returns {Promise<object>} counts of sent / skipped / failed customers.
+ */
+async function runKpiDigest({ dryRun = false, force = false, customerId } = {}) {
+  const stats = { sent: 0, skipped: 0, failed: 0, dryRun };
+
+  const reports = {
+    merchantPerformance: await loadOptionalReport(reportSchemas.merchantPerformance),
+    buyerPerformance: await loadOptionalReport(reportSchemas.buyerPerformance),
+  };
+
+  const query = db.collection("customers").where("isVerified", "==", true);
+  const snapshot = customerId
+    ? { docs: [await db.collection("customers").doc(customerId.toString()).get()].filter((d) => d.exists) }
+    : await query.get();
+
+  for (const doc of snapshot.docs) {
+    const customer = { customerId: doc.id, ...doc.data() };
+    const lastSentAt = customer.digestPreferences?.lastSentAt;
+
+    if (!customer.isVerified || !customer.email || !wantsWeeklyDigest(customer)) {
+      stats.skipped++;
+      continue;
+    }
+    if (!force && lastSentAt && Date.now() - new Date(lastSentAt).getTime() < MIN_INTERVAL_MS) {
+      stats.skipped++;
+      continue;
+    }
+
+    try {
+      const digest = await buildDigest(customer, reports);
+      if (!digest) {
+        stats.skipped++;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`🧪 [dry run] KPI digest for ${customer.email}:`, JSON.stringify({
+          merchant: Boolean(digest.merchant),
+          buyer: Boolean(digest.buyer),
+          delayedPos: digest.delayedPos.length,
+        }));
+        stats.sent++;
+        continue;
+      }
+
+      const attachments = [];
+      try {
+        const pdf = await renderPdf(digestHtml(customer, digest, { forPdf: true }));
+        attachments.push({ filename: `performance-digest-${new Date().toISOString().slice(0, 10)}.pdf`, content: pdf });
+      } catch (err) {
+        console.error(`⚠️ KPI digest PDF failed for ${customer.email}, sending HTML only:`, err.message);
+      }
+
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: customer.email,
+        subject: `Your weekly performance digest - ${new Date().toISOString().slice(0, 10)}`,
+        html: digestHtml(customer, digest),
+        attachments,
+      });
+      await markDigestSent(customer.customerId);
+
+      console.log(`📧 KPI digest sent to ${customer.email}`);
+      stats.sent++;
+    } catch (err) {
+      console.error(`❌ KPI digest failed for customer ${customer.customerId}:`, err.message);
+      stats.failed++;
+    }
+  }
+
+  console.log("📊 KPI digest run finished:", stats);
+  return stats;
+}
+
+// Next KPI_DIGEST_DAY at KPI_DIGEST_HOUR:00 UTC after `from`
+function nextRunAt(from = new Date()) {
+  const next = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate(), DIGEST_HOUR));
+  next.setUTCDate(next.getUTCDate() + ((DIGEST_DAY - next.getUTCDay() + 7) % 7));
+  if (next <= from) next.setUTCDate(next.getUTCDate() + 7);
+  return next;
+}
+
+/**
+ * Run the digest weekly inside the server process.
+ * @returns {{ stop: function }} handle to cancel the schedule.
+ */
+function scheduleKpiDigest() {
+  let timer = null;
+
+  const scheduleNext = () => {
+    const runAt = nextRunAt();
+    console.log(`⏰ Next KPI digest run: ${runAt.toISOString()}`);
+    timer = setTimeout(async () => {
+      try {
+        await runKpiDigest();
+      } catch (err) {
+        console.error("❌ KPI digest run failed:", err.message);
+      }
+      scheduleNext();
+    }, runAt.getTime() - Date.now());
+  };
+
+  scheduleNext();
+  return { stop: () => clearTimeout(timer) };
+}
+
+module.exports = {
+  runKpiDigest,
+  scheduleKpiDigest,
+  nextRunAt,
+};
+
+// CLI entrypoint
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const customerArg = args.find((arg) => arg.startsWith("--customer="));
+
+  runKpiDigest({
+    dryRun: args.includes("--dry-run"),
+    force: args.includes("--force"),
+    customerId: customerArg ? customerArg.split("=")[1] : undefined,
+  })
+    .then((stats) => process.exit(stats.failed > 0 ? 1 : 0))
+    .catch((err) => {
+      console.error("❌ KPI digest run failed:", err);
+      process.exit(1);
+    });
+}
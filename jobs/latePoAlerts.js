@@ -0,0 +1,120 @@
+// jobs/latePoAlerts.js
+
+const { db } = require("../firebaseConfig.js");
+const reportSchemas = require("../services/reportSchemas.js");
+const { ReportError, loadReport } = require("../services/reportIngestion.js");
+const { checkLatePos } = require("../services/latePoAlerts.js");
+
+/**
+ * Periodic late PO check.
+ *
+ * New workbooks are checked as soon as they are ingested, but a PO also goes
+ * late when its due date passes while the workbook stays the same. This job
+ * re-checks the shop buyerrecentpo workbook and the recentpo workbook of
+ * every verified customer.
+ *
+ * Run it in-process (LATE_PO_ALERTS_ENABLED=true, every
+ * LATE_PO_CHECK_INTERVAL_MINUTES) or from the command line:
+ *   node jobs/latePoAlerts.js [--dry-run] [--customer=<id>]
+ */
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.LATE_PO_CHECK_INTERVAL_MINUTES || "60", 10) || 60) * 60 * 1000;
+
+async function loadOptionalReport(schema, options) {
+  try {
+    return await loadReport(schema, options);
+  } catch (err) {
+    if (err instanceof ReportError && err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Check the PO workbooks for newly late POs.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Log the alerts without mailing or recording anything.
+ * @param {string} [options.customerId] - Only this customer's recentpo workbook.
+ * @returns {Promise<object>} counts of checked workbooks, newly late POs and alerts.
+ */
+async function runLatePoCheck({ dryRun = false, customerId } = {}) {
+  const stats = { workbooks: 0, newlyLate: 0, alerted: 0, failed: 0, errors: 0, dryRun };
+
+  const check = async (schema, options = {}) => {
+    try {
+      const report = await loadOptionalReport(schema, options);
+      if (!report) return;
+      const result = await checkLatePos(report, { dryRun });
+      stats.workbooks++;
+      stats.newlyLate += result.newlyLate;
+      stats.alerted += result.alerted;
+      stats.failed += result.failed;
+    } catch (err) {
+      console.error(`❌ Late PO check failed for ${schema.name}${options.customerId ? ` (customer ${options.customerId})` : ""}:`, err.message);
+      stats.errors++;
+    }
+  };
+
+  if (!customerId) {
+    await check(reportSchemas.buyerRecentPos);
+  }
+
+  const customerIds = customerId
+    ? [customerId.toString()]
+    : (await db.collection("customers").where("isVerified", "==", true).get()).docs.map((doc) => doc.id);
+
+  for (const id of customerIds) {
+    await check(reportSchemas.recentPos, { customerId: id });
+  }
+
+  console.log("📊 Late PO check finished:", stats);
+  return stats;
+}
+
+/**
+ * Run the late PO check on an interval inside the server process.
+ * @returns {{ stop: function }} handle to cancel the schedule.
+ */
+function scheduleLatePoCheck() {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // A slow run (many customers) must not overlap the next one
+    if (running) return;
+    running = true;
+    try {
+      await runLatePoCheck();
+    } catch (err) {
+      console.error("❌ Late PO check failed:", err.message);
+    } finally {
+      running = false;
+    }
+  }, CHECK_INTERVAL_MS);
+
+  console.log(`⏰ Late PO check every ${CHECK_INTERVAL_MS / 60000} minutes`);
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  runLatePoCheck,
+  scheduleLatePoCheck,
+};
+
+// CLI entrypoint
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const customerArg = args.find((arg) => arg.startsWith("--customer="));
+  const dryRun = args.includes("--dry-run");
+
+  // Workbooks downloaded by a dry run must not trigger real checks from the ingest listener
+  if (dryRun) process.env.LATE_PO_ALERTS_ENABLED = "false";
+
+  runLatePoCheck({
+    dryRun,
+    customerId: customerArg ? customerArg.split("=")[1] : undefined,
+  })
+    .then((stats) => process.exit(stats.errors > 0 || stats.failed > 0 ? 1 : 0))
+    .catch((err) => {
+      console.error("❌ Late PO check failed:", err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,93 @@
+// jobs/migrateWishlistItems.js
+
+const { shopifyGraphQL } = require("../services/shopifyAdmin.js");
+const { migrateWishlist } = require("../services/wishlistOperations.js");
+
+/**
+ * One-off migration of wishlists from the old custom.wishlist product list
+ * to custom.wishlist_items (see services/wishlistOperations.js). Customers
+ * are migrated on their next wishlist write anyway; this converts the rest.
+ * Safe to re-run: customers that already have wishlist_items are skipped.
+ *   node jobs/migrateWishlistItems.js [--dry-run] [--customer=<id>]
+ */
+
+const PAGE_SIZE = 100;
+
+// Customers with an old-format wishlist and no wishlist_items yet
+async function findUnmigratedCustomers() {
+  const customerIds = [];
+  let after = null;
+
+  do {
+    const data = await shopifyGraphQL(
+      `
+        query wishlistCustomers($first: Int!, $after: String) {
+          customers(first: $first, after: $after) {
+            nodes {
+              id
+              legacy: metafield(namespace: "custom", key: "wishlist") { id }
+              items: metafield(namespace: "custom", key: "wishlist_items") { id }
+            }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      `,
+      { first: PAGE_SIZE, after }
+    );
+
+    const page = data.customers;
+    page.nodes
+      .filter((customer) => customer.legacy && !customer.items)
+      .forEach((customer) => customerIds.push(customer.id.split("/").pop()));
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  return customerIds;
+}
+
+/**
+ * Migrate every customer that still has an old-format wishlist.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only count the customers.
+ * @param {string} [options.customerId] - Migrate one customer.
+ * @returns {Promise<object>} counts by outcome.
+ */
+async function migrateWishlistItems({ dryRun = false, customerId } = {}) {
+  const customerIds = customerId ? [String(customerId)] : await findUnmigratedCustomers();
+  const stats = { customers: customerIds.length, migrated: 0, current: 0, empty: 0, missing: 0, errors: 0 };
+  if (dryRun) return stats;
+
+  for (const id of customerIds) {
+    try {
+      stats[await migrateWishlist(id)]++;
+    } catch (err) {
+      stats.errors++;
+      console.error(`❌ Wishlist migration failed for customer ${id}:`, err.message);
+    }
+  }
+
+  return stats;
+}
+
+module.exports = {
+  migrateWishlistItems,
+};
+
+// CLI entrypoint
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const customerArg = args.find((arg) => arg.startsWith("--customer="));
+
+  migrateWishlistItems({
+    dryRun: args.includes("--dry-run"),
+    customerId: customerArg ? customerArg.split("=")[1] : undefined,
+  })
+    .then((stats) => {
+      console.log("📊 Wishlist migration:", stats);
+      process.exit(stats.errors > 0 ? 1 : 0);
+    })
+    .catch((err) => {
+      console.error("❌ Wishlist migration failed:", err);
+      process.exit(1);
+    });
+}
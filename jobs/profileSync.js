@@ -0,0 +1,77 @@
+// jobs/profileSync.js
+
+const { processPushQueue, scanProfiles } = require("../services/profileSync.js");
+
+/**
+ * Customer profile sync with Shopify.
+ *
+ * Retries queued metafield pushes every PROFILE_SYNC_INTERVAL_MINUTES and
+ * scans all profiles for Shopify-side edits every PROFILE_SCAN_INTERVAL_MINUTES
+ * (webhooks cover most edits; the scan catches the ones they miss).
+ *
+ * Run it in-process (PROFILE_SYNC_ENABLED=true) or from the command line:
+ *   node jobs/profileSync.js [--scan] [--customer=<id>]
+ */
+
+const minutes = (value, fallback) => (parseInt(value || String(fallback), 10) || fallback) * 60 * 1000;
+const PUSH_INTERVAL_MS = minutes(process.env.PROFILE_SYNC_INTERVAL_MINUTES, 5);
+const SCAN_INTERVAL_MS = minutes(process.env.PROFILE_SCAN_INTERVAL_MINUTES, 360);
+
+/**
+ * Run the push queue and the profile scan on intervals inside the server process.
+ * @returns {{ stop: function }} handle to cancel the schedule.
+ */
+function scheduleProfileSync() {
+  let running = false;
+
+  // Pushes and scans share the flag so they never work on the same customer at once
+  const exclusive = (name, task) => async () => {
+    if (running) return;
+    running = true;
+    try {
+      const stats = await task();
+      if (stats.due > 0) console.log(`📊 Profile push queue:`, stats);
+    } catch (err) {
+      console.error(`❌ ${name} failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const pushTimer = setInterval(exclusive("Profile push queue", () => processPushQueue()), PUSH_INTERVAL_MS);
+  const scanTimer = setInterval(exclusive("Profile scan", () => scanProfiles()), SCAN_INTERVAL_MS);
+
+  console.log(
+    `⏰ Profile sync: pushes every ${PUSH_INTERVAL_MS / 60000} minutes, scan every ${SCAN_INTERVAL_MS / 60000} minutes`
+  );
+  return {
+    stop: () => {
+      clearInterval(pushTimer);
+      clearInterval(scanTimer);
+    },
+  };
+}
+
+module.exports = {
+  scheduleProfileSync,
+};
+
+// CLI entrypoint
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const customerArg = args.find((arg) => arg.startsWith("--customer="));
+
+  const run = args.includes("--scan")
+    ? scanProfiles({ customerId: customerArg ? customerArg.split("=")[1] : undefined })
+    : processPushQueue().then((stats) => {
+        console.log("📊 Profile push queue:", stats);
+        return stats;
+      });
+
+  run
+    .then((stats) => process.exit(stats.errors > 0 || stats.failed > 0 ? 1 : 0))
+    .catch((err) => {
+      console.error("❌ Profile sync failed:", err);
+      process.exit(1);
+    });
+}
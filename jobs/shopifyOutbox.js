@@ -0,0 +1,58 @@
+// jobs/shopifyOutbox.js
+
+const { processOutbox } = require("../services/shopifyOutbox.js");
+require("../services/wishlistOperations.js");
+
+/**
+ * Shopify outbox worker: attempts queued writes whose retry time has come.
+ *
+ * Request handlers try each write once themselves, so the worker only sees
+ * writes that Shopify throttled or failed. Unlike the other jobs it runs
+ * unless SHOPIFY_OUTBOX_ENABLED=false, since queued writes were already
+ * accepted from customers. Every OUTBOX_INTERVAL_SECONDS, or once from the
+ * command line:
+ *   node jobs/shopifyOutbox.js
+ */
+
+const INTERVAL_MS = (parseInt(process.env.OUTBOX_INTERVAL_SECONDS || "30", 10) || 30) * 1000;
+
+/**
+ * Run the outbox on an interval inside the server process.
+ * @returns {{ stop: function }} handle to cancel the schedule.
+ */
+function scheduleOutbox() {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const stats = await processOutbox();
+      if (stats.due > 0) console.log("📊 Shopify outbox:", stats);
+    } catch (err) {
+      console.error("❌ Shopify outbox run failed:", err.message);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_MS);
+
+  console.log(`⏰ Shopify outbox every ${INTERVAL_MS / 1000} seconds`);
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  scheduleOutbox,
+};
+
+// CLI entrypoint
+if (require.main === module) {
+  processOutbox()
+    .then((stats) => {
+      console.log("📊 Shopify outbox:", stats);
+      process.exit(stats.dead > 0 ? 1 : 0);
+    })
+    .catch((err) => {
+      console.error("❌ Shopify outbox run failed:", err);
+      process.exit(1);
+    });
+}
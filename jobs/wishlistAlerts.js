@@ -0,0 +1,116 @@
+// jobs/wishlistAlerts.js
+
+const { shopifyGraphQL } = require("../services/shopifyAdmin.js");
+const { parseWishlist } = require("../services/wishlistOperations.js");
+const { checkWishlistAlerts } = require("../services/wishlistAlerts.js");
+
+/**
+ * Periodic wishlist price-drop / back-in-stock check.
+ *
+ * Collects the wishlist of every Shopify customer that has one (either
+ * wishlist metafield), with their email marketing consent, and hands them to
+ * services/wishlistAlerts.js, which snapshots the products and mails the
+ * customers.
+ *
+ * Run it in-process (WISHLIST_ALERTS_ENABLED=true, every
+ * WISHLIST_ALERT_INTERVAL_MINUTES) or from the command line:
+ *   node jobs/wishlistAlerts.js [--dry-run]
+ */
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.WISHLIST_ALERT_INTERVAL_MINUTES || "60", 10) || 60) * 60 * 1000;
+const PAGE_SIZE = 100;
+
+/**
+ * Every customer with a wishlist.
+ * @returns {Promise<object[]>} { customerId, email, firstName, marketingState, items }
+ */
+async function findWishlists() {
+  const wishlists = [];
+  let after = null;
+
+  do {
+    const data = await shopifyGraphQL(
+      `
+        query wishlistAlertCustomers($first: Int!, $after: String) {
+          customers(first: $first, after: $after) {
+            nodes {
+              id
+              email
+              firstName
+              emailMarketingConsent { marketingState }
+              legacy: metafield(namespace: "custom", key: "wishlist") { value }
+              items: metafield(namespace: "custom", key: "wishlist_items") { value }
+            }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      `,
+      { first: PAGE_SIZE, after }
+    );
+
+    const page = data.customers;
+    page.nodes
+      .filter((customer) => customer.legacy || customer.items)
+      .forEach((customer) =>
+        wishlists.push({
+          customerId: customer.id.split("/").pop(),
+          email: customer.email,
+          firstName: customer.firstName,
+          marketingState: customer.emailMarketingConsent?.marketingState || null,
+          items: parseWishlist(customer.items, customer.legacy),
+        })
+      );
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  return wishlists;
+}
+
+/**
+ * Check every wishlist for price drops and restocks.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Log the emails without sending or recording anything.
+ * @returns {Promise<object>} counts of products, changes and emails.
+ */
+async function runWishlistAlerts({ dryRun = false } = {}) {
+  return checkWishlistAlerts(await findWishlists(), { dryRun });
+}
+
+/**
+ * Run the wishlist check on an interval inside the server process.
+ * @returns {{ stop: function }} handle to cancel the schedule.
+ */
+function scheduleWishlistAlerts() {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // A slow run (many wishlists) must not overlap the next one
+    if (running) return;
+    running = true;
+    try {
+      await runWishlistAlerts();
+    } catch (err) {
+      console.error("❌ Wishlist alert check failed:", err.message);
+    } finally {
+      running = false;
+    }
+  }, CHECK_INTERVAL_MS);
+
+  console.log(`⏰ Wishlist alert check every ${CHECK_INTERVAL_MS / 60000} minutes`);
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  runWishlistAlerts,
+  scheduleWishlistAlerts,
+};
+
+// CLI entrypoint
+if (require.main === module) {
+  runWishlistAlerts({ dryRun: process.argv.slice(2).includes("--dry-run") })
+    .then((stats) => process.exit(stats.failed > 0 ? 1 : 0))
+    .catch((err) => {
+      console.error("❌ Wishlist alert check failed:", err);
+      process.exit(1);
+    });
+}
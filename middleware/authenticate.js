@@ -2,19 +2,26 @@
 
 const admin = require('firebase-admin');
 const crypto = require('crypto');
+const { MAX_CLOCK_SKEW_MS, NONCE_PATTERN, computeSignature, signaturesMatch } = require('../services/requestSigning');
+const { claimNonce } = require('../services/nonceStore');
+const { verifyApiKey } = require('../services/apiClients');
+const { verifySessionToken } = require('../services/shopifySessionToken');
 
 /**
  * Authentication Middleware for Shared Backend
- * Supports both Shopify App and Flutter Mobile App
+ * Supports the Shopify App, the Flutter Mobile App and internal jobs.
+ * x-api-key values are checked against the client registry (services/apiClients.js).
  */
 
 // Configuration
 const SHOPIFY_APP_SECRET = process.env.SHOPIFY_API_SECRET; // Store in .env
-const API_KEY = process.env.SHOPIFY_API_KEY; 
+
+// Where a key was used, for the registry's usage log
+const keyContext = (req) => ({ path: `${req.method} ${req.baseUrl}${req.path}`, ip: req.ip });
 
 const authenticate = async (req, res, next) => {
   try {
-    const clientType = req.headers['x-client-type']; // 'shopify' or 'flutter'
+    const clientType = req.headers['x-client-type']; // 'shopify', 'flutter' or 'internal'
     
     if (!clientType) {
       return res.status(401).json({
@@ -30,6 +37,9 @@ const authenticate = async (req, res, next) => {
       
       case 'flutter':
         return await authenticateFlutter(req, res, next);
+
+      case 'internal':
+        return await authenticateInternal(req, res, next);
       
       default:
         return res.status(401).json({
@@ -59,17 +69,21 @@ const authenticateShopify = async (req, res, next) => {
   if (sessionToken) {
     try {
       // Verify Shopify session token
-      const payload = await verifyShopifySessionToken(sessionToken, shopDomain);
+      const session = verifySessionToken(sessionToken, { shopDomain });
       
       req.shopify = {
-        shop: payload.dest.replace('https://', ''),
-        isOnline: payload.sub ? true : false,
-        userId: payload.sub
+        shop: session.shop,
+        isOnline: Boolean(session.userId),
+        userId: session.userId,
+        sessionId: session.sessionId,
+        expiresAt: session.expiresAt,
+        method: 'session-token'
       };
       
       return next();
     } catch (error) {
-      console.error('Shopify session token verification failed:', error);
+      // Which check failed goes to the log only, not to the caller
+      console.error('Shopify session token verification failed:', error.message);
       return res.status(401).json({
         success: false,
         error: 'Invalid Shopify session token'
@@ -77,11 +91,14 @@ const authenticateShopify = async (req, res, next) => {
     }
   }
   
-  // Method 2: API Key (For server-side Shopify apps or webhooks)
-  if (apiKey === API_KEY) {
+  // Method 2: shopify-embedded key from the client registry (never the public SHOPIFY_API_KEY)
+  const apiClient = await verifyApiKey(apiKey, ['shopify-embedded'], keyContext(req));
+  if (apiClient) {
+    req.apiClient = apiClient;
     req.shopify = {
       authenticated: true,
-      method: 'api-key'
+      method: 'api-key',
+      keyId: apiClient.keyId
     };
     return next();
   }
@@ -101,12 +118,14 @@ const authenticateFlutter = async (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
 
   // Verify API key
-  if (apiKey !== API_KEYS.flutter) {
+  const apiClient = await verifyApiKey(apiKey, ['flutter'], keyContext(req));
+  if (!apiClient) {
     return res.status(401).json({
       success: false,
       error: 'Invalid API key'
     });
   }
+  req.apiClient = apiClient;
 
   // Verify Firebase ID token
   if (!firebaseToken) {
@@ -122,7 +141,8 @@ const authenticateFlutter = async (req, res, next) => {
     req.user = {
       uid: decodedToken.uid,
       email: decodedToken.email,
-      emailVerified: decodedToken.email_verified
+      emailVerified: decodedToken.email_verified,
+      admin: decodedToken.admin === true // Firebase custom claim
     };
     
     return next();
@@ -136,34 +156,21 @@ const authenticateFlutter = async (req, res, next) => {
 };
 
 /**
- * Verify Shopify Session Token (JWT)
- * For embedded Shopify apps using App Bridge
+ * Internal Jobs Authentication
+ * Uses an internal-jobs API key; the key's roles decide what it may do
  */
-const verifyShopifySessionToken = async (token, shopDomain) => {
-  const jwt = require('jsonwebtoken');
-  
-  if (!shopDomain) {
-    throw new Error('Shop domain is required');
-  }
-
-  // Shopify session tokens are signed with your app's secret
-  const payload = jwt.verify(token, SHOPIFY_APP_SECRET, {
-    algorithms: ['HS256']
-  });
-
-  // Verify the token is for the correct shop
-  const tokenShop = payload.dest.replace('https://', '');
-  if (tokenShop !== shopDomain) {
-    throw new Error('Token shop domain mismatch');
-  }
+const authenticateInternal = async (req, res, next) => {
+  const apiClient = await verifyApiKey(req.headers['x-api-key'], ['internal-jobs'], keyContext(req));
 
-  // Verify token is not expired
-  const now = Math.floor(Date.now() / 1000);
-  if (payload.exp && payload.exp < now) {
-    throw new Error('Token has expired');
+  if (!apiClient) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid API key'
+    });
   }
 
-  return payload;
+  req.apiClient = apiClient;
+  return next();
 };
 
 /**
@@ -180,26 +187,46 @@ const rateLimitByClient = (req, res, next) => {
 
 /**
  * Webhook authentication for Shopify webhooks
+ * Needs the raw body: mount after express.raw(), before any JSON parser
  */
 const authenticateShopifyWebhook = (req, res, next) => {
   const hmac = req.headers['x-shopify-hmac-sha256'];
   const topic = req.headers['x-shopify-topic'];
   const shop = req.headers['x-shopify-shop-domain'];
+  const webhookId = req.headers['x-shopify-webhook-id'];
 
-  if (!hmac || !topic || !shop) {
+  if (!hmac || !topic || !shop || !webhookId) {
     return res.status(401).json({
       success: false,
       error: 'Missing webhook headers'
     });
   }
 
-  
-  const hash = crypto
+  // Fail closed: without the app secret no webhook can be trusted
+  if (!SHOPIFY_APP_SECRET) {
+    console.error('❌ SHOPIFY_API_SECRET is not set; rejecting webhook');
+    return res.status(500).json({
+      success: false,
+      error: 'Webhooks are not configured'
+    });
+  }
+
+  if (!Buffer.isBuffer(req.body)) {
+    console.error('❌ Webhook body was parsed before its signature could be checked');
+    return res.status(500).json({
+      success: false,
+      error: 'Webhook body unavailable'
+    });
+  }
+
+  const expected = crypto
     .createHmac('sha256', SHOPIFY_APP_SECRET)
-    .update(req.body, 'utf8')
-    .digest('base64');
+    .update(req.body)
+    .digest();
+  const received = Buffer.from(String(hmac), 'base64');
 
-  if (hash !== hmac) {
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    console.warn(`❌ Invalid webhook signature for ${topic} from ${shop}`);
     return res.status(401).json({
       success: false,
       error: 'Invalid webhook signature'
@@ -207,8 +234,10 @@ const authenticateShopifyWebhook = (req, res, next) => {
   }
 
   req.webhook = {
+    id: webhookId,
     topic,
     shop,
+    apiVersion: req.headers['x-shopify-api-version'] || null,
     verified: true
   };
 
@@ -216,49 +245,53 @@ const authenticateShopifyWebhook = (req, res, next) => {
 };
 
 
+// App Proxy signature: hex HMAC-SHA256 of the other query parameters as sorted
+// key=value pairs (repeated keys joined with ","), concatenated with no separator
+const proxySignature = (secret, search) => {
+  const params = new Map();
+  for (const [key, value] of new URLSearchParams(search)) {
+    if (key === 'signature') continue;
+    params.set(key, params.has(key) ? `${params.get(key)},${value}` : value);
+  }
+  const message = [...params]
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join('');
+  return crypto.createHmac('sha256', secret).update(message, 'utf8').digest('hex');
+};
+
+/**
+ * Shopify App Proxy authentication (storefront requests)
+ * Shopify signs every proxied request with a `signature` query parameter
+ * keyed with the app secret (SHOPIFY_API_SECRET)
+ */
 const authenticateShopifyProxy = (req, res, next) => {
-  const { 'x-shopify-hmac-sha256': hmacHeader, 'x-shopify-shop-domain': shopDomain } = req.headers;
-  
-  if (!hmacHeader) {
-    console.warn('❌ Missing App Proxy HMAC header');
+  const { signature, shop } = req.query;
+
+  if (typeof signature !== 'string' || !signature) {
+    console.warn('❌ Missing App Proxy signature');
     return res.status(403).json({ success: false, error: 'Missing proxy signature' });
   }
 
-  if (!shopDomain) {
-    console.warn('❌ Missing shop domain header');
+  if (typeof shop !== 'string' || !shop) {
+    console.warn('❌ Missing shop in App Proxy request');
     return res.status(403).json({ success: false, error: 'Missing shop domain' });
   }
 
-  // Use URLSearchParams for robust query string handling
-  const params = { ...req.query };
-  
-  // The 'signature' param must be removed from the query object before hashing
-  delete params.signature;
+  // Fail closed: without the app secret no proxy request can be trusted
+  if (!SHOPIFY_APP_SECRET) {
+    console.error('❌ SHOPIFY_API_SECRET is not set; rejecting App Proxy request');
+    return res.status(500).json({ success: false, error: 'App Proxy is not configured' });
+  }
 
-  const searchParams = new URLSearchParams(params);
-  
-  // URLSearchParams automatically sorts the parameters by key, which is required by Shopify
-  const queryString = searchParams.toString();
-  
-  // Generate the expected HMAC
-  const generatedHmac = crypto
-    .createHmac('sha256', process.env.SHOPIFY_APP_SECRET)
-    .update(queryString, 'utf8')
-    .digest('base64');
-
-  // Compare the generated HMAC with the one from the header
-  if (generatedHmac !== hmacHeader) {
-    console.warn('❌ Invalid App Proxy HMAC');
-    console.log('Expected:', generatedHmac);
-    console.log('Received:', hmacHeader);
-    console.log('Query String Used:', queryString);
+  const search = req.originalUrl.split('?')[1] || '';
+  if (!signaturesMatch(proxySignature(SHOPIFY_APP_SECRET, search), signature)) {
+    console.warn(`❌ Invalid App Proxy signature from ${shop}`);
     return res.status(403).json({ success: false, error: 'Invalid proxy signature' });
   }
 
-  console.log('✅ App Proxy authenticated for shop:', shopDomain);
-
   req.shopify = {
-    shop: shopDomain,
+    shop,
     verified: true,
     source: 'app-proxy'
   };
@@ -266,50 +299,82 @@ const authenticateShopifyProxy = (req, res, next) => {
   next();
 };
 
-const authenticateManualHmac = (req, res, next) => {
-  const { ts, hmac } = req.query;
-  
-  // Check if timestamp and HMAC are provided
-  if (!ts || !hmac) {
-    console.warn('❌ Missing timestamp or HMAC in query parameters');
-    return res.status(403).json({ 
-      success: false, 
-      error: 'Missing authentication parameters' 
+/**
+ * Shared-secret signed requests (Liquid/theme and internal callers).
+ * The signature covers the method, path, query and body, and each nonce is
+ * accepted once; see services/requestSigning.js for the scheme and a signer.
+ */
+const authenticateManualHmac = async (req, res, next) => {
+  const { ts, nonce, hmac } = req.query;
+
+  if (!ts || !nonce || !hmac) {
+    console.warn('❌ Missing ts, nonce or hmac in query parameters');
+    return res.status(403).json({
+      success: false,
+      error: 'Missing authentication parameters',
+      details: 'Signed requests need ts, nonce and hmac query parameters'
     });
   }
 
-  // Optional: Validate timestamp to prevent replay attacks (5 minute window)
-  const currentTime = Date.now();
-  const requestTime = parseInt(ts, 10);
-  const timeDifference = Math.abs(currentTime - requestTime);
-  const maxTimeDifference = 5 * 60 * 1000; // 5 minutes in milliseconds
+  // Fail closed: without a secret no signature can be trusted
+  const secret = process.env.SHARED_SECRET;
+  if (!secret) {
+    console.error('❌ SHARED_SECRET is not set; rejecting signed request');
+    return res.status(500).json({
+      success: false,
+      error: 'Signed requests are not configured'
+    });
+  }
 
-  if (timeDifference > maxTimeDifference) {
+  const requestTime = Number(ts);
+  if (!Number.isInteger(requestTime) || Math.abs(Date.now() - requestTime) > MAX_CLOCK_SKEW_MS) {
     console.warn('❌ Request timestamp expired');
-    return res.status(403).json({ 
-      success: false, 
-      error: 'Request expired' 
+    return res.status(403).json({
+      success: false,
+      error: 'Request expired'
     });
   }
 
-  // Create the message from timestamp (matching your Liquid code)
-  const message = `${ts}`;
-  
-  // Generate the expected HMAC using your shared secret
-  const expectedHmac = crypto
-    .createHmac('sha256', process.env.SHARED_SECRET || 'YOUR_SHARED_SECRET')
-    .update(message, 'utf8')
-    .digest('hex');
-
-  // Compare HMACs (case-insensitive comparison)
-  if (expectedHmac.toLowerCase() !== hmac.toLowerCase()) {
-    console.warn('❌ Invalid HMAC signature');
-    console.log('Expected:', expectedHmac);
-    console.log('Received:', hmac);
-    console.log('Timestamp:', ts);
-    return res.status(403).json({ 
-      success: false, 
-      error: 'Invalid signature' 
+  if (typeof nonce !== 'string' || !NONCE_PATTERN.test(nonce)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid nonce',
+      details: 'nonce must be 16-128 letters, digits, - or _'
+    });
+  }
+
+  // Sign what was actually received: the raw query string and body bytes
+  const [path, search = ''] = req.originalUrl.split('?');
+  const expectedHmac = computeSignature(secret, {
+    method: req.method,
+    path,
+    query: [...new URLSearchParams(search)],
+    body: req.rawBody || (Buffer.isBuffer(req.body) ? req.body : undefined)
+  });
+
+  if (!signaturesMatch(expectedHmac, hmac)) {
+    console.warn(`❌ Invalid HMAC signature for ${req.method} ${path}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid signature'
+    });
+  }
+
+  try {
+    // The nonce only has to outlive the window its timestamp is accepted in
+    const fresh = await claimNonce(nonce, new Date(requestTime + MAX_CLOCK_SKEW_MS));
+    if (!fresh) {
+      console.warn(`❌ Replayed signed request for ${req.method} ${path}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Request already used'
+      });
+    }
+  } catch (error) {
+    console.error('Nonce check failed:', error);
+    return res.status(503).json({
+      success: false,
+      error: 'Authentication temporarily unavailable'
     });
   }
 
@@ -325,11 +390,11 @@ const authenticateManualHmac = (req, res, next) => {
   next();
 };
 
-
 module.exports = {
   authenticate,
   authenticateShopify,
   authenticateFlutter,
+  authenticateInternal,
   authenticateShopifyProxy,
   authenticateShopifyWebhook,
   authenticateManualHmac,
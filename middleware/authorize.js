@@ -0,0 +1,87 @@
+// middleware/authorize.js
+
+const { authenticate, authenticateShopifyProxy, authenticateManualHmac } = require('./authenticate');
+const { resolvePrincipal } = require('../services/rbac');
+
+/**
+ * Authorization middleware built on services/rbac.js.
+ *
+ * requirePermission('customers:verify') authenticates the caller, resolves
+ * its roles and rejects it unless one of them grants the permission.
+ * customerAccess guards /customers/customer/:customerId routes: callers get
+ * their own customer's data, and any customer's with customers:read-any.
+ * Both set req.principal.
+ */
+
+// Pick the authentication scheme from what the request carries
+const authenticateCaller = (req, res, next) => {
+  // Storefront requests through the App Proxy are signed by Shopify
+  if (req.query.signature) {
+    return authenticateShopifyProxy(req, res, next);
+  }
+  // Shared-secret signed request (only grants RBAC_LEGACY_HMAC_ROLE, if set)
+  if (!req.headers['x-client-type'] && req.query.ts && req.query.hmac) {
+    return authenticateManualHmac(req, res, next);
+  }
+  return authenticate(req, res, next);
+};
+
+const loadPrincipal = async (req, res, next) => {
+  try {
+    req.principal = await resolvePrincipal(req);
+    next();
+  } catch (error) {
+    console.error('Authorization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Authorization check failed'
+    });
+  }
+};
+
+const checkPermission = (permission) => (req, res, next) => {
+  if (!req.principal.can(permission)) {
+    console.warn(`❌ ${req.principal.via} caller ${req.principal.subject || ''} lacks permission ${permission}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      details: `Missing permission: ${permission}`
+    });
+  }
+  next();
+};
+
+/**
+ * Middleware chain that requires a permission.
+ * @param {string} permission - One of rbac.PERMISSIONS.
+ */
+const requirePermission = (permission) => [authenticateCaller, loadPrincipal, checkPermission(permission)];
+
+const authorizeCustomer = (req, res, next) => {
+  const { principal } = req;
+  const requestedId = String(req.params.customerId);
+
+  if (!principal.can('customers:read-any') && principal.customerId !== requestedId) {
+    console.warn(`❌ ${principal.via} caller (customer ${principal.customerId || 'unknown'}) denied access to customer ${requestedId}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      details: principal.customerId
+        ? 'You can only access your own customer data'
+        : 'No Shopify customer is linked to this account',
+    });
+  }
+
+  next();
+};
+
+// Mount on every /customer/:customerId route
+const customerAccess = [authenticateCaller, loadPrincipal, authorizeCustomer];
+
+module.exports = {
+  authenticateCaller,
+  loadPrincipal,
+  requirePermission,
+  authorizeCustomer,
+  customerAccess
+};
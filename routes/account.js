@@ -0,0 +1,120 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateFlutter } = require("../middleware/authenticate.js");
+const { createZip } = require("../services/zipArchive.js");
+const {
+  auditPrivacyAction,
+  buildAccountExport,
+  requestStatusToken,
+  verifyRequestStatusToken,
+  getPrivacyRequest,
+  requestAccountErasure,
+  runAccountErasure,
+} = require("../services/privacy.js");
+
+/**
+ * Self-service account data for Flutter app users (mounted at /account).
+ *
+ *   GET  /export?format=json|zip    - everything held about the signed-in user
+ *   POST /erasure { confirm: true } - erase the account; 202 with a status URL
+ *   GET  /erasure/:requestId?token= - poll an erasure (works after the account is gone)
+ */
+
+const REQUEST_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const statusUrl = (requestId) => {
+  const base = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "");
+  return `${base}/account/erasure/${requestId}?token=${requestStatusToken(requestId)}`;
+};
+
+// One file per section, so the archive is readable without tooling
+function zipExport(data) {
+  const { account, customer, verificationHistory, wishlist, lists, ...rest } = data;
+  return createZip([
+    { name: "account.json", content: JSON.stringify(account, null, 2) },
+    { name: "customer.json", content: JSON.stringify(customer, null, 2) },
+    { name: "verification-history.json", content: JSON.stringify(verificationHistory, null, 2) },
+    { name: "wishlist.json", content: JSON.stringify(wishlist, null, 2) },
+    ...lists.map((list, index) => ({
+      name: `lists/${String(index + 1).padStart(2, "0")}-${list.name.replace(/[^a-zA-Z0-9_-]/g, "_")}.json`,
+      content: JSON.stringify(list, null, 2),
+    })),
+    { name: "other.json", content: JSON.stringify(rest, null, 2) },
+  ]);
+}
+
+router.get("/export", authenticateFlutter, async (req, res) => {
+  const format = req.query.format || "json";
+  if (!["json", "zip"].includes(format)) {
+    return res.status(400).json({ error: "Invalid format", details: "format must be json or zip" });
+  }
+
+  const { uid } = req.user;
+  try {
+    const data = await buildAccountExport(uid);
+    await auditPrivacyAction({ action: "export", source: "api", uid, customerId: data.customerId, format });
+
+    if (format === "zip") {
+      res.set("Content-Type", "application/zip");
+      res.set("Content-Disposition", `attachment; filename="account-${uid}.zip"`);
+      return res.send(zipExport(data));
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error(`❌ Error exporting account ${uid}:`, error);
+    res.status(500).json({ error: "Failed to export account data", details: error.message });
+  }
+});
+
+router.post("/erasure", authenticateFlutter, async (req, res) => {
+  if (req.body?.confirm !== true) {
+    return res.status(400).json({
+      error: "Confirmation required",
+      details: "Send { confirm: true } to permanently delete this account",
+    });
+  }
+  if (!process.env.SHARED_SECRET) {
+    return res.status(500).json({ error: "Account erasure is not configured", details: "SHARED_SECRET is not set" });
+  }
+
+  const { uid } = req.user;
+  try {
+    const { request, created } = await requestAccountErasure(uid);
+
+    // The client polls statusUrl; the erasure itself may take a while
+    if (created) {
+      runAccountErasure(request.requestId).catch((err) =>
+        console.error(`❌ Account erasure ${request.requestId} crashed:`, err)
+      );
+    }
+
+    res.status(202).json({
+      success: true,
+      data: { ...request, token: requestStatusToken(request.requestId), statusUrl: statusUrl(request.requestId) },
+    });
+  } catch (error) {
+    console.error(`❌ Error starting erasure for ${uid}:`, error);
+    res.status(500).json({ error: "Failed to start account erasure", details: error.message });
+  }
+});
+
+// Authorised by the token alone: the Firebase user no longer exists once the erasure is done
+router.get("/erasure/:requestId", async (req, res) => {
+  const { requestId } = req.params;
+  if (!REQUEST_ID_PATTERN.test(requestId) || !verifyRequestStatusToken(requestId, req.query.token)) {
+    return res.status(404).json({ error: "Erasure request not found", details: "Unknown request or invalid token" });
+  }
+
+  try {
+    const request = await getPrivacyRequest(requestId);
+    if (!request) {
+      return res.status(404).json({ error: "Erasure request not found", details: "Unknown request or invalid token" });
+    }
+    res.json({ success: true, data: request });
+  } catch (error) {
+    console.error(`❌ Error loading erasure request ${requestId}:`, error);
+    res.status(500).json({ error: "Failed to load erasure request", details: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,10 @@ const express = require("express");
 const axios = require("axios");
 const rateLimit = require("express-rate-limit");
 const router = express.Router();
+const { shopifyGraphQL } = require("../services/shopifyAdmin.js");
 
 // Get credentials from environment variables
-const { SHOPIFY_STORE, SHOPIFY_ADMIN_TOKEN, GEMINI_API_KEY } = process.env;
+const { GEMINI_API_KEY } = process.env;
 
 // --- Helper Functions ---
 
@@ -67,20 +68,11 @@ async function fetchProductsForCapsules() {
       after: cursor
     };
 
-    const response = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN
-      },
-      data: { query, variables }
-    });
-
-    const { data, errors } = response.data;
-    
-    if (errors) {
-      console.error('GraphQL errors:', errors);
+    let data;
+    try {
+      data = await shopifyGraphQL(query, variables);
+    } catch (error) {
+      console.error('GraphQL errors:', error.errors || error.message);
       break;
     }
 
@@ -0,0 +1,167 @@
+const express = require("express");
+const router = express.Router();
+const { requirePermission } = require("../middleware/authorize.js");
+const { getRoles } = require("../services/rbac.js");
+const {
+  CLIENTS,
+  KEY_ID_PATTERN,
+  DEFAULT_ROTATION_OVERLAP_HOURS,
+  MAX_ROTATION_OVERLAP_HOURS,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  getApiKeyUsage,
+} = require("../services/apiClients.js");
+
+/**
+ * API key administration (mounted at /admin/api-clients).
+ * Issued and rotated keys are returned once, in data.key; only their hash is stored.
+ * A key with roles acts with those roles, so issuing or rotating one also
+ * takes roles:manage.
+ */
+
+router.use(requirePermission("apiClients:manage"));
+
+// Actor recorded on the key
+const actorOf = (req) => req.principal.subject || req.principal.via;
+
+function cannotGrantRoles(req, res) {
+  if (req.principal.can("roles:manage")) return false;
+  console.warn(`❌ ${req.principal.via} caller ${req.principal.subject || ""} tried to issue or rotate a key with roles`);
+  res.status(403).json({ error: "Access denied", details: "Missing permission: roles:manage (needed for keys with roles)" });
+  return true;
+}
+
+function invalidKeyId(res, keyId) {
+  if (KEY_ID_PATTERN.test(keyId)) return false;
+  res.status(400).json({ error: "Invalid key ID", details: "keyId must be 12 hex characters" });
+  return true;
+}
+
+router.get("/", async (req, res) => {
+  const { client } = req.query;
+  if (client && !CLIENTS[client]) {
+    return res.status(400).json({
+      error: "Unknown client",
+      details: `client must be one of: ${Object.keys(CLIENTS).join(", ")}`,
+    });
+  }
+
+  try {
+    res.json({ success: true, data: { keys: await listApiKeys({ client }), clients: CLIENTS } });
+  } catch (error) {
+    console.error("❌ Error listing API keys:", error);
+    res.status(500).json({ error: "Failed to list API keys", details: error.message });
+  }
+});
+
+// Issue a key: { client, name, roles } (roles only apply to internal-jobs keys)
+router.post("/", async (req, res) => {
+  const { client, name = "", roles = [] } = req.body || {};
+
+  if (!CLIENTS[client]) {
+    return res.status(400).json({
+      error: "Unknown client",
+      details: `client must be one of: ${Object.keys(CLIENTS).join(", ")}`,
+    });
+  }
+
+  if (typeof name !== "string" || name.length > 100) {
+    return res.status(400).json({ error: "Invalid name", details: "name must be a string of at most 100 characters" });
+  }
+
+  if (!Array.isArray(roles) || (roles.length > 0 && client !== "internal-jobs")) {
+    return res.status(400).json({
+      error: "Invalid roles",
+      details: "roles must be an array, and can only be set on internal-jobs keys",
+    });
+  }
+  if (roles.length > 0 && cannotGrantRoles(req, res)) return;
+
+  try {
+    const definitions = await getRoles();
+    const unknown = roles.filter((role) => !definitions[role]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: "Unknown roles", details: `Unknown roles: ${unknown.join(", ")}` });
+    }
+
+    const { key, record } = await createApiKey({ client, name, roles }, actorOf(req));
+    console.log(`✅ API key ${record.keyId} issued for ${client} by ${actorOf(req)}`);
+    res.status(201).json({ success: true, data: { ...record, key } });
+  } catch (error) {
+    console.error("❌ Error issuing API key:", error);
+    res.status(500).json({ error: "Failed to issue API key", details: error.message });
+  }
+});
+
+// Rotate a key: { overlapHours } the old key stays valid for (default 24, 0 ends it now)
+router.post("/:keyId/rotate", async (req, res) => {
+  const { keyId } = req.params;
+  if (invalidKeyId(res, keyId)) return;
+
+  const overlapHours = Number(req.body?.overlapHours ?? DEFAULT_ROTATION_OVERLAP_HOURS);
+  if (!Number.isFinite(overlapHours) || overlapHours < 0 || overlapHours > MAX_ROTATION_OVERLAP_HOURS) {
+    return res.status(400).json({
+      error: "Invalid overlapHours",
+      details: `overlapHours must be between 0 and ${MAX_ROTATION_OVERLAP_HOURS}`,
+    });
+  }
+
+  try {
+    const current = await getApiKey(keyId);
+    if (current?.roles.length > 0 && cannotGrantRoles(req, res)) return;
+
+    const rotated = await rotateApiKey(keyId, { overlapHours }, actorOf(req));
+    if (!rotated) {
+      return res.status(404).json({ error: "API key not found", details: `No active, unrotated API key ${keyId}` });
+    }
+
+    console.log(`✅ API key ${keyId} rotated to ${rotated.record.keyId} by ${actorOf(req)}`);
+    res.json({ success: true, data: { ...rotated.record, key: rotated.key, previous: rotated.previous } });
+  } catch (error) {
+    console.error("❌ Error rotating API key:", error);
+    res.status(500).json({ error: "Failed to rotate API key", details: error.message });
+  }
+});
+
+router.delete("/:keyId", async (req, res) => {
+  const { keyId } = req.params;
+  if (invalidKeyId(res, keyId)) return;
+
+  try {
+    const revoked = await revokeApiKey(keyId, actorOf(req));
+    if (!revoked) {
+      return res.status(404).json({ error: "API key not found", details: `No API key ${keyId}` });
+    }
+
+    console.log(`✅ API key ${keyId} revoked by ${actorOf(req)}`);
+    res.json({ success: true, data: revoked });
+  } catch (error) {
+    console.error("❌ Error revoking API key:", error);
+    res.status(500).json({ error: "Failed to revoke API key", details: error.message });
+  }
+});
+
+// Daily request counts for a key (?days=, default 30)
+router.get("/:keyId/usage", async (req, res) => {
+  const { keyId } = req.params;
+  // Environment keys are logged as env-<client>
+  const envKey = keyId.startsWith("env-") && Boolean(CLIENTS[keyId.slice(4)]);
+  if (!envKey && invalidKeyId(res, keyId)) return;
+
+  const days = Number(req.query.days || 30);
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    return res.status(400).json({ error: "Invalid days", details: "days must be an integer between 1 and 366" });
+  }
+
+  try {
+    res.json({ success: true, data: { keyId, usage: await getApiKeyUsage(keyId, { days }) } });
+  } catch (error) {
+    console.error("❌ Error fetching API key usage:", error);
+    res.status(500).json({ error: "Failed to fetch API key usage", details: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,32 +1,36 @@
-const nodemailer = require('nodemailer');
 const express = require("express");
 const { PhoneNumberUtil, PhoneNumberFormat } = require('google-libphonenumber');
 const { admin, db } = require("../firebaseConfig.js");
 const router = express.Router();
-const axios = require("axios");
-const {authenticate,authenticateShopifyProxy,authenticateManualHmac} = require("../middleware/authenticate.js");
+const {authenticate,authenticateFlutter,authenticateShopifyProxy,authenticateManualHmac} = require("../middleware/authenticate.js");
+const { customerAccess, requirePermission } = require("../middleware/authorize.js");
+const reportSchemas = require("../services/reportSchemas.js");
+const { cleanNumber, fetchCustomerFields, loadReport, sendReportError } = require("../services/reportIngestion.js");
+const {
+  aggregateOtif,
+  fiscalKpis,
+  merchantRowSummary,
+  aggregateMerchantSummary,
+  buyerRowSummary,
+} = require("../services/performanceKpis.js");
+const { recordMerchantSnapshot, getMerchantHistory } = require("../services/performanceHistory.js");
+const { EXPORT_FORMATS, buildExport, escapeHtml } = require("../services/reportExport.js");
+const { parseRowQuery, applyRowQuery } = require("../services/reportQuery.js");
+const { transporter } = require("../services/mailer.js");
+const {
+  UNSUBSCRIBE_LISTS,
+  getDigestPreferences,
+  setDigestPreferences,
+  verifyUnsubscribeToken,
+} = require("../services/digestPreferences.js");
+const { recordProfileWrite, pushProfile } = require("../services/profileSync.js");
+const { ShopifyError, ShopifyHttpError, shopifyMutation, shopifyRest } = require("../services/shopifyAdmin.js");
 
 // Initialize phone number utility
 const phoneUtil = PhoneNumberUtil.getInstance();
 
 // Get email credentials from environment variables
-const { EMAIL_PASS, EMAIL_USER,SHOPIFY_STORE, SHOPIFY_ADMIN_TOKEN} = process.env;
-
-
-const transporter = nodemailer.createTransport({
-  service: process.env.EMAIL_SERVICE || 'gmail', 
-  auth: {
-    user: EMAIL_USER,
-    pass: EMAIL_PASS
-  }
-});
-const shopifyApi = axios.create({
-  baseURL: `https://${process.env.SHOPIFY_STORE}/admin/api/2025-07`,
-  headers: {
-    "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-    "Content-Type": "application/json",
-  },
-});
+const { EMAIL_PASS, EMAIL_USER } = process.env;
 
 
 async function sendAdminNotification(customerData) {
@@ -255,139 +259,14 @@ router.post("/", authenticateManualHmac,async (req, res) => {
       console.log(`Successfully created customer ${customerId} in Firebase:`, customerData);
     }
 
-    // Update all Shopify metafields
-    const query = `
-      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-        metafieldsSet(metafields: $metafields) {
-          metafields { id key value namespace type }
-          userErrors { field message code }
-        }
-      }
-    `;
-
-    // Construct the metafields array based on the expected types
-    const metafieldsPayload = [
-      {
-        ownerId: `gid://shopify/Customer/${customerId}`,
-        namespace: "custom",
-        key: "name",
-        type: "single_line_text_field",
-        value: customer_name
-      },
-      {
-        ownerId: `gid://shopify/Customer/${customerId}`,
-        namespace: "custom",
-        key: "business_name",
-        type: "single_line_text_field",
-        value: business_name
-      },
-      {
-        ownerId: `gid://shopify/Customer/${customerId}`,
-        namespace: "custom",
-        key: "role",
-        type: "single_line_text_field",
-        value: customer_role
-      },
-      {
-        ownerId: `gid://shopify/Customer/${customerId}`,
-        namespace: "custom",
-        key: "contact",
-        type: "single_line_text_field",
-        value: formattedPhone || ""
-      },
-      {
-        ownerId: `gid://shopify/Customer/${customerId}`,
-        namespace: "custom",
-        key: "country",
-        type: "single_line_text_field",
-        value: country
-      },
-      {
-        ownerId: `gid://shopify/Customer/${customerId}`,
-        namespace: "custom",
-        key: "domain",
-        type: "single_line_text_field",
-        value: domain_name || ""
-      },
-      {
-        ownerId: `gid://shopify/Customer/${customerId}`,
-        namespace: "custom",
-        key: "number_of_employees",
-        type: "single_line_text_field",
-        value: number_of_employees
-      }
-    ];
-
-    // Add role-specific fields
-    if (customer_role === 'Buyer' && retailer_type) {
-      metafieldsPayload.push({
-        ownerId: `gid://shopify/Customer/${customerId}`,
-        namespace: "custom",
-        key: "retailer_type",
-        type: "single_line_text_field",
-        value: retailer_type
-      });
-    }
-
-    if (customer_role === 'Supplier/Vendor') {
-      if (supplier_type) {
-        metafieldsPayload.push({
-          ownerId: `gid://shopify/Customer/${customerId}`,
-          namespace: "custom",
-          key: "supplier_type",
-          type: "single_line_text_field",
-          value: supplier_type
-        });
-      }
-      
-      if (business_registration) {
-        metafieldsPayload.push({
-          ownerId: `gid://shopify/Customer/${customerId}`,
-          namespace: "custom",
-          key: "business_registration",
-          type: "single_line_text_field",
-          value: business_registration
-        });
-      }
-    }
-
-    const variables = {
-      metafields: metafieldsPayload
-    };
-
-    const shopifyResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN
-      },
-      data: { query, variables }
-    });
-
-    const shopifyResult = shopifyResponse.data;
+    // Push the profile to Shopify metafields; a failed push stays queued and is retried
+    await recordProfileWrite(customerId, customerData);
+    const sync = await pushProfile(customerId);
 
-    if (shopifyResult.errors) {
-      console.error('Shopify GraphQL errors:', shopifyResult.errors);
-      console.warn('Firebase updated successfully but Shopify metafields update failed');
-    }
-
-    if (shopifyResult.data?.metafieldsSet?.userErrors?.length > 0) {
-      console.error('Shopify user errors:', shopifyResult.data.metafieldsSet.userErrors);
-      console.warn('Firebase updated successfully but Shopify metafields update had validation errors');
+    if (sync.status === 'synced') {
+      console.log(`Successfully updated all Shopify metafields for customer ${customerId}`);
     } else {
-      console.log(`Successfully updated all Shopify metafields for customer ${customerId}:`, {
-        name: customer_name,
-        role: customer_role,
-        business: business_name,
-        country: country,
-        phone: formattedPhone || 'not provided',
-        employees: number_of_employees,
-        domain: domain_name || 'not provided',
-        retailer_type: retailer_type || 'not applicable',
-        supplier_type: supplier_type || 'not applicable',
-        registration: business_registration || 'not provided'
-      });
+      console.warn(`Firebase updated successfully but Shopify metafields sync is ${sync.status}`, sync.error || sync.conflicts);
     }
 
     // Send admin notification
@@ -397,25 +276,12 @@ router.post("/", authenticateManualHmac,async (req, res) => {
       success: true,
       data: customerData,
       message: doc.exists ? 'Customer profile updated successfully' : 'Customer profile created successfully',
-      shopifyMetafieldsUpdated: !shopifyResult.errors && !shopifyResult.data?.metafieldsSet?.userErrors?.length
+      shopifyMetafieldsUpdated: sync.status === 'synced',
+      shopifySync: sync.status
     });
 
   } catch (err) {
     console.error('Unexpected error:', err.message);
-    
-    // If it's a Shopify-specific error but Firebase succeeded, still return success
-    if (err.response && err.config?.url?.includes('shopify')) {
-      console.error('Shopify API error:', err.response.data);
-      console.warn('Firebase updated successfully but Shopify API call failed');
-      
-      return res.json({
-        success: true,
-        data: customerData,
-        message: 'Customer profile updated in Firebase, but Shopify metafields update failed',
-        shopifyMetafieldsUpdated: false,
-        shopifyError: err.response.data || err.message
-      });
-    }
 
     // Firebase or other critical error
     return res.status(500).json({
@@ -426,7 +292,7 @@ router.post("/", authenticateManualHmac,async (req, res) => {
 });
 
 // GET /customer/:customerId - Retrieve specific customer data
-router.get("/customer/:customerId",async (req, res) => {
+router.get("/customer/:customerId", customerAccess, async (req, res) => {
   const { customerId } = req.params;
 
   if (!customerId) {
@@ -469,34 +335,47 @@ router.get("/customer/:customerId",async (req, res) => {
 
 /**
  * This endpoint is the first step for a new user.
- * It takes a Firebase Auth UID and user details, then:
+ * It takes the signed-in Firebase user (uid and verified email from the ID
+ * token) and a name from the body, then:
  * 1. Creates a new customer in Shopify or finds them if they already exist by email.
- * 2. Creates a corresponding user profile in Firestore, using the Shopify Customer ID as the document ID.
+ * 2. Links the Firebase user to that Shopify customer (users/{uid}.shopifyCustomerId).
+ * The link is what customerAccess and /account trust as the user's identity,
+ * so the email must be verified and an existing link is never replaced.
  */
 
 
 // The new, all-in-one endpoint
-router.post('/create-and-sync-user',async (req, res) => {
-  const { uid, email, name } = req.body;
+router.post('/create-and-sync-user', authenticateFlutter, async (req, res) => {
+  const { uid, email, emailVerified } = req.user;
+  const { name } = req.body || {};
 
   // Enhanced validation
-  if (!uid || !email || !name) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
     return res.status(400).json({ 
       success: false, 
-      error: 'Firebase UID, email, and name are required' 
+      error: 'Name is required' 
     });
   }
 
-  // Email validation
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({ 
+  if (!email || !emailVerified) {
+    return res.status(403).json({ 
       success: false, 
-      error: 'Invalid email format' 
+      error: 'Email not verified',
+      details: 'Verify your email address before linking your account'
     });
   }
 
   try {
+    const userDocRef = db.collection('users').doc(uid);
+    const existingUser = await userDocRef.get();
+    if (existingUser.exists && existingUser.data().shopifyCustomerId) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Account already linked',
+        details: 'This account is already linked to a Shopify customer'
+      });
+    }
+
     let shopifyCustomerId;
 
     // Split name into first and last
@@ -521,47 +400,59 @@ router.post('/create-and-sync-user',async (req, res) => {
       };
       
       // Use versioned endpoint
-      const shopifyResponse = await shopifyApi.post('/customers.json', shopifyPayload);
-      shopifyCustomerId = shopifyResponse.data.customer.id;
+      const shopifyResponse = await shopifyRest.post('/customers.json', shopifyPayload);
+      shopifyCustomerId = shopifyResponse.customer.id;
       console.log(`Created new Shopify customer with ID: ${shopifyCustomerId}`);
       
     } catch (error) {
-      if (error.response && error.response.status === 422) {
+      if (error.status === 422) {
         // Customer already exists, search for them
         console.log('Customer exists in Shopify. Searching...');
         
         // URL-encode the email for safe query
         const encodedEmail = encodeURIComponent(email);
         const searchUrl = `/customers/search.json?query=email:${encodedEmail}`;
-        const existingCust = await shopifyApi.get(searchUrl);
+        const existingCust = await shopifyRest.get(searchUrl);
         
-        if (!existingCust.data.customers || existingCust.data.customers.length === 0) {
+        if (!existingCust.customers || existingCust.customers.length === 0) {
           throw new Error('Customer exists but could not be found by email search.');
         }
         
-        shopifyCustomerId = existingCust.data.customers[0].id;
+        shopifyCustomerId = existingCust.customers[0].id;
         console.log(`Found existing Shopify customer with ID: ${shopifyCustomerId}`);
         
       } else {
         // Log detailed error info for debugging
         console.error('Shopify API Error:', {
-          status: error.response?.status,
-          data: error.response?.data,
+          status: error.status,
+          data: error.body,
           message: error.message
         });
         throw error;
       }
     }
 
-    // STEP 2: Store the link and user data in Firestore
-    const userDocRef = db.collection('users').doc(uid);
-    await userDocRef.set({
-      name: name,
-      email: email,
-      shopifyCustomerId: String(shopifyCustomerId), // Ensure it's a string
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      lastSyncedAt: admin.firestore.FieldValue.serverTimestamp()
-    }, { merge: true }); // Use merge to avoid overwriting existing data
+    // STEP 2: Store the link and user data in Firestore, unless a concurrent request linked it first
+    const linked = await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userDocRef);
+      if (userDoc.exists && userDoc.data().shopifyCustomerId) return false;
+      transaction.set(userDocRef, {
+        name: name,
+        email: email,
+        shopifyCustomerId: String(shopifyCustomerId), // Ensure it's a string
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastSyncedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true }); // Use merge to avoid overwriting existing data
+      return true;
+    });
+
+    if (!linked) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Account already linked',
+        details: 'This account is already linked to a Shopify customer'
+      });
+    }
     
     console.log(`Stored user data in Firestore for UID: ${uid}`);
 
@@ -576,8 +467,8 @@ router.post('/create-and-sync-user',async (req, res) => {
     console.error('FATAL SYNC ERROR:', error.message, error.stack);
     
     // Return more specific error messages
-    const statusCode = error.response?.status || 500;
-    const errorMessage = error.response?.data?.errors || error.message || 'Failed to sync user';
+    const statusCode = error.status || 500;
+    const errorMessage = error.body?.errors || error.message || 'Failed to sync user';
     
     res.status(statusCode).json({ 
       success: false, 
@@ -587,7 +478,7 @@ router.post('/create-and-sync-user',async (req, res) => {
   }
 });
 // GET /customers - Retrieve all customers with pagination
-router.get("/all", authenticateManualHmac, async (req, res) => {
+router.get("/all", requirePermission("customers:read"), async (req, res) => {
   const { 
     limit = 50,
     startAfter, 
@@ -684,7 +575,7 @@ router.get("/all", authenticateManualHmac, async (req, res) => {
 });
 
 // POST /verify - Update customer verification status
-router.post("/verify",authenticateManualHmac, async (req, res) => {
+router.post("/verify", requirePermission("customers:verify"), async (req, res) => {
   const { customerId, isVerified } = req.body;
 
   // Input Validation
@@ -722,12 +613,23 @@ router.post("/verify",authenticateManualHmac, async (req, res) => {
       });
     }
 
-    // Update verification status in Firebase
-    await customerRef.update({
+    // Update verification status in Firebase, keeping a history of changes
+    const changedAt = new Date().toISOString();
+    const changedBy = req.principal.subject || req.principal.via;
+    const batch = db.batch();
+    batch.update(customerRef, {
       isVerified: isVerified,
-      updatedAt: new Date().toISOString(),
-      verifiedAt: isVerified ? new Date().toISOString() : null
+      updatedAt: changedAt,
+      verifiedAt: isVerified ? changedAt : null,
+      verifiedBy: changedBy
+    });
+    batch.set(db.collection('verificationHistory').doc(), {
+      customerId: customerId.toString(),
+      isVerified,
+      changedBy,
+      at: changedAt
     });
+    await batch.commit();
 
     console.log(`Successfully updated isVerified status in Firebase for customer ${customerId} to ${isVerified}`);
 
@@ -755,28 +657,16 @@ router.post("/verify",authenticateManualHmac, async (req, res) => {
       metafields: metafieldsPayload
     };
 
-    const shopifyResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN
-      },
-      data: { query, variables }
-    });
-
-    const shopifyResult = shopifyResponse.data;
-
-    if (shopifyResult.errors) {
-      console.error('Shopify GraphQL errors:', shopifyResult.errors);
-      console.warn('Firebase updated successfully but Shopify metafield update failed');
-    }
-
-    if (shopifyResult.data?.metafieldsSet?.userErrors?.length > 0) {
-      console.error('Shopify user errors:', shopifyResult.data.metafieldsSet.userErrors);
-      console.warn('Firebase updated successfully but Shopify metafield update had validation errors');
-    } else {
+    let shopifyMetafieldUpdated = false;
+    try {
+      await shopifyMutation(query, variables);
+      shopifyMetafieldUpdated = true;
       console.log(`Successfully updated Shopify is_verified metafield for customer ${customerId}: ${isVerified}`);
+    } catch (shopifyErr) {
+      // Firebase already has the change; an HTTP failure is reported below, the rest only logged
+      if (!(shopifyErr instanceof ShopifyError) || shopifyErr instanceof ShopifyHttpError) throw shopifyErr;
+      console.error('Shopify metafield update failed:', shopifyErr.userErrors || shopifyErr.errors);
+      console.warn('Firebase updated successfully but Shopify metafield update failed');
     }
 
     res.json({
@@ -787,15 +677,15 @@ router.post("/verify",authenticateManualHmac, async (req, res) => {
         isVerified: isVerified,
         updatedAt: new Date().toISOString()
       },
-      shopifyMetafieldUpdated: !shopifyResult.errors && !shopifyResult.data?.metafieldsSet?.userErrors?.length
+      shopifyMetafieldUpdated
     });
 
   } catch (err) {
     console.error('Unexpected error during verification update:', err.message);
     
     // If it's a Shopify-specific error but Firebase succeeded, still return success
-    if (err.response && err.config?.url?.includes('shopify')) {
-      console.error('Shopify API error:', err.response.data);
+    if (err instanceof ShopifyHttpError) {
+      console.error('Shopify API error:', err.body);
       console.warn('Firebase updated successfully but Shopify API call failed');
       
       return res.json({
@@ -807,7 +697,7 @@ router.post("/verify",authenticateManualHmac, async (req, res) => {
           updatedAt: new Date().toISOString()
         },
         shopifyMetafieldUpdated: false,
-        shopifyError: err.response.data || err.message
+        shopifyError: err.body || err.message
       });
     }
 
@@ -819,7 +709,7 @@ router.post("/verify",authenticateManualHmac, async (req, res) => {
   }
 });
 // DELETE /customer/:customerId - Delete a customer (optional endpoint)
-router.delete("/customer/:customerId",authenticate, async (req, res) => {
+router.delete("/customer/:customerId", requirePermission("customers:delete"), async (req, res) => {
   const { customerId } = req.params;
 
   if (!customerId) {
@@ -861,195 +751,73 @@ router.delete("/customer/:customerId",authenticate, async (req, res) => {
 });
 
 
- // GET /customer/:customerId/excel-data - Fetch and parse Excel metafield
-// router.get("/customer/:customerId/performance",  async (req, res) => {
-//   const { customerId } = req.params;
-
-//   if (!customerId) {
-//     return res.status(400).json({
-//       error: 'Invalid customerId',
-//       details: 'customerId is required'
-//     });
-//   }
-
-//   try {
-//     // Fetch the Excel file metafield from Shopify
-//     const query = `
-//       query getCustomerMetafield($customerId: ID!) {
-//         customer(id: $customerId) {
-//           id
-//           metafield(namespace: "custom", key: "po_excel") {
-//             id
-//             value
-//             type
-//           }
-//         }
-//       }
-//     `;
-
-//     const variables = {
-//       customerId: `gid://shopify/Customer/${customerId}`
-//     };
-
-//     const shopifyResponse = await axios({
-//       method: "POST",
-//       url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-//       headers: {
-//         "Content-Type": "application/json",
-//         "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN
-//       },
-//       data: { query, variables }
-//     });
-
-//     const metafieldData = shopifyResponse.data?.data?.customer?.metafield;
-    
+// Normalise the custom.buyers metafield (JSON list or comma-separated) to upper-case buyer names
+function parseBuyersList(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed)
+      ? parsed.map(b => b.trim().toUpperCase()).filter(b => b)
+      : [value.trim().toUpperCase()];
+  } catch (e) {
+    // If not JSON, treat as comma-separated string
+    return value
+      .split(',')
+      .map(b => b.trim().toUpperCase())
+      .filter(b => b);
+  }
+}
 
-//     if (!metafieldData) {
-//   return res.status(404).json({
-//     error: 'Excel file not found',
-//     details: `No metafield found for customer ${customerId}`
-//   });
-// }
-
-// // metafield is likely a file_reference type
-// if (metafieldData.type === 'file_reference') {
-//   const fileId = metafieldData.value; // this is gid://shopify/GenericFile/...
-
-//   const fileQuery = `
-//     query getFileUrl($fileId: ID!) {
-//       node(id: $fileId) {
-//         ... on GenericFile {
-//           url
-//         }
-//         ... on MediaImage {
-//           image {
-//             url
-//           }
-//         }
-//       }
-//     }
-//   `;
-
-//   const fileResponse = await axios({
-//     method: 'POST',
-//     url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-//     headers: {
-//       'Content-Type': 'application/json',
-//       'X-Shopify-Access-Token': SHOPIFY_ADMIN_TOKEN
-//     },
-//     data: { query: fileQuery, variables: { fileId } }
-//   });
-
-//   const fileUrl =
-//     fileResponse.data?.data?.node?.url ||
-//     fileResponse.data?.data?.node?.image?.url;
-
-//   if (!fileUrl) {
-//     return res.status(404).json({
-//       error: 'File URL not found',
-//       details: 'Could not resolve file reference metafield'
-//     });
-//   }
-
-//   // Continue parsing Excel file
-//   const fileBuffer = await axios.get(fileUrl, { responseType: 'arraybuffer' });
-//   const workbook = XLSX.read(fileBuffer.data, { type: 'buffer' });
-//   ...
-// } else {
-//   // if it’s already a URL
-//   const fileUrl = metafieldData.value;
-//   const fileBuffer = await axios.get(fileUrl, { responseType: 'arraybuffer' });
-//   const workbook = XLSX.read(fileBuffer.data, { type: 'buffer' });
-//   ...
-// }
-
-//     // The metafield value should contain the file URL or base64 data
-//     const fileUrl = metafieldData.value;
-
-//     // Download the file
-//     const fileResponse = await axios({
-//       method: 'GET',
-//       url: fileUrl,
-//       responseType: 'arraybuffer'
-//     });
-
-//     // Parse Excel file using SheetJS
-//     const XLSX = require('xlsx');
-//     const workbook = XLSX.read(fileResponse.data, { type: 'buffer' });
-    
-//     // Get the first sheet
-//     const sheetName = workbook.SheetNames[0];
-//     const worksheet = workbook.Sheets[sheetName];
-    
-//     // Convert to JSON
-//     const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-//       header: 1,
-//       defval: '',
-//       blankrows: false
-//     });
-
-//     if (jsonData.length === 0) {
-//       return res.status(404).json({
-//         error: 'Empty file',
-//         details: 'The Excel file contains no data'
-//       });
-//     }
-
-//     // Extract headers and rows
-//     const headers = jsonData[0];
-//     const rows = jsonData.slice(1);
-
-//     // Convert to array of objects
-//     const parsedData = rows.map(row => {
-//       const obj = {};
-//       headers.forEach((header, index) => {
-//         obj[header] = row[index] !== undefined ? row[index] : '';
-//       });
-//       return obj;
-//     });
-
-//     // Calculate summary statistics
-//     const summary = {
-//       totalRows: parsedData.length,
-//       totalOpenPos: parsedData.reduce((sum, row) => sum + (parseFloat(row['Open Pos']) || 0), 0),
-//       totalOrders: parsedData.reduce((sum, row) => sum + (parseFloat(row['Total orders']) || 0), 0),
-//       totalOTIF: parsedData.reduce((sum, row) => sum + (parseFloat(row['OTIF']) || 0), 0),
-//       totalQualityClaimsLY: parsedData.reduce((sum, row) => sum + (parseFloat(row['Quality Claims LY']) || 0), 0),
-//       totalQualityClaims: parsedData.reduce((sum, row) => sum + (parseFloat(row['Quality Claims']) || 0), 0),
-//       totalSKUs: parsedData.reduce((sum, row) => sum + (parseFloat(row['Total SKUs']) || 0), 0),
-//       totalConvertedSKUs: parsedData.reduce((sum, row) => sum + (parseFloat(row['Converted SKUs']) || 0), 0)
-//     };
-
-//     res.json({
-//       success: true,
-//       data: {
-//         headers: headers,
-//         rows: parsedData,
-//         summary: summary,
-//         rowCount: parsedData.length
-//       }
-//     });
-
-//   } catch (err) {
-//     console.error('Error fetching/parsing Excel file:', err.message);
-    
-//     if (err.response?.status === 404) {
-//       return res.status(404).json({
-//         error: 'File not found',
-//         details: 'The Excel file URL is not accessible'
-//       });
-//     }
-
-//     return res.status(500).json({
-//       error: "Failed to fetch or parse Excel file",
-//       details: err.message || 'An unexpected error occurred'
-//     });
-//   }
-// });
-
-router.get("/customer/:customerId/merchants-performance", async (req, res) => {
+/**
+ * Send a dashboard response as JSON, or as a file download when
+ * ?format=xlsx|csv|pdf is given. The file holds the same rows and summary as
+ * the JSON body; columns default to body.data.headers.
+ */
+async function sendDashboard(req, res, body, { title, filename, columns, rows: exportRows }) {
+  const format = String(req.query.format || "json").toLowerCase();
+  if (format === "json") return res.json(body);
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: "Invalid format",
+      details: `format must be one of: json, ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+
+  const { rows = [], summary, headers = [] } = body.data;
+
+  try {
+    const file = await buildExport(format, {
+      title,
+      rows: exportRows || rows,
+      summary,
+      columns: columns || headers.map(header => ({ key: header, header })),
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}-${date}.${file.extension}"`);
+    return res.send(file.buffer);
+  } catch (err) {
+    console.error(`❌ Failed to export ${filename} as ${format}:`, err.message);
+    return res.status(500).json({
+      error: "Failed to generate export",
+      details: err.message || "An unexpected error occurred",
+    });
+  }
+}
+
+// Export columns for the volume dashboards: Buyer, Vendor, the months, then any extras
+const volumeExportColumns = (monthColumns, extras = []) => [
+  { key: "buyer", header: "Buyer" },
+  { key: "vendor", header: "Vendor" },
+  ...monthColumns.map(month => ({ key: month, header: month })),
+  ...extras,
+];
+
+router.get("/customer/:customerId/merchants-performance", customerAccess, async (req, res) => {
   const { customerId } = req.params;
-  const { buyer } = req.query; // Optional buyer filter
+  const { buyer, fiscalYear } = req.query; // Optional buyer filter and fiscal year (e.g. FY26)
 
   if (!customerId) {
     return res.status(400).json({
@@ -1060,38 +828,8 @@ router.get("/customer/:customerId/merchants-performance", async (req, res) => {
 
   try {
     // First, get the customer's email and buyers metafield
-    const customerQuery = `
-      query getCustomer($customerId: ID!) {
-        customer(id: $customerId) {
-          id
-          email
-          metafield(namespace: "custom", key: "buyers") {
-            value
-            type
-          }
-        }
-      }
-    `;
-
-    const customerVariables = {
-      customerId: `gid://shopify/Customer/${customerId}`,
-    };
-
-    const customerResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-      },
-      data: {
-        query: customerQuery,
-        variables: customerVariables
-      },
-    });
-
-    const customerData = customerResponse.data?.data?.customer;
-    const customerEmail = customerData?.email;
+    const customer = await fetchCustomerFields(customerId, ["buyers"]);
+    const customerEmail = customer?.email;
 
     if (!customerEmail) {
       return res.status(404).json({
@@ -1102,144 +840,20 @@ router.get("/customer/:customerId/merchants-performance", async (req, res) => {
 
     // Parse buyers metafield (list.single_line_text_field)
     let availableBuyers = [];
-    if (customerData?.metafield?.value) {
+    if (customer.metafields.buyers) {
       try {
-        availableBuyers = JSON.parse(customerData.metafield.value);
+        availableBuyers = JSON.parse(customer.metafields.buyers);
       } catch (e) {
         console.warn("Failed to parse buyers metafield:", e);
       }
     }
 
-    // Fetch shop metafield for the performance Excel file
-    const shopMetafieldQuery = `
-      query getShopMetafield {
-        shop {
-          metafield(namespace: "custom", key: "merchantperformance") {
-            id
-            value
-            type
-          }
-        }
-      }
-    `;
-
-    const shopifyResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { query: shopMetafieldQuery },
-    });
-
-    const metafieldData = shopifyResponse.data?.data?.shop?.metafield;
-
-    if (!metafieldData) {
-      return res.status(404).json({
-        error: "Excel file not found",
-        details: "No shop metafield found for merchant performance",
-      });
-    }
-
-    let fileUrl;
-
-    // Case 1: metafield type is file_reference
-    if (metafieldData.type === "file_reference") {
-      const fileId = metafieldData.value;
-      const fileQuery = `
-        query getFileUrl($fileId: ID!) {
-          node(id: $fileId) {
-            ... on GenericFile {
-              url
-            }
-            ... on MediaImage {
-              image {
-                url
-              }
-            }
-          }
-        }
-      `;
-
-      const fileResponse = await axios({
-        method: "POST",
-        url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-        },
-        data: {
-          query: fileQuery,
-          variables: { fileId }
-        },
-      });
-
-      fileUrl = fileResponse.data?.data?.node?.url || fileResponse.data?.data?.node?.image?.url;
-
-      if (!fileUrl) {
-        return res.status(404).json({
-          error: "File URL not found",
-          details: "Could not resolve file reference metafield",
-        });
-      }
-    } else {
-      fileUrl = metafieldData.value;
-    }
-
-    // Download the file
-    const fileResponse = await axios({
-      method: "GET",
-      url: fileUrl,
-      responseType: "arraybuffer",
-    });
-
-    const XLSX = require("xlsx");
-    const workbook = XLSX.read(fileResponse.data, { type: "buffer" });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1,
-      defval: "",
-      blankrows: false,
-      raw: false,
-    });
-
-    if (jsonData.length === 0) {
-      return res.status(404).json({
-        error: "Empty file",
-        details: "The Excel file contains no data",
-      });
-    }
-
-    // Clean and normalize headers
-    const headers = jsonData[0].map(h =>
-      h?.toString().trim().replace(/\u00A0/g, " ")
-    );
-    const rows = jsonData.slice(1);
-
-    // Helper to safely parse numbers
-    const cleanNumber = (val) => {
-      if (val === null || val === undefined || val === "") return 0;
-      if (typeof val === "number") return val;
-      if (typeof val === "string") {
-        const cleaned = val.replace(/[^0-9.\-]/g, "");
-        return cleaned ? parseFloat(cleaned) : 0;
-      }
-      return 0;
-    };
-
-    const parsedData = rows.map((row) => {
-      const obj = {};
-      headers.forEach((header, index) => {
-        obj[header] = row[index] !== undefined ? row[index] : "";
-      });
-      return obj;
-    });
+    const report = (await loadReport(reportSchemas.merchantPerformance)).forFiscalYear(fiscalYear);
+    const buyerOf = (row) => report.text(row, "buyer");
 
     // Find all rows matching customer email
-    const customerRows = parsedData.filter(
-      (row) => row["Email"]?.toString().toLowerCase().trim() === customerEmail.toLowerCase().trim()
+    const customerRows = report.rows.filter(
+      (row) => report.text(row, "email").toLowerCase() === customerEmail.toLowerCase().trim()
     );
 
     if (customerRows.length === 0) {
@@ -1250,18 +864,13 @@ router.get("/customer/:customerId/merchants-performance", async (req, res) => {
     }
 
     // Check if merchant handles multiple buyers
-    const buyerColumn = customerRows.map(row => row["Buyer"]).filter(Boolean);
-    const isMultiBuyer = buyerColumn.length > 1;
-    const hasTotal = customerRows.some(row =>
-      row["Buyer"]?.toString().toLowerCase().includes("total")
-    );
+    const isMultiBuyer = customerRows.filter(buyerOf).length > 1;
+    const hasTotal = customerRows.some(row => buyerOf(row).toLowerCase().includes("total"));
 
     // Filter by buyer if specified
     let filteredRows = customerRows;
     if (buyer && buyer !== "All") {
-      filteredRows = customerRows.filter(row =>
-        row["Buyer"]?.toString().trim() === buyer
-      );
+      filteredRows = customerRows.filter(row => buyerOf(row) === buyer);
 
       if (filteredRows.length === 0) {
         return res.status(404).json({
@@ -1271,117 +880,16 @@ router.get("/customer/:customerId/merchants-performance", async (req, res) => {
       }
     }
 
-    // Check if Total is selected
-    const isTotalSelected = buyer && buyer.toLowerCase().includes('total');
-
-    // Aggregate data function
-    const aggregateSummary = (rows) => {
-      const totals = {
-        volumeLY25: 0,
-        targetFY26: 0,
-        ytdFY26: 0,
-        totalOpenPos: 0,
-        totalOrders: 0,
-        otifValues: [],
-        otifLYValues: [],
-        totalQualityClaimsLY: 0,
-        totalQualityClaims: 0,
-        totalSKUs: 0,
-        totalConvertedSKUs: 0,
-        numberOfPos: 0,
-        latePos: 0,
-        onTimePos: 0,
-      };
-
-      rows.forEach(row => {
-        totals.volumeLY25 += cleanNumber(row["Volume LY25"]);
-        totals.targetFY26 += cleanNumber(row["Target FY26"]);
-        totals.ytdFY26 += cleanNumber(row["YTD FY26"]);
-        totals.totalOpenPos += cleanNumber(row["Open Pos"]);
-        totals.totalOrders += cleanNumber(row["Total orders"]);
-
-        const otif = cleanNumber(row["OTIF"]);
-        if (otif > 0) totals.otifValues.push(otif);
-
-        const otifLY = cleanNumber(row["OTIF LY"]);
-        if (otifLY > 0) totals.otifLYValues.push(otifLY);
-
-        totals.totalQualityClaimsLY += cleanNumber(row["Quality Claims LY"]);
-        totals.totalQualityClaims += cleanNumber(row["Quality Claims"]);
-        totals.totalSKUs += cleanNumber(row["Total SKUs"]);
-        totals.totalConvertedSKUs += cleanNumber(row["Converted SKUs"]);
-        totals.numberOfPos += cleanNumber(row["Number of Pos"]);
-        totals.latePos += cleanNumber(row["Late Pos"]);
-        totals.onTimePos += cleanNumber(row["Ontime Pos"]);
-      });
-
-      // Calculate average OTIF
-      const avgOtif = totals.otifValues.length > 0
-        ? totals.otifValues.reduce((a, b) => a + b, 0) / totals.otifValues.length
-        : 0;
-
-      const avgOtifLY = totals.otifLYValues.length > 0
-        ? totals.otifLYValues.reduce((a, b) => a + b, 0) / totals.otifLYValues.length
-        : 0;
-
-      return {
-        totalRows: rows.length,
-        volumeLY25: totals.volumeLY25,
-        targetFY26: totals.targetFY26,
-        ytdActual: totals.ytdFY26,
-        ytdFY26: totals.ytdFY26,
-        totalOpenPos: totals.totalOpenPos,
-        totalOrders: totals.totalOrders,
-        otifRate: `${avgOtif.toFixed(0)}%`,
-        otifRawAverage: avgOtif,
-        otifLY: avgOtifLY,
-        totalQualityClaimsLY: totals.totalQualityClaimsLY,
-        totalQualityClaims: totals.totalQualityClaims,
-        totalSKUs: totals.totalSKUs,
-        totalConvertedSKUs: totals.totalConvertedSKUs,
-        numberOfPos: totals.numberOfPos,
-        ytdTarget: totals.targetFY26,
-        lytd: totals.volumeLY25,
-        latePos: totals.latePos,
-        onTimePos: totals.onTimePos,
-      };
-    };
+    // Total rows already hold the merchant's totals, so use them without aggregation
+    const summarize = (selectedBuyer, rows) =>
+      selectedBuyer && selectedBuyer.toLowerCase().includes("total") && rows.length > 0
+        ? merchantRowSummary(report, rows[0])
+        : aggregateMerchantSummary(report, rows);
 
-    let summary;
-
-    // Special handling for Total buyer - use row data directly without aggregation
-    if (isTotalSelected && filteredRows.length > 0) {
-      const totalRow = filteredRows[0];
-      summary = {
-        totalRows: 1,
-        volumeLY25: cleanNumber(totalRow["Volume LY25"]),
-        targetFY26: cleanNumber(totalRow["Target FY26"]),
-        ytdActual: cleanNumber(totalRow["YTD FY26"]),
-        ytdFY26: cleanNumber(totalRow["YTD FY26"]),
-        totalOpenPos: cleanNumber(totalRow["Open Pos"]),
-        totalOrders: cleanNumber(totalRow["Total orders"]),
-        otifRate: `${cleanNumber(totalRow["OTIF"]).toFixed(0)}%`,
-        otifRawAverage: cleanNumber(totalRow["OTIF"]),
-        otifLY: cleanNumber(totalRow["OTIF LY"]),
-        totalQualityClaimsLY: cleanNumber(totalRow["Quality Claims LY"]),
-        totalQualityClaims: cleanNumber(totalRow["Quality Claims"]),
-        totalSKUs: cleanNumber(totalRow["Total SKUs"]),
-        totalConvertedSKUs: cleanNumber(totalRow["Converted SKUs"]),
-        numberOfPos: cleanNumber(totalRow["Number of Pos"]),
-        ytdTarget: cleanNumber(totalRow["Target FY26"]),
-        lytd: cleanNumber(totalRow["Volume LY25"]),
-        latePos: cleanNumber(totalRow["Late Pos"]),
-        onTimePos: cleanNumber(totalRow["Ontime Pos"]),
-      };
-    } else {
-      // Use aggregation for non-Total buyers
-      summary = aggregateSummary(filteredRows);
-    }
+    let summary = summarize(buyer, filteredRows);
 
     // Get list of buyers for this merchant
-    const buyersList = Array.from(new Set(
-      customerRows.map(row => row["Buyer"]).filter(Boolean)
-    )).sort();
+    const buyersList = Array.from(new Set(customerRows.map(buyerOf).filter(Boolean))).sort();
 
     // Determine the current buyer to display
     let determinedCurrentBuyer;
@@ -1389,64 +897,24 @@ router.get("/customer/:customerId/merchants-performance", async (req, res) => {
       // User explicitly selected a buyer
       determinedCurrentBuyer = buyer;
     } else {
-      // No buyer selected - pick a default
-      // PREFER Total buyer for initial load if available
-      const totalBuyer = buyersList.find(b =>
-        b.toLowerCase().includes('total')
-      );
-      
-      if (totalBuyer) {
-        // Use Total buyer first
-        determinedCurrentBuyer = totalBuyer;
-      } else {
-        // Otherwise use first non-Total buyer
-        const nonTotalBuyers = buyersList.filter(b =>
-          !b.toLowerCase().includes('total')
-        );
-        determinedCurrentBuyer = nonTotalBuyers[0] || buyersList[0] || "Unknown";
-      }
+      // No buyer selected - PREFER Total buyer for initial load if available,
+      // otherwise use first non-Total buyer
+      const totalBuyer = buyersList.find(b => b.toLowerCase().includes("total"));
+      const nonTotalBuyers = buyersList.filter(b => !b.toLowerCase().includes("total"));
+      determinedCurrentBuyer = totalBuyer || nonTotalBuyers[0] || buyersList[0] || "Unknown";
 
       // Re-filter and re-calculate summary for the determined buyer if no buyer was specified
       if (!buyer) {
-        filteredRows = customerRows.filter(row =>
-          row["Buyer"]?.toString().trim() === determinedCurrentBuyer
-        );
-
-        // Recalculate summary for the determined buyer
-        if (determinedCurrentBuyer.toLowerCase().includes('total')) {
-          const totalRow = filteredRows[0];
-          summary = {
-            totalRows: 1,
-            volumeLY25: cleanNumber(totalRow["Volume LY25"]),
-            targetFY26: cleanNumber(totalRow["Target FY26"]),
-            ytdActual: cleanNumber(totalRow["YTD FY26"]),
-            ytdFY26: cleanNumber(totalRow["YTD FY26"]),
-            totalOpenPos: cleanNumber(totalRow["Open Pos"]),
-            totalOrders: cleanNumber(totalRow["Total orders"]),
-            otifRate: `${cleanNumber(totalRow["OTIF"]).toFixed(0)}%`,
-            otifRawAverage: cleanNumber(totalRow["OTIF"]),
-            otifLY: cleanNumber(totalRow["OTIF LY"]),
-            totalQualityClaimsLY: cleanNumber(totalRow["Quality Claims LY"]),
-            totalQualityClaims: cleanNumber(totalRow["Quality Claims"]),
-            totalSKUs: cleanNumber(totalRow["Total SKUs"]),
-            totalConvertedSKUs: cleanNumber(totalRow["Converted SKUs"]),
-            numberOfPos: cleanNumber(totalRow["Number of Pos"]),
-            ytdTarget: cleanNumber(totalRow["Target FY26"]),
-            lytd: cleanNumber(totalRow["Volume LY25"]),
-            latePos: cleanNumber(totalRow["Late Pos"]),
-            onTimePos: cleanNumber(totalRow["Ontime Pos"]),
-          };
-        } else {
-          summary = aggregateSummary(filteredRows);
-        }
+        filteredRows = customerRows.filter(row => buyerOf(row) === determinedCurrentBuyer);
+        summary = summarize(determinedCurrentBuyer, filteredRows);
       }
     }
 
-    res.json({
+    return sendDashboard(req, res, {
       success: true,
       data: {
-        headers,
-        rows: filteredRows,
+        headers: report.headers,
+        rows: filteredRows.map(row => report.toObject(row)),
         summary,
         rowCount: filteredRows.length,
         isMultiBuyer,
@@ -1454,459 +922,20 @@ router.get("/customer/:customerId/merchants-performance", async (req, res) => {
         availableBuyers: buyersList,
         currentBuyer: determinedCurrentBuyer,
         metafieldBuyers: availableBuyers,
+        fiscalYear: report.fiscal,
+        fileVersion: report.version,
       },
+    }, {
+      title: `Merchant performance - ${buyer && buyer !== "All" ? buyer : determinedCurrentBuyer}`,
+      filename: "merchants-performance",
     });
 
   } catch (err) {
-    console.error("Error fetching/parsing Excel file:", err.message);
-    console.error("Full error:", err);
-
-    if (err.response?.status === 404) {
-      return res.status(404).json({
-        error: "File not found",
-        details: "The Excel file URL is not accessible",
-      });
-    }
-
-    return res.status(500).json({
-      error: "Failed to fetch or parse Excel file",
-      details: err.message || "An unexpected error occurred",
-    });
+    return sendReportError(res, err);
   }
 });
 
-// router.get("/customer/:customerId/merchants-performance", async (req, res) => {
-//   const { customerId } = req.params;
-//   const { buyer } = req.query; // Optional buyer filter
-
-//   if (!customerId) {
-//     return res.status(400).json({
-//       error: "Invalid customerId",
-//       details: "customerId is required",
-//     });
-//   }
-
-//   try {
-//     // First, get the customer's email and buyers metafield
-//     const customerQuery = `
-//       query getCustomer($customerId: ID!) {
-//         customer(id: $customerId) {
-//           id
-//           email
-//           metafield(namespace: "custom", key: "buyers") {
-//             value
-//             type
-//           }
-//         }
-//       }
-//     `;
-
-//     const customerVariables = {
-//       customerId: `gid://shopify/Customer/${customerId}`,
-//     };
-
-//     const customerResponse = await axios({
-//       method: "POST",
-//       url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-//       headers: {
-//         "Content-Type": "application/json",
-//         "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-//       },
-//       data: { query: customerQuery, variables: customerVariables },
-//     });
-
-//     const customerData = customerResponse.data?.data?.customer;
-//     const customerEmail = customerData?.email;
-
-//     if (!customerEmail) {
-//       return res.status(404).json({
-//         error: "Customer not found",
-//         details: `No customer found with ID ${customerId}`,
-//       });
-//     }
-
-//     // Parse buyers metafield (list.single_line_text_field)
-//     let availableBuyers = [];
-//     if (customerData?.metafield?.value) {
-//       try {
-//         availableBuyers = JSON.parse(customerData.metafield.value);
-//       } catch (e) {
-//         console.warn("Failed to parse buyers metafield:", e);
-//       }
-//     }
-
-//     // Fetch shop metafield for the performance Excel file
-//     const shopMetafieldQuery = `
-//       query getShopMetafield {
-//         shop {
-//           metafield(namespace: "custom", key: "merchantperformance") {
-//             id
-//             value
-//             type
-//           }
-//         }
-//       }
-//     `;
-
-//     const shopifyResponse = await axios({
-//       method: "POST",
-//       url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-//       headers: {
-//         "Content-Type": "application/json",
-//         "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-//       },
-//       data: { query: shopMetafieldQuery },
-//     });
-
-//     const metafieldData = shopifyResponse.data?.data?.shop?.metafield;
-
-//     if (!metafieldData) {
-//       return res.status(404).json({
-//         error: "Excel file not found",
-//         details: "No shop metafield found for merchant performance",
-//       });
-//     }
-
-//     let fileUrl;
-
-//     // Case 1: metafield type is file_reference
-//     if (metafieldData.type === "file_reference") {
-//       const fileId = metafieldData.value;
-
-//       const fileQuery = `
-//         query getFileUrl($fileId: ID!) {
-//           node(id: $fileId) {
-//             ... on GenericFile {
-//               url
-//             }
-//             ... on MediaImage {
-//               image {
-//                 url
-//               }
-//             }
-//           }
-//         }
-//       `;
-
-//       const fileResponse = await axios({
-//         method: "POST",
-//         url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-//         headers: {
-//           "Content-Type": "application/json",
-//           "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-//         },
-//         data: { query: fileQuery, variables: { fileId } },
-//       });
-
-//       fileUrl =
-//         fileResponse.data?.data?.node?.url ||
-//         fileResponse.data?.data?.node?.image?.url;
-
-//       if (!fileUrl) {
-//         return res.status(404).json({
-//           error: "File URL not found",
-//           details: "Could not resolve file reference metafield",
-//         });
-//       }
-//     } else {
-//       fileUrl = metafieldData.value;
-//     }
-
-//     // Download the file
-//     const fileResponse = await axios({
-//       method: "GET",
-//       url: fileUrl,
-//       responseType: "arraybuffer",
-//     });
-
-//     const XLSX = require("xlsx");
-//     const workbook = XLSX.read(fileResponse.data, { type: "buffer" });
-
-//     const sheetName = workbook.SheetNames[0];
-//     const worksheet = workbook.Sheets[sheetName];
-
-//     const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-//       header: 1,
-//       defval: "",
-//       blankrows: false,
-//       raw: false,
-//     });
-
-//     if (jsonData.length === 0) {
-//       return res.status(404).json({
-//         error: "Empty file",
-//         details: "The Excel file contains no data",
-//       });
-//     }
-
-//     // Clean and normalize headers
-//     const headers = jsonData[0].map(h =>
-//       h?.toString().trim().replace(/\u00A0/g, " ")
-//     );
-
-//     const rows = jsonData.slice(1);
-
-//     // Helper to safely parse numbers
-//     const cleanNumber = (val) => {
-//       if (val === null || val === undefined || val === "") return 0;
-//       if (typeof val === "number") return val;
-//       if (typeof val === "string") {
-//         const cleaned = val.replace(/[^0-9.\-]/g, "");
-//         return cleaned ? parseFloat(cleaned) : 0;
-//       }
-//       return 0;
-//     };
-
-//     const parsedData = rows.map((row) => {
-//       const obj = {};
-//       headers.forEach((header, index) => {
-//         obj[header] = row[index] !== undefined ? row[index] : "";
-//       });
-//       return obj;
-//     });
-
-//     // Find all rows matching customer email
-//     const customerRows = parsedData.filter(
-//       (row) => row["Email"]?.toString().toLowerCase().trim() === customerEmail.toLowerCase().trim()
-//     );
-
-//     if (customerRows.length === 0) {
-//       return res.status(404).json({
-//         error: "Customer data not found",
-//         details: `No performance data found for customer email: ${customerEmail}`,
-//       });
-//     }
-
-//     // Check if merchant handles multiple buyers
-//     const buyerColumn = customerRows.map(row => row["Buyer"]).filter(Boolean);
-//     const isMultiBuyer = buyerColumn.length > 1;
-//     const hasCollective = customerRows.some(row => 
-//       row["Buyer"]?.toString().toLowerCase().includes("collective")
-//     );
-
-//     // Filter by buyer if specified
-//     let filteredRows = customerRows;
-//     if (buyer && buyer !== "All") {
-//       filteredRows = customerRows.filter(row => 
-//         row["Buyer"]?.toString().trim() === buyer
-//       );
-      
-//       if (filteredRows.length === 0) {
-//         return res.status(404).json({
-//           error: "Buyer data not found",
-//           details: `No performance data found for buyer: ${buyer}`,
-//         });
-//       }
-//     }
-
-//     // Check if Collective is selected
-//     const isCollectiveSelected = buyer && buyer.toLowerCase().includes('collective');
-
-//     // Aggregate data function
-//     const aggregateSummary = (rows) => {
-//       const totals = {
-//         volumeLY25: 0,
-//         targetFY26: 0,
-//         ytdFY26: 0,
-//         totalOpenPos: 0,
-//         totalOrders: 0,
-//         otifValues: [],
-//         otifLYValues: [],
-//         totalQualityClaimsLY: 0,
-//         totalQualityClaims: 0,
-//         totalSKUs: 0,
-//         totalConvertedSKUs: 0,
-//         numberOfPos: 0,
-//         latePos:0,
-//         onTimePos:0,
-//         };
-
-//       rows.forEach(row => {
-//         totals.volumeLY25 += cleanNumber(row["Volume LY25"]);
-//         totals.targetFY26 += cleanNumber(row["Target FY26"]);
-//         totals.ytdFY26 += cleanNumber(row["YTD FY26"]);
-//         totals.totalOpenPos += cleanNumber(row["Open Pos"]);
-//         totals.totalOrders += cleanNumber(row["Total orders"]);
-        
-//         const otif = cleanNumber(row["OTIF"]);
-//         if (otif > 0) totals.otifValues.push(otif);
-        
-//         const otifLY = cleanNumber(row["OTIF LY"]);
-//         if (otifLY > 0) totals.otifLYValues.push(otifLY);
-        
-//         totals.totalQualityClaimsLY += cleanNumber(row["Quality Claims LY"]);
-//         totals.totalQualityClaims += cleanNumber(row["Quality Claims"]);
-//         totals.totalSKUs += cleanNumber(row["Total SKUs"]);
-//         totals.totalConvertedSKUs += cleanNumber(row["Converted SKUs"]);
-//         totals.numberOfPos += cleanNumber(row["Number of Pos"]);
-//         totals.latePos += cleanNumber(row["Late Pos"]);
-//         totals.onTimePos += cleanNumber(row["Ontime Pos"]);
-//       });
-
-//       // Calculate average OTIF
-//       const avgOtif = totals.otifValues.length > 0
-//         ? totals.otifValues.reduce((a, b) => a + b, 0) / totals.otifValues.length
-//         : 0;
-
-//       const avgOtifLY = totals.otifLYValues.length > 0
-//         ? totals.otifLYValues.reduce((a, b) => a + b, 0) / totals.otifLYValues.length
-//         : 0;
-
-//       return {
-//         totalRows: rows.length,
-//         volumeLY25: totals.volumeLY25,
-//         targetFY26: totals.targetFY26,
-//         ytdActual: totals.ytdFY26,
-//         ytdFY26: totals.ytdFY26,
-//         totalOpenPos: totals.totalOpenPos,
-//         totalOrders: totals.totalOrders,
-//         otifRate: `${avgOtif.toFixed(0)}%`,
-//         otifRawAverage: avgOtif,
-//         otifLY: avgOtifLY,
-//         totalQualityClaimsLY: totals.totalQualityClaimsLY,
-//         totalQualityClaims: totals.totalQualityClaims,
-//         totalSKUs: totals.totalSKUs,
-//         totalConvertedSKUs: totals.totalConvertedSKUs,
-//         numberOfPos: totals.numberOfPos,
-//         ytdTarget: totals.targetFY26,
-//         lytd: totals.volumeLY25,
-//         latePos: totals.latePos,
-//         onTimePos: totals.onTimePos,
-//       };
-//     };
-
-//     let summary;
-
-//     // Special handling for Collective buyer - use row data directly without aggregation
-//     if (isCollectiveSelected && filteredRows.length > 0) {
-//       const collectiveRow = filteredRows[0];
-      
-//       summary = {
-//         totalRows: 1,
-//         volumeLY25: cleanNumber(collectiveRow["Volume LY25"]),
-//         targetFY26: cleanNumber(collectiveRow["Target FY26"]),
-//         ytdActual: cleanNumber(collectiveRow["YTD FY26"]),
-//         ytdFY26: cleanNumber(collectiveRow["YTD FY26"]),
-//         totalOpenPos: cleanNumber(collectiveRow["Open Pos"]),
-//         totalOrders: cleanNumber(collectiveRow["Total orders"]),
-//         otifRate: `${cleanNumber(collectiveRow["OTIF"]).toFixed(0)}%`,
-//         otifRawAverage: cleanNumber(collectiveRow["OTIF"]),
-//         otifLY: cleanNumber(collectiveRow["OTIF LY"]),
-//         totalQualityClaimsLY: cleanNumber(collectiveRow["Quality Claims LY"]),
-//         totalQualityClaims: cleanNumber(collectiveRow["Quality Claims"]),
-//         totalSKUs: cleanNumber(collectiveRow["Total SKUs"]),
-//         totalConvertedSKUs: cleanNumber(collectiveRow["Converted SKUs"]),
-//         numberOfPos: cleanNumber(collectiveRow["Number of Pos"]),
-//         ytdTarget: cleanNumber(collectiveRow["Target FY26"]),
-//         lytd: cleanNumber(collectiveRow["Volume LY25"]),
-//         latePos: cleanNumber(collectiveRow["Late Pos"]),
-//         onTimePos: cleanNumber(collectiveRow["Ontime Pos"]),
-//       };
-//     } else {
-//       // Use aggregation for non-Collective buyers
-//       summary = aggregateSummary(filteredRows);
-//     }
-
-//     // Get list of buyers for this merchant
-//     const buyersList = Array.from(new Set(
-//       customerRows.map(row => row["Buyer"]).filter(Boolean)
-//     )).sort();
-
-//     // Determine the current buyer to display
-//     let determinedCurrentBuyer;
-//     if (buyer && buyer !== "All") {
-//       // User explicitly selected a buyer
-//       determinedCurrentBuyer = buyer;
-//     } else {
-//       // No buyer selected - pick a default
-//       // PREFER non-Collective buyers for initial load
-//       const nonCollectiveBuyers = buyersList.filter(b => 
-//         !b.toLowerCase().includes('collective')
-//       );
-      
-//       if (nonCollectiveBuyers.length > 0) {
-//         // Use first non-collective buyer
-//         determinedCurrentBuyer = nonCollectiveBuyers[0];
-//       } else if (hasCollective) {
-//         // Only use collective if no other buyers exist
-//         determinedCurrentBuyer = buyersList.find(b => 
-//           b.toLowerCase().includes('collective')
-//         );
-//       } else {
-//         // Fallback
-//         determinedCurrentBuyer = buyersList[0] || "Unknown";
-//       }
-      
-//       // Re-filter and re-calculate summary for the determined buyer
-//       if (!buyer) {
-//         filteredRows = customerRows.filter(row => 
-//           row["Buyer"]?.toString().trim() === determinedCurrentBuyer
-//         );
-        
-//         // Recalculate summary for the determined buyer
-//         if (determinedCurrentBuyer.toLowerCase().includes('collective')) {
-//           const collectiveRow = filteredRows[0];
-//           summary = {
-//             totalRows: 1,
-//             volumeLY25: cleanNumber(collectiveRow["Volume LY25"]),
-//             targetFY26: cleanNumber(collectiveRow["Target FY26"]),
-//             ytdActual: cleanNumber(collectiveRow["YTD FY26"]),
-//             ytdFY26: cleanNumber(collectiveRow["YTD FY26"]),
-//             totalOpenPos: cleanNumber(collectiveRow["Open Pos"]),
-//             totalOrders: cleanNumber(collectiveRow["Total orders"]),
-//             otifRate: `${cleanNumber(collectiveRow["OTIF"]).toFixed(0)}%`,
-//             otifRawAverage: cleanNumber(collectiveRow["OTIF"]),
-//             otifLY: cleanNumber(collectiveRow["OTIF LY"]),
-//             totalQualityClaimsLY: cleanNumber(collectiveRow["Quality Claims LY"]),
-//             totalQualityClaims: cleanNumber(collectiveRow["Quality Claims"]),
-//             totalSKUs: cleanNumber(collectiveRow["Total SKUs"]),
-//             totalConvertedSKUs: cleanNumber(collectiveRow["Converted SKUs"]),
-//             numberOfPos: cleanNumber(collectiveRow["Number of Pos"]),
-//             ytdTarget: cleanNumber(collectiveRow["Target FY26"]),
-//             lytd: cleanNumber(collectiveRow["Volume LY25"]),
-//             latePos: cleanNumber(collectiveRow["Late Pos"]),
-//             onTimePos: cleanNumber(collectiveRow["Ontime Pos"]),
-//           };
-//         } else {
-//           summary = aggregateSummary(filteredRows);
-//         }
-//       }
-//     }
-
-//     res.json({
-//       success: true,
-//       data: {
-//         headers,
-//         rows: filteredRows,
-//         summary,
-//         rowCount: filteredRows.length,
-//         isMultiBuyer,
-//         hasCollective,
-//         availableBuyers: buyersList,
-//         currentBuyer: determinedCurrentBuyer,
-//         metafieldBuyers: availableBuyers,
-//       },
-//     });
-//   } catch (err) {
-//     console.error("Error fetching/parsing Excel file:", err.message);
-//     console.error("Full error:", err);
-
-//     if (err.response?.status === 404) {
-//       return res.status(404).json({
-//         error: "File not found",
-//         details: "The Excel file URL is not accessible",
-//       });
-//     }
-
-//     return res.status(500).json({
-//       error: "Failed to fetch or parse Excel file",
-//       details: err.message || "An unexpected error occurred",
-//     });
-//   }
-// });
-
-
-router.get("/customer/:customerId/merchant-performance", async (req, res) => {
+router.get("/customer/:customerId/merchant-performance", customerAccess, async (req, res) => {
   const { customerId } = req.params;
 
   if (!customerId) {
@@ -1918,30 +947,8 @@ router.get("/customer/:customerId/merchant-performance", async (req, res) => {
 
   try {
     // First, get the customer's email
-    const customerQuery = `
-      query getCustomer($customerId: ID!) {
-        customer(id: $customerId) {
-          id
-          email
-        }
-      }
-    `;
-
-    const customerVariables = {
-      customerId: `gid://shopify/Customer/${customerId}`,
-    };
-
-    const customerResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { query: customerQuery, variables: customerVariables },
-    });
-
-    const customerEmail = customerResponse.data?.data?.customer?.email;
+    const customer = await fetchCustomerFields(customerId);
+    const customerEmail = customer?.email;
 
     if (!customerEmail) {
       return res.status(404).json({
@@ -1950,456 +957,91 @@ router.get("/customer/:customerId/merchant-performance", async (req, res) => {
       });
     }
 
-    // Fetch shop metafield for the performance Excel file
-    const shopMetafieldQuery = `
-      query getShopMetafield {
-        shop {
-          metafield(namespace: "custom", key: "merchantperformance") {
-            id
-            value
-            type
-          }
-        }
-      }
-    `;
-
-    const shopifyResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { query: shopMetafieldQuery },
-    });
+    const report = (await loadReport(reportSchemas.merchantPerformance)).forFiscalYear(req.query.fiscalYear);
 
-    const metafieldData = shopifyResponse.data?.data?.shop?.metafield;
+    // Find customer's data by matching email
+    const customerRow = report.rows.find(
+      (row) => report.text(row, "email").toLowerCase() === customerEmail.toLowerCase().trim()
+    );
 
-    if (!metafieldData) {
+    if (!customerRow) {
       return res.status(404).json({
-        error: "Excel file not found",
-        details: "No shop metafield found for merchant performance",
-      });
-    }
-
-    let fileUrl;
-
-    // Case 1: metafield type is file_reference
-    if (metafieldData.type === "file_reference") {
-      const fileId = metafieldData.value;
-
-      const fileQuery = `
-        query getFileUrl($fileId: ID!) {
-          node(id: $fileId) {
-            ... on GenericFile {
-              url
-            }
-            ... on MediaImage {
-              image {
-                url
-              }
-            }
-          }
-        }
-      `;
-
-      const fileResponse = await axios({
-        method: "POST",
-        url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-        },
-        data: { query: fileQuery, variables: { fileId } },
+        error: "Customer data not found",
+        details: `No performance data found for customer email: ${customerEmail}`,
       });
-
-      fileUrl =
-        fileResponse.data?.data?.node?.url ||
-        fileResponse.data?.data?.node?.image?.url;
-
-      if (!fileUrl) {
-        return res.status(404).json({
-          error: "File URL not found",
-          details: "Could not resolve file reference metafield",
-        });
-      }
-    } else {
-      // Case 2: direct URL stored as value
-      fileUrl = metafieldData.value;
     }
 
-    // Download the file
-    const fileResponse = await axios({
-      method: "GET",
-      url: fileUrl,
-      responseType: "arraybuffer",
+    res.json({
+      success: true,
+      data: {
+        headers: report.headers,
+        rows: [report.toObject(customerRow)], // Return only the matched customer's data as an array
+        summary: merchantRowSummary(report, customerRow),
+        rowCount: 1,
+        fiscalYear: report.fiscal,
+        fileVersion: report.version,
+      },
     });
+  } catch (err) {
+    return sendReportError(res, err);
+  }
+});
 
-    const XLSX = require("xlsx");
-    const workbook = XLSX.read(fileResponse.data, { type: "buffer" });
-
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
+router.get("/customer/:customerId/buyer-performance", customerAccess, async (req, res) => {
+  const { customerId } = req.params;
 
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1,
-      defval: "",
-      blankrows: false,
-      raw: false, // This ensures numbers are read as strings to preserve formatting
+  if (!customerId) {
+    return res.status(400).json({
+      error: "Invalid customerId",
+      details: "customerId is required",
     });
+  }
 
-    if (jsonData.length === 0) {
+  try {
+    // First, get the customer's email
+    const customer = await fetchCustomerFields(customerId);
+    const customerEmail = customer?.email;
+
+    if (!customerEmail) {
       return res.status(404).json({
-        error: "Empty file",
-        details: "The Excel file contains no data",
+        error: "Customer not found",
+        details: `No customer found with ID ${customerId}`,
       });
     }
 
-    // Clean and normalize headers
-    const headers = jsonData[0].map(h =>
-      h?.toString().trim().replace(/\u00A0/g, " ")
-    );
-
-    console.log("Headers found:", headers); // Debug log
-
-    const rows = jsonData.slice(1);
-
-    // Helper to safely parse numbers
-    const cleanNumber = (val) => {
-      if (val === null || val === undefined || val === "") return 0;
-      if (typeof val === "number") return val;
-      if (typeof val === "string") {
-        const cleaned = val.replace(/[^0-9.\-]/g, "");
-        return cleaned ? parseFloat(cleaned) : 0;
-      }
-      return 0;
-    };
-
-    const parsedData = rows.map((row) => {
-      const obj = {};
-      headers.forEach((header, index) => {
-        obj[header] = row[index] !== undefined ? row[index] : "";
-      });
-      return obj;
-    });
+    const report = (await loadReport(reportSchemas.buyerPerformance)).forFiscalYear(req.query.fiscalYear);
 
     // Find customer's data by matching email
-    const customerData = parsedData.find(
-      (row) => row["Email"]?.toString().toLowerCase().trim() === customerEmail.toLowerCase().trim()
+    const customerRow = report.rows.find(
+      (row) => report.text(row, "email").toLowerCase() === customerEmail.toLowerCase().trim()
     );
 
-    if (!customerData) {
+    if (!customerRow) {
       return res.status(404).json({
         error: "Customer data not found",
         details: `No performance data found for customer email: ${customerEmail}`,
-        availableEmails: parsedData.map(r => r["Email"]).filter(Boolean), // Debug info
       });
     }
 
-    console.log("Customer data found:", customerData); // Debug log
-
-    // Map to your exact Excel column names
-    const summary = {
-      totalRows: 1,
-      
-      // Column C: Volume LY25
-      volumeLY25: cleanNumber(customerData["Volume LY25"]),
-      
-      // Column D: Target FY26
-      targetFY26: cleanNumber(customerData["Target FY26"]),
-      
-      // Column E: YTD FY26
-      ytdActual: cleanNumber(customerData["YTD FY26"]),
-      ytdFY26: cleanNumber(customerData["YTD FY26"]), // Alias for clarity
-      
-      // Column F: Open Pos
-      totalOpenPos: cleanNumber(customerData["Open Pos"]),
-      
-      // Column G: Total orders
-      totalOrders: cleanNumber(customerData["Total orders"]),
-      
-      // Column H: OTIF
-      otifRate: `${cleanNumber(customerData["OTIF"]).toFixed(0)}%`,
-      otifRawAverage: cleanNumber(customerData["OTIF"]),
-
-      otifLY: cleanNumber(customerData["OTIF LY"]),
-      
-      // Column I: Quality Claims LY
-      totalQualityClaimsLY: cleanNumber(customerData["Quality Claims LY"]),
-      
-      // Column J: Quality Claims
-      totalQualityClaims: cleanNumber(customerData["Quality Claims"]),
-      
-      // Column K: Total SKUs
-      totalSKUs: cleanNumber(customerData["Total SKUs"]),
-      
-      // Column L: Converted SKUs
-      totalConvertedSKUs: cleanNumber(customerData["Converted SKUs"]),
-      
-      // Column M: Number of Pos
-      numberOfPos: cleanNumber(customerData["Number of Pos"]),
-      
-      // For backward compatibility with your frontend
-      ytdTarget: cleanNumber(customerData["Target FY26"]), // Using Target FY26 as the target
-      lytd: cleanNumber(customerData["Volume LY25"]), // Using Volume LY25 as last year data
-    };
+    const summary = buyerRowSummary(report, customerRow);
 
     res.json({
       success: true,
       data: {
-        headers,
-        rows: [customerData], // Return only the matched customer's data as an array
+        headers: report.headers,
+        rows: [report.toObject(customerRow)],
         summary,
         rowCount: 1,
+        fiscalYear: report.fiscal,
+        fileVersion: report.version,
       },
     });
   } catch (err) {
-    console.error("Error fetching/parsing Excel file:", err.message);
-    console.error("Full error:", err);
-
-    if (err.response?.status === 404) {
-      return res.status(404).json({
-        error: "File not found",
-        details: "The Excel file URL is not accessible",
-      });
-    }
-
-    return res.status(500).json({
-      error: "Failed to fetch or parse Excel file",
-      details: err.message || "An unexpected error occurred",
-    });
+    return sendReportError(res, err);
   }
 });
 
-router.get("/customer/:customerId/buyer-performance", async (req, res) => {
- const { customerId } = req.params;
-
- if (!customerId) {
- return res.status(400).json({
- error: "Invalid customerId",  
- details: "customerId is required",
- });
- }
-
- try {
- // First, get the customer's email
- const customerQuery = `
- query getCustomer($customerId: ID!) {
- customer(id: $customerId) {
- id
- email
- }
- }
- `;
-
- const customerVariables = {
- customerId: `gid://shopify/Customer/${customerId}`,
- };
-
- const customerResponse = await axios({
- method: "POST",
- url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
- headers: {
- "Content-Type": "application/json",
- "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
- },
- data: { query: customerQuery, variables: customerVariables },
- });
-
- const customerEmail = customerResponse.data?.data?.customer?.email;
-
- if (!customerEmail) {
- return res.status(404).json({
- error: "Customer not found",
- details: `No customer found with ID ${customerId}`,
- });
- }
-
- // Fetch shop metafield for the buyer's performance Excel file
- const shopMetafieldQuery = `
- query getShopMetafield {
- shop {
- metafield(namespace: "custom", key: "buyers_performance") {
- id
- value
- type
- }
- }
- }
- `;
-
- const shopifyResponse = await axios({
- method: "POST",
- url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
- headers: {
- "Content-Type": "application/json",
- "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
- },
- data: { query: shopMetafieldQuery },
- });
-
- const metafieldData = shopifyResponse.data?.data?.shop?.metafield;
-
- if (!metafieldData) {
- return res.status(404).json({
- error: "Excel file not found",
- details: "No shop metafield found for buyer performance",
- });
- }
-
- let fileUrl;
-
- // Case 1: metafield type is file_reference
- if (metafieldData.type === "file_reference") {
- const fileId = metafieldData.value;
-
- const fileQuery = `
- query getFileUrl($fileId: ID!) {
- node(id: $fileId) {
- ... on GenericFile {
- url
- }
- ... on MediaImage {
- image {
- url
- }
- }
- }
- }
- `;
-
- const fileApiResponse = await axios({
- method: "POST",
- url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
- headers: {
- "Content-Type": "application/json",
- "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
- },
- data: { query: fileQuery, variables: { fileId } },
- });
-
- fileUrl =
- fileApiResponse.data?.data?.node?.url ||
- fileApiResponse.data?.data?.node?.image?.url;
-
- if (!fileUrl) {
- return res.status(404).json({
- error: "File URL not found",
- details: "Could not resolve file reference metafield",
- });
- }
- } else {
- // Case 2: direct URL stored as value
- fileUrl = metafieldData.value;
- }
-
- // Download the file
- const fileResponse = await axios({
- method: "GET",
- url: fileUrl,
- responseType: "arraybuffer",
- });
-
- const workbook = XLSX.read(fileResponse.data, { type: "buffer" });
- const sheetName = workbook.SheetNames[0];
- const worksheet = workbook.Sheets[sheetName];
- const jsonData = XLSX.utils.sheet_to_json(worksheet, {
- header: 1,
- defval: "",
- blankrows: false,
- raw: false,
- });
-
- if (jsonData.length === 0) {
- return res.status(404).json({
- error: "Empty file",
- details: "The Excel file contains no data",
- });
- }
-
- // Clean and normalize headers
- const headers = jsonData[0].map(h =>
- h?.toString().trim().replace(/\u00A0/g, " ")
- );
- const rows = jsonData.slice(1);
-
- // Helper to safely parse numbers and currency
- const cleanNumber = (val) => {
- if (val === null || val === undefined || val === "") return 0;
- if (typeof val === "number") return val;
- if (typeof val === "string") {
- const cleaned = val.replace(/[^0-9.\-]/g, "");
- return cleaned ? parseFloat(cleaned) : 0;
- }
- return 0;
- };
-
- const parsedData = rows.map((row) => {
- const obj = {};
- headers.forEach((header, index) => {
- obj[header] = row[index] !== undefined ? row[index] : "";
- });
- return obj;
- });
-
- // Find customer's data by matching email
- const customerData = parsedData.find(
- (row) => row["Email"]?.toString().toLowerCase().trim() === customerEmail.toLowerCase().trim()
- );
-
- if (!customerData) {
- return res.status(404).json({
- error: "Customer data not found",
- details: `No performance data found for customer email: ${customerEmail}`,
- availableEmails: parsedData.map(r => r["Email"]).filter(Boolean),
- });
- }
-
- // Map data from the new Excel columns
- const summary = {
- totalRows: 1,
- businessName: customerData["Business Name"],
- shippedPosCurrent: cleanNumber(customerData["Shipped Pos current"]),
- shippedPosLast: cleanNumber(customerData["Shipped Pos last"]),
- ytdFY26: cleanNumber(customerData["YTD FY26"]),
- openPosCurrent: cleanNumber(customerData["Open Pos current"]),
- openPosNext: cleanNumber(customerData["Open Pos next"]),
- totalOrders: cleanNumber(customerData["Total orders"]),
- otifRate: `${cleanNumber(customerData["OTIF"]).toFixed(0)}%`,
- otifRaw: cleanNumber(customerData["OTIF"]),
- openPosYTD: cleanNumber(customerData["Open Pos YTD"]),
- shippedPosYTD: cleanNumber(customerData["Shipped Pos YTD"]),
- openPosValue: cleanNumber(customerData["Open Pos"]),
- };
-
- res.json({
- success: true,
- data: {
- headers,
- rows: [customerData],
- summary,
- rowCount: 1,
- },
- });
- } catch (err) {
- console.error("Error fetching/parsing Excel file:", err.message);
- console.error("Full error:", err);
-
- if (err.response?.status === 404) {
- return res.status(404).json({
- error: "File not found",
- details: "The Excel file URL is not accessible",
- });
- }
-
- return res.status(500).json({
- error: "Failed to fetch or parse Excel file",
- details: err.message || "An unexpected error occurred",
- });
- }
-});
-
-router.get("/customer/:customerId/performance", async (req, res) => {
+router.get("/customer/:customerId/performance", customerAccess, async (req, res) => {
   const { customerId } = req.params;
 
   if (!customerId) {
@@ -2410,461 +1052,218 @@ router.get("/customer/:customerId/performance", async (req, res) => {
   }
 
   try {
-    const query = `
-      query getCustomerMetafield($customerId: ID!) {
-        customer(id: $customerId) {
-          id
-          metafield(namespace: "custom", key: "po_excel") {
-            id
-            value
-            type
-          }
-        }
-      }
-    `;
+    const report = (await loadReport(reportSchemas.poPerformance, { customerId })).forFiscalYear(req.query.fiscalYear);
+    const { rows } = report;
+    const sum = (key) => rows.reduce((total, row) => total + report.value(row, key), 0);
 
-    const variables = {
-      customerId: `gid://shopify/Customer/${customerId}`,
+    const otif = aggregateOtif(report, rows);
+
+    const summary = {
+      totalRows: rows.length,
+      totalOpenPos: sum("openPos"),
+      totalOrders: sum("totalOrders"),
+      ytdTarget: sum("ytdTarget"),
+      ytdActual: sum("ytdActual"),
+      lytd: sum("lytd"),
+      otifRate: `${otif.value.toFixed(0)}%`,
+      otifRawAverage: otif.value,
+      totalQualityClaimsLY: sum("qualityClaimsLY"),
+      totalQualityClaims: sum("qualityClaims"),
+      totalSKUs: sum("totalSKUs"),
+      totalConvertedSKUs: sum("convertedSKUs"),
+      otifAggregation: { otif: otif.aggregation },
+      ...fiscalKpis(report, { ytd: sum("ytdActual"), target: sum("ytdTarget"), lastYearVolume: sum("lytd") }),
     };
 
-    const shopifyResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
+    res.json({
+      success: true,
+      data: {
+        headers: report.headers,
+        rows: rows.map(row => report.toObject(row)),
+        summary,
+        rowCount: rows.length,
+        fiscalYear: report.fiscal,
+        fileVersion: report.version,
       },
-      data: { query, variables },
     });
+  } catch (err) {
+    return sendReportError(res, err);
+  }
+});
 
-    const metafieldData = shopifyResponse.data?.data?.customer?.metafield;
+// Merchant performance KPIs over time, from the snapshots taken of every merchantperformance workbook
+router.get("/customer/:customerId/performance/history", customerAccess, async (req, res) => {
+  const { customerId } = req.params;
+  const { buyer } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 24, 1), 120);
 
-    if (!metafieldData) {
-      return res.status(404).json({
-        error: "Excel file not found",
-        details: `No metafield found for customer ${customerId}`,
-      });
-    }
+  try {
+    const customer = await fetchCustomerFields(customerId);
+    const customerEmail = customer?.email;
 
-    let fileUrl;
-
-    // Case 1: metafield type is file_reference
-    if (metafieldData.type === "file_reference") {
-      const fileId = metafieldData.value;
-
-      const fileQuery = `
-        query getFileUrl($fileId: ID!) {
-          node(id: $fileId) {
-            ... on GenericFile {
-              url
-            }
-            ... on MediaImage {
-              image {
-                url
-              }
-            }
-          }
-        }
-      `;
-
-      const fileResponse = await axios({
-        method: "POST",
-        url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-        },
-        data: { query: fileQuery, variables: { fileId } },
+    if (!customerEmail) {
+      return res.status(404).json({
+        error: "Customer not found",
+        details: `No customer found with ID ${customerId}`,
       });
-
-      fileUrl =
-        fileResponse.data?.data?.node?.url ||
-        fileResponse.data?.data?.node?.image?.url;
-
-      if (!fileUrl) {
-        return res.status(404).json({
-          error: "File URL not found",
-          details: "Could not resolve file reference metafield",
-        });
-      }
-    } else {
-      // Case 2: direct URL stored as value
-      fileUrl = metafieldData.value;
     }
 
-    // Download the file
-    const fileResponse = await axios({
-      method: "GET",
-      url: fileUrl,
-      responseType: "arraybuffer",
-    });
-
-    const XLSX = require("xlsx");
-    const workbook = XLSX.read(fileResponse.data, { type: "buffer" });
-
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
+    // Make sure the workbook currently published is part of the history
+    const report = await loadReport(reportSchemas.merchantPerformance);
+    await recordMerchantSnapshot(report);
 
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1,
-      defval: "",
-      blankrows: false,
-    });
+    const history = await getMerchantHistory(customerEmail, { buyer: buyer && buyer !== "All" ? buyer : undefined, limit });
 
-    if (jsonData.length === 0) {
+    if (history.snapshots.length === 0) {
       return res.status(404).json({
-        error: "Empty file",
-        details: "The Excel file contains no data",
+        error: "Performance history not found",
+        details: buyer
+          ? `No performance history found for buyer: ${buyer}`
+          : `No performance history found for customer email: ${customerEmail}`,
       });
     }
 
-    // Clean and normalize headers
-    const headers = jsonData[0].map(h =>
-      h?.toString().trim().replace(/\u00A0/g, " ")
-    );
-
-    const rows = jsonData.slice(1);
-
-    // Helper to safely parse numbers
-    const cleanNumber = (val) => {
-      if (typeof val === "number") return val;
-      if (typeof val === "string") {
-        const cleaned = val.replace(/[^0-9.\-]/g, "");
-        return cleaned ? parseFloat(cleaned) : 0;
-      }
-      return 0;
-    };
-
-    const parsedData = rows.map((row) => {
-      const obj = {};
-      headers.forEach((header, index) => {
-        obj[header] = row[index] !== undefined ? row[index] : "";
-      });
-      return obj;
-    });
-
-    // Calculate totals and averages
-    const totalOTIFSum = parsedData.reduce(
-      (sum, row) => sum + cleanNumber(row["OTIF"]),
-      0
-    );
-    const rowsWithOTIF = parsedData.filter(row => cleanNumber(row["OTIF"]) > 0).length;
-    const avgOTIF = rowsWithOTIF > 0 ? (totalOTIFSum / rowsWithOTIF) : 0;
-
-    const summary = {
-      totalRows: parsedData.length,
-      
-      // Open POs
-      totalOpenPos: parsedData.reduce(
-        (sum, row) => sum + cleanNumber(row["Open Pos"]),
-        0
-      ),
-      
-      // Total Orders (shipped)
-      totalOrders: parsedData.reduce(
-        (sum, row) => sum + cleanNumber(row["Total orders"]),
-        0
-      ),
-      
-      // YTD FY26 Target and Actual
-      ytdTarget: parsedData.reduce(
-        (sum, row) => sum + cleanNumber(row["YTD Target FY26"]),
-        0
-      ),
-      ytdActual: parsedData.reduce(
-        (sum, row) => sum + cleanNumber(row["YTD Actual FY26"]),
-        0
-      ),
-      
-      // LYTD (Last Year To Date)
-      lytd: parsedData.reduce(
-        (sum, row) => sum + cleanNumber(row["LYTD"]),
-        0
-      ),
-      
-      // OTIF Rate (average percentage)
-      otifRate: `${avgOTIF.toFixed(0)}%`,
-      otifRawAverage: avgOTIF,
-      
-      // Quality Claims
-      totalQualityClaimsLY: parsedData.reduce(
-        (sum, row) => sum + cleanNumber(row["Quality Claims LY"]),
-        0
-      ),
-      totalQualityClaims: parsedData.reduce(
-        (sum, row) => sum + cleanNumber(row["Quality Claims"]),
-        0
-      ),
-      
-      // SKUs
-      totalSKUs: parsedData.reduce(
-        (sum, row) => sum + cleanNumber(row["Total SKUs"]),
-        0
-      ),
-      totalConvertedSKUs: parsedData.reduce(
-        (sum, row) => sum + cleanNumber(row["Converted SKUs"]),
-        0
-      ),
-    };
-
     res.json({
       success: true,
       data: {
-        headers,
-        rows: parsedData,
-        summary,
-        rowCount: parsedData.length,
+        buyer: buyer || null,
+        ...history,
+        snapshotCount: history.snapshots.length,
+        fileVersion: report.version,
       },
     });
   } catch (err) {
-    console.error("Error fetching/parsing Excel file:", err.message);
-
-    if (err.response?.status === 404) {
-      return res.status(404).json({
-        error: "File not found",
-        details: "The Excel file URL is not accessible",
-      });
-    }
-
-    return res.status(500).json({
-      error: "Failed to fetch or parse Excel file",
-      details: err.message || "An unexpected error occurred",
-    });
+    return sendReportError(res, err);
   }
 });
 
-const XLSX = require("xlsx");
-
-router.get("/customer/:customerId/volume-shipped-ytd", async (req, res) => {
+// Email preferences: weekly KPI digest and wishlist alerts
+router.get("/customer/:customerId/digest-preferences", customerAccess, async (req, res) => {
   try {
-    // Get customer ID from request (adjust based on your auth setup)
-    const { customerId } = req.params; // or req.query.customerId, req.session.customerId, etc.
-
-   if (!customerId) {
-      return res.status(401).json({
-        error: "Unauthorized",
-        details: "Customer ID is required"
-      });
+    const preferences = await getDigestPreferences(req.params.customerId);
+    if (!preferences) {
+      return res.status(404).json({ error: "Customer not found" });
     }
+    res.json({ success: true, data: preferences });
+  } catch (error) {
+    console.error("❌ Error fetching digest preferences:", error);
+    res.status(500).json({ error: "Failed to fetch digest preferences", details: error.message });
+  }
+});
 
-    // Fetch customer's buyers metafield
-    const customerQuery = `
-      query getCustomerBuyers($customerId: ID!) {
-        customer(id: $customerId) {
-          id
-          metafield(namespace: "custom", key: "buyers") {
-            value
-          }
-        }
-      }
-    `;
+router.put("/customer/:customerId/digest-preferences", customerAccess, async (req, res) => {
+  const body = req.body || {};
+  const changes = {};
+  Object.values(UNSUBSCRIBE_LISTS).forEach((key) => {
+    if (body[key] !== undefined) changes[key] = body[key];
+  });
 
-    const customerResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { 
-        query: customerQuery, 
-        variables: { customerId: `gid://shopify/Customer/${customerId}` }
-      },
+  if (Object.keys(changes).length === 0 || Object.values(changes).some((value) => typeof value !== "boolean")) {
+    return res.status(400).json({
+      error: "Invalid preference",
+      details: "weeklyKpiDigest and wishlistAlerts must be true or false",
     });
+  }
 
-    const customerBuyersValue = customerResponse.data?.data?.customer?.metafield?.value;
-    
-    // Parse the buyers list
-    let allowedBuyers = [];
-    if (customerBuyersValue) {
-      try {
-        // Try parsing as JSON first (for list metafield type)
-        const parsed = JSON.parse(customerBuyersValue);
-        allowedBuyers = Array.isArray(parsed) 
-          ? parsed.map(b => b.trim().toUpperCase()).filter(b => b)
-          : [customerBuyersValue.trim().toUpperCase()];
-      } catch (e) {
-        // If not JSON, treat as comma-separated string
-        allowedBuyers = customerBuyersValue
-          .split(',')
-          .map(b => b.trim().toUpperCase())
-          .filter(b => b);
-      }
+  try {
+    const preferences = await setDigestPreferences(req.params.customerId, changes);
+    if (!preferences) {
+      return res.status(404).json({ error: "Customer not found" });
     }
-
-    console.log("Customer ID:", customerId);
-    console.log("Raw customer buyers value:", customerBuyersValue);
-    console.log("Customer allowed buyers (normalized):", allowedBuyers);
-
-    // Fetch shop metafield for Excel file
-    const query = `
-      query getShopMetafield {
-        shop {
-          metafield(namespace: "custom", key: "volumeshippedytd") {
-            id
-            value
-            type
-          }
-        }
-      }
-    `;
-
-    const shopifyResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { query },
+    Object.entries(changes).forEach(([key, enabled]) => {
+      console.log(`✅ ${key} ${enabled ? "enabled" : "disabled"} for customer ${req.params.customerId}`);
     });
+    res.json({ success: true, data: preferences });
+  } catch (error) {
+    console.error("❌ Error updating digest preferences:", error);
+    res.status(500).json({ error: "Failed to update digest preferences", details: error.message });
+  }
+});
 
-    console.log("Shopify Response:", JSON.stringify(shopifyResponse.data, null, 2));
+const UNSUBSCRIBE_LIST_NAMES = {
+  "kpi-digest": "the weekly performance digest",
+  "wishlist-alerts": "wishlist price and stock alerts",
+};
 
-    const metafieldData = shopifyResponse.data?.data?.shop?.metafield;
+const UNSUBSCRIBED_MESSAGES = {
+  "kpi-digest": "You have been unsubscribed from the weekly performance digest.",
+  "wishlist-alerts": "You have been unsubscribed from wishlist price and stock alerts.",
+};
 
-    if (!metafieldData) {
-      return res.status(404).json({
-        error: "Excel file not found",
-        details: "No volumeshippedytd metafield found",
-        debugInfo: shopifyResponse.data
-      });
-    }
+function invalidUnsubscribeLink(req, res) {
+  const { customerId, token, list = "kpi-digest" } = req.query;
+  if (customerId && Object.hasOwn(UNSUBSCRIBE_LISTS, list) && verifyUnsubscribeToken(customerId, token, list)) return false;
+  res.status(403).json({ error: "Invalid unsubscribe link" });
+  return true;
+}
 
-    let fileUrl;
-
-    // Case 1: metafield type is file_reference
-    if (metafieldData.type === "file_reference") {
-      const fileId = metafieldData.value;
-
-      const fileQuery = `
-        query getFileUrl($fileId: ID!) {
-          node(id: $fileId) {
-            ... on GenericFile {
-              url
-            }
-            ... on MediaImage {
-              image {
-                url
-              }
-            }
-          }
-        }
-      `;
-
-      const fileResponse = await axios({
-        method: "POST",
-        url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-        },
-        data: { query: fileQuery, variables: { fileId } },
-      });
+// Unsubscribe link from digest and alert emails (signed with SHARED_SECRET).
+// Opening it only asks for confirmation, so mail scanners that prefetch links do not unsubscribe anyone
+router.get("/digest/unsubscribe", (req, res) => {
+  if (invalidUnsubscribeLink(req, res)) return;
+
+  const { list = "kpi-digest" } = req.query;
+  const action = `${req.baseUrl}${req.path}?${new URLSearchParams(req.query)}`;
+  res.type("html").send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Unsubscribe</title></head>
+<body style="font-family:Arial,sans-serif;max-width:480px;margin:48px auto;padding:0 16px">
+  <p>Stop receiving ${escapeHtml(UNSUBSCRIBE_LIST_NAMES[list])}?</p>
+  <form method="post" action="${escapeHtml(action)}">
+    <button type="submit">Unsubscribe</button>
+  </form>
+</body>
+</html>`);
+});
 
-      fileUrl =
-        fileResponse.data?.data?.node?.url ||
-        fileResponse.data?.data?.node?.image?.url;
+// The confirmation form above, and one-click List-Unsubscribe from mail clients (RFC 8058)
+router.post("/digest/unsubscribe", async (req, res) => {
+  if (invalidUnsubscribeLink(req, res)) return;
 
-      if (!fileUrl) {
-        return res.status(404).json({
-          error: "File URL not found",
-          details: "Could not resolve file reference metafield",
-        });
-      }
-    } else {
-      // Case 2: direct URL stored as value
-      fileUrl = metafieldData.value;
+  const { customerId, list = "kpi-digest" } = req.query;
+  try {
+    const preferences = await setDigestPreferences(customerId, { [UNSUBSCRIBE_LISTS[list]]: false });
+    if (!preferences) {
+      return res.status(404).json({ error: "Customer not found" });
     }
+    console.log(`✅ Customer ${customerId} unsubscribed from ${list}`);
+    res.send(UNSUBSCRIBED_MESSAGES[list]);
+  } catch (error) {
+    console.error("❌ Error unsubscribing from digest:", error);
+    res.status(500).json({ error: "Failed to unsubscribe", details: error.message });
+  }
+});
 
-    // Download the file
-    const fileResponse = await axios({
-      method: "GET",
-      url: fileUrl,
-      responseType: "arraybuffer",
-    });
-
-    // Parse Excel file
-    const XLSX = require("xlsx");
-    const workbook = XLSX.read(fileResponse.data, { type: "buffer" });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-
-    // Get the range for debugging
-    const range = XLSX.utils.decode_range(worksheet['!ref']);
-    console.log("Sheet range:", range);
-
-    // Convert to JSON array format
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1,
-      defval: "",
-      blankrows: false,
-      raw: false,
-    });
-
-    console.log("=== DEBUG INFO ===");
-    console.log("Total rows read:", jsonData.length);
-    console.log("First 3 rows:", JSON.stringify(jsonData.slice(0, 3), null, 2));
-    console.log("==================");
+router.get("/customer/:customerId/volume-shipped-ytd", customerAccess, async (req, res) => {
+  try {
+    const { customerId } = req.params;
 
-    if (jsonData.length === 0) {
-      return res.status(404).json({
-        error: "Empty file",
-        details: "The Excel file contains no data",
+    if (!customerId) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        details: "Customer ID is required"
       });
     }
 
-    // Find the first non-empty row (header row)
-    let headerRowIndex = 0;
-    for (let i = 0; i < jsonData.length; i++) {
-      if (jsonData[i] && jsonData[i].length > 0 && jsonData[i][0]) {
-        headerRowIndex = i;
-        break;
-      }
-    }
-
-    // Clean and normalize headers
-    const headers = jsonData[headerRowIndex].map((h) =>
-      h?.toString().trim().replace(/\u00A0/g, " ").replace(/\s+/g, " ")
-    );
-
-    console.log("Headers found:", headers);
-
-    // Get data rows (skip header and filter empty rows)
-    const rows = jsonData.slice(headerRowIndex + 1).filter(row => 
-      row && row.length > 0 && (row[0] || row[1])
-    );
+    // Fetch customer's buyers metafield
+    const customer = await fetchCustomerFields(customerId, ["buyers"]);
+    const allowedBuyers = parseBuyersList(customer?.metafields.buyers);
 
-    console.log("Number of data rows:", rows.length);
+    console.log("Customer allowed buyers (normalized):", allowedBuyers);
 
-    if (rows.length === 0) {
-      return res.status(404).json({
-        error: "No data rows found",
-        details: "The Excel file contains headers but no data rows",
-        headers: headers,
-      });
-    }
+    const report = await loadReport(reportSchemas.volumeShipped);
+    const { headers } = report;
 
-    // Helper to safely parse numbers
-    const cleanNumber = (val) => {
-      if (val === null || val === undefined || val === "") return 0;
-      if (typeof val === "number") return val;
-      if (typeof val === "string") {
-        const cleaned = val.replace(/[^0-9.\-]/g, "");
-        return cleaned ? parseFloat(cleaned) : 0;
-      }
-      return 0;
-    };
+    // Month columns follow Buyer and Vendor
+    const monthColumns = headers.slice(2);
 
-    // Parse data rows
-    const parsedData = rows.map((row) => {
+    const parsedData = report.rows.map((row) => {
       const obj = {
-        buyer: row[0]?.toString().trim().toUpperCase() || "", // Convert to uppercase
-        vendor: row[1]?.toString().trim() || "",
+        buyer: report.text(row, "buyer").toUpperCase(),
+        vendor: report.text(row, "vendor"),
       };
 
-      // Map month columns (starting from index 2)
-      headers.slice(2).forEach((month, index) => {
+      monthColumns.forEach((month, index) => {
         obj[month] = cleanNumber(row[index + 2]);
       });
 
@@ -2872,15 +1271,17 @@ router.get("/customer/:customerId/volume-shipped-ytd", async (req, res) => {
     });
 
     // FILTER DATA BY CUSTOMER'S ALLOWED BUYERS
-    const filteredData = allowedBuyers.length > 0
-      ? parsedData.filter(row => allowedBuyers.includes(row.buyer))
-      : parsedData; // If no buyers specified, return all data
+    // A customer without a buyer mapping sees nothing, not everyone's rows
+    const filteredData = parsedData.filter(row => allowedBuyers.includes(row.buyer));
 
-    console.log("Total parsed rows:", parsedData.length);
-    console.log("Filtered data rows:", filteredData.length);
+    const exportOptions = {
+      title: "Volume shipped YTD",
+      filename: "volume-shipped-ytd",
+      columns: volumeExportColumns(monthColumns),
+    };
 
-    if (filteredData.length === 0 && allowedBuyers.length > 0) {
-      return res.json({
+    if (filteredData.length === 0) {
+      return sendDashboard(req, res, {
         success: true,
         data: {
           headers,
@@ -2893,15 +1294,17 @@ router.get("/customer/:customerId/volume-shipped-ytd", async (req, res) => {
             grandTotal: 0,
           },
           rowCount: 0,
-          months: headers.slice(2),
+          months: monthColumns,
+          fileVersion: report.version,
         },
-        message: "No data available for your assigned buyers",
+        message: allowedBuyers.length > 0
+          ? "No data available for your assigned buyers"
+          : "No buyers are assigned to your account",
         customerBuyers: allowedBuyers
-      });
+      }, exportOptions);
     }
 
     // Calculate summary statistics BASED ON FILTERED DATA
-    const monthColumns = headers.slice(2);
     const summary = {
       totalRows: filteredData.length,
       totalsByMonth: {},
@@ -2910,7 +1313,6 @@ router.get("/customer/:customerId/volume-shipped-ytd", async (req, res) => {
       grandTotal: 0,
     };
 
-    // Calculate totals by month
     monthColumns.forEach((month) => {
       summary.totalsByMonth[month] = filteredData.reduce(
         (sum, row) => sum + (row[month] || 0),
@@ -2918,37 +1320,22 @@ router.get("/customer/:customerId/volume-shipped-ytd", async (req, res) => {
       );
     });
 
-    // Calculate totals by buyer
     filteredData.forEach((row) => {
+      const rowTotal = monthColumns.reduce((sum, month) => sum + (row[month] || 0), 0);
       if (row.buyer) {
-        if (!summary.totalsByBuyer[row.buyer]) {
-          summary.totalsByBuyer[row.buyer] = 0;
-        }
-        monthColumns.forEach((month) => {
-          summary.totalsByBuyer[row.buyer] += row[month] || 0;
-        });
+        summary.totalsByBuyer[row.buyer] = (summary.totalsByBuyer[row.buyer] || 0) + rowTotal;
       }
-    });
-
-    // Calculate totals by vendor
-    filteredData.forEach((row) => {
       if (row.vendor) {
-        if (!summary.totalsByVendor[row.vendor]) {
-          summary.totalsByVendor[row.vendor] = 0;
-        }
-        monthColumns.forEach((month) => {
-          summary.totalsByVendor[row.vendor] += row[month] || 0;
-        });
+        summary.totalsByVendor[row.vendor] = (summary.totalsByVendor[row.vendor] || 0) + rowTotal;
       }
     });
 
-    // Calculate grand total
     summary.grandTotal = Object.values(summary.totalsByMonth).reduce(
       (sum, val) => sum + val,
       0
     );
 
-    res.json({
+    return sendDashboard(req, res, {
       success: true,
       data: {
         headers,
@@ -2956,34 +1343,20 @@ router.get("/customer/:customerId/volume-shipped-ytd", async (req, res) => {
         summary,
         rowCount: filteredData.length,
         months: monthColumns,
+        fileVersion: report.version,
       },
       customerBuyers: allowedBuyers, // Include for debugging/transparency
-    });
-  } catch (err) { 
-    console.error("Error fetching/parsing Excel file:", err.message);
-    console.error("Full error:", err);
-
-    if (err.response?.status === 404) {
-      return res.status(404).json({
-        error: "File not found",
-        details: "The Excel file URL is not accessible",
-      });
-    }
-
-    return res.status(500).json({
-      error: "Failed to fetch or parse Excel file",
-      details: err.message || "An unexpected error occurred",
-      stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
-    });
+    }, exportOptions);
+  } catch (err) {
+    return sendReportError(res, err);
   }
 });
 
-router.get("/customer/:customerId/volume-origin", async (req, res) => {
+router.get("/customer/:customerId/volume-origin", customerAccess, async (req, res) => {
   try {
-    // Get customer ID from request (adjust based on your auth setup)
-    const { customerId } = req.params; // or req.query.customerId, req.session.customerId, etc.
+    const { customerId } = req.params;
 
-   if (!customerId) {
+    if (!customerId) {
       return res.status(401).json({
         error: "Unauthorized",
         details: "Customer ID is required"
@@ -2991,280 +1364,64 @@ router.get("/customer/:customerId/volume-origin", async (req, res) => {
     }
 
     // Fetch customer's buyers metafield
-    const customerQuery = `
-      query getCustomerBuyers($customerId: ID!) {
-        customer(id: $customerId) {
-          id
-          metafield(namespace: "custom", key: "buyers") {
-            value
-          }
-        }
-      }
-    `;
-
-    const customerResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { 
-        query: customerQuery, 
-        variables: { customerId: `gid://shopify/Customer/${customerId}` }
-      },
-    });
-
-    const customerBuyersValue = customerResponse.data?.data?.customer?.metafield?.value;
-    
-    // Parse the buyers list
-    let allowedBuyers = [];
-    if (customerBuyersValue) {
-      try {
-        // Try parsing as JSON first (for list metafield type)
-        const parsed = JSON.parse(customerBuyersValue);
-        allowedBuyers = Array.isArray(parsed) 
-          ? parsed.map(b => b.trim().toUpperCase()).filter(b => b)
-          : [customerBuyersValue.trim().toUpperCase()];
-      } catch (e) {
-        // If not JSON, treat as comma-separated string
-        allowedBuyers = customerBuyersValue
-          .split(',')
-          .map(b => b.trim().toUpperCase())
-          .filter(b => b);
-      }
-    }
+    const customer = await fetchCustomerFields(customerId, ["buyers"]);
+    const allowedBuyers = parseBuyersList(customer?.metafields.buyers);
 
-    console.log("Customer ID:", customerId);
-    console.log("Raw customer buyers value:", customerBuyersValue);
     console.log("Customer allowed buyers (normalized):", allowedBuyers);
 
-    // Fetch shop metafield for Excel file
-    const query = `
-      query getShopMetafield {
-        shop {
-          metafield(namespace: "custom", key: "volumeshippedytd") {
-            id
-            value
-            type
-          }
-        }
-      }
-    `;
-
-    const shopifyResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { query },
-    });
-
-    console.log("Shopify Response:", JSON.stringify(shopifyResponse.data, null, 2));
-
-    const metafieldData = shopifyResponse.data?.data?.shop?.metafield;
-
-    if (!metafieldData) {
-      return res.status(404).json({
-        error: "Excel file not found",
-        details: "No volumeshippedytd metafield found",
-        debugInfo: shopifyResponse.data
-      });
-    }
-
-    let fileUrl;
-
-    // Case 1: metafield type is file_reference
-    if (metafieldData.type === "file_reference") {
-      const fileId = metafieldData.value;
-
-      const fileQuery = `
-        query getFileUrl($fileId: ID!) {
-          node(id: $fileId) {
-            ... on GenericFile {
-              url
-            }
-            ... on MediaImage {
-              image {
-                url
-              }
-            }
-          }
-        }
-      `;
-
-      const fileResponse = await axios({
-        method: "POST",
-        url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-        },
-        data: { query: fileQuery, variables: { fileId } },
-      });
-
-      fileUrl =
-        fileResponse.data?.data?.node?.url ||
-        fileResponse.data?.data?.node?.image?.url;
-
-      if (!fileUrl) {
-        return res.status(404).json({
-          error: "File URL not found",
-          details: "Could not resolve file reference metafield",
-        });
-      }
-    } else {
-      // Case 2: direct URL stored as value
-      fileUrl = metafieldData.value;
-    }
-
-    // Download the file
-    const fileResponse = await axios({
-      method: "GET",
-      url: fileUrl,
-      responseType: "arraybuffer",
-    });
+    const report = await loadReport(reportSchemas.volumeShipped);
+    const { headers } = report;
+    const hasTotal = report.has("total");
+    const hasOrigin = report.has("origin");
 
-    // Parse Excel file
-    const XLSX = require("xlsx");
-    const workbook = XLSX.read(fileResponse.data, { type: "buffer" });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-
-    // Get the range for debugging
-    const range = XLSX.utils.decode_range(worksheet['!ref']);
-    console.log("Sheet range:", range);
-
-    // Convert to JSON array format
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1,
-      defval: "",
-      blankrows: false,
-      raw: false,
-    });
-
-    console.log("=== DEBUG INFO ===");
-    console.log("Total rows read:", jsonData.length);
-    console.log("First 3 rows:", JSON.stringify(jsonData.slice(0, 3), null, 2));
-    console.log("==================");
-
-    if (jsonData.length === 0) {
-      return res.status(404).json({
-        error: "Empty file",
-        details: "The Excel file contains no data",
-      });
-    }
-
-    // Find the first non-empty row (header row)
-    let headerRowIndex = 0;
-    for (let i = 0; i < jsonData.length; i++) {
-      if (jsonData[i] && jsonData[i].length > 0 && jsonData[i][0]) {
-        headerRowIndex = i;
-        break;
-      }
-    }
-
-    // Clean and normalize headers
-    const headers = jsonData[headerRowIndex].map((h) =>
-      h?.toString().trim().replace(/\u00A0/g, " ").replace(/\s+/g, " ")
-    );
-
-    console.log("Headers found:", headers);
-
-    // Find column indices for Total and Origin
-    const totalIndex = headers.findIndex(h => 
-      h.toLowerCase() === 'total'
-    );
-    const originIndex = headers.findIndex(h => 
-      h.toLowerCase() === 'origin'
-    );
-
-    console.log("Total column index:", totalIndex);
-    console.log("Origin column index:", originIndex);
-
-    // Get month columns (between Vendor and Total, or all except Buyer/Vendor/Total/Origin)
-    let monthColumns = [];
-    if (totalIndex !== -1) {
-      // Month columns are from index 2 (after Buyer and Vendor) up to Total
-      monthColumns = headers.slice(2, totalIndex);
-    } else {
-      // Fallback: all columns except Buyer, Vendor, and Origin
-      monthColumns = headers.slice(2).filter(h => 
-        h.toLowerCase() !== 'origin' && h.toLowerCase() !== 'total'
-      );
-    }
-
-    console.log("Month columns:", monthColumns);
-
-    // Get data rows (skip header and filter empty rows)
-    const rows = jsonData.slice(headerRowIndex + 1).filter(row => 
-      row && row.length > 0 && (row[0] || row[1])
-    );
-
-    console.log("Number of data rows:", rows.length);
-
-    if (rows.length === 0) {
-      return res.status(404).json({
-        error: "No data rows found",
-        details: "The Excel file contains headers but no data rows",
-        headers: headers,
-      });
-    }
-
-    // Helper to safely parse numbers
-    const cleanNumber = (val) => {
-      if (val === null || val === undefined || val === "") return 0;
-      if (typeof val === "number") return val;
-      if (typeof val === "string") {
-        const cleaned = val.replace(/[^0-9.\-]/g, "");
-        return cleaned ? parseFloat(cleaned) : 0;
-      }
-      return 0;
-    };
+    // Month columns sit between Vendor and Total, or are everything except Buyer/Vendor/Total/Origin
+    const monthColumns = hasTotal
+      ? headers.slice(2, report.columns.total)
+      : headers.slice(2).filter(h =>
+          h.toLowerCase() !== 'origin' && h.toLowerCase() !== 'total'
+        );
 
-    // Parse data rows
-    const parsedData = rows.map((row) => {
-      const buyerRaw = row[0]?.toString().trim().toUpperCase() || "";
+    const parsedData = report.rows.map((row) => {
+      const buyerRaw = report.text(row, "buyer").toUpperCase();
       const obj = {
         buyer: buyerRaw,
-        vendor: row[1]?.toString().trim() || "",
+        vendor: report.text(row, "vendor"),
         isTotalRow: buyerRaw.endsWith(" TOTAL"),
       };
 
-      // Map month columns
       monthColumns.forEach((month) => {
-        const monthIndex = headers.indexOf(month);
-        obj[month] = cleanNumber(row[monthIndex]);
+        obj[month] = cleanNumber(row[headers.indexOf(month)]);
       });
 
-      // Add Total column if it exists
-      if (totalIndex !== -1) {
-        obj.total = cleanNumber(row[totalIndex]);
+      if (hasTotal) {
+        obj.total = cleanNumber(row[report.columns.total]);
       }
 
-      // Add Origin column if it exists
-      if (originIndex !== -1) {
-        obj.origin = row[originIndex]?.toString().trim() || "";
+      if (hasOrigin) {
+        obj.origin = report.text(row, "origin");
       }
 
       return obj;
     });
 
     // FILTER DATA BY CUSTOMER'S ALLOWED BUYERS
-    const filteredData = allowedBuyers.length > 0
-      ? parsedData.filter(row => {
-          const buyerName = row.buyer.replace(/ TOTAL$/, "").trim();
-          return allowedBuyers.includes(buyerName);
-        })
-      : parsedData; // If no buyers specified, return all data
-
-    console.log("Total parsed rows:", parsedData.length);
-    console.log("Filtered data rows:", filteredData.length);
+    // A customer without a buyer mapping sees nothing, not everyone's rows
+    const filteredData = parsedData.filter(row => {
+      const buyerName = row.buyer.replace(/ TOTAL$/, "").trim();
+      return allowedBuyers.includes(buyerName);
+    });
+
+    const exportOptions = {
+      title: "Volume by origin",
+      filename: "volume-origin",
+      columns: volumeExportColumns(monthColumns, [
+        ...(hasTotal ? [{ key: "total", header: "Total" }] : []),
+        ...(hasOrigin ? [{ key: "origin", header: "Origin" }] : []),
+      ]),
+    };
 
-    if (filteredData.length === 0 && allowedBuyers.length > 0) {
-      return res.json({
+    if (filteredData.length === 0) {
+      return sendDashboard(req, res, {
         success: true,
         data: {
           headers,
@@ -3279,12 +1436,15 @@ router.get("/customer/:customerId/volume-origin", async (req, res) => {
           },
           rowCount: 0,
           months: monthColumns,
-          hasTotal: totalIndex !== -1,
-          hasOrigin: originIndex !== -1,
+          hasTotal,
+          hasOrigin,
+          fileVersion: report.version,
         },
-        message: "No data available for your assigned buyers",
+        message: allowedBuyers.length > 0
+          ? "No data available for your assigned buyers"
+          : "No buyers are assigned to your account",
         customerBuyers: allowedBuyers
-      });
+      }, exportOptions);
     }
 
     // Calculate summary statistics BASED ON FILTERED DATA
@@ -3297,7 +1457,6 @@ router.get("/customer/:customerId/volume-origin", async (req, res) => {
       grandTotal: 0,
     };
 
-    // Calculate totals by month
     monthColumns.forEach((month) => {
       summary.totalsByMonth[month] = filteredData.reduce(
         (sum, row) => sum + (row[month] || 0),
@@ -3305,95 +1464,51 @@ router.get("/customer/:customerId/volume-origin", async (req, res) => {
       );
     });
 
-    // Calculate totals by buyer
+    // Use the Total column if available, otherwise sum months
     filteredData.forEach((row) => {
+      const rowTotal = hasTotal && row.total
+        ? row.total
+        : monthColumns.reduce((sum, month) => sum + (row[month] || 0), 0);
       if (row.buyer) {
-        if (!summary.totalsByBuyer[row.buyer]) {
-          summary.totalsByBuyer[row.buyer] = 0;
-        }
-        // Use the Total column if available, otherwise sum months
-        if (totalIndex !== -1 && row.total) {
-          summary.totalsByBuyer[row.buyer] += row.total;
-        } else {
-          monthColumns.forEach((month) => {
-            summary.totalsByBuyer[row.buyer] += row[month] || 0;
-          });
-        }
+        summary.totalsByBuyer[row.buyer] = (summary.totalsByBuyer[row.buyer] || 0) + rowTotal;
       }
-    });
-
-    // Calculate totals by vendor
-    filteredData.forEach((row) => {
       if (row.vendor) {
-        if (!summary.totalsByVendor[row.vendor]) {
-          summary.totalsByVendor[row.vendor] = 0;
-        }
-        // Use the Total column if available, otherwise sum months
-        if (totalIndex !== -1 && row.total) {
-          summary.totalsByVendor[row.vendor] += row.total;
-        } else {
-          monthColumns.forEach((month) => {
-            summary.totalsByVendor[row.vendor] += row[month] || 0;
-          });
-        }
+        summary.totalsByVendor[row.vendor] = (summary.totalsByVendor[row.vendor] || 0) + rowTotal;
       }
     });
 
-    // Calculate totals by origin (if origin column exists)
-    // Only use rows that are TOTAL rows (buyer totals) for origin aggregation
+    // Totals by origin use only buyer TOTAL rows (not vendor detail rows, not the grand total)
     let originData = [];
     let grandTotalValue = 0;
-    
-    if (originIndex !== -1 && totalIndex !== -1) {
-      // Process only buyer TOTAL rows (not vendor detail rows, not grand total)
-      // This will aggregate totals by origin for the filtered buyers only
+
+    if (hasOrigin && hasTotal) {
       filteredData.forEach((row) => {
-        if (row.isTotalRow && row.origin && row.total && 
-            !(row.buyer.toUpperCase().includes('GRAND') && row.buyer.toUpperCase().includes('TOTAL'))) {
-          
-          if (!summary.totalsByOrigin[row.origin]) {
-            summary.totalsByOrigin[row.origin] = 0;
-          }
-          summary.totalsByOrigin[row.origin] += row.total;
+        if (row.isTotalRow && row.origin && row.total &&
+            !(row.buyer.includes('GRAND') && row.buyer.includes('TOTAL'))) {
+          summary.totalsByOrigin[row.origin] = (summary.totalsByOrigin[row.origin] || 0) + row.total;
         }
       });
-      
-      // Calculate grand total from filtered buyer TOTAL rows (sum of all origins)
+
       grandTotalValue = Object.values(summary.totalsByOrigin).reduce(
         (sum, val) => sum + val,
         0
       );
-      
-      // Calculate percentages and prepare data for pie chart
-      Object.entries(summary.totalsByOrigin).forEach(([origin, value]) => {
-        const percentage = grandTotalValue > 0 ? (value / grandTotalValue) * 100 : 0;
-        originData.push({
-          origin: origin,
-          value: value,
-          percentage: percentage
-        });
-      });
-      
-      // Sort by value descending
-      originData.sort((a, b) => b.value - a.value);
-    }
 
-    // Calculate grand total
-    if (totalIndex !== -1) {
-      // If Total column exists, sum all totals
-      summary.grandTotal = filteredData.reduce(
-        (sum, row) => sum + (row.total || 0),
-        0
-      );
-    } else {
-      // Otherwise sum all months
-      summary.grandTotal = Object.values(summary.totalsByMonth).reduce(
-        (sum, val) => sum + val,
-        0
-      );
+      // Percentages for the pie chart, sorted by value descending
+      originData = Object.entries(summary.totalsByOrigin)
+        .map(([origin, value]) => ({
+          origin,
+          value,
+          percentage: grandTotalValue > 0 ? (value / grandTotalValue) * 100 : 0,
+        }))
+        .sort((a, b) => b.value - a.value);
     }
 
-    res.json({
+    summary.grandTotal = hasTotal
+      ? filteredData.reduce((sum, row) => sum + (row.total || 0), 0)
+      : Object.values(summary.totalsByMonth).reduce((sum, val) => sum + val, 0);
+
+    return sendDashboard(req, res, {
       success: true,
       data: {
         headers,
@@ -3401,314 +1516,20 @@ router.get("/customer/:customerId/volume-origin", async (req, res) => {
         summary,
         rowCount: filteredData.length,
         months: monthColumns,
-        hasTotal: totalIndex !== -1,
-        hasOrigin: originIndex !== -1,
+        hasTotal,
+        hasOrigin,
         originData: originData, // Array of {origin, value, percentage}
         grandTotalValue: grandTotalValue, // For reference
+        fileVersion: report.version,
       },
       customerBuyers: allowedBuyers, // Include for debugging/transparency
-    });
-  } catch (err) { 
-    console.error("Error fetching/parsing Excel file:", err.message);
-    console.error("Full error:", err);
-
-    if (err.response?.status === 404) {
-      return res.status(404).json({
-        error: "File not found",
-        details: "The Excel file URL is not accessible",
-      });
-    }
-
-    return res.status(500).json({
-      error: "Failed to fetch or parse Excel file",
-      details: err.message || "An unexpected error occurred",
-      stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
-    });
+    }, exportOptions);
+  } catch (err) {
+    return sendReportError(res, err);
   }
 });
 
-// router.get("/customer/:customerId/buyer-volume-shipped", async (req, res) => {
-//   try {
-//     const { customerId } = req.params;
-
-//     if (!customerId) {
-//       return res.status(401).json({
-//         error: "Unauthorized",
-//         details: "Customer ID is required"
-//       });
-//     }
-
-//     // Fetch customer's buyer name from metafield
-//     const customerQuery = `
-//       query getCustomerBuyer($customerId: ID!) {
-//         customer(id: $customerId) {
-//           id
-//           metafield(namespace: "custom", key: "business_name") {
-//             value
-//           }
-//         }
-//       }
-//     `;
-
-//     const customerResponse = await axios({
-//       method: "POST",
-//       url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-//       headers: {
-//         "Content-Type": "application/json",
-//         "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-//       },
-//       data: { 
-//         query: customerQuery, 
-//         variables: { customerId: `gid://shopify/Customer/${customerId}` }
-//       },
-//     });
-
-//     const buyerName = customerResponse.data?.data?.customer?.metafield?.value;
-    
-//     if (!buyerName) {
-//       return res.status(404).json({
-//         error: "Buyer name not found",
-//         details: "Customer does not have a buyer_name metafield assigned"
-//       });
-//     }
-
-//     const normalizedBuyerName = buyerName.trim().toUpperCase();
-//     console.log("Customer ID:", customerId);
-//     console.log("Customer buyer name:", normalizedBuyerName);
-
-//     // Fetch shop metafield for Excel file
-//     const query = `
-//       query getShopMetafield {
-//         shop {
-//           metafield(namespace: "custom", key: "volumeshippedytd") {
-//             id
-//             value
-//             type
-//           }
-//         }
-//       }
-//     `;
-
-//     const shopifyResponse = await axios({
-//       method: "POST",
-//       url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-//       headers: {
-//         "Content-Type": "application/json",
-//         "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-//       },
-//       data: { query },
-//     });
-
-//     const metafieldData = shopifyResponse.data?.data?.shop?.metafield;
-
-//     if (!metafieldData) {
-//       return res.status(404).json({
-//         error: "Excel file not found",
-//         details: "No volumeshippedytd metafield found"
-//       });
-//     }
-
-//     let fileUrl;
-
-//     if (metafieldData.type === "file_reference") {
-//       const fileId = metafieldData.value;
-//       const fileQuery = `
-//         query getFileUrl($fileId: ID!) {
-//           node(id: $fileId) {
-//             ... on GenericFile {
-//               url
-//             }
-//             ... on MediaImage {
-//               image {
-//                 url
-//               }
-//             }
-//           }
-//         }
-//       `;
-
-//       const fileResponse = await axios({
-//         method: "POST",
-//         url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-//         headers: {
-//           "Content-Type": "application/json",
-//           "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-//         },
-//         data: { query: fileQuery, variables: { fileId } },
-//       });
-
-//       fileUrl = fileResponse.data?.data?.node?.url || fileResponse.data?.data?.node?.image?.url;
-
-//       if (!fileUrl) {
-//         return res.status(404).json({
-//           error: "File URL not found",
-//           details: "Could not resolve file reference metafield",
-//         });
-//       }
-//     } else {
-//       fileUrl = metafieldData.value;
-//     }
-
-//     // Download and parse Excel file
-//     const fileResponse = await axios({
-//       method: "GET",
-//       url: fileUrl,
-//       responseType: "arraybuffer",
-//     });
-
-//     const XLSX = require("xlsx");
-//     const workbook = XLSX.read(fileResponse.data, { type: "buffer" });
-//     const sheetName = workbook.SheetNames[0];
-//     const worksheet = workbook.Sheets[sheetName];
-
-//     const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-//       header: 1,
-//       defval: "",
-//       blankrows: false,
-//       raw: false,
-//     });
-
-//     if (jsonData.length === 0) {
-//       return res.status(404).json({
-//         error: "Empty file",
-//         details: "The Excel file contains no data",
-//       });
-//     }
-
-//     // Find header row
-//     let headerRowIndex = 0;
-//     for (let i = 0; i < jsonData.length; i++) {
-//       if (jsonData[i] && jsonData[i].length > 0 && jsonData[i][0]) {
-//         headerRowIndex = i;
-//         break;
-//       }
-//     }
-
-//     const headers = jsonData[headerRowIndex].map((h) =>
-//       h?.toString().trim().replace(/\u00A0/g, " ").replace(/\s+/g, " ")
-//     );
-
-//     const rows = jsonData.slice(headerRowIndex + 1).filter(row => 
-//       row && row.length > 0 && (row[0] || row[1])
-//     );
-
-//     const cleanNumber = (val) => {
-//       if (val === null || val === undefined || val === "") return 0;
-//       if (typeof val === "number") return val;
-//       if (typeof val === "string") {
-//         const cleaned = val.replace(/[^0-9.\-]/g, "");
-//         return cleaned ? parseFloat(cleaned) : 0;
-//       }
-//       return 0;
-//     };
-
-//     // Parse all data rows
-//     const parsedData = rows.map((row) => {
-//       const obj = {
-//         buyer: row[0]?.toString().trim().toUpperCase() || "",
-//         vendor: row[1]?.toString().trim() || "",
-//       };
-
-//       headers.slice(2).forEach((month, index) => {
-//         obj[month] = cleanNumber(row[index + 2]);
-//       });
-
-//       return obj;
-//     });
-
-//     // Filter by customer's buyer name
-//     const customerData = parsedData.filter(row => row.buyer === normalizedBuyerName);
-
-//     console.log("Total rows in file:", parsedData.length);
-//     console.log("Rows for this buyer:", customerData.length);
-
-//     if (customerData.length === 0) {
-//       return res.json({
-//         success: true,
-//         data: {
-//           buyerName: normalizedBuyerName,
-//           suppliers: [],
-//           volumeBySupplier: {},
-//           volumeByMonth: {},
-//           grandTotal: 0
-//         },
-//         message: "No volume data found for this buyer"
-//       });
-//     }
-
-//     // Get unique suppliers for this buyer
-//     const suppliers = [...new Set(customerData.map(row => row.vendor))].filter(v => v);
-
-//     // Calculate volume by supplier (aggregated across all months)
-//     const volumeBySupplier = {};
-//     const monthColumns = headers.slice(2);
-
-//     customerData.forEach((row) => {
-//       if (row.vendor) {
-//         if (!volumeBySupplier[row.vendor]) {
-//           volumeBySupplier[row.vendor] = {
-//             totalVolume: 0,
-//             byMonth: {}
-//           };
-//         }
-        
-//         monthColumns.forEach((month) => {
-//           const value = row[month] || 0;
-//           volumeBySupplier[row.vendor].totalVolume += value;
-          
-//           if (!volumeBySupplier[row.vendor].byMonth[month]) {
-//             volumeBySupplier[row.vendor].byMonth[month] = 0;
-//           }
-//           volumeBySupplier[row.vendor].byMonth[month] += value;
-//         });
-//       }
-//     });
-
-//     // Calculate total volume by month (across all suppliers)
-//     const volumeByMonth = {};
-//     monthColumns.forEach((month) => {
-//       volumeByMonth[month] = customerData.reduce(
-//         (sum, row) => sum + (row[month] || 0),
-//         0
-//       );
-//     });
-
-//     // Calculate grand total
-//     const grandTotal = Object.values(volumeByMonth).reduce((sum, val) => sum + val, 0);
-
-//     res.json({
-//       success: true,
-//       data: {
-//         buyerName: normalizedBuyerName,
-//         suppliers: suppliers.sort(),
-//         volumeBySupplier,
-//         volumeByMonth,
-//         monthColumns,
-//         grandTotal,
-//         rowCount: customerData.length
-//       }
-//     });
-
-//   } catch (err) { 
-//     console.error("Error fetching/parsing Excel file:", err.message);
-//     console.error("Full error:", err);
-
-//     if (err.response?.status === 404) {
-//       return res.status(404).json({
-//         error: "File not found",
-//         details: "The Excel file URL is not accessible",
-//       });
-//     }
-
-//     return res.status(500).json({
-//       error: "Failed to fetch or parse Excel file",
-//       details: err.message || "An unexpected error occurred",
-//       stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
-//     });
-//   }
-// });
-
-router.get("/customer/:customerId/buyer-volume-shipped", async (req, res) => {
+router.get("/customer/:customerId/buyer-volume-shipped", customerAccess, async (req, res) => {
   try {
     const { customerId } = req.params;
 
@@ -3720,32 +1541,9 @@ router.get("/customer/:customerId/buyer-volume-shipped", async (req, res) => {
     }
 
     // Fetch customer's buyer name from metafield
-    const customerQuery = `
-      query getCustomerBuyer($customerId: ID!) {
-        customer(id: $customerId) {
-          id
-          metafield(namespace: "custom", key: "business_name") {
-            value
-          }
-        }
-      }
-    `;
+    const customer = await fetchCustomerFields(customerId, ["business_name"]);
+    const buyerName = customer?.metafields.business_name;
 
-    const customerResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { 
-        query: customerQuery, 
-        variables: { customerId: `gid://shopify/Customer/${customerId}` }
-      },
-    });
-
-    const buyerName = customerResponse.data?.data?.customer?.metafield?.value;
-    
     if (!buyerName) {
       return res.status(404).json({
         error: "Buyer name not found",
@@ -3754,175 +1552,35 @@ router.get("/customer/:customerId/buyer-volume-shipped", async (req, res) => {
     }
 
     const normalizedBuyerName = buyerName.trim().toUpperCase();
-    console.log("Customer ID:", customerId);
-    console.log("Customer buyer name:", normalizedBuyerName);
-
-    // Fetch shop metafield for Excel file
-    const query = `
-      query getShopMetafield {
-        shop {
-          metafield(namespace: "custom", key: "volumeshippedytd") {
-            id
-            value
-            type
-          }
-        }
-      }
-    `;
-
-    const shopifyResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { query },
-    });
-
-    const metafieldData = shopifyResponse.data?.data?.shop?.metafield;
 
-    if (!metafieldData) {
-      return res.status(404).json({
-        error: "Excel file not found",
-        details: "No volumeshippedytd metafield found"
-      });
-    }
-
-    let fileUrl;
-
-    if (metafieldData.type === "file_reference") {
-      const fileId = metafieldData.value;
-      const fileQuery = `
-        query getFileUrl($fileId: ID!) {
-          node(id: $fileId) {
-            ... on GenericFile {
-              url
-            }
-            ... on MediaImage {
-              image {
-                url
-              }
-            }
-          }
-        }
-      `;
-
-      const fileResponse = await axios({
-        method: "POST",
-        url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-        },
-        data: { query: fileQuery, variables: { fileId } },
-      });
+    const report = await loadReport(reportSchemas.volumeShipped);
+    const { headers } = report;
 
-      fileUrl = fileResponse.data?.data?.node?.url || fileResponse.data?.data?.node?.image?.url;
-
-      if (!fileUrl) {
-        return res.status(404).json({
-          error: "File URL not found",
-          details: "Could not resolve file reference metafield",
-        });
-      }
-    } else {
-      fileUrl = metafieldData.value;
-    }
-
-    // Download and parse Excel file
-    const fileResponse = await axios({
-      method: "GET",
-      url: fileUrl,
-      responseType: "arraybuffer",
-    });
-
-    const XLSX = require("xlsx");
-    const workbook = XLSX.read(fileResponse.data, { type: "buffer" });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1,
-      defval: "",
-      blankrows: false,
-      raw: false,
-    });
-
-    if (jsonData.length === 0) {
-      return res.status(404).json({
-        error: "Empty file",
-        details: "The Excel file contains no data",
-      });
-    }
-
-    // Find header row
-    let headerRowIndex = 0;
-    for (let i = 0; i < jsonData.length; i++) {
-      if (jsonData[i] && jsonData[i].length > 0 && jsonData[i][0]) {
-        headerRowIndex = i;
-        break;
-      }
-    }
-
-    const headers = jsonData[headerRowIndex].map((h) =>
-      h?.toString().trim().replace(/\u00A0/g, " ").replace(/\s+/g, " ")
-    );
-
-    const rows = jsonData.slice(headerRowIndex + 1).filter(row => 
-      row && row.length > 0 && (row[0] || row[1])
-    );
-
-    const cleanNumber = (val) => {
-      if (val === null || val === undefined || val === "") return 0;
-      if (typeof val === "number") return val;
-      if (typeof val === "string") {
-        const cleaned = val.replace(/[^0-9.\-]/g, "");
-        return cleaned ? parseFloat(cleaned) : 0;
-      }
-      return 0;
-    };
-
-    // Find column indices for vendor email and contact person
-    const vendorEmailIndex = headers.findIndex(h => 
-      h.toLowerCase().includes('vendor') && h.toLowerCase().includes('email')
-    );
-    const contactPersonIndex = headers.findIndex(h => 
-      h.toLowerCase().includes('contact') && h.toLowerCase().includes('person')
-    );
-
-    console.log("Vendor Email Column Index:", vendorEmailIndex);
-    console.log("Contact Person Column Index:", contactPersonIndex);
-
-    // Find where month columns start (typically after Buyer and Vendor columns)
-    const monthStartIndex = 2; // Adjust if your structure is different
+    // Month columns run from after Buyer and Vendor up to the vendor contact columns
+    const monthStartIndex = 2;
     const monthEndIndex = Math.min(
-      vendorEmailIndex !== -1 ? vendorEmailIndex : headers.length,
-      contactPersonIndex !== -1 ? contactPersonIndex : headers.length
+      report.has("vendorEmail") ? report.columns.vendorEmail : headers.length,
+      report.has("contactPerson") ? report.columns.contactPerson : headers.length
     );
-
-    // Parse all data rows
-    const parsedData = rows.map((row) => {
-      const obj = {
-        buyer: row[0]?.toString().trim().toUpperCase() || "",
-        vendor: row[1]?.toString().trim() || "",
-        vendorEmail: vendorEmailIndex !== -1 ? (row[vendorEmailIndex]?.toString().trim() || "") : "",
-        contactPerson: contactPersonIndex !== -1 ? (row[contactPersonIndex]?.toString().trim() || "") : "",
-      };
-
-      // Only parse month columns (between vendor name and contact info)
-      headers.slice(monthStartIndex, monthEndIndex).forEach((month, index) => {
-        obj[month] = cleanNumber(row[monthStartIndex + index]);
-      });
-
-      return obj;
-    });
+    const monthColumns = headers.slice(monthStartIndex, monthEndIndex);
 
     // Filter by customer's buyer name
-    const customerData = parsedData.filter(row => row.buyer === normalizedBuyerName);
+    const customerData = report.rows
+      .filter(row => report.text(row, "buyer").toUpperCase() === normalizedBuyerName)
+      .map((row) => {
+        const obj = {
+          buyer: normalizedBuyerName,
+          vendor: report.text(row, "vendor"),
+          vendorEmail: report.text(row, "vendorEmail"),
+          contactPerson: report.text(row, "contactPerson"),
+        };
+
+        monthColumns.forEach((month, index) => {
+          obj[month] = cleanNumber(row[monthStartIndex + index]);
+        });
 
-    console.log("Total rows in file:", parsedData.length);
-    console.log("Rows for this buyer:", customerData.length);
+        return obj;
+      });
 
     if (customerData.length === 0) {
       return res.json({
@@ -3932,52 +1590,37 @@ router.get("/customer/:customerId/buyer-volume-shipped", async (req, res) => {
           suppliers: [],
           volumeBySupplier: {},
           volumeByMonth: {},
-          grandTotal: 0
+          grandTotal: 0,
+          fileVersion: report.version,
         },
         message: "No volume data found for this buyer"
       });
     }
 
-    // Get unique suppliers for this buyer with their contact info
-    const supplierContactMap = {};
-    customerData.forEach(row => {
-      if (row.vendor && !supplierContactMap[row.vendor]) {
-        supplierContactMap[row.vendor] = {
-          email: row.vendorEmail,
-          contactPerson: row.contactPerson
-        };
-      }
-    });
-
-    const suppliers = Object.keys(supplierContactMap).filter(v => v).sort();
-
-    // Calculate volume by supplier (aggregated across all months)
+    // Calculate volume by supplier (aggregated across all months), keeping the first contact info seen
     const volumeBySupplier = {};
-    const monthColumns = headers.slice(monthStartIndex, monthEndIndex);
-
     customerData.forEach((row) => {
-      if (row.vendor) {
-        if (!volumeBySupplier[row.vendor]) {
-          volumeBySupplier[row.vendor] = {
-            totalVolume: 0,
-            byMonth: {},
-            email: row.vendorEmail,
-            contactPerson: row.contactPerson
-          };
-        }
-        
-        monthColumns.forEach((month) => {
-          const value = row[month] || 0;
-          volumeBySupplier[row.vendor].totalVolume += value;
-          
-          if (!volumeBySupplier[row.vendor].byMonth[month]) {
-            volumeBySupplier[row.vendor].byMonth[month] = 0;
-          }
-          volumeBySupplier[row.vendor].byMonth[month] += value;
-        });
+      if (!row.vendor) return;
+
+      if (!volumeBySupplier[row.vendor]) {
+        volumeBySupplier[row.vendor] = {
+          totalVolume: 0,
+          byMonth: {},
+          email: row.vendorEmail,
+          contactPerson: row.contactPerson
+        };
       }
+
+      monthColumns.forEach((month) => {
+        const value = row[month] || 0;
+        volumeBySupplier[row.vendor].totalVolume += value;
+        volumeBySupplier[row.vendor].byMonth[month] =
+          (volumeBySupplier[row.vendor].byMonth[month] || 0) + value;
+      });
     });
 
+    const suppliers = Object.keys(volumeBySupplier).sort();
+
     // Calculate total volume by month (across all suppliers)
     const volumeByMonth = {};
     monthColumns.forEach((month) => {
@@ -3987,7 +1630,6 @@ router.get("/customer/:customerId/buyer-volume-shipped", async (req, res) => {
       );
     });
 
-    // Calculate grand total
     const grandTotal = Object.values(volumeByMonth).reduce((sum, val) => sum + val, 0);
 
     res.json({
@@ -3999,30 +1641,17 @@ router.get("/customer/:customerId/buyer-volume-shipped", async (req, res) => {
         volumeByMonth,
         monthColumns,
         grandTotal,
-        rowCount: customerData.length
+        rowCount: customerData.length,
+        fileVersion: report.version,
       }
     });
 
-  } catch (err) { 
-    console.error("Error fetching/parsing Excel file:", err.message);
-    console.error("Full error:", err);
-
-    if (err.response?.status === 404) {
-      return res.status(404).json({
-        error: "File not found",
-        details: "The Excel file URL is not accessible",
-      });
-    }
-
-    return res.status(500).json({
-      error: "Failed to fetch or parse Excel file",
-      details: err.message || "An unexpected error occurred",
-      stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
-    });
+  } catch (err) {
+    return sendReportError(res, err);
   }
 });
 
-router.get("/customer/:customerId/recent-pos", async (req, res) => {
+router.get("/customer/:customerId/recent-pos", customerAccess, async (req, res) => {
   const { customerId } = req.params;
 
   if (!customerId) {
@@ -4033,206 +1662,15 @@ router.get("/customer/:customerId/recent-pos", async (req, res) => {
   }
 
   try {
-    console.log("📤 Fetching metafield for customer:", customerId);
-
-    // 1. Fetch the metafield
-    const query = `
-      query getCustomerMetafield($customerId: ID!) {
-        customer(id: $customerId) {
-          id
-          metafield(namespace: "custom", key: "recentpo") {
-            id
-            value
-            type
-          }
-        }
-      }
-    `;
-
-    const variables = {
-      customerId: `gid://shopify/Customer/${customerId}`,
-    };
-
-    const shopifyResponse = await axios({
-      method: "POST",
-      url: `https://${process.env.SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { query, variables },
-    });
-
-    const metafieldData = shopifyResponse.data?.data?.customer?.metafield;
-
-    if (!metafieldData) {
-      return res.status(404).json({
-        error: "Recent POs Excel file not found",
-        details: `No 'recentpo' metafield found for customer ${customerId}`,
-      });
-    }
-
-    console.log("✅ Metafield found, type:", metafieldData.type);
-
-    let fileUrl;
-
-    // 2. Resolve file URL
-    if (metafieldData.type === "file_reference") {
-      const fileId = metafieldData.value;
-      console.log("📤 Resolving file URL...");
-
-      const fileQuery = `
-        query getFileUrl($fileId: ID!) {
-          node(id: $fileId) {
-            ... on GenericFile {
-              url
-            }
-          }
-        }
-      `;
-
-      const fileResponse = await axios({
-        method: "POST",
-        url: `https://${process.env.SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-        },
-        data: { query: fileQuery, variables: { fileId } },
-        timeout: 10000,
-      });
-
-      fileUrl = fileResponse.data?.data?.node?.url;
-
-      if (!fileUrl) {
-        return res.status(404).json({
-          error: "File URL not found",
-          details: "Could not resolve file reference metafield",
-        });
-      }
-    } else {
-      fileUrl = metafieldData.value;
-    }
-
-    console.log("✅ File URL resolved, downloading...");
-
-    // 3. Download Excel file with size limit
-    const fileResponse = await axios({
-      method: "GET",
-      url: fileUrl,
-      responseType: "arraybuffer",
-      timeout: 30000,
-      maxContentLength: 10 * 1024 * 1024, // Limit to 10MB
-    });
-
-    console.log("📥 File downloaded:", fileResponse.data.length, "bytes");
-
-    // 4. Parse Excel efficiently
-    const XLSX = require("xlsx");
-    
-    // Use read options to reduce memory usage
-    const workbook = XLSX.read(fileResponse.data, { 
-      type: "buffer",
-      cellDates: true,
-      cellNF: false,
-      cellHTML: false
-    });
-
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-
-    // Get the range to avoid processing empty rows
-    const range = XLSX.utils.decode_range(worksheet['!ref']);
-    console.log(`📊 Sheet range: ${range.s.r} to ${range.e.r} rows`);
-
-    // Convert to JSON with raw values only
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1,
-      defval: "",
-      blankrows: false,
-      raw: false // Get string values to reduce memory
-    });
-
-    console.log("📊 Parsed rows:", jsonData.length);
-
-    if (jsonData.length === 0) {
-      return res.status(404).json({
-        error: "Empty file",
-        details: "The Excel file contains no data",
-      });
-    }
-
-    // Clean headers more thoroughly
-    const headers = jsonData[0].map(h => {
-      let cleaned = String(h || "")
-        .trim()
-        .replace(/\u00A0/g, " ")  // Non-breaking spaces
-        .replace(/\s+/g, " ")      // Multiple spaces to single space
-        .replace(/[\r\n\t]/g, ""); // Remove line breaks and tabs
-      return cleaned;
-    });
-
-    console.log("📋 Cleaned Headers:", headers);
+    const rowQuery = parseRowQuery(reportSchemas.recentPos, req.query);
+    const report = await loadReport(reportSchemas.recentPos, { customerId });
 
-    // Define columns to keep
-    const columnsToKeep = ["Purchase Order", "Supplier", "EWD", "AWD", "Due Date"];
-    
-    // Find indices with case-insensitive and flexible matching
-    const columnIndices = columnsToKeep.map(col => {
-      // Try exact match first
-      let index = headers.indexOf(col);
-      
-      // If not found, try case-insensitive match
-      if (index === -1) {
-        index = headers.findIndex(h => 
-          h.toLowerCase() === col.toLowerCase()
-        );
-      }
-      
-      // If still not found, try partial match (in case of extra characters)
-      if (index === -1) {
-        index = headers.findIndex(h => 
-          h.toLowerCase().includes(col.toLowerCase())
-        );
-      }
-      
-      return {
-        name: col,
-        index: index,
-        actualHeader: index !== -1 ? headers[index] : null
-      };
-    }).filter(col => col.index !== -1);
-
-    console.log("✅ Column indices found:", columnIndices);
-
-    // Log missing columns for debugging
-    const missingColumns = columnsToKeep.filter(col => 
-      !columnIndices.some(c => c.name === col)
-    );
-    if (missingColumns.length > 0) {
-      console.log("⚠️ Missing columns:", missingColumns);
-      console.log("Available headers:", headers);
-    }
+    // Columns returned to the dashboard
+    const columnsToKeep = ["purchaseOrder", "supplier", "ewd", "awd", "dueDate"];
 
-    // Also get indices for summary calculations
-    const delayDaysIdx = headers.findIndex(h => h.toLowerCase().includes("delay"));
-    const confirmedIdx = headers.findIndex(h => h.toLowerCase().includes("confirm"));
-    const supplierIdx = headers.findIndex(h => h.toLowerCase() === "supplier");
-
-    // Helper function
-    const cleanNumber = (val) => {
-      if (typeof val === "number") return val;
-      if (typeof val === "string") {
-        const cleaned = val.replace(/[^0-9.\-]/g, "");
-        return cleaned ? parseFloat(cleaned) : 0;
-      }
-      return 0;
-    };
+    // Summary covers every row matching the filters, not just the requested page
+    const { rows: matchingRows, pageRows, pagination } = applyRowQuery(report, report.rows, rowQuery);
 
-    // Process rows more efficiently - only keep required columns
-    const rows = jsonData.slice(1);
-    const parsedData = [];
-    
     let totalDelay = 0;
     let delayedCount = 0;
     let onTimeCount = 0;
@@ -4241,20 +1679,9 @@ router.get("/customer/:customerId/recent-pos", async (req, res) => {
     const supplierSet = new Set();
 
     // Single pass through data
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      const obj = {};
-      
-      // Only create object with required columns
-      for (let col of columnIndices) {
-        obj[col.name] = row[col.index] !== undefined ? row[col.index] : "";
-      }
-      
-      parsedData.push(obj);
-      
-      // Calculate stats (still using all columns for accuracy)
-      if (delayDaysIdx !== -1) {
-        const delayDays = cleanNumber(row[delayDaysIdx]);
+    for (const row of matchingRows) {
+      if (report.has("delayDays")) {
+        const delayDays = report.value(row, "delayDays");
         if (delayDays > 0) {
           totalDelay += delayDays;
           delayedCount++;
@@ -4263,24 +1690,23 @@ router.get("/customer/:customerId/recent-pos", async (req, res) => {
           onTimeCount++;
         }
       }
-      
-      if (confirmedIdx !== -1) {
-        const confirmed = String(row[confirmedIdx] || "").toLowerCase();
+
+      if (report.has("confirmed")) {
+        const confirmed = report.text(row, "confirmed").toLowerCase();
         if (confirmed === "yes" || confirmed === "y") {
           confirmedCount++;
         }
       }
-      
-      if (supplierIdx !== -1) {
-        const supplier = row[supplierIdx];
-        if (supplier) {
-          supplierSet.add(supplier);
-        }
+
+      const supplier = report.value(row, "supplier");
+      if (supplier) {
+        supplierSet.add(supplier);
       }
     }
 
     const avgDelay = delayedCount > 0 ? (totalDelay / delayedCount) : 0;
-    const totalPos = parsedData.length;
+    const totalPos = matchingRows.length;
+    const parsedData = pageRows.map(row => report.project(row, columnsToKeep));
 
     const summary = {
       totalPurchaseOrders: totalPos,
@@ -4294,51 +1720,28 @@ router.get("/customer/:customerId/recent-pos", async (req, res) => {
       supplierList: Array.from(supplierSet),
     };
 
-    console.log("✅ Processing complete");
-
-    // Clear variables to help GC
-    jsonData.length = 0;
-    rows.length = 0;
-
-    // Return only the column names that were found
-    const returnedHeaders = columnIndices.map(col => col.name);
-
-    res.json({
+    return sendDashboard(req, res, {
       success: true,
       data: {
-        headers: returnedHeaders,
+        headers: report.projectedHeaders(columnsToKeep),
         rows: parsedData,
         summary,
         rowCount: parsedData.length,
+        pagination,
+        query: rowQuery,
+        fileVersion: report.version,
       },
+    }, {
+      title: "Recent purchase orders",
+      filename: "recent-pos",
+      rows: matchingRows.map(row => report.project(row, columnsToKeep)),
     });
-
-    console.log("✅ Response sent");
-
   } catch (err) {
-    console.error("💥 ERROR:", err.message);
-
-    if (err.code === 'ECONNABORTED') {
-      return res.status(504).json({
-        error: "Request timeout",
-        details: "The file download or processing took too long",
-      });
-    }
-
-    if (err.response?.status === 404) {
-      return res.status(404).json({
-        error: "File not found",
-        details: "The Excel file URL is not accessible",
-      });
-    }
-
-    return res.status(500).json({
-      error: "Failed to fetch or parse Excel file",
-      details: err.message || "An unexpected error occurred",
-    });
+    return sendReportError(res, err);
   }
 });
-router.get("/customer/:customerId/buyer-recent-pos", async (req, res) => {
+
+router.get("/customer/:customerId/buyer-recent-pos", customerAccess, async (req, res) => {
   const { customerId } = req.params;
 
   if (!customerId) {
@@ -4349,35 +1752,11 @@ router.get("/customer/:customerId/buyer-recent-pos", async (req, res) => {
   }
 
   try {
-    console.log("📤 Fetching customer business name for:", customerId);
+    const rowQuery = parseRowQuery(reportSchemas.buyerRecentPos, req.query);
 
     // 1. Fetch the customer's business name metafield
-    const customerQuery = `
-      query getCustomerBusinessName($customerId: ID!) {
-        customer(id: $customerId) {
-          id
-          metafield(namespace: "custom", key: "business_name") {
-            value
-          }
-        }
-      }
-    `;
-
-    const customerVariables = {
-      customerId: `gid://shopify/Customer/${customerId}`,
-    };
-
-    const customerResponse = await axios({
-      method: "POST",
-      url: `https://${process.env.SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { query: customerQuery, variables: customerVariables },
-    });
-
-    const businessName = customerResponse.data?.data?.customer?.metafield?.value;
+    const customer = await fetchCustomerFields(customerId, ["business_name"]);
+    const businessName = customer?.metafields.business_name;
 
     if (!businessName) {
       return res.status(404).json({
@@ -4386,280 +1765,55 @@ router.get("/customer/:customerId/buyer-recent-pos", async (req, res) => {
       });
     }
 
-    console.log("✅ Business name found:", businessName);
-
-    // 2. Fetch the shop metafield containing the Excel file
-    console.log("📤 Fetching shop metafield for recent POs...");
-
-    const shopQuery = `
-      query getShopMetafield {
-        shop {
-          metafield(namespace: "custom", key: "buyerrecentpo") {
-            id
-            value
-            type
-          }
-        }
-      }
-    `;
-
-    const shopifyResponse = await axios({
-      method: "POST",
-      url: `https://${process.env.SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { query: shopQuery },
-    });
-
-    const metafieldData = shopifyResponse.data?.data?.shop?.metafield;
-
-    if (!metafieldData) {
-      return res.status(404).json({
-        error: "Recent POs Excel file not found",
-        details: "No 'recentpo' metafield found in shop metafields",
-      });
-    }
-
-    console.log("✅ Shop metafield found, type:", metafieldData.type);
-
-    let fileUrl;
-
-    // 3. Resolve file URL
-    if (metafieldData.type === "file_reference") {
-      const fileId = metafieldData.value;
-      console.log("📤 Resolving file URL...");
-
-      const fileQuery = `
-        query getFileUrl($fileId: ID!) {
-          node(id: $fileId) {
-            ... on GenericFile {
-              url
-            }
-          }
-        }
-      `;
-
-      const fileResponse = await axios({
-        method: "POST",
-        url: `https://${process.env.SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-        },
-        data: { query: fileQuery, variables: { fileId } },
-        timeout: 10000,
-      });
-
-      fileUrl = fileResponse.data?.data?.node?.url;
-
-      if (!fileUrl) {
-        return res.status(404).json({
-          error: "File URL not found",
-          details: "Could not resolve file reference metafield",
-        });
-      }
-    } else {
-      fileUrl = metafieldData.value;
-    }
-
-    console.log("✅ File URL resolved, downloading...");
-
-    // 4. Download Excel file with size limit
-    const fileResponse = await axios({
-      method: "GET",
-      url: fileUrl,
-      responseType: "arraybuffer",
-      timeout: 30000,
-      maxContentLength: 10 * 1024 * 1024, // Limit to 10MB
-    });
-
-    console.log("📥 File downloaded:", fileResponse.data.length, "bytes");
-
-    // 5. Parse Excel efficiently
-    const XLSX = require("xlsx");
-    
-    const workbook = XLSX.read(fileResponse.data, { 
-      type: "buffer",
-      cellDates: true,
-      cellNF: false,
-      cellHTML: false
-    });
-
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-
-    const range = XLSX.utils.decode_range(worksheet['!ref']);
-    console.log(`📊 Sheet range: ${range.s.r} to ${range.e.r} rows`);
-
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1,
-      defval: "",
-      blankrows: false,
-      raw: false
-    });
-
-    console.log("📊 Parsed rows:", jsonData.length);
-
-    if (jsonData.length === 0) {
-      return res.status(404).json({
-        error: "Empty file",
-        details: "The Excel file contains no data",
-      });
-    }
-
-    // Clean headers
-    const headers = jsonData[0].map(h => {
-      let cleaned = String(h || "")
-        .trim()
-        .replace(/\u00A0/g, " ")
-        .replace(/\s+/g, " ")
-        .replace(/[\r\n\t]/g, "");
-      return cleaned;
-    });
-
-    console.log("📋 Cleaned Headers:", headers);
-
-    // Define columns to keep (updated based on new Excel structure)
-    const columnsToKeep = ["Buyer", "Supplier", "PO No.", "Po Signed Date", "Ex factory Date"];
-    
-    // Find indices with flexible matching
-    const columnIndices = columnsToKeep.map(col => {
-      let index = headers.indexOf(col);
-      
-      if (index === -1) {
-        index = headers.findIndex(h => 
-          h.toLowerCase() === col.toLowerCase()
-        );
-      }
-      
-      if (index === -1) {
-        index = headers.findIndex(h => 
-          h.toLowerCase().includes(col.toLowerCase())
-        );
-      }
-      
-      return {
-        name: col,
-        index: index,
-        actualHeader: index !== -1 ? headers[index] : null
-      };
-    }).filter(col => col.index !== -1);
+    // 2. Load the shop-wide buyer PO workbook
+    const report = await loadReport(reportSchemas.buyerRecentPos);
 
-    console.log("✅ Column indices found:", columnIndices);
-
-    // Find Buyer column index for filtering
-    const buyerIdx = headers.findIndex(h => 
-      h.toLowerCase() === "buyer" || h.toLowerCase().includes("buyer")
-    );
-
-    if (buyerIdx === -1) {
+    if (!report.has("buyer")) {
       return res.status(500).json({
         error: "Invalid Excel structure",
         details: "Buyer column not found in Excel file",
       });
     }
 
-    // Log missing columns for debugging
-    const missingColumns = columnsToKeep.filter(col => 
-      !columnIndices.some(c => c.name === col)
-    );
-    if (missingColumns.length > 0) {
-      console.log("⚠️ Missing columns:", missingColumns);
-      console.log("Available headers:", headers);
-    }
+    const columnsToKeep = ["buyer", "supplier", "poNumber", "poSignedDate", "exFactoryDate"];
 
-    // Process rows and filter by business name
-    const rows = jsonData.slice(1);
-    const parsedData = [];
-    
-    let totalPos = 0;
-    const supplierSet = new Set();
+    // 3. Only include rows where Buyer matches the customer's business name
+    const buyerRows = report.rows.filter(
+      row => report.text(row, "buyer").toLowerCase() === businessName.toLowerCase()
+    );
 
-    // Single pass through data - filter and create objects
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      const buyerValue = String(row[buyerIdx] || "").trim();
-      
-      // Only include rows where Buyer matches the customer's business name
-      if (buyerValue.toLowerCase() === businessName.toLowerCase()) {
-        const obj = {};
-        
-        // Only create object with required columns
-        for (let col of columnIndices) {
-          obj[col.name] = row[col.index] !== undefined ? row[col.index] : "";
-        }
-        
-        parsedData.push(obj);
-        totalPos++;
-        
-        // Track unique suppliers
-        const supplierIdx = columnIndices.find(c => c.name === "Supplier")?.index;
-        if (supplierIdx !== undefined) {
-          const supplier = row[supplierIdx];
-          if (supplier) {
-            supplierSet.add(supplier);
-          }
-        }
-      }
-    }
+    // 4. Apply the request's filters; the summary covers all matches, rows only the requested page
+    const { rows: matchingRows, pageRows, pagination } = applyRowQuery(report, buyerRows, rowQuery);
+    const parsedData = pageRows.map(row => report.project(row, columnsToKeep));
+    const supplierSet = new Set(matchingRows.map(row => report.value(row, "supplier")).filter(Boolean));
 
-    console.log(`✅ Filtered ${totalPos} POs for business: ${businessName}`);
+    console.log(`✅ Filtered ${matchingRows.length} POs for business: ${businessName}`);
 
     const summary = {
       businessName: businessName,
-      totalPurchaseOrders: totalPos,
+      totalPurchaseOrders: matchingRows.length,
       uniqueSuppliers: supplierSet.size,
       supplierList: Array.from(supplierSet),
     };
 
-    console.log("✅ Processing complete");
-
-    // Clear variables to help GC
-    jsonData.length = 0;
-    rows.length = 0;
-
-    // Return only the column names that were found
-    const returnedHeaders = columnIndices.map(col => col.name);
-
     res.json({
       success: true,
       data: {
-        headers: returnedHeaders,
+        headers: report.projectedHeaders(columnsToKeep),
         rows: parsedData,
         summary,
         rowCount: parsedData.length,
+        pagination,
+        query: rowQuery,
+        fileVersion: report.version,
       },
     });
-
-    console.log("✅ Response sent");
-
   } catch (err) {
-    console.error("💥 ERROR:", err.message);
-
-    if (err.code === 'ECONNABORTED') {
-      return res.status(504).json({
-        error: "Request timeout",
-        details: "The file download or processing took too long",
-      });
-    }
-
-    if (err.response?.status === 404) {
-      return res.status(404).json({
-        error: "File not found",
-        details: "The Excel file URL is not accessible",
-      });
-    }
-
-    return res.status(500).json({
-      error: "Failed to fetch or parse Excel file",
-      details: err.message || "An unexpected error occurred",
-    });
+    return sendReportError(res, err);
   }
 });
 
-router.get("/customer/:customerId/supplier-info", async (req, res) => {
+router.get("/customer/:customerId/supplier-info", customerAccess, async (req, res) => {
   const { customerId } = req.params;
 
   if (!customerId) {
@@ -4670,153 +1824,24 @@ router.get("/customer/:customerId/supplier-info", async (req, res) => {
   }
 
   try {
-    // Fetch customer metafield for the supplier info Excel file
-    const customerMetafieldQuery = `
-      query getCustomerMetafield($customerId: ID!) {
-        customer(id: $customerId) {
-          id
-          email
-          metafield(namespace: "custom", key: "supplier_info") {
-            id
-            value
-            type
-          }
-        }
-      }
-    `;
+    const customer = await fetchCustomerFields(customerId);
 
-    const customerVariables = {
-      customerId: `gid://shopify/Customer/${customerId}`,
-    };
-
-    const shopifyResponse = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-      },
-      data: { query: customerMetafieldQuery, variables: customerVariables },
-    });
-
-    const customerData = shopifyResponse.data?.data?.customer;
-    const customerEmail = customerData?.email;
-
-    if (!customerEmail) {
+    if (!customer?.email) {
       return res.status(404).json({
         error: "Customer not found",
         details: `No customer found with ID ${customerId}`,
       });
     }
 
-    const metafieldData = customerData?.metafield;
-
-    if (!metafieldData) {
-      return res.status(404).json({
-        error: "Excel file not found",
-        details: "No customer metafield found for supplier information",
-      });
-    }
-
-    let fileUrl;
-
-    // Case 1: metafield type is file_reference
-    if (metafieldData.type === "file_reference") {
-      const fileId = metafieldData.value;
-
-      const fileQuery = `
-        query getFileUrl($fileId: ID!) {
-          node(id: $fileId) {
-            ... on GenericFile {
-              url
-            }
-            ... on MediaImage {
-              image {
-                url
-              }
-            }
-          }
-        }
-      `;
-
-      const fileResponse = await axios({
-        method: "POST",
-        url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN,
-        },
-        data: { query: fileQuery, variables: { fileId } },
-      });
-
-      fileUrl =
-        fileResponse.data?.data?.node?.url ||
-        fileResponse.data?.data?.node?.image?.url;
-
-      if (!fileUrl) {
-        return res.status(404).json({
-          error: "File URL not found",
-          details: "Could not resolve file reference metafield",
-        });
-      }
-    } else {
-      // Case 2: direct URL stored as value
-      fileUrl = metafieldData.value;
-    }
-
-    // Download the file
-    const fileResponse = await axios({
-      method: "GET",
-      url: fileUrl,
-      responseType: "arraybuffer",
-    });
-
-    const XLSX = require("xlsx");
-    const workbook = XLSX.read(fileResponse.data, { type: "buffer" });
-
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1,
-      defval: "",
-      blankrows: false,
-      raw: false,
-    });
-
-    if (jsonData.length === 0) {
-      return res.status(404).json({
-        error: "Empty file",
-        details: "The Excel file contains no data",
-      });
-    }
-
-    // Clean and normalize headers
-    const headers = jsonData[0].map(h =>
-      h?.toString().trim().replace(/\u00A0/g, " ")
-    );
-
-    console.log("Supplier Info Headers found:", headers);
-
-    const rows = jsonData.slice(1);
-
-    const parsedData = rows.map((row) => {
-      const obj = {};
-      headers.forEach((header, index) => {
-        obj[header] = row[index] !== undefined ? row[index] : "";
-      });
-      return obj;
-    });
+    const report = await loadReport(reportSchemas.supplierInfo, { customerId });
 
     // Transform all rows to supplier format
-    // If you want to filter by customer, uncomment the filter logic
-    const suppliers = parsedData
-      // .filter(row => row["Buyer Email"]?.toString().toLowerCase().trim() === customerEmail.toLowerCase().trim())
+    const suppliers = report.rows
       .map((row, index) => ({
         id: index + 1,
-        company: row["Supplier Name"] || row["Company"] || row["Supplier"] || "",
-        contactPerson: row["Contact person"] || row["Contact"] || "",
-        email: row["Email ID"] || row["Supplier Email"] || "",
+        company: report.text(row, "company"),
+        contactPerson: report.text(row, "contactPerson"),
+        email: report.text(row, "email"),
       }))
       .filter(s => s.company); // Filter out empty entries
 
@@ -4832,23 +1857,11 @@ router.get("/customer/:customerId/supplier-info", async (req, res) => {
       data: {
         suppliers,
         totalSuppliers: suppliers.length,
+        fileVersion: report.version,
       },
     });
   } catch (err) {
-    console.error("Error fetching/parsing supplier info:", err.message);
-    console.error("Full error:", err);
-
-    if (err.response?.status === 404) {
-      return res.status(404).json({
-        error: "File not found",
-        details: "The Excel file URL is not accessible",
-      });
-    }
-
-    return res.status(500).json({
-      error: "Failed to fetch or parse Excel file",
-      details: err.message || "An unexpected error occurred",
-    });
+    return sendReportError(res, err);
   }
 });
 // Export the router to be used in server.js
@@ -1,51 +1,7 @@
 const express = require("express");
-const axios = require("axios");
 const router = express.Router();
-
-// Shopify GraphQL Fetcher
-async function shopifyGraphQL(query, variables = {}) {
-  const url = `https://${process.env.SHOPIFY_STORE}/admin/api/2025-07/graphql.json`;
-
-  try {
-    const response = await axios({
-      url,
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-      },
-      data: JSON.stringify({ query, variables }),
-    });
-
-    if (response.data.errors) {
-      throw new Error(JSON.stringify(response.data.errors));
-    }
-
-    return response.data.data;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(
-        `Shopify GraphQL error: ${error.response.status} ${error.response.statusText} - ${JSON.stringify(error.response.data)}`
-      );
-    } else {
-      throw new Error(`Shopify GraphQL request failed: ${error.message}`);
-    }
-  }
-}
-
-// Helper function to normalize product IDs
-function normalizeProductId(id) {
-  if (typeof id === 'string') {
-    // If it's a Global ID, extract the numeric part
-    if (id.includes('gid://shopify/Product/')) {
-      return id.split('/').pop();
-    }
-    // If it's already numeric string, return as is
-    return id;
-  }
-  // If it's a number, convert to string
-  return id.toString();
-}
+const { shopifyGraphQL } = require("../services/shopifyAdmin.js");
+const { normalizeProductId, normalizeVariantId, readWishlist } = require("../services/wishlistOperations.js");
 
 router.post("/get", async (req, res) => {
   try {
@@ -67,80 +23,21 @@ router.post("/get", async (req, res) => {
 
     console.log('Using customer GID:', customerGID); // Debug log
 
-    // Step 1: Fetch customer metafields
-    const customerMetafields = await shopifyGraphQL(
-      `
-      query getCustomerMetafields($id: ID!) {
-        customer(id: $id) {
-          id
-          metafields(first: 10, namespace: "custom") {
-            edges {
-              node {
-                namespace
-                key
-                type
-                value
-                reference {
-                ... on GenericFile{
-                url
-                }
-                ... on MediaImage {
-                  image {
-                    url
-                  }
-                }
-                  }
-              }
-            }
-          }
-        }
-      }
-    `,
-      { id: customerGID }
-    );
-
-    console.log('Customer metafields response:', JSON.stringify(customerMetafields, null, 2)); // Debug log
-
-    if (!customerMetafields.customer) {
+    // Step 1: Fetch the wishlist items
+    const items = await readWishlist(customerGID);
+    if (!items) {
       return res.json({ success: false, error: "Customer not found" });
     }
 
-    const wishlistField = customerMetafields.customer.metafields.edges.find(
-      (edge) => edge.node.key === "wishlist"
-    );
-
-    if (!wishlistField) {
-      console.log('No wishlist metafield found'); // Debug log
-      return res.json({ success: true, products: [] });
-    }
-
-    console.log('Wishlist metafield value:', wishlistField.node.value); // Debug log
+    console.log('Wishlist items:', items.length); // Debug log
 
-    let productIds;
-    try {
-      productIds = JSON.parse(wishlistField.node.value);
-      if (!Array.isArray(productIds)) {
-        console.log('Wishlist is not an array:', productIds); // Debug log
-        productIds = [];
-      }
-    } catch (e) {
-      console.log('Failed to parse wishlist JSON:', e.message); // Debug log
-      productIds = [];
+    if (items.length === 0) {
+      return res.json({ success: true, products: [], items: [] });
     }
 
-    console.log('Parsed product IDs:', productIds); // Debug log
-
-    if (productIds.length === 0) {
-      return res.json({ success: true, products: [] });
-    }
-
-    // Step 2: Normalize all product IDs and create GraphQL IDs
-    const productGIDs = productIds.map(id => {
-      const numericId = normalizeProductId(id);
-      return `gid://shopify/Product/${numericId}`;
-    });
-
-    console.log('Product GIDs for GraphQL:', productGIDs); // Debug log
+    // Step 2: Fetch products and saved variants in one query
+    const productGIDs = [...new Set(items.map((item) => `gid://shopify/Product/${normalizeProductId(item.productId)}`))];
+    const variantGIDs = [...new Set(items.filter((item) => item.variantId).map((item) => item.variantId))];
 
     const productQuery = `
       query getProducts($ids: [ID!]!) {
@@ -161,18 +58,24 @@ router.post("/get", async (req, res) => {
               }
             }
           }
+          ... on ProductVariant {
+            id
+            title
+            sku
+            price
+            availableForSale
+            image { url }
+            selectedOptions { name value }
+          }
         }
       }
     `;
 
-    const productsResp = await shopifyGraphQL(productQuery, { ids: productGIDs });
-
-    console.log('Products response:', JSON.stringify(productsResp, null, 2)); // Debug log
+    const productsResp = await shopifyGraphQL(productQuery, { ids: [...productGIDs, ...variantGIDs] });
+    const nodes = (productsResp.nodes || []).filter(Boolean);
 
     // Format products
-    const products = (productsResp.nodes || []).map((product) => {
-      if (!product) return null;
-
+    const products = nodes.filter((node) => node.id.startsWith("gid://shopify/Product/")).map((product) => {
       const metafields = product.metafields.edges.map((edge) => edge.node);
 
       return {
@@ -188,19 +91,44 @@ router.post("/get", async (req, res) => {
         group_catalogue:
           metafields.find((m) => m.key === "group_catalogue")?.reference?.image?.url || null,
       };
-    }).filter(Boolean);
-
-    // Keep order as per wishlist
-    const orderedProducts = productIds
-      .map((id) => {
-        const numericId = normalizeProductId(id);
-        return products.find((p) => p.id === numericId);
-      })
-      .filter(Boolean);
+    });
 
-    console.log('Final ordered products:', orderedProducts); // Debug log
+    const variants = new Map(
+      nodes
+        .filter((node) => node.id.startsWith("gid://shopify/ProductVariant/"))
+        .map((variant) => [
+          variant.id,
+          {
+            id: normalizeVariantId(variant.id),
+            title: variant.title,
+            sku: variant.sku || "",
+            price: variant.price,
+            available: variant.availableForSale,
+            image: variant.image?.url || null,
+            options: variant.selectedOptions || [],
+          },
+        ])
+    );
+
+    // Keep order as per wishlist; products that no longer exist are left out
+    const orderedProducts = productGIDs
+      .map((gid) => products.find((p) => p.id === normalizeProductId(gid)))
+      .filter(Boolean);
 
-    res.json({ success: true, products: orderedProducts });
+    const wishlistItems = items
+      .map((item) => ({
+        productId: normalizeProductId(item.productId),
+        variantId: normalizeVariantId(item.variantId),
+        quantity: item.quantity,
+        note: item.note,
+        addedAt: item.addedAt,
+        updatedAt: item.updatedAt,
+        product: products.find((p) => p.id === normalizeProductId(item.productId)) || null,
+        variant: item.variantId ? variants.get(item.variantId) || null : null,
+      }))
+      .filter((item) => item.product);
+
+    res.json({ success: true, products: orderedProducts, items: wishlistItems });
   } catch (error) {
     console.error("Error getting wishlist:", error);
     res.json({ success: false, error: error.message || "Internal server error" });
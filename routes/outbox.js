@@ -0,0 +1,78 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateCaller, loadPrincipal, requirePermission } = require("../middleware/authorize.js");
+const { getOperation, listOperations, replayOperation } = require("../services/shopifyOutbox.js");
+require("../services/wishlistOperations.js");
+
+/**
+ * Shopify outbox (mounted at /outbox).
+ *
+ *   GET  /operations/:operationId         - poll a queued write (outbox:manage, or the
+ *                                           customer the write is for)
+ *   GET  /operations?status=dead|pending|failed|succeeded
+ *                                         - ops view with parameters and last error
+ *   POST /operations/:operationId/replay  - retry a dead-lettered write
+ */
+
+const OPERATION_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const STATUSES = ["pending", "running", "succeeded", "failed", "dead"];
+
+router.get("/operations", requirePermission("outbox:manage"), async (req, res) => {
+  const { status = "dead" } = req.query;
+  const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 500);
+  if (!STATUSES.includes(status)) {
+    return res.status(400).json({ error: "Invalid status", details: `status must be one of: ${STATUSES.join(", ")}` });
+  }
+
+  try {
+    res.json({ success: true, data: { operations: await listOperations({ status, limit }) } });
+  } catch (error) {
+    console.error("❌ Error listing outbox operations:", error);
+    res.status(500).json({ error: "Failed to list outbox operations", details: error.message });
+  }
+});
+
+router.get("/operations/:operationId", authenticateCaller, loadPrincipal, async (req, res) => {
+  const { operationId } = req.params;
+  const { principal } = req;
+  if (!OPERATION_ID_PATTERN.test(operationId)) {
+    return res.status(404).json({ error: "Operation not found", details: "Unknown operation ID" });
+  }
+
+  try {
+    const found = await getOperation(operationId, { withParams: true });
+    // Someone else's operation gets the same 404 as a missing one
+    const allowed =
+      found &&
+      (principal.can("outbox:manage") ||
+        (principal.customerId && String(found.params.customerId).split("/").pop() === principal.customerId));
+    if (!allowed) {
+      return res.status(404).json({ error: "Operation not found", details: "Unknown operation ID" });
+    }
+
+    const { params, ...operation } = found;
+    res.json({ success: true, data: operation });
+  } catch (error) {
+    console.error(`❌ Error loading outbox operation ${operationId}:`, error);
+    res.status(500).json({ error: "Failed to load operation", details: error.message });
+  }
+});
+
+router.post("/operations/:operationId/replay", requirePermission("outbox:manage"), async (req, res) => {
+  const { operationId } = req.params;
+  const actor = req.principal.subject || req.principal.via;
+
+  try {
+    const operation = OPERATION_ID_PATTERN.test(operationId) ? await replayOperation(operationId, actor) : null;
+    if (!operation) {
+      return res.status(404).json({ error: "Operation not found", details: "No dead-lettered operation with this ID" });
+    }
+    console.log(`✅ Outbox operation ${operationId} replayed by ${actor}: ${operation.status}`);
+    res.json({ success: true, data: operation });
+  } catch (error) {
+    console.error(`❌ Error replaying outbox operation ${operationId}:`, error);
+    res.status(500).json({ error: "Failed to replay operation", details: error.message });
+  }
+});
+
+module.exports = router;
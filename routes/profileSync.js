@@ -0,0 +1,107 @@
+const express = require("express");
+const router = express.Router();
+const { requirePermission } = require("../middleware/authorize.js");
+const {
+  listConflicts,
+  resolveConflict,
+  listPushQueue,
+  retryPush,
+  scanProfiles,
+} = require("../services/profileSync.js");
+
+/**
+ * Profile sync administration (mounted at /admin/profile-sync).
+ *
+ *   GET  /conflicts?status=open|resolved&customerId=
+ *   POST /conflicts/:conflictId/resolve { keep: "firestore"|"shopify" }
+ *   GET  /queue?status=pending|failed
+ *   POST /queue/:customerId/retry
+ *   POST /scan { customerId? }
+ */
+
+router.use(requirePermission("profileSync:manage"));
+
+const actorOf = (req) => req.principal.subject || req.principal.via;
+
+function invalidCustomerId(res, customerId) {
+  if (/^\d+$/.test(String(customerId))) return false;
+  res.status(400).json({ error: "Invalid customerId", details: "customerId must be a numeric value" });
+  return true;
+}
+
+router.get("/conflicts", async (req, res) => {
+  const { status = "open", customerId } = req.query;
+  if (!["open", "resolved"].includes(status)) {
+    return res.status(400).json({ error: "Invalid status", details: "status must be open or resolved" });
+  }
+  if (customerId && invalidCustomerId(res, customerId)) return;
+
+  try {
+    res.json({ success: true, data: { conflicts: await listConflicts({ status, customerId }) } });
+  } catch (error) {
+    console.error("❌ Error listing profile conflicts:", error);
+    res.status(500).json({ error: "Failed to list profile conflicts", details: error.message });
+  }
+});
+
+router.post("/conflicts/:conflictId/resolve", async (req, res) => {
+  const { keep } = req.body || {};
+  if (!["firestore", "shopify"].includes(keep)) {
+    return res.status(400).json({ error: "Invalid resolution", details: "keep must be firestore or shopify" });
+  }
+
+  try {
+    const result = await resolveConflict(req.params.conflictId, keep, actorOf(req));
+    if (!result) {
+      return res.status(404).json({ error: "Conflict not found", details: "No open conflict with this ID" });
+    }
+    console.log(`✅ Profile conflict ${req.params.conflictId} resolved by ${actorOf(req)}: kept ${keep}`);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error("❌ Error resolving profile conflict:", error);
+    res.status(500).json({ error: "Failed to resolve profile conflict", details: error.message });
+  }
+});
+
+router.get("/queue", async (req, res) => {
+  const { status } = req.query;
+  if (status && !["pending", "failed"].includes(status)) {
+    return res.status(400).json({ error: "Invalid status", details: "status must be pending or failed" });
+  }
+
+  try {
+    res.json({ success: true, data: { queue: await listPushQueue({ status }) } });
+  } catch (error) {
+    console.error("❌ Error listing profile push queue:", error);
+    res.status(500).json({ error: "Failed to list profile push queue", details: error.message });
+  }
+});
+
+router.post("/queue/:customerId/retry", async (req, res) => {
+  if (invalidCustomerId(res, req.params.customerId)) return;
+
+  try {
+    const result = await retryPush(req.params.customerId);
+    if (!result) {
+      return res.status(404).json({ error: "Nothing queued", details: "No queued push for this customer" });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error("❌ Error retrying profile push:", error);
+    res.status(500).json({ error: "Failed to retry profile push", details: error.message });
+  }
+});
+
+router.post("/scan", async (req, res) => {
+  const { customerId } = req.body || {};
+  if (customerId && invalidCustomerId(res, customerId)) return;
+
+  try {
+    res.json({ success: true, data: await scanProfiles({ customerId }) });
+  } catch (error) {
+    console.error("❌ Error scanning profiles:", error);
+    res.status(500).json({ error: "Failed to scan profiles", details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require("express");
+const router = express.Router();
+const { requirePermission } = require("../middleware/authorize.js");
+const { ReportError, loadReport, sendReportError } = require("../services/reportIngestion.js");
+const {
+  XLSX_MIME_TYPE,
+  schemaForReportType,
+  reportTypes,
+  isXlsx,
+  checksumOf,
+  validateWorkbook,
+  diffReports,
+  recordDryRun,
+  hasDryRun,
+  publishWorkbook,
+} = require("../services/reportPublisher.js");
+
+// Workbooks are sent as the raw request body (Content-Type: the xlsx MIME type or application/octet-stream)
+// Parsed before authentication so signed requests can be checked against the body hash
+const workbookBody = express.raw({
+  type: [XLSX_MIME_TYPE, "application/octet-stream"],
+  limit: process.env.REPORT_UPLOAD_LIMIT || "15mb",
+});
+
+/**
+ * Resolve the report schema and uploaded workbook shared by dry-run and publish.
+ * Sends the error response and returns null when the request is unusable.
+ */
+function readUpload(req, res) {
+  const { reportType } = req.params;
+  const { customerId } = req.query;
+
+  const schema = schemaForReportType(reportType);
+  if (!schema) {
+    res.status(404).json({
+      error: "Unknown report type",
+      details: `Report type must be one of: ${reportTypes().join(", ")}`,
+    });
+    return null;
+  }
+
+  if (schema.metafield.owner === "customer" && !customerId) {
+    res.status(400).json({
+      error: "Customer ID is required",
+      details: `The ${reportType} report is stored per customer; pass ?customerId=`,
+    });
+    return null;
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    res.status(400).json({
+      error: "No file uploaded",
+      details: `Send the workbook as the request body with Content-Type ${XLSX_MIME_TYPE}`,
+    });
+    return null;
+  }
+
+  if (!isXlsx(req.body)) {
+    res.status(415).json({
+      error: "Unsupported file type",
+      details: "Only .xlsx workbooks can be uploaded",
+    });
+    return null;
+  }
+
+  return { schema, reportType, customerId, buffer: req.body, checksum: checksumOf(req.body) };
+}
+
+// Currently published report, or null if there is none (or it cannot be read)
+async function loadBaseline(schema, customerId, warnings) {
+  try {
+    return await loadReport(schema, { customerId });
+  } catch (err) {
+    if (!(err instanceof ReportError && err.status === 404 && err.error === "Excel file not found")) {
+      warnings.push(`Current ${schema.metafield.key} workbook could not be loaded for comparison: ${err.details || err.message}`);
+    }
+    return null;
+  }
+}
+
+const validationSummary = (validation) => ({
+  valid: validation.valid,
+  errors: validation.errors,
+  warnings: validation.warnings,
+  columns: validation.columns,
+  fiscalYear: validation.fiscalYear || null,
+  rowCount: validation.report ? validation.report.rows.length : 0,
+});
+
+// List the report types and the columns each upload is checked against
+router.get("/types", requirePermission("reports:upload"), (req, res) => {
+  const types = reportTypes().map((reportType) => {
+    const schema = schemaForReportType(reportType);
+    return {
+      reportType,
+      label: schema.label,
+      owner: schema.metafield.owner,
+      identity: schema.identity || [],
+      columns: Object.entries(schema.columns).map(([key, spec]) => ({
+        key,
+        header: spec.header,
+        aliases: spec.aliases || [],
+        required: Boolean(spec.required),
+      })),
+    };
+  });
+
+  res.json({ success: true, data: types });
+});
+
+// Validate an upload and diff it against the published workbook without changing anything
+router.post("/:reportType/dry-run", workbookBody, requirePermission("reports:upload"), async (req, res) => {
+  const upload = readUpload(req, res);
+  if (!upload) return;
+
+  const { schema, reportType, customerId, buffer, checksum } = upload;
+
+  try {
+    const validation = validateWorkbook(schema, buffer, { customerId });
+    const summary = validationSummary(validation);
+
+    let diff = null;
+    if (validation.report) {
+      const current = await loadBaseline(schema, customerId, summary.warnings);
+      diff = diffReports(current, validation.report);
+    }
+
+    if (validation.valid) {
+      await recordDryRun(schema, customerId, checksum, req.principal.subject || req.principal.via);
+    }
+
+    console.log(`🧪 Dry run for ${reportType}${customerId ? ` (customer ${customerId})` : ""}:`, validation.valid ? "valid" : validation.errors);
+
+    res.status(validation.valid ? 200 : 422).json({
+      success: validation.valid,
+      data: {
+        reportType,
+        customerId: customerId || null,
+        checksum,
+        size: buffer.length,
+        validation: summary,
+        diff,
+      },
+    });
+  } catch (err) {
+    sendReportError(res, err);
+  }
+});
+
+/**
+ * Publish an upload to Shopify Files and update the report metafield.
+ * Requires a recorded, valid dry run of the same file (for the same report
+ * and customer) so nothing is published that has not been reviewed; callers
+ * pass the dry run's ?checksum= to show which file they reviewed.
+ */
+router.post("/:reportType/publish", workbookBody, requirePermission("reports:upload"), async (req, res) => {
+  const upload = readUpload(req, res);
+  if (!upload) return;
+
+  const { schema, reportType, customerId, buffer, checksum } = upload;
+
+  try {
+    if (req.query.checksum !== checksum || !(await hasDryRun(schema, customerId, checksum))) {
+      return res.status(409).json({
+        error: "Dry run required",
+        details: "Run a dry run for this file first and pass its checksum as ?checksum=",
+      });
+    }
+
+    const validation = validateWorkbook(schema, buffer, { customerId });
+    if (!validation.valid) {
+      return res.status(422).json({
+        error: "Invalid workbook",
+        details: validation.errors.join("; "),
+        validation: validationSummary(validation),
+      });
+    }
+
+    const filename = req.query.filename || `${reportType}-${new Date().toISOString().slice(0, 10)}.xlsx`;
+    const published = await publishWorkbook(schema, buffer, {
+      filename,
+      customerId,
+      report: validation.report,
+    });
+
+    console.log(`✅ Published ${reportType}${customerId ? ` for customer ${customerId}` : ""}:`, published.fileId);
+
+    res.json({
+      success: true,
+      message: `${schema.label} workbook published`,
+      data: {
+        reportType,
+        customerId: customerId || null,
+        checksum,
+        rowCount: validation.report.rows.length,
+        warnings: validation.warnings,
+        ...published,
+      },
+    });
+  } catch (err) {
+    sendReportError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateCaller, loadPrincipal, requirePermission } = require("../middleware/authorize.js");
+const {
+  PERMISSIONS,
+  ROLE_NAME_PATTERN,
+  SUBJECT_PATTERN,
+  getRoles,
+  unknownPermissions,
+  defineRole,
+  getAssignment,
+  grantRole,
+  revokeRole,
+} = require("../services/rbac.js");
+
+/**
+ * Role administration (mounted at /admin/roles).
+ * Subjects are "user:<firebase uid>" or "customer:<shopify customer id>".
+ */
+
+// Actor recorded in the audit log for a change
+const actorOf = (req) => req.principal.subject || req.principal.via;
+
+function invalidSubject(res, subject) {
+  if (SUBJECT_PATTERN.test(subject)) return false;
+  res.status(400).json({
+    error: "Invalid subject",
+    details: "subject must be user:<firebase uid> or customer:<shopify customer id>",
+  });
+  return true;
+}
+
+// The caller's own roles and permissions
+router.get("/me", authenticateCaller, loadPrincipal, (req, res) => {
+  const { subject, customerId, via, roles, permissions } = req.principal;
+  res.json({ success: true, data: { subject, customerId, via, roles, permissions } });
+});
+
+router.get("/", requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const roles = await getRoles();
+    res.json({ success: true, data: { roles: Object.values(roles), permissions: PERMISSIONS } });
+  } catch (error) {
+    console.error("❌ Error fetching roles:", error);
+    res.status(500).json({ error: "Failed to fetch roles", details: error.message });
+  }
+});
+
+// Create or replace a role: { permissions: [...], description }
+router.put("/:role", requirePermission("roles:manage"), async (req, res) => {
+  const { role } = req.params;
+  const { permissions, description } = req.body || {};
+
+  if (!ROLE_NAME_PATTERN.test(role)) {
+    return res.status(400).json({
+      error: "Invalid role name",
+      details: "Role names are 2-32 lowercase letters, digits, - or _, starting with a letter",
+    });
+  }
+
+  if (!Array.isArray(permissions) || permissions.some((permission) => typeof permission !== "string")) {
+    return res.status(400).json({
+      error: "Invalid permissions",
+      details: "permissions must be an array of permission names",
+    });
+  }
+
+  const unknown = unknownPermissions(permissions);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: "Unknown permissions",
+      details: `Unknown permissions: ${unknown.join(", ")}`,
+      availablePermissions: Object.keys(PERMISSIONS),
+    });
+  }
+
+  if (role === "admin" && !permissions.includes("*")) {
+    return res.status(400).json({
+      error: "Invalid permissions",
+      details: "The admin role must keep the * permission",
+    });
+  }
+
+  try {
+    const saved = await defineRole(role, { permissions, description: description || "" }, actorOf(req));
+    console.log(`✅ Role ${role} saved by ${actorOf(req)}:`, permissions);
+    res.json({ success: true, data: saved });
+  } catch (error) {
+    console.error("❌ Error saving role:", error);
+    res.status(500).json({ error: "Failed to save role", details: error.message });
+  }
+});
+
+router.get("/assignments/:subject", requirePermission("roles:manage"), async (req, res) => {
+  const { subject } = req.params;
+  if (invalidSubject(res, subject)) return;
+
+  try {
+    res.json({ success: true, data: await getAssignment(subject) });
+  } catch (error) {
+    console.error("❌ Error fetching role assignment:", error);
+    res.status(500).json({ error: "Failed to fetch role assignment", details: error.message });
+  }
+});
+
+// Grant a role: { role }
+router.post("/assignments/:subject", requirePermission("roles:manage"), async (req, res) => {
+  const { subject } = req.params;
+  const { role } = req.body || {};
+  if (invalidSubject(res, subject)) return;
+
+  try {
+    const roles = await getRoles();
+    if (!role || !roles[role]) {
+      return res.status(400).json({
+        error: "Unknown role",
+        details: `role must be one of: ${Object.keys(roles).join(", ")}`,
+      });
+    }
+
+    const assignment = await grantRole(subject, role, actorOf(req));
+    console.log(`✅ Role ${role} granted to ${subject} by ${actorOf(req)}`);
+    res.json({ success: true, data: assignment });
+  } catch (error) {
+    console.error("❌ Error granting role:", error);
+    res.status(500).json({ error: "Failed to grant role", details: error.message });
+  }
+});
+
+router.delete("/assignments/:subject/:role", requirePermission("roles:manage"), async (req, res) => {
+  const { subject, role } = req.params;
+  if (invalidSubject(res, subject)) return;
+
+  // Keep admins from locking themselves out by accident
+  if (subject === req.principal.subject && role === "admin") {
+    return res.status(400).json({
+      error: "Cannot revoke own admin role",
+      details: "Ask another admin to revoke your admin role",
+    });
+  }
+
+  try {
+    const assignment = await revokeRole(subject, role, actorOf(req));
+    console.log(`✅ Role ${role} revoked from ${subject} by ${actorOf(req)}`);
+    res.json({ success: true, data: assignment });
+  } catch (error) {
+    console.error("❌ Error revoking role:", error);
+    res.status(500).json({ error: "Failed to revoke role", details: error.message });
+  }
+});
+
+module.exports = router;
@@ -120,15 +120,22 @@
 // module.exports = router;
 const nodemailer = require('nodemailer');
 const express = require("express");
-const axios = require("axios");
 const { PhoneNumberUtil, PhoneNumberFormat } = require('google-libphonenumber');
 const router = express.Router();
+const {
+  ShopifyGraphQLError,
+  ShopifyHttpError,
+  ShopifyThrottledError,
+  ShopifyUserError,
+  shopifyGraphQL,
+  shopifyMutation,
+} = require("../services/shopifyAdmin.js");
 
 // Initialize phone number utility
 const phoneUtil = PhoneNumberUtil.getInstance();
 
 // Get Shopify credentials from environment variables
-const { SHOPIFY_STORE, SHOPIFY_ADMIN_TOKEN, EMAIL_PASS, EMAIL_USER} = process.env;
+const { EMAIL_PASS, EMAIL_USER} = process.env;
 const transporter = nodemailer.createTransport({
   service: process.env.EMAIL_SERVICE || 'gmail',
   auth: {
@@ -136,6 +143,50 @@ const transporter = nodemailer.createTransport({
     pass: EMAIL_PASS
   }
 });
+
+// Map a failed Shopify call to the response shapes these routes have always sent
+function sendShopifyError(res, err, action) {
+  if (err instanceof ShopifyThrottledError) {
+    return res.status(429).json({
+      error: `Failed to ${action} - Shopify is busy`,
+      details: `Retry in ${Math.ceil(err.waitMs / 1000)} seconds`
+    });
+  }
+  if (err instanceof ShopifyUserError) {
+    console.error('User errors:', err.userErrors);
+    return res.status(400).json({
+      error: 'Metafield validation errors',
+      details: err.userErrors
+    });
+  }
+  if (err instanceof ShopifyGraphQLError) {
+    console.error('GraphQL errors:', err.errors);
+    return res.status(400).json({
+      error: 'GraphQL errors occurred',
+      details: err.errors
+    });
+  }
+  if (err instanceof ShopifyHttpError && err.status) {
+    // Shopify responded with a status code outside the 2xx range
+    console.error('Response error:', err.body);
+    return res.status(err.status).json({
+      error: `Failed to ${action} - Server Error`,
+      details: err.body || err.message
+    });
+  }
+  if (err instanceof ShopifyHttpError) {
+    // The request was made but no response was received
+    return res.status(500).json({
+      error: `Failed to ${action} - Network Error`,
+      details: 'No response received from Shopify API'
+    });
+  }
+  return res.status(500).json({
+    error: `Failed to ${action}`,
+    details: err.message || 'An unexpected error occurred'
+  });
+}
+
 async function sendAdminNotification(customerData) {
   const emailContent = `
     <h2>New Customer Profile Created - Verification Required</h2>
@@ -390,33 +441,7 @@ router.post("/", async (req, res) => {
   };
 
   try {
-    const response = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN
-      },
-      data: { query, variables }
-    });
-
-    const result = response.data;
-
-    if (result.errors) {
-      console.error('GraphQL errors:', result.errors);
-      return res.status(400).json({
-        error: 'GraphQL errors occurred',
-        details: result.errors
-      });
-    }
-
-    if (result.data?.metafieldsSet?.userErrors?.length > 0) {
-      console.error('User errors:', result.data.metafieldsSet.userErrors);
-      return res.status(400).json({
-        error: 'Metafield validation errors',
-        details: result.data.metafieldsSet.userErrors
-      });
-    }
+    const result = await shopifyMutation(query, variables);
 
     // Log successful update for debugging
     console.log(`Successfully updated metafields for customer ${customerId}:`, {
@@ -435,35 +460,13 @@ router.post("/", async (req, res) => {
 
     res.json({
       success: true,
-      data: result.data.metafieldsSet.metafields,
+      data: result.metafields,
       message: 'Customer profile updated successfully'
     });
 
   } catch (err) {
     console.error('Unexpected error:', err.message);
-    
-    // Handle specific axios errors
-    if (err.response) {
-      // The request was made and the server responded with a status code outside 2xx range
-      console.error('Response error:', err.response.data);
-      return res.status(err.response.status).json({
-        error: "Failed to update metafields - Server Error",
-        details: err.response.data || err.message
-      });
-    } else if (err.request) {
-      // The request was made but no response was received
-      console.error('Request error:', err.request);
-      return res.status(500).json({
-        error: "Failed to update metafields - Network Error",
-        details: 'No response received from Shopify API'
-      });
-    } else {
-      // Something happened in setting up the request
-      return res.status(500).json({
-        error: "Failed to update metafields",
-        details: err.message || 'An unexpected error occurred'
-      });
-    }
+    sendShopifyError(res, err, "update metafields");
   }
 });
 
@@ -505,37 +508,16 @@ router.get("/customer/:customerId", async (req, res) => {
   };
 
   try {
-    const response = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN
-      },
-      data: { query, variables }
-    });
-
-    const result = response.data;
-
-    if (result.errors) {
-      console.error('GraphQL errors:', result.errors);
-      return res.status(400).json({
-        error: 'GraphQL errors occurred',
-        details: result.errors
-      });
-    }
+    const data = await shopifyGraphQL(query, variables);
 
     res.json({
       success: true,
-      data: result.data.customer
+      data: data.customer
     });
 
   } catch (err) {
     console.error('Unexpected error:', err.message);
-    res.status(500).json({
-      error: "Failed to retrieve customer data",
-      details: err.message || 'An unexpected error occurred'
-    });
+    sendShopifyError(res, err, "retrieve customer data");
   }
 });
 
@@ -586,28 +568,10 @@ router.get("/customers", async (req, res) => {
 };
 
   try {
-    const response = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN
-      },
-      data: { query, variables }
-    });
-
-    const result = response.data;
-
-    if (result.errors) {
-      console.error('GraphQL errors:', result.errors);
-      return res.status(400).json({
-        error: 'GraphQL errors occurred',
-        details: result.errors
-      });
-    }
+    const data = await shopifyGraphQL(query, variables);
 
     // Transform the data to make it easier to work with
-    const transformedCustomers = result.data.customers.edges.map(edge => {
+    const transformedCustomers = data.customers.edges.map(edge => {
       const customer = edge.node;
       const metafields = {};
       
@@ -646,32 +610,14 @@ router.get("/customers", async (req, res) => {
       success: true,
       data: {
         customers: transformedCustomers,
-        pageInfo: result.data.customers.pageInfo,
+        pageInfo: data.customers.pageInfo,
         totalCount: transformedCustomers.length
       }
     });
 
   } catch (err) {
     console.error('Unexpected error:', err.message);
-    
-    if (err.response) {
-      console.error('Response error:', err.response.data);
-      return res.status(err.response.status).json({
-        error: "Failed to retrieve customers - Server Error",
-        details: err.response.data || err.message
-      });
-    } else if (err.request) {
-      console.error('Request error:', err.request);
-      return res.status(500).json({
-        error: "Failed to retrieve customers - Network Error",
-        details: 'No response received from Shopify API'
-      });
-    } else {
-      return res.status(500).json({
-        error: "Failed to retrieve customers",
-        details: err.message || 'An unexpected error occurred'
-      });
-    }
+    sendShopifyError(res, err, "retrieve customers");
   }
 });
 
@@ -728,65 +674,20 @@ router.post("/verify", async (req, res) => {
 
   // API Call to Shopify
   try {
-    const response = await axios({
-      method: "POST",
-      url: `https://${SHOPIFY_STORE}/admin/api/2025-01/graphql.json`,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_ADMIN_TOKEN
-      },
-      data: { query, variables }
-    });
-
-    const result = response.data;
-
-    // Handle Shopify's response
-    if (result.errors) {
-      console.error('GraphQL errors:', result.errors);
-      return res.status(400).json({
-        error: 'GraphQL errors occurred',
-        details: result.errors
-      });
-    }
-
-    if (result.data?.metafieldsSet?.userErrors?.length > 0) {
-      console.error('User errors:', result.data.metafieldsSet.userErrors);
-      return res.status(400).json({
-        error: 'Metafield validation errors',
-        details: result.data.metafieldsSet.userErrors
-      });
-    }
+    const result = await shopifyMutation(query, variables);
 
     console.log(`Successfully updated isVerified status for customer ${customerId} to ${isVerified}`);
 
     res.json({
       success: true,
-      data: result.data.metafieldsSet.metafields,
+      data: result.metafields,
       message: `Customer verification status updated to ${isVerified}`
     });
 
   } catch (err) {
     // Handle network/server errors
     console.error('Unexpected error during verification update:', err.message);
-    
-    if (err.response) {
-      console.error('Response error:', err.response.data);
-      return res.status(err.response.status).json({
-        error: "Failed to update verification status - Server Error",
-        details: err.response.data || err.message
-      });
-    } else if (err.request) {
-      console.error('Request error:', err.request);
-      return res.status(500).json({
-        error: "Failed to update verification status - Network Error",
-        details: 'No response received from Shopify API'
-      });
-    } else {
-      return res.status(500).json({
-        error: "Failed to update verification status",
-        details: err.message || 'An unexpected error occurred'
-      });
-    }
+    sendShopifyError(res, err, "update verification status");
   }
 });
 
@@ -1,257 +1,120 @@
 const express = require("express");
-const axios = require("axios");
 const router = express.Router();
-
-// Create a centralized Axios instance for Shopify API calls
-const shopifyApi = axios.create({
-  baseURL: `https://${process.env.SHOPIFY_STORE}/admin/api/2024-07`,
-  headers: {
-    "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-    "Content-Type": "application/json",
-  },
-});
+const { submitOperation, sendOperationResult } = require("../services/shopifyOutbox.js");
+const {
+  MAX_NOTE_LENGTH,
+  MAX_QUANTITY,
+  normalizeProductId,
+  readWishlist,
+} = require("../services/wishlistOperations.js");
 
 /**
- * Helper function to find the wishlist metafield for a customer.
- * @param {string} customerId - The Shopify customer ID.
- * @returns {Promise<object|null>} The existing metafield object or null.
+ * Wishlist writes go through the Shopify outbox (services/shopifyOutbox.js):
+ * when Shopify is throttling or down the change is queued and the response is
+ * a 202 with an operationId to poll at /outbox/operations/:operationId.
+ *
+ * Items are per product and optionally per variant, with a target quantity
+ * and a note. Adding an item that is already there updates its quantity/note.
  */
-const getWishlistMetafield = async (customerId) => {
-  try {
-    const response = await shopifyApi.get(`/customers/${customerId}/metafields.json`);
-    const { metafields } = response.data;
-    return metafields.find((m) => m.namespace === "custom" && m.key === "wishlist") || null;
-  } catch (error) {
-    // Re-throw the error to be caught by the route handler
-    throw error;
-  }
-};
 
+const MAX_CHECK_IDS = 250;
+const PRODUCT_ID_PATTERN = /^(gid:\/\/shopify\/Product\/)?\d+$/;
+const VARIANT_ID_PATTERN = /^(gid:\/\/shopify\/ProductVariant\/)?\d+$/;
 
-// POST /wishlist/add
-router.post("/add", async (req, res) => {
-  const { customerId, productId } = req.body;
+// Operation params from the request body, or { error } when a field is invalid
+function itemParams({ customerId, productId, variantId, quantity, note }, { withDetails = false } = {}) {
+  if (!customerId || !productId) return { error: "customerId and productId are required" };
+  if (!PRODUCT_ID_PATTERN.test(String(productId))) return { error: "productId must be a numeric ID or product GID" };
 
-  if (!customerId || !productId) {
-    return res.status(400).json({ error: "customerId and productId are required" });
+  const params = { customerId: String(customerId), productId: String(productId) };
+  if (variantId !== undefined && variantId !== null && variantId !== "") {
+    if (!VARIANT_ID_PATTERN.test(String(variantId))) return { error: "variantId must be a numeric ID or variant GID" };
+    params.variantId = String(variantId);
   }
+  if (!withDetails) return params;
 
-  // A Shopify product reference metafield requires the GID format.
-  const productGid = `gid://shopify/Product/${productId}`;
-
-  try {
-    const existingMetafield = await getWishlistMetafield(customerId);
-
-    let wishlist = [];
-    if (existingMetafield) {
-      // The value is stored as a JSON string of an array.
-      wishlist = JSON.parse(existingMetafield.value);
+  if (quantity !== undefined) {
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      return { error: `quantity must be a whole number from 1 to ${MAX_QUANTITY}` };
     }
-
-    // Add product GID only if it's not already in the wishlist
-    if (!wishlist.includes(productGid)) {
-      wishlist.push(productGid);
-    } else {
-      // Product already in wishlist, return success without making an API call.
-      return res.json({ success: true, message: "Product already in wishlist", metafield: existingMetafield });
+    params.quantity = quantity;
+  }
+  if (note !== undefined) {
+    if (typeof note !== "string" || note.length > MAX_NOTE_LENGTH) {
+      return { error: `note must be text of at most ${MAX_NOTE_LENGTH} characters` };
     }
+    params.note = note.trim();
+  }
+  return params;
+}
 
-    const payload = {
-      metafield: {
-        namespace: "custom",
-        key: "wishlist",
-        type: "list.product_reference",
-        // The value for a list type must be a JSON-formatted string.
-        value: JSON.stringify(wishlist),
-      },
-    };
-
-    let updatedMetafield;
-
-    if (existingMetafield) {
-      // Update the existing metafield
-      const response = await shopifyApi.put(`/metafields/${existingMetafield.id}.json`, payload);
-      updatedMetafield = response.data.metafield;
-    } else {
-      // Create a new metafield for the customer
-      const response = await shopifyApi.post(`/customers/${customerId}/metafields.json`, payload);
-      updatedMetafield = response.data.metafield;
-    }
+// POST /wishlist/add - { customerId, productId, variantId?, quantity?, note? }
+router.post("/add", async (req, res) => {
+  const params = itemParams(req.body, { withDetails: true });
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
+  }
 
-    res.json({ success: true, metafield: updatedMetafield });
+  try {
+    const operation = await submitOperation("wishlist.add", params);
+    sendOperationResult(res, operation, { failure: "Failed to update wishlist" });
   } catch (err) {
-    console.error("Error adding to wishlist:", err.response ? err.response.data : err.message);
+    console.error("Error adding to wishlist:", err.message);
     res.status(500).json({ error: "Failed to update wishlist" });
   }
 });
 
-
-// POST /wishlist/remove
-// 
-
+// POST /wishlist/remove - { customerId, productId, variantId? }; without variantId the whole product goes
 router.post("/remove", async (req, res) => {
-  const { customerId, productId } = req.body;
-
-  if (!customerId || !productId) {
-    return res.status(400).json({ error: "customerId and productId are required" });
+  const params = itemParams(req.body);
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
   }
 
-  console.log('Remove request - Customer ID:', customerId, 'Product ID:', productId);
+  console.log('Remove request - Customer ID:', params.customerId, 'Product ID:', params.productId);
 
   try {
-    const existingMetafield = await getWishlistMetafield(customerId);
-
-    if (!existingMetafield) {
-      // No wishlist exists, so the item is already "removed".
-      return res.json({ success: true, message: "Wishlist not found, no action needed." });
-    }
-
-    let wishlist = JSON.parse(existingMetafield.value);
-    const initialCount = wishlist.length;
-
-    console.log('Current wishlist before removal:', wishlist);
-
-    // Handle both formats: numeric IDs and GIDs
-    // Remove all possible formats of the product ID
-    const productGid = `gid://shopify/Product/${productId}`;
-    const numericId = productId.toString();
-    
-    wishlist = wishlist.filter((item) => {
-      // Convert item to string for comparison
-      const itemStr = item.toString();
-      
-      // Remove if it matches any of these formats:
-      return itemStr !== productGid &&           // GID format
-             itemStr !== numericId &&            // Numeric format
-             itemStr !== `gid://shopify/Product/${itemStr}` && // If item is numeric but we're comparing to GID
-             itemStr.replace('gid://shopify/Product/', '') !== numericId; // Extract numeric from GID
-    });
-    
-    console.log('Wishlist after removal:', wishlist);
-    
-    // If the list hasn't changed, the item wasn't there in the first place.
-    if (wishlist.length === initialCount) {
-        console.log('Product not found in wishlist');
-        return res.json({ 
-          success: true, 
-          message: "Product not found in wishlist.", 
-          originalWishlist: JSON.parse(existingMetafield.value),
-          productId: productId,
-          searchedFormats: [productGid, numericId]
-        });
-    }
-
-    const payload = {
-      metafield: {
-        id: existingMetafield.id,
-        value: JSON.stringify(wishlist),
-      },
-    };
-
-    const response = await shopifyApi.put(`/metafields/${existingMetafield.id}.json`, payload);
-    const updatedMetafield = response.data.metafield;
-
-    console.log('Successfully removed product from wishlist');
-    res.json({ 
-      success: true, 
-      metafield: updatedMetafield,
-      removedProductId: productId,
-      newWishlistLength: wishlist.length
-    });
+    const operation = await submitOperation("wishlist.remove", params);
+    sendOperationResult(res, operation, { failure: "Failed to remove product from wishlist" });
   } catch (err) {
-    console.error("Error removing from wishlist:", err.response ? err.response.data : err.message);
+    console.error("Error removing from wishlist:", err.message);
     res.status(500).json({ error: "Failed to remove product from wishlist" });
   }
 });
 
+// POST /wishlist/check - { customerId, productIds: [...] } (or a single productId)
+// Answers { products: { [productId]: boolean } } so a collection page needs one call
+router.post("/check", async (req, res) => {
+  const { customerId, productId } = req.body;
+  const productIds = Array.isArray(req.body.productIds) ? req.body.productIds : productId ? [productId] : [];
 
+  if (!customerId || productIds.length === 0) {
+    return res.status(400).json({ success: false, error: "customerId and productIds are required" });
+  }
+  if (productIds.length > MAX_CHECK_IDS) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_CHECK_IDS} productIds per request` });
+  }
+  if (productIds.some((id) => (typeof id !== "string" && typeof id !== "number") || !PRODUCT_ID_PATTERN.test(String(id)))) {
+    return res.status(400).json({ success: false, error: "productIds must be numeric IDs or product GIDs" });
+  }
 
-router.post('/check', async (req, res) => {
   try {
-    const { customerId, productId } = req.body;
-
-    if (!customerId || !productId) {
-      return res.json({
-        success: false,
-        error: 'Customer ID and Product ID are required'
-      });
-    }
-
-    // Get current customer data with metafields
-    const customerData = await shopifyFetch(`customers/${customerId}.json`);
-    
-    if (!customerData.customer) {
-      return res.json({
-        success: false,
-        error: 'Customer not found'
-      });
-    }
-
-    // Get existing wishlist metafield
-    const wishlistMetafield = customerData.customer.metafields?.find(
-      metafield => metafield.namespace === 'custom' && metafield.key === 'wishlist'
-    );
-
-    if (!wishlistMetafield || !wishlistMetafield.value) {
-      return res.json({
-        success: true,
-        inWishlist: false
-      });
-    }
+    const items = (await readWishlist(String(customerId).split("/").pop())) || [];
+    const wishlist = new Set(items.map((item) => normalizeProductId(item.productId)));
 
-    let wishlistIds = [];
-    try {
-      wishlistIds = JSON.parse(wishlistMetafield.value);
-      if (!Array.isArray(wishlistIds)) {
-        wishlistIds = [];
-      }
-    } catch (e) {
-      wishlistIds = [];
-    }
-
-    const inWishlist = wishlistIds.includes(productId.toString());
-
-    res.json({
-      success: true,
-      inWishlist: inWishlist
+    // Keyed by the IDs exactly as the caller sent them
+    const products = {};
+    productIds.forEach((id) => {
+      products[id] = wishlist.has(normalizeProductId(id));
     });
 
+    // Single-product callers still get the inWishlist boolean they always read
+    const single = Array.isArray(req.body.productIds) ? {} : { inWishlist: products[productId] };
+    res.json({ success: true, products, ...single });
   } catch (error) {
-    console.error('Error checking wishlist:', error);
-    res.json({
-      success: false,
-      error: 'Internal server error'
-    });
+    console.error("Error checking wishlist:", error.message);
+    res.status(500).json({ success: false, error: "Failed to check wishlist" });
   }
 });
 
-
-
-async function shopifyFetch(endpoint, options = {}) {
-  const url = `https://${process.env.SHOPIFY_STORE}/admin/api/2025-07/${endpoint}`;
-
-  try {
-    const response = await axios({
-      url,
-      method: options.method || "GET",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
-        ...(options.headers || {}),
-      },
-      data: options.body || undefined, // axios uses `data` instead of body
-    });
-
-    return response.data; // axios auto-parses JSON
-  } catch (error) {
-    if (error.response) {
-      throw new Error(
-        `Shopify API error: ${error.response.status} ${error.response.statusText} - ${JSON.stringify(error.response.data)}`
-      );
-    } else {
-      throw new Error(`Shopify API request failed: ${error.message}`);
-    }
-  }
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,54 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateShopifyWebhook } = require("../middleware/authenticate.js");
+const { processWebhook } = require("../services/webhooks.js");
+require("../services/webhookHandlers.js");
+
+/**
+ * Shopify webhooks (mounted at /webhooks, ahead of express.json so the raw
+ * body is still there for the HMAC check). Subscribe every topic to this one
+ * address; the X-Shopify-Topic header picks the handlers.
+ *
+ * Responses: 200 once handled (or already handled), 409 while another
+ * delivery of the same webhook is running and 500 when a handler fails.
+ * Shopify retries anything but a 2xx.
+ */
+
+const webhookBody = express.raw({ type: "*/*", limit: process.env.WEBHOOK_BODY_LIMIT || "2mb" });
+
+router.post("/", webhookBody, authenticateShopifyWebhook, async (req, res) => {
+  const { webhook } = req;
+
+  // This backend serves a single store
+  const store = process.env.SHOPIFY_STORE;
+  if (store && webhook.shop !== store) {
+    console.warn(`⚠️ Ignoring ${webhook.topic} webhook from unexpected shop ${webhook.shop}`);
+    return res.json({ success: true, data: { id: webhook.id, status: "ignored" } });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString("utf8") || "{}");
+  } catch (err) {
+    return res.status(400).json({ error: "Invalid webhook payload", details: "Body must be JSON" });
+  }
+
+  try {
+    const status = await processWebhook(webhook, payload);
+
+    if (status === "in-progress") {
+      return res.status(409).json({
+        error: "Webhook in progress",
+        details: `Webhook ${webhook.id} is already being processed`,
+      });
+    }
+
+    console.log(`✅ Webhook ${webhook.topic} ${webhook.id}: ${status}`);
+    res.json({ success: true, data: { id: webhook.id, status } });
+  } catch (error) {
+    console.error(`❌ Webhook ${webhook.topic} ${webhook.id} failed:`, error);
+    res.status(500).json({ error: "Failed to process webhook", details: error.message });
+  }
+});
+
+module.exports = router;
@@ -86,6 +86,18 @@ const getCustomerWishListRoutes = require('./routes/getCustomerWishlist');
 const customerListsRoutes = require('./routes/customerLists');
 const shareListRoutes = require('./routes/shareList'); 
 const customers = require('./routes/customers');
+const reportRoutes = require('./routes/reports');
+const roleRoutes = require('./routes/roles');
+const apiClientRoutes = require('./routes/apiClients');
+const webhookRoutes = require('./routes/webhooks');
+const accountRoutes = require('./routes/account');
+const profileSyncRoutes = require('./routes/profileSync');
+const outboxRoutes = require('./routes/outbox');
+const { scheduleKpiDigest } = require('./jobs/kpiDigest');
+const { scheduleLatePoCheck } = require('./jobs/latePoAlerts');
+const { scheduleProfileSync } = require('./jobs/profileSync');
+const { scheduleOutbox } = require('./jobs/shopifyOutbox');
+const { scheduleWishlistAlerts } = require('./jobs/wishlistAlerts');
 
  
 // --- Environment Variable Validation ---
@@ -105,7 +117,16 @@ if (!GEMINI_API_KEY) {
 // --- App Initialization & Middleware ---
 const app = express();
 app.set('trust proxy', 1);
-app.use(express.json());
+
+// Webhooks verify an HMAC over the raw body, so they are mounted before the JSON parser
+app.use("/webhooks", webhookRoutes);
+
+// Keep the raw bytes for signature checks (authenticateManualHmac hashes the body)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 const allowedOrigins = [
   "https://jn-global.myshopify.com",
@@ -126,7 +147,7 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "x-client-type", "x-api-key", "x-shop-domain"],
   })
 );
 
@@ -142,6 +163,12 @@ app.use("/wishlist", updateCustomerWishlistRoutes);
 app.use("/customer-wishlist", getCustomerWishListRoutes);
 app.use('/customer-lists', customerListsRoutes); 
 app.use("/share-list", shareListRoutes);
+app.use("/reports", reportRoutes);
+app.use("/admin/roles", roleRoutes);
+app.use("/admin/api-clients", apiClientRoutes);
+app.use("/admin/profile-sync", profileSyncRoutes);
+app.use("/account", accountRoutes);
+app.use("/outbox", outboxRoutes);
 
 // --- Core Routes ---
 app.get("/health", (req, res) => {
@@ -169,6 +196,27 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Shopify Store: ${SHOPIFY_STORE}`);
   console.log('App Proxy routes mounted at: /apps/proxy/customers');
+
+  if (process.env.KPI_DIGEST_ENABLED === 'true') {
+    scheduleKpiDigest();
+  }
+
+  if (process.env.LATE_PO_ALERTS_ENABLED === 'true') {
+    scheduleLatePoCheck();
+  }
+
+  if (process.env.PROFILE_SYNC_ENABLED === 'true') {
+    scheduleProfileSync();
+  }
+
+  if (process.env.WISHLIST_ALERTS_ENABLED === 'true') {
+    scheduleWishlistAlerts();
+  }
+
+  // Queued Shopify writes must go out, so this one is on unless turned off
+  if (process.env.SHOPIFY_OUTBOX_ENABLED !== 'false') {
+    scheduleOutbox();
+  }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,294 @@
+// services/apiClients.js
+
+const crypto = require("crypto");
+const { admin, db } = require("../firebaseConfig.js");
+
+/**
+ * Client credential registry for the x-api-key header.
+ *
+ * Firestore layout:
+ *   apiClients/{keyId}              - { client, name, keyHash, roles, createdAt, createdBy,
+ *                                       expiresAt, revokedAt, replacedBy, lastUsedAt }
+ *   apiKeyUsage/{keyId}_{YYYY-MM-DD} - { keyId, client, date, count, lastUsedAt, lastPath, lastIp }
+ *
+ * Keys look like jng_<keyId>_<secret> and are only shown when issued; the
+ * registry stores their SHA-256. Rotating a key issues a new one and lets the
+ * old one keep working for an overlap window. Verified keys are cached for a
+ * minute, so revocations on other instances can take that long to apply.
+ *
+ * FLUTTER_API_KEY is still accepted for the flutter client until registry
+ * keys are rolled out; its usage is logged as env-flutter. SHOPIFY_API_KEY is
+ * not: it is the app's public client ID, visible in every admin page, so the
+ * embedded app needs a registry key or a session token.
+ */
+
+const KEYS_COLLECTION = "apiClients";
+const USAGE_COLLECTION = "apiKeyUsage";
+const KEY_CACHE_TTL_MS = 60 * 1000;
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+const DEFAULT_ROTATION_OVERLAP_HOURS = 24;
+const MAX_ROTATION_OVERLAP_HOURS = 30 * 24;
+
+const CLIENTS = {
+  flutter: "Flutter mobile app (also needs a Firebase ID token)",
+  "shopify-embedded": "Shopify embedded admin app",
+  "internal-jobs": "Internal jobs and scripts (x-client-type: internal)",
+};
+
+const KEY_PATTERN = /^jng_([0-9a-f]{12})_([A-Za-z0-9_-]{32})$/;
+const KEY_ID_PATTERN = /^[0-9a-f]{12}$/;
+
+const LEGACY_ENV_KEYS = {
+  flutter: process.env.FLUTTER_API_KEY,
+};
+
+const keyCache = new Map();
+const lastUsedWrites = new Map();
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// What callers and admins get to see of a key record (never the hash)
+const publicRecord = (keyId, data) => ({
+  keyId,
+  client: data.client,
+  name: data.name || "",
+  roles: data.roles || [],
+  createdAt: data.createdAt || null,
+  createdBy: data.createdBy || null,
+  expiresAt: data.expiresAt || null,
+  revokedAt: data.revokedAt || null,
+  replacedBy: data.replacedBy || null,
+  lastUsedAt: data.lastUsedAt || null,
+});
+
+const isActive = (data, now = Date.now()) =>
+  !data.revokedAt && (!data.expiresAt || new Date(data.expiresAt).getTime() > now);
+
+async function loadKey(keyId) {
+  const cached = keyCache.get(keyId);
+  if (cached && Date.now() - cached.loadedAt < KEY_CACHE_TTL_MS) return cached.data;
+
+  const doc = await db.collection(KEYS_COLLECTION).doc(keyId).get();
+  const data = doc.exists ? doc.data() : null;
+  keyCache.set(keyId, { data, loadedAt: Date.now() });
+  return data;
+}
+
+// Usage is logged per key and day; failures are logged but never fail the request
+function recordUsage(keyId, client, { path, ip } = {}) {
+  const now = new Date();
+  const date = now.toISOString().slice(0, 10);
+
+  db.collection(USAGE_COLLECTION)
+    .doc(`${keyId}_${date}`)
+    .set(
+      {
+        keyId,
+        client,
+        date,
+        count: admin.firestore.FieldValue.increment(1),
+        lastUsedAt: now.toISOString(),
+        lastPath: path || null,
+        lastIp: ip || null,
+      },
+      { merge: true }
+    )
+    .catch((err) => console.error(`❌ Failed to log usage for API key ${keyId}:`, err.message));
+
+  // lastUsedAt on the key itself is only refreshed once a minute
+  const lastWrite = lastUsedWrites.get(keyId) || 0;
+  if (!keyId.startsWith("env-") && Date.now() - lastWrite > LAST_USED_WRITE_INTERVAL_MS) {
+    lastUsedWrites.set(keyId, Date.now());
+    db.collection(KEYS_COLLECTION)
+      .doc(keyId)
+      .update({ lastUsedAt: now.toISOString() })
+      .catch((err) => console.error(`❌ Failed to update lastUsedAt for API key ${keyId}:`, err.message));
+  }
+}
+
+/**
+ * Check an x-api-key value and log its use.
+ * @param {string} key - The presented key.
+ * @param {string[]} clients - Clients allowed on this route (keys of CLIENTS).
+ * @param {{ path?: string, ip?: string }} [context] - Logged with the usage.
+ * @returns {Promise<object|null>} the public key record, or null if the key is not valid here.
+ */
+async function verifyApiKey(key, clients, context) {
+  if (typeof key !== "string" || !key) return null;
+
+  const match = KEY_PATTERN.exec(key);
+  if (!match) {
+    const client = clients.find((name) => LEGACY_ENV_KEYS[name] && safeEqual(key, LEGACY_ENV_KEYS[name]));
+    if (!client) return null;
+    recordUsage(`env-${client}`, client, context);
+    return { keyId: `env-${client}`, client, name: `${client} (environment key)`, roles: [], legacy: true };
+  }
+
+  const keyId = match[1];
+  const data = await loadKey(keyId);
+  if (!data || !safeEqual(hashKey(key), data.keyHash) || !isActive(data) || !clients.includes(data.client)) {
+    return null;
+  }
+
+  recordUsage(keyId, data.client, context);
+  return publicRecord(keyId, data);
+}
+
+function generateKey() {
+  const keyId = crypto.randomBytes(6).toString("hex");
+  const key = `jng_${keyId}_${crypto.randomBytes(24).toString("base64url")}`;
+  return { keyId, key };
+}
+
+/**
+ * Issue a new key.
+ * @returns {Promise<{ key: string, record: object }>} key is the only copy of the secret.
+ */
+async function createApiKey({ client, name = "", roles = [] }, actor) {
+  if (!CLIENTS[client]) throw new Error(`Unknown client: ${client}`);
+
+  const { keyId, key } = generateKey();
+  const data = {
+    client,
+    name,
+    roles,
+    keyHash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    createdBy: actor || null,
+    expiresAt: null,
+    revokedAt: null,
+  };
+
+  await db.collection(KEYS_COLLECTION).doc(keyId).create(data);
+  return { key, record: publicRecord(keyId, data) };
+}
+
+// One key's record, or null if it does not exist
+async function getApiKey(keyId) {
+  const doc = await db.collection(KEYS_COLLECTION).doc(keyId).get();
+  return doc.exists ? { ...publicRecord(keyId, doc.data()), active: isActive(doc.data()) } : null;
+}
+
+async function listApiKeys({ client } = {}) {
+  let query = db.collection(KEYS_COLLECTION);
+  if (client) query = query.where("client", "==", client);
+  const snapshot = await query.get();
+  return snapshot.docs
+    .map((doc) => ({ ...publicRecord(doc.id, doc.data()), active: isActive(doc.data()) }))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Replace a key with a new one for the same client. The old key keeps
+ * working for overlapHours (0 retires it immediately).
+ * @returns {Promise<{ key: string, record: object, previous: object }|null>} null if the key is unknown, inactive or already rotated.
+ */
+async function rotateApiKey(keyId, { overlapHours = DEFAULT_ROTATION_OVERLAP_HOURS } = {}, actor) {
+  const ref = db.collection(KEYS_COLLECTION).doc(keyId);
+  const { keyId: newKeyId, key } = generateKey();
+  const now = Date.now();
+
+  const result = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    // Only the current key of a rotation chain can be rotated
+    if (!doc.exists || !isActive(doc.data(), now) || doc.data().replacedBy) return null;
+
+    const old = doc.data();
+    const overlapEnd = new Date(now + overlapHours * 60 * 60 * 1000).toISOString();
+    // Never extend a key that was already due to expire sooner
+    const expiresAt = old.expiresAt && old.expiresAt < overlapEnd ? old.expiresAt : overlapEnd;
+
+    const data = {
+      client: old.client,
+      name: old.name || "",
+      roles: old.roles || [],
+      keyHash: hashKey(key),
+      createdAt: new Date(now).toISOString(),
+      createdBy: actor || null,
+      expiresAt: null,
+      revokedAt: null,
+      rotatedFrom: keyId,
+    };
+    transaction.set(db.collection(KEYS_COLLECTION).doc(newKeyId), data);
+    transaction.update(ref, { expiresAt, replacedBy: newKeyId });
+
+    return {
+      key,
+      record: publicRecord(newKeyId, data),
+      previous: publicRecord(keyId, { ...old, expiresAt, replacedBy: newKeyId }),
+    };
+  });
+
+  keyCache.delete(keyId);
+  return result;
+}
+
+// Revoke a key immediately; returns null if it does not exist
+async function revokeApiKey(keyId, actor) {
+  const ref = db.collection(KEYS_COLLECTION).doc(keyId);
+  const doc = await ref.get();
+  if (!doc.exists) return null;
+
+  const update = doc.data().revokedAt ? {} : { revokedAt: new Date().toISOString(), revokedBy: actor || null };
+  if (Object.keys(update).length > 0) await ref.update(update);
+  keyCache.delete(keyId);
+  return publicRecord(keyId, { ...doc.data(), ...update });
+}
+
+// Daily usage of a key, newest first
+async function getApiKeyUsage(keyId, { days = 30 } = {}) {
+  const snapshot = await db.collection(USAGE_COLLECTION).where("keyId", "==", keyId).get();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, days);
+}
+
+module.exports = {
+  CLIENTS,
+  KEY_ID_PATTERN,
+  DEFAULT_ROTATION_OVERLAP_HOURS,
+  MAX_ROTATION_OVERLAP_HOURS,
+  verifyApiKey,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  getApiKeyUsage,
+};
+
+// CLI entrypoint, mainly to issue the first keys:
+//   node services/apiClients.js create <client> "<name>"
+//   node services/apiClients.js list
+if (require.main === module) {
+  const [command, client, name] = process.argv.slice(2);
+
+  const run = async () => {
+    if (command === "create") {
+      const { key, record } = await createApiKey({ client, name: name || "" }, "cli");
+      console.log(`✅ Issued ${record.client} key ${record.keyId}. Store it now, it is not shown again:`);
+      console.log(key);
+      return 0;
+    }
+    if (command === "list") {
+      console.table(await listApiKeys({ client }));
+      return 0;
+    }
+    console.error(`Usage: node services/apiClients.js create <${Object.keys(CLIENTS).join("|")}> "<name>" | list [client]`);
+    return 1;
+  };
+
+  run()
+    .then((code) => process.exit(code))
+    .catch((err) => {
+      console.error("❌ API key command failed:", err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,122 @@
+// services/digestPreferences.js
+
+const crypto = require("crypto");
+const { db } = require("../firebaseConfig.js");
+
+/**
+ * Email preferences, stored on the customer's Firestore doc:
+ *   customers/{customerId}.digestPreferences =
+ *     { weeklyKpiDigest, wishlistAlerts, updatedAt, lastSentAt }
+ * Verified customers receive the weekly KPI digest unless they opted out
+ * (KPI_DIGEST_DEFAULT_OPT_IN=false flips the default to opt-in only).
+ * Wishlist price-drop / back-in-stock emails work the same way, with
+ * WISHLIST_ALERTS_DEFAULT_OPT_IN.
+ *
+ * Every email carries an unsubscribe link for its own list; the link opens a
+ * confirmation page, and only its POST (also used by mail clients' one-click
+ * List-Unsubscribe) turns the list off, so link scanners cannot.
+ */
+
+const DEFAULT_OPT_IN = process.env.KPI_DIGEST_DEFAULT_OPT_IN !== "false";
+const WISHLIST_ALERTS_DEFAULT_OPT_IN = process.env.WISHLIST_ALERTS_DEFAULT_OPT_IN !== "false";
+
+// Unsubscribe list name -> the preference it turns off
+const UNSUBSCRIBE_LISTS = {
+  "kpi-digest": "weeklyKpiDigest",
+  "wishlist-alerts": "wishlistAlerts",
+};
+
+const customerRef = (customerId) => db.collection("customers").doc(customerId.toString());
+
+// Whether a customer doc's preferences allow the weekly digest
+const wantsWeeklyDigest = (customerData) => {
+  const preference = customerData?.digestPreferences?.weeklyKpiDigest;
+  return typeof preference === "boolean" ? preference : DEFAULT_OPT_IN;
+};
+
+const wantsWishlistAlerts = (customerData) => {
+  const preference = customerData?.digestPreferences?.wishlistAlerts;
+  return typeof preference === "boolean" ? preference : WISHLIST_ALERTS_DEFAULT_OPT_IN;
+};
+
+async function getDigestPreferences(customerId) {
+  const doc = await customerRef(customerId).get();
+  if (!doc.exists) return null;
+
+  const data = doc.data();
+  return {
+    weeklyKpiDigest: wantsWeeklyDigest(data),
+    wishlistAlerts: wantsWishlistAlerts(data),
+    updatedAt: data.digestPreferences?.updatedAt || null,
+    lastSentAt: data.digestPreferences?.lastSentAt || null,
+  };
+}
+
+/**
+ * Opt a customer in or out of the weekly digest and/or wishlist alerts.
+ * @param {string} customerId
+ * @param {object} changes - { weeklyKpiDigest?, wishlistAlerts? } booleans.
+ * @returns {Promise<object|null>} the updated preferences, or null if the customer doc does not exist.
+ */
+async function setDigestPreferences(customerId, changes) {
+  const ref = customerRef(customerId);
+  const doc = await ref.get();
+  if (!doc.exists) return null;
+
+  const digestPreferences = {
+    ...(doc.data().digestPreferences || {}),
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+  await ref.set({ digestPreferences }, { merge: true });
+
+  return getDigestPreferences(customerId);
+}
+
+async function markDigestSent(customerId, sentAt = new Date().toISOString()) {
+  const ref = customerRef(customerId);
+  const doc = await ref.get();
+  const digestPreferences = { ...(doc.exists ? doc.data().digestPreferences || {} : {}), lastSentAt: sentAt };
+  await ref.set({ digestPreferences }, { merge: true });
+}
+
+// Token for one-click unsubscribe links from one list; null when no secret is configured
+function unsubscribeToken(customerId, list = "kpi-digest") {
+  if (!process.env.SHARED_SECRET) return null;
+  return crypto
+    .createHmac("sha256", process.env.SHARED_SECRET)
+    .update(`${list}:${customerId}`)
+    .digest("hex");
+}
+
+function verifyUnsubscribeToken(customerId, token, list = "kpi-digest") {
+  const expected = unsubscribeToken(customerId, list);
+  if (!expected || typeof token !== "string" || token.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token));
+}
+
+// Whether unsubscribe links can be built (SHARED_SECRET and PUBLIC_BASE_URL are set)
+const unsubscribeLinksConfigured = () => Boolean(process.env.SHARED_SECRET && process.env.PUBLIC_BASE_URL);
+
+// Full unsubscribe URL for emails of a list, when PUBLIC_BASE_URL is configured
+function unsubscribeUrl(customerId, list = "kpi-digest") {
+  const token = unsubscribeToken(customerId, list);
+  const baseUrl = process.env.PUBLIC_BASE_URL;
+  if (!token || !baseUrl) return null;
+  const params = new URLSearchParams({ customerId: customerId.toString(), token });
+  // Digest links sent before there were other lists have no list parameter
+  if (list !== "kpi-digest") params.set("list", list);
+  return `${baseUrl.replace(/\/$/, "")}/customers/digest/unsubscribe?${params}`;
+}
+
+module.exports = {
+  UNSUBSCRIBE_LISTS,
+  wantsWeeklyDigest,
+  wantsWishlistAlerts,
+  getDigestPreferences,
+  setDigestPreferences,
+  markDigestSent,
+  verifyUnsubscribeToken,
+  unsubscribeLinksConfigured,
+  unsubscribeUrl,
+};
@@ -0,0 +1,344 @@
+// services/latePoAlerts.js
+
+const crypto = require("crypto");
+const { db } = require("../firebaseConfig.js");
+const reportSchemas = require("./reportSchemas");
+const workbookCache = require("./workbookCache");
+const { ReportError, toDate, loadReport, onReportIngested } = require("./reportIngestion");
+const { escapeHtml } = require("./reportExport");
+const { transporter } = require("./mailer");
+
+/**
+ * Late purchase order alerts for the recentpo and buyerrecentpo workbooks.
+ *
+ * Each check compares the POs that are late in a workbook with the ones that
+ * were late the previous time the same workbook slot was checked:
+ *   latePoState/{slot}     - late PO keys of the last check, per workbook slot
+ *   latePoAlerts/{alertId} - one doc per alerted PO; created before mailing and
+ *                            tracking who was reached, so nobody is alerted twice
+ * The first check of a slot only records a baseline. Newly late POs are
+ * mailed to the buyer (the customer owning the workbook, or the customer
+ * whose business name matches the Buyer column) and to the supplier contacts
+ * of that customer's supplier_info workbook, one email per recipient.
+ *
+ * Checks run for every newly ingested workbook when LATE_PO_ALERTS_ENABLED
+ * is "true", and periodically from jobs/latePoAlerts.js so POs that pass
+ * their due date without a new workbook are picked up too.
+ */
+
+const STATE_COLLECTION = "latePoState";
+const ALERTS_COLLECTION = "latePoAlerts";
+
+// How each workbook says a PO is late
+const LATE_PO_RULES = {
+  // Customer workbook: a positive Delay, or a Due Date in the past with no AWD (actual date) yet
+  recentPos: { poNumberKey: "purchaseOrder", delayKey: "delayDays", dueDateKey: "dueDate", deliveredKey: "awd" },
+  // Shop workbook: only the ex-factory date is known
+  buyerRecentPos: { poNumberKey: "poNumber", dueDateKey: "exFactoryDate" },
+};
+
+const runningChecks = new Map();
+
+const isEnabled = () => process.env.LATE_PO_ALERTS_ENABLED === "true";
+
+const normalizeName = (value) => String(value ?? "").toLowerCase().replace(/\s+/g, " ").trim();
+
+const alertId = (slot, poKey) => crypto.createHash("sha1").update(`${slot}|${poKey}`).digest("hex").slice(0, 24);
+
+const dateText = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+const poKeyOf = (report, row) => report.schema.identity.map((key) => report.text(row, key)).join("|");
+
+/**
+ * The late POs of a recentPos / buyerRecentPos report.
+ * @param {ParsedReport} report
+ * @param {Date} [now]
+ * @returns {object[]} { poKey, purchaseOrder, buyer, supplier, dueDate, delayDays, reason }
+ */
+function findLatePos(report, now = new Date()) {
+  const rule = LATE_PO_RULES[report.schema.name];
+  if (!rule) return [];
+
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const late = new Map();
+
+  report.rows.forEach((row) => {
+    const poKey = poKeyOf(report, row);
+    if (!poKey.replace(/\|/g, "") || late.has(poKey)) return;
+
+    const delayDays = rule.delayKey && report.has(rule.delayKey) ? report.value(row, rule.delayKey) : 0;
+    const dueDate = report.has(rule.dueDateKey) ? toDate(report.value(row, rule.dueDateKey)) : null;
+    const delivered = rule.deliveredKey && report.has(rule.deliveredKey) && report.text(row, rule.deliveredKey) !== "";
+
+    let reason = null;
+    if (delayDays > 0) reason = "delayed";
+    else if (dueDate && dueDate < today && !delivered) reason = "pastDue";
+    if (!reason) return;
+
+    late.set(poKey, {
+      poKey,
+      purchaseOrder: report.text(row, rule.poNumberKey),
+      buyer: report.has("buyer") ? report.text(row, "buyer") : null,
+      supplier: report.text(row, "supplier"),
+      dueDate: dateText(dueDate),
+      delayDays: delayDays > 0 ? delayDays : null,
+      reason,
+    });
+  });
+
+  return [...late.values()];
+}
+
+async function loadSupplierContacts(customerId) {
+  let report;
+  try {
+    report = await loadReport(reportSchemas.supplierInfo, { customerId });
+  } catch (err) {
+    if (err instanceof ReportError && err.status === 404) return new Map();
+    throw err;
+  }
+
+  const contacts = new Map();
+  report.rows.forEach((row) => {
+    const company = normalizeName(report.text(row, "company"));
+    const emails = report
+      .text(row, "email")
+      .split(/[;,\s]+/)
+      .filter((email) => email.includes("@"));
+    if (company && emails.length > 0) {
+      contacts.set(company, [...(contacts.get(company) || []), ...emails]);
+    }
+  });
+  return contacts;
+}
+
+// Firestore customers the late POs belong to: the workbook owner, or a match on business name
+async function resolveBuyers(report, latePos) {
+  if (report.source.customerId) {
+    const doc = await db.collection("customers").doc(report.source.customerId.toString()).get();
+    const customer = doc.exists ? { customerId: doc.id, ...doc.data() } : { customerId: report.source.customerId };
+    return new Map([[null, customer]]);
+  }
+
+  const names = new Set(latePos.map((po) => normalizeName(po.buyer)));
+  const snapshot = await db.collection("customers").get();
+  const buyers = new Map();
+  snapshot.docs.forEach((doc) => {
+    const data = doc.data();
+    const name = normalizeName(data.businessName);
+    if (name && names.has(name) && !buyers.has(name)) {
+      buyers.set(name, { customerId: doc.id, ...data });
+    }
+  });
+  return buyers;
+}
+
+/**
+ * Work out who to alert about each PO (po.recipients), leaving out those in po.sentTo.
+ * @returns {Promise<Map<string, object[]>>} recipient email -> POs
+ */
+async function planRecipients(report, latePos) {
+  const buyers = await resolveBuyers(report, latePos);
+  const supplierContacts = new Map();
+  const byRecipient = new Map();
+
+  const add = (email, po) => {
+    const key = email.toLowerCase().trim();
+    if (po.recipients.includes(key)) return;
+    po.recipients.push(key);
+    if (po.sentTo.includes(key)) return;
+    if (!byRecipient.has(key)) byRecipient.set(key, []);
+    byRecipient.get(key).push(po);
+  };
+
+  for (const po of latePos) {
+    const buyer = report.source.customerId ? buyers.get(null) : buyers.get(normalizeName(po.buyer));
+    po.recipients = [];
+    if (!buyer) continue;
+
+    if (buyer.email) add(buyer.email, po);
+
+    if (!supplierContacts.has(buyer.customerId)) {
+      supplierContacts.set(buyer.customerId, await loadSupplierContacts(buyer.customerId));
+    }
+    (supplierContacts.get(buyer.customerId).get(normalizeName(po.supplier)) || []).forEach((email) => add(email, po));
+  }
+
+  return byRecipient;
+}
+
+function alertHtml(pos) {
+  const rows = pos
+    .map(
+      (po) =>
+        `<tr>${[
+          po.purchaseOrder,
+          po.buyer || "",
+          po.supplier,
+          po.dueDate || "",
+          po.reason === "delayed" ? `Delayed ${po.delayDays} day(s)` : "Past due date",
+        ]
+          .map((value) => `<td style="padding:4px 12px 4px 0;border-bottom:1px solid #eee">${escapeHtml(value)}</td>`)
+          .join("")}</tr>`
+    )
+    .join("");
+
+  return `
+    <h2>Late purchase orders</h2>
+    <p>The following purchase orders have become late since the last update:</p>
+    <table style="border-collapse:collapse">
+      <tr>${["PO", "Buyer", "Supplier", "Due date", "Status"]
+        .map((h) => `<th style="text-align:left;padding:4px 12px 4px 0;border-bottom:1px solid #ccc">${h}</th>`)
+        .join("")}</tr>
+      ${rows}
+    </table>
+  `;
+}
+
+/**
+ * Claim the alert for a PO before mailing anyone.
+ * @returns {Promise<string[]|null>} recipients already alerted (empty for a new claim),
+ *   or null when the PO was already handled by another check.
+ */
+async function claimAlert(ref, data) {
+  try {
+    await ref.create(data);
+    return [];
+  } catch (err) {
+    if (err.code !== 6 && !/already exists/i.test(err.message)) throw err;
+  }
+
+  // An earlier check could only reach some recipients; pick up where it left off
+  const existing = await ref.get();
+  return existing.exists && existing.data().status === "partial" ? existing.data().sentTo || [] : null;
+}
+
+/**
+ * Compare a recentPos / buyerRecentPos report with the previous check of the
+ * same workbook and alert the contacts of POs that newly went late.
+ * @param {ParsedReport} report
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Work out the alerts without mailing or recording anything.
+ * @returns {Promise<object|null>} { slot, baseline, late, newlyLate, alerted, failed }, or null for other reports.
+ */
+async function checkLatePos(report, options = {}) {
+  if (!LATE_PO_RULES[report.schema.name]) return null;
+
+  // One check per slot at a time: the ingest listener and the periodic job can fire together
+  const slot = workbookCache.slotFor(report.schema, report.source.customerId);
+  const previous = runningChecks.get(slot) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => runCheck(slot, report, options));
+  runningChecks.set(slot, run);
+  try {
+    return await run;
+  } finally {
+    if (runningChecks.get(slot) === run) runningChecks.delete(slot);
+  }
+}
+
+async function runCheck(slot, report, { dryRun = false }) {
+  const stateRef = db.collection(STATE_COLLECTION).doc(slot);
+  const state = await stateRef.get();
+  const latePos = findLatePos(report);
+  const result = { slot, baseline: !state.exists, late: latePos.length, newlyLate: 0, alerted: 0, failed: 0 };
+
+  const previousKeys = new Set(state.exists ? state.data().lateKeys || [] : []);
+  const newlyLate = state.exists ? latePos.filter((po) => !previousKeys.has(po.poKey)) : [];
+  result.newlyLate = newlyLate.length;
+
+  const retryLater = new Set();
+  if (newlyLate.length > 0) {
+    const claimed = [];
+    for (const po of newlyLate) {
+      const ref = db.collection(ALERTS_COLLECTION).doc(alertId(slot, po.poKey));
+      const sentTo = dryRun ? [] : await claimAlert(ref, {
+        slot,
+        reportType: report.schema.metafield.key,
+        customerId: report.source.customerId || null,
+        purchaseOrder: po.purchaseOrder,
+        buyer: po.buyer,
+        supplier: po.supplier,
+        dueDate: po.dueDate,
+        delayDays: po.delayDays,
+        reason: po.reason,
+        status: "pending",
+        sentTo: [],
+        checksum: report.source.checksum || null,
+        detectedAt: new Date().toISOString(),
+      });
+      if (sentTo) {
+        po.sentTo = sentTo;
+        claimed.push({ po, ref });
+      }
+    }
+
+    const recipients = await planRecipients(report, claimed.map(({ po }) => po));
+
+    for (const [email, pos] of recipients) {
+      if (dryRun) {
+        console.log(`🧪 [dry run] Late PO alert for ${email}:`, pos.map((po) => po.purchaseOrder).join(", "));
+        continue;
+      }
+      try {
+        await transporter.sendMail({
+          from: process.env.EMAIL_USER,
+          to: email,
+          subject: `Late purchase orders: ${pos.map((po) => po.purchaseOrder).slice(0, 5).join(", ")}${pos.length > 5 ? ", ..." : ""}`,
+          html: alertHtml(pos),
+        });
+        pos.forEach((po) => po.sentTo.push(email));
+        console.log(`📧 Late PO alert sent to ${email} (${pos.length} PO${pos.length === 1 ? "" : "s"})`);
+      } catch (err) {
+        console.error(`❌ Late PO alert to ${email} failed:`, err.message);
+      }
+    }
+
+    if (!dryRun) {
+      for (const { po, ref } of claimed) {
+        const complete = po.recipients.every((email) => po.sentTo.includes(email));
+        let status = "sent";
+        if (po.recipients.length === 0) status = "noRecipients";
+        else if (!complete) status = "partial";
+
+        await ref.set(
+          { recipients: po.recipients, sentTo: po.sentTo, status, updatedAt: new Date().toISOString() },
+          { merge: true }
+        );
+
+        if (complete) {
+          if (po.recipients.length > 0) result.alerted++;
+        } else {
+          // Leave the PO out of the state so the next check retries the recipients that failed
+          retryLater.add(po.poKey);
+          result.failed++;
+        }
+      }
+    }
+  }
+
+  if (!dryRun) {
+    await stateRef.set({
+      slot,
+      reportType: report.schema.metafield.key,
+      customerId: report.source.customerId || null,
+      checksum: report.source.checksum || null,
+      lateKeys: latePos.map((po) => po.poKey).filter((key) => !retryLater.has(key)),
+      checkedAt: new Date().toISOString(),
+    });
+  }
+
+  if (result.baseline) {
+    console.log(`📌 Late PO baseline recorded for ${slot}: ${result.late} late`);
+  } else if (result.newlyLate > 0) {
+    console.log(`⏰ ${slot}: ${result.newlyLate} newly late PO(s), ${result.alerted} alerted, ${result.failed} failed`);
+  }
+  return result;
+}
+
+// Check every newly ingested PO workbook
+onReportIngested((report) => (isEnabled() ? checkLatePos(report) : null));
+
+module.exports = {
+  findLatePos,
+  checkLatePos,
+};
@@ -0,0 +1,15 @@
+// services/mailer.js
+const nodemailer = require("nodemailer");
+
+// Shared transport for app emails (admin notifications, digests, alerts)
+const { EMAIL_USER, EMAIL_PASS } = process.env;
+
+const transporter = nodemailer.createTransport({
+  service: process.env.EMAIL_SERVICE || "gmail",
+  auth: {
+    user: EMAIL_USER,
+    pass: EMAIL_PASS,
+  },
+});
+
+module.exports = { transporter };
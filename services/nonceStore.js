@@ -0,0 +1,35 @@
+// services/nonceStore.js
+
+const crypto = require("crypto");
+const { db } = require("../firebaseConfig.js");
+
+/**
+ * One-time nonces for signed requests, shared by every server instance.
+ *
+ * hmacNonces/{sha256(nonce)} - { usedAt, expiresAt }
+ * Docs are only needed until their signature's timestamp window closes; point
+ * a Firestore TTL policy at expiresAt to clean them up.
+ */
+
+const NONCES_COLLECTION = "hmacNonces";
+
+/**
+ * Record a nonce as used.
+ * @param {string} nonce
+ * @param {Date} expiresAt - When the nonce can no longer be replayed anyway.
+ * @returns {Promise<boolean>} false if the nonce was used before.
+ */
+async function claimNonce(nonce, expiresAt) {
+  const id = crypto.createHash("sha256").update(nonce).digest("hex");
+
+  try {
+    await db.collection(NONCES_COLLECTION).doc(id).create({ usedAt: new Date(), expiresAt });
+    return true;
+  } catch (error) {
+    // gRPC ALREADY_EXISTS: the nonce was claimed before
+    if (error.code === 6 || /already exists/i.test(error.message)) return false;
+    throw error;
+  }
+}
+
+module.exports = { claimNonce };
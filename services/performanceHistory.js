@@ -0,0 +1,190 @@
+// services/performanceHistory.js
+
+const crypto = require("crypto");
+const { db } = require("../firebaseConfig.js");
+const reportSchemas = require("./reportSchemas");
+const { onReportIngested } = require("./reportIngestion");
+const { merchantRowSummary, merchantOverview } = require("./performanceKpis");
+
+/**
+ * Firestore history of the merchant performance workbook.
+ *
+ * Every new version of the workbook (keyed by its content checksum) is
+ * snapshotted once:
+ *   performanceSnapshots/{snapshotId}          - one doc per workbook version
+ *   performanceHistory/{snapshotId}_{emailKey} - one doc per merchant, holding
+ *     the KPIs merchants-performance computes, overall and per buyer
+ * Merchant docs are written before the snapshot doc, so an interrupted write
+ * is completed the next time the same version is ingested.
+ */
+
+const SNAPSHOTS_COLLECTION = "performanceSnapshots";
+const HISTORY_COLLECTION = "performanceHistory";
+const BATCH_SIZE = 400;
+
+// merchants-performance summary fields tracked over time
+const HISTORY_KPIS = [
+  "lytd",
+  "ytdTarget",
+  "ytdActual",
+  "totalOpenPos",
+  "totalOrders",
+  "otifRawAverage",
+  "otifLY",
+  "totalQualityClaimsLY",
+  "totalQualityClaims",
+  "totalSKUs",
+  "totalConvertedSKUs",
+  "numberOfPos",
+  "latePos",
+  "onTimePos",
+];
+
+// Their column names change with the fiscal year, so deltas across a rollover are meaningless
+const FISCAL_KPIS = new Set(["lytd", "ytdTarget", "ytdActual"]);
+
+const pickKpis = (summary) => {
+  const kpis = {};
+  HISTORY_KPIS.forEach((key) => {
+    kpis[key] = summary[key];
+  });
+  return kpis;
+};
+
+const emailKey = (email) => crypto.createHash("sha1").update(email).digest("hex").slice(0, 16);
+
+/**
+ * Snapshot a merchant performance workbook, once per workbook version.
+ * @param {ParsedReport} report - Parsed merchantPerformance report.
+ * @returns {Promise<string|null>} snapshot ID, or null for other reports.
+ */
+async function recordMerchantSnapshot(report) {
+  if (report.schema !== reportSchemas.merchantPerformance) return null;
+
+  const snapshotId = report.source.checksum.slice(0, 20);
+  const snapshotRef = db.collection(SNAPSHOTS_COLLECTION).doc(snapshotId);
+  const existing = await snapshotRef.get();
+  if (existing.exists) return snapshotId;
+
+  const capturedAt = new Date().toISOString();
+  const fiscalYear = report.fiscal.currentYear;
+
+  const rowsByEmail = new Map();
+  report.rows.forEach((row) => {
+    const email = report.text(row, "email").toLowerCase();
+    if (!email) return;
+    if (!rowsByEmail.has(email)) rowsByEmail.set(email, []);
+    rowsByEmail.get(email).push(row);
+  });
+
+  const docs = [...rowsByEmail.entries()].map(([email, rows]) => {
+    const buyers = {};
+    rows.forEach((row) => {
+      const buyer = report.text(row, "buyer");
+      if (buyer) buyers[buyer] = pickKpis(merchantRowSummary(report, row));
+    });
+
+    const overall = pickKpis(merchantOverview(report, rows));
+
+    return {
+      id: `${snapshotId}_${emailKey(email)}`,
+      data: { email, snapshotId, capturedAt, fiscalYear, overall, buyers },
+    };
+  });
+
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    docs.slice(i, i + BATCH_SIZE).forEach(({ id, data }) => {
+      batch.set(db.collection(HISTORY_COLLECTION).doc(id), data);
+    });
+    await batch.commit();
+  }
+
+  await snapshotRef.set({
+    reportType: report.schema.metafield.key,
+    checksum: report.source.checksum,
+    capturedAt,
+    fiscalYear,
+    fileVersion: report.source.metafieldValue ? report.version : null,
+    rowCount: report.rows.length,
+    merchantCount: docs.length,
+  });
+
+  console.log(`📸 Performance snapshot ${snapshotId} recorded for ${docs.length} merchants`);
+  return snapshotId;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * KPI time series for one merchant, oldest first, with the change from the
+ * previous snapshot at every point.
+ * @param {string} email - Merchant email (matched case-insensitively).
+ * @param {object} [options]
+ * @param {string} [options.buyer] - Use this buyer's row instead of the merchant totals.
+ * @param {number} [options.limit] - Keep only the most recent N snapshots.
+ * @returns {Promise<object>} { snapshots, series, latest }
+ */
+async function getMerchantHistory(email, { buyer, limit = 24 } = {}) {
+  const snapshot = await db
+    .collection(HISTORY_COLLECTION)
+    .where("email", "==", email.toLowerCase().trim())
+    .get();
+
+  const points = snapshot.docs
+    .map((doc) => doc.data())
+    .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt))
+    .map((doc) => ({
+      snapshotId: doc.snapshotId,
+      capturedAt: doc.capturedAt,
+      fiscalYear: doc.fiscalYear,
+      kpis: buyer ? doc.buyers?.[buyer] : doc.overall,
+    }))
+    .filter((point) => point.kpis);
+
+  const series = {};
+  const latest = {};
+
+  HISTORY_KPIS.forEach((key) => {
+    series[key] = points.map((point, index) => {
+      const previous = points[index - 1];
+      const comparable = previous && !(FISCAL_KPIS.has(key) && previous.fiscalYear !== point.fiscalYear);
+      return {
+        capturedAt: point.capturedAt,
+        fiscalYear: point.fiscalYear,
+        value: point.kpis[key],
+        delta: comparable ? round(point.kpis[key] - previous.kpis[key]) : null,
+      };
+    });
+
+    const last = series[key][series[key].length - 1];
+    const previousValue = series[key].length > 1 ? series[key][series[key].length - 2].value : null;
+    latest[key] = last
+      ? {
+          value: last.value,
+          previous: last.delta === null ? null : previousValue,
+          delta: last.delta,
+          deltaPercent:
+            last.delta === null || !previousValue ? null : round((last.delta / Math.abs(previousValue)) * 100),
+        }
+      : null;
+
+    // Trim after computing deltas so the oldest point returned still has one
+    series[key] = series[key].slice(-limit);
+  });
+
+  return {
+    snapshots: points.slice(-limit).map(({ snapshotId, capturedAt, fiscalYear }) => ({ snapshotId, capturedAt, fiscalYear })),
+    series,
+    latest,
+  };
+}
+
+// Snapshot every new merchant performance workbook as it is ingested
+onReportIngested((report) => recordMerchantSnapshot(report));
+
+module.exports = {
+  HISTORY_KPIS,
+  recordMerchantSnapshot,
+  getMerchantHistory,
+};
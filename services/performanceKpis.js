@@ -0,0 +1,220 @@
+// services/performanceKpis.js
+
+/**
+ * KPI summaries for the performance dashboards, computed from a ParsedReport.
+ *
+ * Volume, target and YTD columns change name every fiscal year, so besides
+ * the long-standing summary fields each summary carries a stable block:
+ *   currentYear: { label: "FY26", ytd, target }
+ *   lastYear:    { label: "FY25", volume }
+ *   target, ytd
+ * The routes return report.fiscal next to it so clients can show the labels.
+ *
+ * OTIF is aggregated the same way everywhere (see aggregateOtif) and the
+ * method used is returned as otifAggregation.
+ */
+
+const OTIF_METHODS = {
+  onTimeRatio: "Ontime Pos / Number of Pos across the selected rows",
+  poWeightedAverage: "OTIF % weighted by Number of Pos",
+  simpleAverage: "Unweighted average of the OTIF % of rows that report it",
+};
+
+const describeOtif = (method, extra = {}) => ({ method, description: OTIF_METHODS[method], ...extra });
+
+/**
+ * OTIF % for a set of rows. Counts are preferred over percentages so a buyer
+ * with 300 POs weighs 100 times one with 3:
+ *   1. onTimeRatio       - sum(Ontime Pos) / sum(Number of Pos), when both columns exist, over
+ *                          the rows that fill in both (a blank cell is missing, not 0)
+ *   2. poWeightedAverage - OTIF % weighted by Number of Pos, when only the PO count exists
+ *   3. simpleAverage     - plain average of the rows reporting an OTIF %
+ * @param {ParsedReport} report
+ * @param {Array[]} rows
+ * @param {string} [otifKey] - Column holding the OTIF % (otifLY has no PO counts and always averages).
+ * @returns {{ value: number, aggregation: object }}
+ */
+function aggregateOtif(report, rows, otifKey = "otif") {
+  const sum = (key) => rows.reduce((total, row) => total + report.value(row, key), 0);
+  const counted = otifKey === "otif" && report.has("numberOfPos");
+  const totalPos = counted ? sum("numberOfPos") : 0;
+
+  if (counted && totalPos > 0 && report.has("onTimePos")) {
+    const reported = rows.filter((row) => !report.isBlank(row, "onTimePos") && !report.isBlank(row, "numberOfPos"));
+    const numberOfPos = reported.reduce((total, row) => total + report.value(row, "numberOfPos"), 0);
+    if (numberOfPos > 0) {
+      const onTimePos = reported.reduce((total, row) => total + report.value(row, "onTimePos"), 0);
+      return {
+        value: (onTimePos / numberOfPos) * 100,
+        aggregation: describeOtif("onTimeRatio", { onTimePos, numberOfPos, rows: reported.length }),
+      };
+    }
+  }
+
+  // A reported 0% counts; only rows that leave the OTIF cell empty are left out
+  const reporting = rows.filter((row) => !report.isBlank(row, otifKey));
+
+  if (counted && totalPos > 0) {
+    const weights = reporting.reduce((total, row) => total + report.value(row, "numberOfPos"), 0);
+    if (weights > 0) {
+      const weighted = reporting.reduce(
+        (total, row) => total + report.value(row, otifKey) * report.value(row, "numberOfPos"),
+        0
+      );
+      return {
+        value: weighted / weights,
+        aggregation: describeOtif("poWeightedAverage", { numberOfPos: weights, rows: reporting.length }),
+      };
+    }
+  }
+
+  const value = reporting.length > 0
+    ? reporting.reduce((total, row) => total + report.value(row, otifKey), 0) / reporting.length
+    : 0;
+  return { value, aggregation: describeOtif("simpleAverage", { rows: reporting.length }) };
+}
+
+// Stable fiscal KPI fields, labelled with the fiscal year the report was resolved for
+function fiscalKpis(report, { ytd = null, target = null, lastYearVolume = null }) {
+  const { currentYear, lastYear } = report.fiscal;
+  return {
+    currentYear: { label: currentYear, ytd, target },
+    lastYear: { label: lastYear, volume: lastYearVolume },
+    target,
+    ytd,
+  };
+}
+
+// Merchant performance KPIs taken directly from one row (a single merchant or a buyer's "Total" row)
+function merchantRowSummary(report, row) {
+  const volumeLY = report.value(row, "volumeLY");
+  const target = report.value(row, "target");
+  const ytd = report.value(row, "ytd");
+  const otif = aggregateOtif(report, [row]);
+
+  return {
+    totalRows: 1,
+    // volumeLY25/targetFY26/ytdFY26 predate fiscal-year detection and are kept for existing clients
+    volumeLY25: volumeLY,
+    targetFY26: target,
+    ytdActual: ytd,
+    ytdFY26: ytd,
+    totalOpenPos: report.value(row, "openPos"),
+    totalOrders: report.value(row, "totalOrders"),
+    otifRate: `${otif.value.toFixed(0)}%`,
+    otifRawAverage: otif.value,
+    otifLY: report.value(row, "otifLY"),
+    totalQualityClaimsLY: report.value(row, "qualityClaimsLY"),
+    totalQualityClaims: report.value(row, "qualityClaims"),
+    totalSKUs: report.value(row, "totalSKUs"),
+    totalConvertedSKUs: report.value(row, "convertedSKUs"),
+    numberOfPos: report.value(row, "numberOfPos"),
+    ytdTarget: target,
+    lytd: volumeLY,
+    latePos: report.value(row, "latePos"),
+    onTimePos: report.value(row, "onTimePos"),
+    otifAggregation: { otif: otif.aggregation },
+    ...fiscalKpis(report, { ytd, target, lastYearVolume: volumeLY }),
+  };
+}
+
+// Merchant performance KPIs summed across rows, with OTIF aggregated by aggregateOtif
+function aggregateMerchantSummary(report, rows) {
+  const sum = (key) => rows.reduce((total, row) => total + report.value(row, key), 0);
+
+  const otif = aggregateOtif(report, rows);
+  const otifLY = aggregateOtif(report, rows, "otifLY");
+  const volumeLY = sum("volumeLY");
+  const target = sum("target");
+  const ytd = sum("ytd");
+
+  return {
+    totalRows: rows.length,
+    volumeLY25: volumeLY,
+    targetFY26: target,
+    ytdActual: ytd,
+    ytdFY26: ytd,
+    totalOpenPos: sum("openPos"),
+    totalOrders: sum("totalOrders"),
+    otifRate: `${otif.value.toFixed(0)}%`,
+    otifRawAverage: otif.value,
+    otifLY: otifLY.value,
+    totalQualityClaimsLY: sum("qualityClaimsLY"),
+    totalQualityClaims: sum("qualityClaims"),
+    totalSKUs: sum("totalSKUs"),
+    totalConvertedSKUs: sum("convertedSKUs"),
+    numberOfPos: sum("numberOfPos"),
+    ytdTarget: target,
+    lytd: volumeLY,
+    latePos: sum("latePos"),
+    onTimePos: sum("onTimePos"),
+    otifAggregation: { otif: otif.aggregation, otifLY: otifLY.aggregation },
+    ...fiscalKpis(report, { ytd, target, lastYearVolume: volumeLY }),
+  };
+}
+
+const isTotalBuyer = (buyer) => buyer.toLowerCase().includes("total");
+
+/**
+ * A merchant's overall KPIs: its "Total" row when the sheet has one (it
+ * already holds the merchant's totals), otherwise the aggregate of its rows.
+ */
+function merchantOverview(report, rows) {
+  const totalRow = rows.find((row) => isTotalBuyer(report.text(row, "buyer")));
+  return totalRow ? merchantRowSummary(report, totalRow) : aggregateMerchantSummary(report, rows);
+}
+
+// Buyer performance KPIs for one buyer row
+function buyerRowSummary(report, row) {
+  const otif = aggregateOtif(report, [row]);
+
+  return {
+    totalRows: 1,
+    businessName: report.value(row, "businessName"),
+    shippedPosCurrent: report.value(row, "shippedPosCurrent"),
+    shippedPosLast: report.value(row, "shippedPosLast"),
+    ytdFY26: report.value(row, "ytd"),
+    openPosCurrent: report.value(row, "openPosCurrent"),
+    openPosNext: report.value(row, "openPosNext"),
+    totalOrders: report.value(row, "totalOrders"),
+    otifRate: `${otif.value.toFixed(0)}%`,
+    otifRaw: otif.value,
+    openPosYTD: report.value(row, "openPosYTD"),
+    shippedPosYTD: report.value(row, "shippedPosYTD"),
+    openPosValue: report.value(row, "openPosValue"),
+    otifAggregation: { otif: otif.aggregation },
+    ...fiscalKpis(report, { ytd: report.value(row, "ytd") }),
+  };
+}
+
+const dateText = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value ?? "").trim());
+
+/**
+ * The most delayed purchase orders of a recent POs report.
+ * @returns {object[]} { purchaseOrder, supplier, dueDate, delayDays }, most delayed first.
+ */
+function mostDelayedPos(report, limit = 5) {
+  if (!report.has("delayDays")) return [];
+
+  return report.rows
+    .filter((row) => report.value(row, "delayDays") > 0)
+    .sort((a, b) => report.value(b, "delayDays") - report.value(a, "delayDays"))
+    .slice(0, limit)
+    .map((row) => ({
+      purchaseOrder: report.text(row, "purchaseOrder"),
+      supplier: report.text(row, "supplier"),
+      dueDate: dateText(report.value(row, "dueDate")),
+      delayDays: report.value(row, "delayDays"),
+    }));
+}
+
+module.exports = {
+  aggregateOtif,
+  fiscalKpis,
+  isTotalBuyer,
+  merchantRowSummary,
+  aggregateMerchantSummary,
+  merchantOverview,
+  buyerRowSummary,
+  mostDelayedPos,
+};
@@ -0,0 +1,529 @@
+// services/privacy.js
+
+const crypto = require("crypto");
+const { admin, db } = require("../firebaseConfig.js");
+const { shopifyGraphQL, shopifyMutation } = require("./shopifyAdmin.js");
+
+/**
+ * Customer data export and erasure, for Shopify's privacy (GDPR) webhooks and
+ * for Flutter app users managing their own account (routes/account.js).
+ *
+ * What this backend holds about a customer:
+ *   customers/{customerId}                 - profile, verification, digest preferences
+ *   verificationHistory with the customerId - who verified or unverified them, and when
+ *   profileSync/{customerId}, profileSyncQueue/{customerId} and profileConflicts
+ *     with the customerId                  - profile sync state (services/profileSync.js)
+ *   shopifyOutbox with params.customerId   - queued and past wishlist/list writes
+ *   users/{uid} with shopifyCustomerId     - the linked Flutter account (name, email)
+ *   roleAssignments/customer:{customerId}  - granted roles
+ *   wishlistAlerts/{customerId}            - queued wishlist alerts, last alert email
+ *   latePoAlerts with the email in recipients
+ *   performanceHistory with the email      - merchant KPI history
+ *   Shopify customer metafields in the custom namespace - profile fields
+ *     (contact, business_registration, ...), wishlist, wishlist_items, favList and favList_*
+ *     lists, and the customer's report workbooks
+ *
+ * Every export, erasure and purge is recorded in privacyAuditLog.
+ * Export bundles are kept in privacyExports/{requestId} until expiresAt.
+ * Account erasures run in the background and are tracked in
+ * privacyRequests/{requestId}: { type, uid, customerId, status, steps, ... }.
+ */
+
+const AUDIT_COLLECTION = "privacyAuditLog";
+const EXPORTS_COLLECTION = "privacyExports";
+const REQUESTS_COLLECTION = "privacyRequests";
+const EXPORT_RETENTION_DAYS = 30;
+const BATCH_SIZE = 400;
+const REDACTED = "[redacted]";
+const ERASURE_STALE_MS = 15 * 60 * 1000;
+
+// Collections purged on shop/redact (the audit log and webhook records are kept)
+const SHOP_COLLECTIONS = [
+  "customers",
+  "verificationHistory",
+  "profileSync",
+  "profileSyncQueue",
+  "profileConflicts",
+  "shopifyOutbox",
+  "users",
+  "roleAssignments",
+  "latePoAlerts",
+  "latePoState",
+  "performanceSnapshots",
+  "performanceHistory",
+  "productSnapshots",
+  "reportDryRuns",
+  "wishlistAlerts",
+  "wishlistProductSnapshots",
+  EXPORTS_COLLECTION,
+  REQUESTS_COLLECTION,
+  "apiKeyUsage",
+  "hmacNonces",
+];
+
+const normalizeEmail = (email) => (email ? String(email).toLowerCase().trim() : null);
+
+/**
+ * Record a privacy action.
+ * @param {{ action: string, customerId?: string, shop?: string, requestId?: string, source?: string }} entry
+ */
+async function auditPrivacyAction(entry) {
+  await db.collection(AUDIT_COLLECTION).add({ ...entry, at: new Date().toISOString() });
+}
+
+const docsData = (snapshot) => snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+// All custom-namespace metafields on a Shopify customer ([] if the customer is gone)
+async function fetchCustomerMetafields(customerId) {
+  const metafields = [];
+  let after = null;
+
+  do {
+    const data = await shopifyGraphQL(
+      `
+        query customerMetafields($id: ID!, $after: String) {
+          customer(id: $id) {
+            metafields(first: 100, namespace: "custom", after: $after) {
+              nodes { namespace key type value updatedAt }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        }
+      `,
+      { id: `gid://shopify/Customer/${customerId}`, after }
+    );
+
+    if (!data?.customer) return metafields;
+    const page = data.customer.metafields;
+    metafields.push(...page.nodes);
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  return metafields;
+}
+
+/**
+ * Collect everything held about a customer.
+ * @param {string} customerId - Shopify customer ID.
+ * @param {string} [email] - Used for the email-keyed collections.
+ * @returns {Promise<object>} the export bundle.
+ */
+async function buildCustomerExport(customerId, email) {
+  const id = String(customerId);
+  const address = normalizeEmail(email);
+
+  const [customerDoc, verifications, conflicts, users, assignment, wishlistAlerts, alerts, history, metafields] = await Promise.all([
+    db.collection("customers").doc(id).get(),
+    db.collection("verificationHistory").where("customerId", "==", id).get(),
+    db.collection("profileConflicts").where("customerId", "==", id).get(),
+    db.collection("users").where("shopifyCustomerId", "==", id).get(),
+    db.collection("roleAssignments").doc(`customer:${id}`).get(),
+    db.collection("wishlistAlerts").doc(id).get(),
+    address ? db.collection("latePoAlerts").where("recipients", "array-contains", address).get() : null,
+    address ? db.collection("performanceHistory").where("email", "==", address).get() : null,
+    fetchCustomerMetafields(id),
+  ]);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    customerId: id,
+    email: address,
+    firestore: {
+      customer: customerDoc.exists ? customerDoc.data() : null,
+      verificationHistory: docsData(verifications).sort((a, b) => String(a.at).localeCompare(String(b.at))),
+      profileConflicts: docsData(conflicts),
+      users: docsData(users),
+      roleAssignment: assignment.exists ? assignment.data() : null,
+      wishlistAlerts: wishlistAlerts.exists ? wishlistAlerts.data() : null,
+      latePoAlerts: alerts ? docsData(alerts) : [],
+      performanceHistory: history ? docsData(history) : [],
+    },
+    shopifyMetafields: metafields,
+  };
+}
+
+/**
+ * Build and store an export bundle.
+ * @returns {Promise<{ requestId: string, expiresAt: string, bundle: object }>}
+ */
+async function createCustomerExport(requestId, customerId, email) {
+  const bundle = await buildCustomerExport(customerId, email);
+  const expiresAt = new Date(Date.now() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  await db.collection(EXPORTS_COLLECTION).doc(String(requestId)).set({
+    customerId: String(customerId),
+    createdAt: bundle.generatedAt,
+    expiresAt,
+    bundle,
+  });
+
+  return { requestId: String(requestId), expiresAt, bundle };
+}
+
+async function deleteCustomerMetafields(customerId, metafields) {
+  if (metafields.length === 0) return [];
+
+  const { deletedMetafields } = await shopifyMutation(
+    `
+      mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          deletedMetafields { key namespace }
+          userErrors { field message }
+        }
+      }
+    `,
+    {
+      metafields: metafields.map(({ namespace, key }) => ({
+        ownerId: `gid://shopify/Customer/${customerId}`,
+        namespace,
+        key,
+      })),
+    }
+  );
+
+  return (deletedMetafields || []).filter(Boolean).map(({ key }) => key);
+}
+
+/**
+ * Delete or anonymise everything held about a customer.
+ * Linked Flutter user docs are kept but stripped of their name, email and link.
+ * @returns {Promise<object>} counts of what was removed, for the audit log.
+ */
+async function eraseCustomerData(customerId, email) {
+  const id = String(customerId);
+  const address = normalizeEmail(email);
+  const { FieldValue } = admin.firestore;
+
+  const [verifications, conflicts, outbox, users, alerts, history, metafields] = await Promise.all([
+    db.collection("verificationHistory").where("customerId", "==", id).get(),
+    db.collection("profileConflicts").where("customerId", "==", id).get(),
+    db.collection("shopifyOutbox").where("params.customerId", "==", id).get(),
+    db.collection("users").where("shopifyCustomerId", "==", id).get(),
+    address ? db.collection("latePoAlerts").where("recipients", "array-contains", address).get() : null,
+    address ? db.collection("performanceHistory").where("email", "==", address).get() : null,
+    fetchCustomerMetafields(id),
+  ]);
+
+  // Shopify first: if it fails, the webhook is retried with the Firestore data still in place
+  const deletedMetafields = await deleteCustomerMetafields(id, metafields);
+
+  const writes = [
+    (batch) => batch.delete(db.collection("customers").doc(id)),
+    (batch) => batch.delete(db.collection("roleAssignments").doc(`customer:${id}`)),
+    (batch) => batch.delete(db.collection("profileSync").doc(id)),
+    (batch) => batch.delete(db.collection("profileSyncQueue").doc(id)),
+    (batch) => batch.delete(db.collection("wishlistAlerts").doc(id)),
+    ...verifications.docs.map((doc) => (batch) => batch.delete(doc.ref)),
+    ...conflicts.docs.map((doc) => (batch) => batch.delete(doc.ref)),
+    ...outbox.docs.map((doc) => (batch) => batch.delete(doc.ref)),
+    ...users.docs.map((doc) => (batch) =>
+      batch.update(doc.ref, {
+        name: FieldValue.delete(),
+        email: FieldValue.delete(),
+        shopifyCustomerId: FieldValue.delete(),
+        redactedAt: new Date().toISOString(),
+      })
+    ),
+    ...(alerts ? alerts.docs : []).map((doc) => (batch) => {
+      const scrub = (list) => (list || []).map((entry) => (entry === address ? REDACTED : entry));
+      batch.update(doc.ref, { recipients: scrub(doc.data().recipients), sentTo: scrub(doc.data().sentTo) });
+    }),
+    ...(history ? history.docs : []).map((doc) => (batch) => batch.delete(doc.ref)),
+  ];
+
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach((write) => write(batch));
+    await batch.commit();
+  }
+
+  return {
+    customerDoc: true,
+    verificationHistoryDeleted: verifications.size,
+    usersAnonymised: users.size,
+    latePoAlertsScrubbed: alerts ? alerts.size : 0,
+    performanceHistoryDeleted: history ? history.size : 0,
+    metafieldsDeleted: deletedMetafields,
+  };
+}
+
+async function purgeCollection(name) {
+  let deleted = 0;
+  for (;;) {
+    const snapshot = await db.collection(name).limit(BATCH_SIZE).get();
+    if (snapshot.empty) return deleted;
+
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+  }
+}
+
+/**
+ * Delete all shop data. Only runs once the app was uninstalled from the shop
+ * (shops/{shop}.installed === false), as Shopify only sends shop/redact then.
+ * @returns {Promise<{ skipped: boolean, reason?: string, deleted?: object }>}
+ */
+async function purgeShopData(shop) {
+  const shopDoc = await db.collection("shops").doc(shop).get();
+  if (!shopDoc.exists || shopDoc.data().installed !== false) {
+    return { skipped: true, reason: "App is still installed on this shop" };
+  }
+
+  const deleted = {};
+  for (const name of SHOP_COLLECTIONS) {
+    deleted[name] = await purgeCollection(name);
+  }
+  await db.collection("shops").doc(shop).set({ redactedAt: new Date().toISOString() }, { merge: true });
+
+  return { skipped: false, deleted };
+}
+
+const toProductGid = (id) => (String(id).startsWith("gid://") ? String(id) : `gid://shopify/Product/${id}`);
+
+const parseList = (value) => {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+// Title, handle and status of products, by GID (deleted products are left out)
+async function fetchProductSummaries(gids) {
+  const products = new Map();
+  const unique = [...new Set(gids)];
+
+  for (let i = 0; i < unique.length; i += 100) {
+    const data = await shopifyGraphQL(
+      `
+        query productSummaries($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            ... on Product { id title handle status onlineStoreUrl }
+          }
+        }
+      `,
+      { ids: unique.slice(i, i + 100) }
+    );
+    (data?.nodes || []).filter(Boolean).forEach((product) => products.set(product.id, product));
+  }
+
+  return products;
+}
+
+// Wishlist and favList lists from the customer's metafields, with product details
+async function describeLists(metafields) {
+  const byKey = new Map(metafields.map((metafield) => [metafield.key, metafield.value]));
+  // wishlist_items carries variant, quantity and note; older wishlists only have the product list
+  const items = parseList(byKey.get("wishlist_items")).filter((item) => item && item.productId);
+  const wishlist = byKey.has("wishlist_items")
+    ? items.map((item) => ({ ...item, productId: toProductGid(item.productId) }))
+    : parseList(byKey.get("wishlist")).map((id) => ({ productId: toProductGid(id) }));
+  const lists = parseList(byKey.get("favList")).map((name) => ({
+    name,
+    productIds: parseList(byKey.get(`favList_${String(name).replace(/[^a-zA-Z0-9]/g, "_")}`)).map(toProductGid),
+  }));
+
+  const products = await fetchProductSummaries([
+    ...wishlist.map((item) => item.productId),
+    ...lists.flatMap((list) => list.productIds),
+  ]);
+  const describe = (gid) => products.get(gid) || { id: gid, unavailable: true };
+
+  return {
+    wishlist: wishlist.map(({ productId, ...details }) => ({ ...describe(productId), ...details })),
+    lists: lists.map(({ name, productIds }) => ({ name, products: productIds.map(describe) })),
+  };
+}
+
+async function loadAccount(uid) {
+  const [userDoc, authUser] = await Promise.all([
+    db.collection("users").doc(uid).get(),
+    admin
+      .auth()
+      .getUser(uid)
+      .catch((err) => (err.code === "auth/user-not-found" ? null : Promise.reject(err))),
+  ]);
+  const user = userDoc.exists ? userDoc.data() : null;
+  return {
+    user,
+    authUser,
+    customerId: user?.shopifyCustomerId ? String(user.shopifyCustomerId) : null,
+    email: user?.email || authUser?.email || null,
+  };
+}
+
+/**
+ * Everything held about a Flutter app user: their account, and through the
+ * linked Shopify customer, the customer export plus resolved lists.
+ * @param {string} uid - Firebase uid.
+ * @returns {Promise<object>}
+ */
+async function buildAccountExport(uid) {
+  const { user, authUser, customerId, email } = await loadAccount(uid);
+  const customer = customerId ? await buildCustomerExport(customerId, email) : null;
+  const lists = customer ? await describeLists(customer.shopifyMetafields) : { wishlist: [], lists: [] };
+
+  return {
+    generatedAt: new Date().toISOString(),
+    uid,
+    account: {
+      user,
+      auth: authUser
+        ? {
+            uid: authUser.uid,
+            email: authUser.email || null,
+            emailVerified: authUser.emailVerified,
+            displayName: authUser.displayName || null,
+            createdAt: authUser.metadata?.creationTime || null,
+            lastSignInAt: authUser.metadata?.lastSignInTime || null,
+          }
+        : null,
+    },
+    customerId,
+    customer: customer?.firestore.customer || null,
+    verificationHistory: customer?.firestore.verificationHistory || [],
+    roleAssignment: customer?.firestore.roleAssignment || null,
+    latePoAlerts: customer?.firestore.latePoAlerts || [],
+    performanceHistory: customer?.firestore.performanceHistory || [],
+    wishlist: lists.wishlist,
+    lists: lists.lists,
+    shopifyMetafields: customer?.shopifyMetafields || [],
+  };
+}
+
+// Token that lets the client poll a request after its account is gone; null without SHARED_SECRET
+function requestStatusToken(requestId) {
+  if (!process.env.SHARED_SECRET) return null;
+  return crypto
+    .createHmac("sha256", process.env.SHARED_SECRET)
+    .update(`privacy-request:${requestId}`)
+    .digest("hex");
+}
+
+function verifyRequestStatusToken(requestId, token) {
+  const expected = requestStatusToken(requestId);
+  if (!expected || typeof token !== "string" || token.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token));
+}
+
+// What clients see of a privacy request
+const publicRequest = (requestId, data) => ({
+  requestId,
+  type: data.type,
+  status: data.status,
+  steps: data.steps,
+  requestedAt: data.requestedAt,
+  startedAt: data.startedAt || null,
+  completedAt: data.completedAt || null,
+  error: data.error || null,
+});
+
+async function getPrivacyRequest(requestId) {
+  const doc = await db.collection(REQUESTS_COLLECTION).doc(requestId).get();
+  return doc.exists ? publicRequest(doc.id, doc.data()) : null;
+}
+
+/**
+ * Open an erasure request for a user, or return the one already under way.
+ * @returns {Promise<{ request: object, created: boolean }>}
+ */
+async function requestAccountErasure(uid) {
+  const existing = await db.collection(REQUESTS_COLLECTION).where("uid", "==", uid).get();
+  const active = existing.docs.find((doc) => {
+    const data = doc.data();
+    if (data.type !== "erasure") return false;
+    if (data.status === "pending") return true;
+    return data.status === "running" && Date.now() - new Date(data.startedAt) < ERASURE_STALE_MS;
+  });
+  if (active) return { request: publicRequest(active.id, active.data()), created: false };
+
+  const { customerId, email } = await loadAccount(uid);
+  const requestId = crypto.randomUUID();
+  const data = {
+    type: "erasure",
+    source: "api",
+    uid,
+    customerId,
+    // Kept only until the erasure completes
+    email,
+    status: "pending",
+    steps: { shopifyAndCustomer: customerId ? "pending" : "skipped", userDoc: "pending", firebaseAuth: "pending" },
+    requestedAt: new Date().toISOString(),
+  };
+
+  await db.collection(REQUESTS_COLLECTION).doc(requestId).set(data);
+  await auditPrivacyAction({ action: "erasure-requested", source: "api", uid, customerId, requestId });
+  return { request: publicRequest(requestId, data), created: true };
+}
+
+/**
+ * Carry out an erasure request: Shopify metafields and customer data first,
+ * then the user doc, then the Firebase Auth user. Steps already done are
+ * skipped, so a failed request can be run again.
+ */
+async function runAccountErasure(requestId) {
+  const ref = db.collection(REQUESTS_COLLECTION).doc(requestId);
+  const doc = await ref.get();
+  if (!doc.exists) throw new Error(`Unknown privacy request ${requestId}`);
+
+  const { uid, customerId, email } = doc.data();
+  const steps = { ...doc.data().steps };
+  const result = {};
+  const entry = { action: "erasure", source: "api", uid, customerId, requestId };
+
+  await ref.update({ status: "running", startedAt: new Date().toISOString(), error: null });
+
+  try {
+    if (steps.shopifyAndCustomer === "pending") {
+      result.customer = await eraseCustomerData(customerId, email);
+      steps.shopifyAndCustomer = "done";
+      await ref.update({ steps });
+    }
+
+    if (steps.userDoc === "pending") {
+      await db.collection("users").doc(uid).delete();
+      steps.userDoc = "done";
+      await ref.update({ steps });
+    }
+
+    if (steps.firebaseAuth === "pending") {
+      await admin
+        .auth()
+        .deleteUser(uid)
+        .catch((err) => {
+          if (err.code !== "auth/user-not-found") throw err;
+        });
+      steps.firebaseAuth = "done";
+    }
+
+    await ref.update({
+      status: "completed",
+      steps,
+      completedAt: new Date().toISOString(),
+      email: admin.firestore.FieldValue.delete(),
+    });
+    await auditPrivacyAction({ ...entry, status: "completed", result });
+    console.log(`✅ Account ${uid} erased (request ${requestId})`);
+  } catch (error) {
+    console.error(`❌ Account erasure ${requestId} failed:`, error);
+    await ref.update({ status: "failed", steps, error: error.message });
+    await auditPrivacyAction({ ...entry, status: "failed", error: error.message });
+  }
+}
+
+module.exports = {
+  auditPrivacyAction,
+  buildCustomerExport,
+  createCustomerExport,
+  eraseCustomerData,
+  purgeShopData,
+  buildAccountExport,
+  requestStatusToken,
+  verifyRequestStatusToken,
+  getPrivacyRequest,
+  requestAccountErasure,
+  runAccountErasure,
+};
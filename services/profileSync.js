@@ -0,0 +1,557 @@
+// services/profileSync.js
+
+const { db } = require("../firebaseConfig.js");
+const { shopifyGraphQL, shopifyMutation } = require("./shopifyAdmin.js");
+const { classifyShopifyError } = require("./shopifyOutbox.js");
+
+/**
+ * Two-way sync of customer profiles between customers/{customerId} and the
+ * customer's "custom" metafields in Shopify.
+ *
+ * Firestore layout:
+ *   profileSync/{customerId}       - { fields: { [field]: { syncedValue, syncedAt,
+ *                                      lastWriter: "app"|"shopify"|"admin", lastWrittenAt } } }
+ *   profileSyncQueue/{customerId}  - fields waiting to be pushed to Shopify:
+ *                                    { fields, revision, fieldRevisions: { [field]: revision },
+ *                                      status: pending|failed, attempts, nextAttemptAt, lastError }
+ *   profileConflicts/{customerId}_{field}
+ *                                  - { customerId, field, syncedValue, firestoreValue, shopifyValue,
+ *                                      status: open|resolved, detectedAt, resolvedAt, resolvedBy, kept }
+ *
+ * syncedValue is the last value both sides agreed on. Comparing each side to
+ * it tells which side changed: a change on one side is copied to the other,
+ * a different change on both sides is a conflict and the field is left alone
+ * (in both systems) until an admin picks a side.
+ *
+ * App writes go through recordProfileWrite + pushProfile; failed pushes stay
+ * queued and are retried with backoff by jobs/profileSync.js (honouring
+ * Shopify's Retry-After and GraphQL throttling, as the outbox does; errors
+ * that retrying cannot fix fail straight away). Shopify-side
+ * edits come in through the customers/update webhook (pullProfile) and the
+ * periodic scan (scanProfiles). The due-entry query needs the
+ * profileSyncQueue index in firestore.indexes.json.
+ */
+
+const SYNC_COLLECTION = "profileSync";
+const QUEUE_COLLECTION = "profileSyncQueue";
+const CONFLICTS_COLLECTION = "profileConflicts";
+const MAX_PUSH_ATTEMPTS = 8;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const SCAN_CHUNK_SIZE = 50;
+
+// Firestore field -> custom metafield key (all single_line_text_field)
+const PROFILE_FIELDS = {
+  customerName: "name",
+  businessName: "business_name",
+  role: "role",
+  contact: "contact",
+  country: "country",
+  domain: "domain",
+  numberOfEmployees: "number_of_employees",
+  retailerType: "retailer_type",
+  supplierType: "supplier_type",
+  businessRegistration: "business_registration",
+};
+
+// Missing and empty mean the same on both sides: Shopify has no blank metafields
+const normalize = (value) => (value === undefined || value === null ? "" : String(value));
+
+const customerGid = (customerId) => `gid://shopify/Customer/${customerId}`;
+
+const conflictId = (customerId, field) => `${customerId}_${field}`;
+
+// Profile values from Shopify, by customer ID (null for customers Shopify no longer has)
+async function fetchShopifyProfiles(customerIds) {
+  const profiles = new Map(customerIds.map((id) => [String(id), null]));
+  const keys = Object.values(PROFILE_FIELDS);
+
+  for (let i = 0; i < customerIds.length; i += SCAN_CHUNK_SIZE) {
+    const data = await shopifyGraphQL(
+      `
+        query profileMetafields($ids: [ID!]!, $keys: [String!]) {
+          nodes(ids: $ids) {
+            ... on Customer {
+              id
+              metafields(keys: $keys, first: 20) { nodes { key value } }
+            }
+          }
+        }
+      `,
+      { ids: customerIds.slice(i, i + SCAN_CHUNK_SIZE).map(customerGid), keys: keys.map((key) => `custom.${key}`) }
+    );
+
+    (data?.nodes || []).filter(Boolean).forEach((node) => {
+      const values = new Map(node.metafields.nodes.map((metafield) => [metafield.key, metafield.value]));
+      const profile = {};
+      Object.entries(PROFILE_FIELDS).forEach(([field, key]) => {
+        profile[field] = normalize(values.get(key));
+      });
+      profiles.set(node.id.split("/").pop(), profile);
+    });
+  }
+
+  return profiles;
+}
+
+async function loadSyncState(customerId) {
+  const [customerDoc, syncDoc, conflicts] = await Promise.all([
+    db.collection("customers").doc(customerId).get(),
+    db.collection(SYNC_COLLECTION).doc(customerId).get(),
+    db.collection(CONFLICTS_COLLECTION).where("customerId", "==", customerId).where("status", "==", "open").get(),
+  ]);
+  return {
+    customer: customerDoc.exists ? customerDoc.data() : null,
+    fields: syncDoc.exists ? syncDoc.data().fields || {} : {},
+    openConflicts: new Set(conflicts.docs.map((doc) => doc.data().field)),
+  };
+}
+
+async function saveSyncFields(customerId, fields) {
+  await db
+    .collection(SYNC_COLLECTION)
+    .doc(customerId)
+    .set({ customerId, fields, updatedAt: new Date().toISOString() }, { merge: true });
+}
+
+async function flagConflict(customerId, field, { syncedValue, firestoreValue, shopifyValue }) {
+  await db
+    .collection(CONFLICTS_COLLECTION)
+    .doc(conflictId(customerId, field))
+    .set({
+      customerId,
+      field,
+      metafieldKey: PROFILE_FIELDS[field],
+      syncedValue: syncedValue ?? null,
+      firestoreValue,
+      shopifyValue,
+      status: "open",
+      detectedAt: new Date().toISOString(),
+    });
+  console.warn(`⚠️ Profile conflict on ${field} for customer ${customerId}`);
+}
+
+/**
+ * Queue fields to be pushed to Shopify. Fields already queued are kept, so
+ * one entry per customer covers every outstanding change. Each enqueue bumps
+ * the entry's revision and stamps it on the fields it touched, so a push
+ * that read an older revision knows which fields changed again meanwhile.
+ */
+async function enqueuePush(customerId, fields) {
+  const ref = db.collection(QUEUE_COLLECTION).doc(customerId);
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const queued = doc.exists ? doc.data().fields || [] : [];
+    const revision = (doc.exists ? doc.data().revision || 0 : 0) + 1;
+    const fieldRevisions = { ...(doc.exists ? doc.data().fieldRevisions : {}) };
+    fields.forEach((field) => {
+      fieldRevisions[field] = revision;
+    });
+    const now = new Date().toISOString();
+    transaction.set(ref, {
+      customerId,
+      fields: [...new Set([...queued, ...fields])],
+      revision,
+      fieldRevisions,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: doc.exists ? doc.data().lastError || null : null,
+      enqueuedAt: doc.exists ? doc.data().enqueuedAt : now,
+      updatedAt: now,
+    });
+  });
+}
+
+/**
+ * Record an app-side write of profile fields and queue them for Shopify.
+ * Call after the customers/{customerId} doc has been written.
+ * @param {string} customerId
+ * @param {object} values - Firestore field values just written (unknown fields are ignored).
+ * @param {string} [writer] - "app" or "admin".
+ * @returns {Promise<string[]>} fields queued.
+ */
+async function recordProfileWrite(customerId, values, writer = "app") {
+  const id = String(customerId);
+  const syncDoc = await db.collection(SYNC_COLLECTION).doc(id).get();
+  const fields = syncDoc.exists ? syncDoc.data().fields || {} : {};
+  const now = new Date().toISOString();
+
+  const written = Object.keys(PROFILE_FIELDS).filter((field) => field in values);
+  written.forEach((field) => {
+    fields[field] = { ...fields[field], lastWriter: writer, lastWrittenAt: now };
+  });
+
+  await saveSyncFields(id, fields);
+  await enqueuePush(id, written);
+  return written;
+}
+
+// Set the given fields in Shopify; blank values delete the metafield
+async function writeMetafields(customerId, values) {
+  const toSet = Object.entries(values).filter(([, value]) => value !== "");
+  const toDelete = Object.entries(values).filter(([, value]) => value === "");
+
+  if (toSet.length > 0) {
+    await shopifyMutation(
+      `
+        mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+          metafieldsSet(metafields: $metafields) {
+            metafields { key }
+            userErrors { field message code }
+          }
+        }
+      `,
+      {
+        metafields: toSet.map(([field, value]) => ({
+          ownerId: customerGid(customerId),
+          namespace: "custom",
+          key: PROFILE_FIELDS[field],
+          type: "single_line_text_field",
+          value,
+        })),
+      }
+    );
+  }
+
+  if (toDelete.length > 0) {
+    await shopifyMutation(
+      `
+        mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+          metafieldsDelete(metafields: $metafields) {
+            deletedMetafields { key }
+            userErrors { field message }
+          }
+        }
+      `,
+      {
+        metafields: toDelete.map(([field]) => ({
+          ownerId: customerGid(customerId),
+          namespace: "custom",
+          key: PROFILE_FIELDS[field],
+        })),
+      }
+    );
+  }
+}
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Take the fields a push has dealt with off the queue entry it read. Fields
+ * queued again since that read (a newer field revision) or added since stay
+ * queued and due; the entry is deleted only once nothing is left.
+ */
+async function trimQueueEntry(queueRef, entry, handled) {
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(queueRef);
+    if (!doc.exists) return;
+
+    const current = doc.data();
+    const readRevisions = entry.fieldRevisions || {};
+    const currentRevisions = current.fieldRevisions || {};
+    const remaining = (current.fields || []).filter(
+      (field) => !handled.includes(field) || (currentRevisions[field] || 0) !== (readRevisions[field] || 0)
+    );
+
+    if (remaining.length === 0) {
+      transaction.delete(queueRef);
+      return;
+    }
+
+    const fieldRevisions = {};
+    remaining.forEach((field) => {
+      if (field in currentRevisions) fieldRevisions[field] = currentRevisions[field];
+    });
+    const now = new Date().toISOString();
+    transaction.update(queueRef, {
+      fields: remaining,
+      fieldRevisions,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      updatedAt: now,
+    });
+  });
+}
+
+/**
+ * Push a customer's queued fields to Shopify. A field that was also changed
+ * in Shopify since the last sync is flagged as a conflict instead of being
+ * overwritten. Failures are kept in the queue for the next attempt.
+ * @returns {Promise<{ status: "synced"|"conflict"|"retrying"|"failed"|"idle", pushed: string[], conflicts: string[], error?: string }>}
+ */
+async function pushProfile(customerId) {
+  const id = String(customerId);
+  const queueRef = db.collection(QUEUE_COLLECTION).doc(id);
+  const queueDoc = await queueRef.get();
+  if (!queueDoc.exists) return { status: "idle", pushed: [], conflicts: [] };
+
+  const entry = queueDoc.data();
+  const result = { pushed: [], conflicts: [] };
+
+  try {
+    const { customer, fields, openConflicts } = await loadSyncState(id);
+    if (!customer) {
+      await trimQueueEntry(queueRef, entry, entry.fields);
+      return { status: "idle", ...result };
+    }
+
+    const shopify = (await fetchShopifyProfiles([id])).get(id);
+    if (!shopify) throw new Error(`Customer ${id} not found in Shopify`);
+
+    const toWrite = {};
+    const now = new Date().toISOString();
+
+    for (const field of entry.fields) {
+      if (openConflicts.has(field)) continue;
+
+      const firestoreValue = normalize(customer[field]);
+      const shopifyValue = shopify[field];
+      const synced = fields[field]?.syncedValue;
+
+      if (firestoreValue === shopifyValue) {
+        fields[field] = { ...fields[field], syncedValue: firestoreValue, syncedAt: now };
+      } else if (synced === undefined || shopifyValue === synced) {
+        toWrite[field] = firestoreValue;
+      } else {
+        await flagConflict(id, field, { syncedValue: synced, firestoreValue, shopifyValue });
+        result.conflicts.push(field);
+      }
+    }
+
+    await writeMetafields(id, toWrite);
+    Object.entries(toWrite).forEach(([field, value]) => {
+      fields[field] = { ...fields[field], syncedValue: value, syncedAt: now };
+      result.pushed.push(field);
+    });
+
+    await saveSyncFields(id, fields);
+    await trimQueueEntry(queueRef, entry, entry.fields);
+    if (result.pushed.length > 0) console.log(`✅ Pushed ${result.pushed.join(", ")} to Shopify for customer ${id}`);
+    return { status: result.conflicts.length > 0 ? "conflict" : "synced", ...result };
+  } catch (error) {
+    const attempts = (entry.attempts || 0) + 1;
+    const { retryable, waitMs } = classifyShopifyError(error);
+    const failed = !retryable || attempts >= MAX_PUSH_ATTEMPTS;
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(queueRef);
+      if (!doc.exists) return;
+      // Queued again while pushing: keep the fresh schedule, just note the error
+      if ((doc.data().revision || 0) !== (entry.revision || 0)) {
+        transaction.update(queueRef, { lastError: error.message });
+        return;
+      }
+      transaction.update(queueRef, {
+        status: failed ? "failed" : "pending",
+        attempts,
+        nextAttemptAt: new Date(Date.now() + Math.max(retryDelay(attempts), waitMs)).toISOString(),
+        lastError: error.message,
+        updatedAt: new Date().toISOString(),
+      });
+    });
+    console.error(`❌ Profile push for customer ${id} failed (attempt ${attempts}):`, error.message);
+    return { status: failed ? "failed" : "retrying", ...result, error: error.message };
+  }
+}
+
+/**
+ * Push every queue entry that is due.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Entries per run.
+ * @returns {Promise<object>} counts by outcome.
+ */
+async function processPushQueue({ limit = 100 } = {}) {
+  const due = await db
+    .collection(QUEUE_COLLECTION)
+    .where("status", "==", "pending")
+    .where("nextAttemptAt", "<=", new Date().toISOString())
+    .limit(limit)
+    .get();
+
+  const stats = { due: due.size, synced: 0, conflict: 0, retrying: 0, failed: 0, idle: 0 };
+  for (const doc of due.docs) {
+    const { status } = await pushProfile(doc.id);
+    stats[status]++;
+  }
+  return stats;
+}
+
+/**
+ * Bring Shopify-side edits into Firestore for one customer.
+ * @param {string} customerId
+ * @param {object} [shopifyProfile] - Already fetched Shopify values (from scanProfiles).
+ * @returns {Promise<{ pulled: string[], conflicts: string[], queued: string[] }>}
+ */
+async function pullProfile(customerId, shopifyProfile) {
+  const id = String(customerId);
+  const result = { pulled: [], conflicts: [], queued: [] };
+
+  const { customer, fields, openConflicts } = await loadSyncState(id);
+  if (!customer) return result;
+
+  const shopify = shopifyProfile || (await fetchShopifyProfiles([id])).get(id);
+  if (!shopify) return result;
+
+  const update = {};
+  const now = new Date().toISOString();
+
+  for (const field of Object.keys(PROFILE_FIELDS)) {
+    const firestoreValue = normalize(customer[field]);
+    const shopifyValue = shopify[field];
+    const synced = fields[field]?.syncedValue;
+
+    if (firestoreValue === shopifyValue) {
+      if (synced !== firestoreValue) fields[field] = { ...fields[field], syncedValue: firestoreValue, syncedAt: now };
+      if (openConflicts.has(field)) await resolveConflictRecord(id, field, "converged", "sync");
+    } else if (openConflicts.has(field)) {
+      // Keep the open conflict current for whoever resolves it
+      await db
+        .collection(CONFLICTS_COLLECTION)
+        .doc(conflictId(id, field))
+        .update({ firestoreValue, shopifyValue, updatedAt: now });
+    } else if (synced === undefined ? shopifyValue === "" : shopifyValue === synced) {
+      // Only the app side changed (or never reached Shopify): make sure the push is queued
+      result.queued.push(field);
+    } else if (synced === undefined ? firestoreValue === "" : firestoreValue === synced) {
+      update[field] = shopifyValue;
+      fields[field] = { syncedValue: shopifyValue, syncedAt: now, lastWriter: "shopify", lastWrittenAt: now };
+      result.pulled.push(field);
+    } else {
+      await flagConflict(id, field, { syncedValue: synced, firestoreValue, shopifyValue });
+      result.conflicts.push(field);
+    }
+  }
+
+  if (result.pulled.length > 0) {
+    await db.collection("customers").doc(id).update({ ...update, updatedAt: now });
+    console.log(`✅ Pulled ${result.pulled.join(", ")} from Shopify for customer ${id}`);
+  }
+  await saveSyncFields(id, fields);
+  if (result.queued.length > 0) await enqueuePush(id, result.queued);
+
+  return result;
+}
+
+/**
+ * Pull Shopify-side edits for every customer with a Firestore profile
+ * (or just one). Catches metafield edits that did not come with a webhook.
+ * @returns {Promise<object>} counts of customers checked, pulled fields and conflicts.
+ */
+async function scanProfiles({ customerId } = {}) {
+  const ids = customerId
+    ? [String(customerId)]
+    : (await db.collection("customers").get()).docs.map((doc) => doc.id);
+  const stats = { customers: ids.length, pulled: 0, conflicts: 0, queued: 0, errors: 0 };
+
+  for (let i = 0; i < ids.length; i += SCAN_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + SCAN_CHUNK_SIZE);
+    let profiles;
+    try {
+      profiles = await fetchShopifyProfiles(chunk);
+    } catch (err) {
+      console.error(`❌ Profile scan could not fetch customers ${chunk[0]}..:`, err.message);
+      stats.errors += chunk.length;
+      continue;
+    }
+
+    for (const id of chunk) {
+      if (!profiles.get(id)) continue;
+      try {
+        const result = await pullProfile(id, profiles.get(id));
+        stats.pulled += result.pulled.length;
+        stats.conflicts += result.conflicts.length;
+        stats.queued += result.queued.length;
+      } catch (err) {
+        console.error(`❌ Profile scan failed for customer ${id}:`, err.message);
+        stats.errors++;
+      }
+    }
+  }
+
+  console.log("📊 Profile scan finished:", stats);
+  return stats;
+}
+
+async function resolveConflictRecord(customerId, field, kept, resolvedBy) {
+  await db.collection(CONFLICTS_COLLECTION).doc(conflictId(customerId, field)).update({
+    status: "resolved",
+    kept,
+    resolvedBy,
+    resolvedAt: new Date().toISOString(),
+  });
+}
+
+async function listConflicts({ status = "open", customerId } = {}) {
+  let query = db.collection(CONFLICTS_COLLECTION).where("status", "==", status);
+  if (customerId) query = query.where("customerId", "==", String(customerId));
+  const snapshot = await query.get();
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => String(b.detectedAt).localeCompare(String(a.detectedAt)));
+}
+
+/**
+ * Settle a conflict by keeping one side's value.
+ *   keep "firestore" - the Firestore value is pushed over the Shopify edit
+ *   keep "shopify"   - the Shopify value replaces the Firestore one
+ * @returns {Promise<object|null>} the push result (firestore) or the pulled value (shopify); null if not open.
+ */
+async function resolveConflict(id, keep, resolvedBy) {
+  const doc = await db.collection(CONFLICTS_COLLECTION).doc(id).get();
+  if (!doc.exists || doc.data().status !== "open") return null;
+
+  const { customerId, field, shopifyValue } = doc.data();
+  const syncDoc = await db.collection(SYNC_COLLECTION).doc(customerId).get();
+  const fields = syncDoc.exists ? syncDoc.data().fields || {} : {};
+  const now = new Date().toISOString();
+
+  // Either way the Shopify value the admin saw becomes the agreed base, so a
+  // further Shopify edit made in the meantime is detected again
+  if (keep === "shopify") {
+    await db.collection("customers").doc(customerId).update({ [field]: shopifyValue, updatedAt: now });
+    fields[field] = { syncedValue: shopifyValue, syncedAt: now, lastWriter: "admin", lastWrittenAt: now };
+  } else {
+    fields[field] = { ...fields[field], syncedValue: shopifyValue, lastWriter: "admin", lastWrittenAt: now };
+  }
+
+  await saveSyncFields(customerId, fields);
+  await resolveConflictRecord(customerId, field, keep, resolvedBy);
+
+  if (keep === "shopify") return { customerId, field, value: shopifyValue };
+  await enqueuePush(customerId, [field]);
+  return { customerId, field, ...(await pushProfile(customerId)) };
+}
+
+async function listPushQueue({ status } = {}) {
+  const snapshot = status
+    ? await db.collection(QUEUE_COLLECTION).where("status", "==", status).get()
+    : await db.collection(QUEUE_COLLECTION).get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Retry a queued push now, including one that ran out of attempts.
+ * @returns {Promise<object|null>} the push result; null if nothing is queued.
+ */
+async function retryPush(customerId) {
+  const ref = db.collection(QUEUE_COLLECTION).doc(String(customerId));
+  const doc = await ref.get();
+  if (!doc.exists) return null;
+  await ref.update({ status: "pending", attempts: 0, nextAttemptAt: new Date().toISOString() });
+  return pushProfile(customerId);
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  MAX_PUSH_ATTEMPTS,
+  recordProfileWrite,
+  pushProfile,
+  processPushQueue,
+  pullProfile,
+  scanProfiles,
+  listConflicts,
+  resolveConflict,
+  listPushQueue,
+  retryPush,
+};
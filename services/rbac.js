@@ -0,0 +1,232 @@
+// services/rbac.js
+
+const { db } = require("../firebaseConfig.js");
+
+/**
+ * Role-based access control.
+ *
+ * Firestore layout:
+ *   roles/{role}                - { permissions: [...], description }; overrides
+ *                                 the built-in definition of the same name
+ *   roleAssignments/{subject}   - { roles: [...] } granted to a subject
+ *   roleAuditLog/{autoId}       - who granted/revoked/changed what, and when
+ *
+ * Subjects are "user:<firebase uid>" (Flutter) or "customer:<shopify id>"
+ * (storefront). A principal's roles are the union of:
+ *   - roles granted to its subject (and to its linked Shopify customer)
+ *   - buyer / supplier, from the customer doc's free-form role field
+ *   - admin, for staff users of our own shop in the embedded admin app (a
+ *     verified online session token whose dest is SHOPIFY_STORE) and for
+ *     Firebase users with the admin claim
+ *   - the roles set on the caller's internal-jobs API key
+ *   - RBAC_LEGACY_HMAC_ROLE, for callers still using the shared-secret HMAC
+ */
+
+const ROLES_COLLECTION = "roles";
+const ASSIGNMENTS_COLLECTION = "roleAssignments";
+const AUDIT_COLLECTION = "roleAuditLog";
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+
+const PERMISSIONS = {
+  "customers:read": "List and search all customers",
+  "customers:read-any": "Read any customer's profile and dashboards",
+  "customers:verify": "Verify or unverify customers",
+  "customers:delete": "Delete customers",
+  "reports:upload": "Dry-run and publish report workbooks",
+  "roles:manage": "Define roles and grant or revoke them",
+  "apiClients:manage": "Issue, rotate and revoke API keys",
+  "profileSync:manage": "Review profile sync conflicts and retry failed Shopify pushes",
+  "outbox:manage": "List and replay dead-lettered Shopify writes",
+};
+
+const DEFAULT_ROLES = {
+  admin: { description: "Full access", permissions: ["*"] },
+  staff: {
+    description: "Back-office staff",
+    permissions: ["customers:read", "customers:read-any", "customers:verify", "reports:upload"],
+  },
+  // Buyers and suppliers see their own data through the customer ID check
+  buyer: { description: "Buyer account", permissions: [] },
+  supplier: { description: "Supplier/vendor account", permissions: [] },
+};
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+const SUBJECT_PATTERN = /^(user:[A-Za-z0-9_-]{1,128}|customer:\d{1,20})$/;
+
+let roleCache = null;
+
+// Built-in roles merged with the Firestore definitions
+async function getRoles() {
+  if (roleCache && Date.now() - roleCache.loadedAt < ROLE_CACHE_TTL_MS) {
+    return roleCache.roles;
+  }
+
+  const roles = {};
+  Object.entries(DEFAULT_ROLES).forEach(([name, role]) => {
+    roles[name] = { name, ...role, builtIn: true };
+  });
+
+  const snapshot = await db.collection(ROLES_COLLECTION).get();
+  snapshot.docs.forEach((doc) => {
+    const data = doc.data();
+    roles[doc.id] = {
+      name: doc.id,
+      description: data.description || roles[doc.id]?.description || "",
+      permissions: Array.isArray(data.permissions) ? data.permissions : [],
+      builtIn: Boolean(DEFAULT_ROLES[doc.id]),
+      updatedAt: data.updatedAt || null,
+    };
+  });
+
+  roleCache = { roles, loadedAt: Date.now() };
+  return roles;
+}
+
+// Map the customer doc's free-form role ("Buyer", "Supplier/Vendor") to an RBAC role
+const roleForCustomerType = (customerRole) => {
+  const value = String(customerRole || "").toLowerCase();
+  if (value.includes("buyer")) return "buyer";
+  if (value.includes("supplier") || value.includes("vendor")) return "supplier";
+  return null;
+};
+
+async function assignedRoles(subject) {
+  const doc = await db.collection(ASSIGNMENTS_COLLECTION).doc(subject).get();
+  return doc.exists ? doc.data().roles || [] : [];
+}
+
+// Our shop's domain, as it appears in session token dest claims
+const ownShop = () => String(process.env.SHOPIFY_STORE || "").toLowerCase().replace(/^https?:\/\//, "").replace(/\/.*$/, "");
+
+// An online session token (it names the staff user) issued for our own shop
+const isOwnShopStaff = (shopify) =>
+  shopify.method === "session-token" && Boolean(shopify.userId) && Boolean(ownShop()) && shopify.shop === ownShop();
+
+const hasPermission = (permissions, permission) => permissions.includes("*") || permissions.includes(permission);
+
+/**
+ * Resolve the authenticated caller of a request to a principal.
+ * Expects one of the authenticate* middlewares to have run.
+ * @returns {Promise<{ subject: string|null, customerId: string|null, via: string, roles: string[], permissions: string[], can: function }>}
+ */
+async function resolvePrincipal(req) {
+  let subject = null;
+  let customerId = null;
+  let via = "unknown";
+  const roles = new Set();
+
+  if (req.shopify?.source === "app-proxy") {
+    via = "app-proxy";
+    customerId = req.query.logged_in_customer_id ? String(req.query.logged_in_customer_id) : null;
+    subject = customerId ? `customer:${customerId}` : null;
+  } else if (req.shopify?.source === "manual-hmac") {
+    via = "manual-hmac";
+    if (process.env.RBAC_LEGACY_HMAC_ROLE) roles.add(process.env.RBAC_LEGACY_HMAC_ROLE);
+  } else if (req.shopify?.method === "session-token") {
+    via = "shopify-admin";
+    if (isOwnShopStaff(req.shopify)) roles.add("admin");
+  } else if (req.shopify) {
+    // Only internal-jobs keys carry roles
+    via = "shopify-api-key";
+  } else if (req.apiClient?.client === "internal-jobs") {
+    via = "internal";
+    (req.apiClient.roles || []).forEach((role) => roles.add(role));
+  } else if (req.user?.uid) {
+    via = "flutter";
+    subject = `user:${req.user.uid}`;
+    if (req.user.admin === true) roles.add("admin");
+
+    const userDoc = await db.collection("users").doc(req.user.uid).get();
+    const linkedId = userDoc.exists ? userDoc.data().shopifyCustomerId : null;
+    customerId = linkedId ? String(linkedId) : null;
+  }
+
+  if (subject) {
+    (await assignedRoles(subject)).forEach((role) => roles.add(role));
+  }
+
+  if (customerId) {
+    if (subject !== `customer:${customerId}`) {
+      (await assignedRoles(`customer:${customerId}`)).forEach((role) => roles.add(role));
+    }
+    const customerDoc = await db.collection("customers").doc(customerId).get();
+    const customerRole = customerDoc.exists ? roleForCustomerType(customerDoc.data().role) : null;
+    if (customerRole) roles.add(customerRole);
+  }
+
+  const definitions = await getRoles();
+  const permissions = [...new Set([...roles].flatMap((role) => definitions[role]?.permissions || []))];
+
+  return {
+    subject,
+    customerId,
+    via,
+    roles: [...roles],
+    permissions,
+    can: (permission) => hasPermission(permissions, permission),
+  };
+}
+
+const audit = (entry) =>
+  db
+    .collection(AUDIT_COLLECTION)
+    .add({ ...entry, at: new Date().toISOString() })
+    .catch((err) => console.error("❌ Failed to write role audit log:", err.message));
+
+// Permission names that are neither known nor the "*" wildcard
+const unknownPermissions = (permissions) =>
+  permissions.filter((permission) => permission !== "*" && !PERMISSIONS[permission]);
+
+// Create or replace a role definition
+async function defineRole(name, { permissions, description = "" }, actor) {
+  const role = { permissions, description, updatedAt: new Date().toISOString(), updatedBy: actor };
+  await db.collection(ROLES_COLLECTION).doc(name).set(role);
+  roleCache = null;
+  await audit({ action: "defineRole", role: name, permissions, actor });
+  return { name, ...role };
+}
+
+async function getAssignment(subject) {
+  return { subject, roles: await assignedRoles(subject) };
+}
+
+// Add or remove one role in a transaction, so concurrent changes to the same subject are not lost
+async function updateAssignment(subject, change, actor) {
+  const ref = db.collection(ASSIGNMENTS_COLLECTION).doc(subject);
+
+  const roles = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const next = change(doc.exists ? doc.data().roles || [] : []);
+    transaction.set(ref, { subject, roles: next, updatedAt: new Date().toISOString(), updatedBy: actor });
+    return next;
+  });
+
+  return { subject, roles };
+}
+
+async function grantRole(subject, role, actor) {
+  const assignment = await updateAssignment(subject, (roles) => (roles.includes(role) ? roles : [...roles, role]), actor);
+  await audit({ action: "grant", subject, role, actor });
+  return assignment;
+}
+
+async function revokeRole(subject, role, actor) {
+  const assignment = await updateAssignment(subject, (roles) => roles.filter((existing) => existing !== role), actor);
+  await audit({ action: "revoke", subject, role, actor });
+  return assignment;
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  ROLE_NAME_PATTERN,
+  SUBJECT_PATTERN,
+  getRoles,
+  roleForCustomerType,
+  resolvePrincipal,
+  unknownPermissions,
+  defineRole,
+  getAssignment,
+  grantRole,
+  revokeRole,
+};
@@ -0,0 +1,142 @@
+// services/reportExport.js
+
+const XLSX = require("xlsx");
+const puppeteer = require("puppeteer");
+
+/**
+ * File exports of the dashboard responses (?format=xlsx|csv|pdf).
+ *
+ * An export is { title, columns: [{ key, header }], rows, summary }: the
+ * rows and summary the JSON route computed, plus the columns to print.
+ *   xlsx - "Data" sheet with the rows, "Summary" sheet with the summary
+ *   csv  - the rows only
+ *   pdf  - HTML tables rendered with puppeteer, as in shareList.js
+ */
+
+const EXPORT_FORMATS = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv; charset=utf-8",
+  pdf: "application/pdf",
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const cellValue = (value) => {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (value === undefined || value === null) return "";
+  return value;
+};
+
+// Summary objects as [label, value] pairs; nested totals become "totalsByMonth.Apr"
+function summaryRows(summary, prefix = "") {
+  const rows = [];
+  Object.entries(summary || {}).forEach(([key, value]) => {
+    const label = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(value)) {
+      rows.push([label, value.map((item) => (typeof item === "object" ? JSON.stringify(item) : item)).join(", ")]);
+    } else if (value && typeof value === "object" && !(value instanceof Date)) {
+      rows.push(...summaryRows(value, label));
+    } else {
+      rows.push([label, cellValue(value)]);
+    }
+  });
+  return rows;
+}
+
+const dataRows = ({ columns, rows }) => [
+  columns.map((column) => column.header),
+  ...rows.map((row) => columns.map((column) => cellValue(row[column.key]))),
+];
+
+function buildWorkbook(exportData) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(dataRows(exportData)), "Data");
+  if (exportData.summary) {
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet([["Metric", "Value"], ...summaryRows(exportData.summary)]),
+      "Summary"
+    );
+  }
+  return workbook;
+}
+
+const toXlsx = (exportData) => XLSX.write(buildWorkbook(exportData), { type: "buffer", bookType: "xlsx" });
+
+const toCsv = (exportData) =>
+  Buffer.from(XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(dataRows(exportData))), "utf8");
+
+function exportHtml({ title, columns, rows, summary }) {
+  const head = columns.map((column) => `<th>${escapeHtml(column.header)}</th>`).join("");
+  const body = rows
+    .map((row) => `<tr>${columns.map((column) => `<td>${escapeHtml(cellValue(row[column.key]))}</td>`).join("")}</tr>`)
+    .join("");
+  const summaryTable = summary
+    ? `<h2>Summary</h2><table class="summary"><tbody>${summaryRows(summary)
+        .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join("")}</tbody></table>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><style>
+  body { font-family: Arial, sans-serif; font-size: 10px; color: #222; }
+  h1 { font-size: 16px; margin: 0 0 4px; }
+  h2 { font-size: 13px; margin: 16px 0 6px; }
+  .generated { color: #777; margin-bottom: 12px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 3px 5px; text-align: left; }
+  thead th { background: #f0f0f0; }
+  .summary { width: auto; }
+</style></head><body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="generated">Generated ${escapeHtml(new Date().toISOString().slice(0, 16).replace("T", " "))} UTC</div>
+  ${summaryTable}
+  <h2>Data</h2>
+  <table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>
+</body></html>`;
+}
+
+/**
+ * Render an HTML document to a PDF buffer.
+ * @param {string} html
+ * @param {object} [options] - Extra page.pdf() options (e.g. { landscape: true }).
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(html, options = {}) {
+  const browser = await puppeteer.launch({ headless: true });
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: "networkidle0" });
+    return await page.pdf({ format: "A4", printBackground: true, ...options });
+  } finally {
+    await browser.close();
+  }
+}
+
+const toPdf = (exportData) =>
+  renderPdf(exportHtml(exportData), { landscape: exportData.columns.length > 8 });
+
+/**
+ * Build an export file.
+ * @param {string} format - xlsx, csv or pdf.
+ * @param {object} exportData - { title, columns, rows, summary }.
+ * @returns {Promise<{ buffer: Buffer, contentType: string, extension: string }>}
+ */
+async function buildExport(format, exportData) {
+  const builders = { xlsx: toXlsx, csv: toCsv, pdf: toPdf };
+  const buffer = await builders[format](exportData);
+  return { buffer: Buffer.from(buffer), contentType: EXPORT_FORMATS[format], extension: format };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  escapeHtml,
+  summaryRows,
+  renderPdf,
+  buildExport,
+};
@@ -0,0 +1,383 @@
+// services/reportPublisher.js
+
+const crypto = require("crypto");
+const axios = require("axios");
+const { db } = require("../firebaseConfig.js");
+const reportSchemas = require("./reportSchemas");
+const workbookCache = require("./workbookCache");
+const { shopifyGraphQL, shopifyMutation, ShopifyUserError } = require("./shopifyAdmin.js");
+const {
+  ReportError,
+  parseWorkbook,
+  fetchReportMetafield,
+  columnHeader,
+  notifyIngested,
+} = require("./reportIngestion");
+
+/**
+ * Validation and publishing for report workbooks uploaded through /reports.
+ *
+ * An upload is checked against its schema (required headers, data rows),
+ * diffed against the workbook currently published for the same metafield,
+ * and only then pushed to Shopify Files: stagedUploadsCreate -> upload to the
+ * staged target -> fileCreate -> wait for the file to be ready ->
+ * metafieldsSet on the shop or customer.
+ *
+ * Publishing requires a valid dry run of the same file for the same report
+ * and customer, recorded server-side in reportDryRuns/{id} and accepted for
+ * DRY_RUN_TTL_HOURS; the checksum a caller passes only names the dry run.
+ */
+
+const XLSX_MIME_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const MAX_DIFF_ENTRIES = 200;
+const FILE_READY_ATTEMPTS = 10;
+const FILE_READY_DELAY_MS = 1500;
+
+const DRY_RUNS_COLLECTION = "reportDryRuns";
+const DRY_RUN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Look up a schema by the metafield key ops already know the report by
+const schemaForReportType = (reportType) =>
+  Object.values(reportSchemas).find((schema) => schema.metafield.key === reportType) || null;
+
+const reportTypes = () => Object.values(reportSchemas).map((schema) => schema.metafield.key);
+
+// .xlsx files are zip archives
+const isXlsx = (buffer) =>
+  Buffer.isBuffer(buffer) && buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+const checksumOf = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+const describeColumn = (spec, fiscalYear) => {
+  const header = columnHeader(spec, fiscalYear);
+  if (Number.isInteger(spec.index)) return `column ${spec.index + 1} (${header})`;
+  const names = [header, ...(spec.aliases || [])].map((name) => `"${name}"`);
+  return names.join(" or ");
+};
+
+const dryRunRef = (schema, customerId, checksum) =>
+  db
+    .collection(DRY_RUNS_COLLECTION)
+    .doc(crypto.createHash("sha256").update(`${schema.metafield.key}|${customerId || ""}|${checksum}`).digest("hex"));
+
+/**
+ * Remember a valid dry run, so the same file can then be published.
+ * @param {string} [actor] - Who ran it, for the record.
+ */
+async function recordDryRun(schema, customerId, checksum, actor) {
+  const now = Date.now();
+  await dryRunRef(schema, customerId, checksum).set({
+    reportType: schema.metafield.key,
+    customerId: customerId || null,
+    checksum,
+    actor: actor || null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + DRY_RUN_TTL_MS).toISOString(),
+  });
+}
+
+/**
+ * Whether this file had a valid dry run for this report and customer recently.
+ * @returns {Promise<boolean>}
+ */
+async function hasDryRun(schema, customerId, checksum) {
+  const doc = await dryRunRef(schema, customerId, checksum).get();
+  return doc.exists && new Date(doc.data().expiresAt).getTime() > Date.now();
+}
+
+/**
+ * Check an uploaded workbook against its schema.
+ * @param {object} [options]
+ * @param {string} [options.customerId] - Owner of a customer report, recorded in report.source.
+ * @returns {{ valid: boolean, report: ParsedReport|null, errors: string[], warnings: string[], columns: object[] }}
+ */
+function validateWorkbook(schema, buffer, { customerId } = {}) {
+  let report;
+  try {
+    report = parseWorkbook(schema, buffer, {
+      metafieldKey: schema.metafield.key,
+      customerId: schema.metafield.owner === "customer" ? customerId : null,
+      fetchedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    const message = err instanceof ReportError ? err.details : `Could not read workbook: ${err.message}`;
+    return { valid: false, report: null, errors: [message], warnings: [], columns: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+
+  const columns = Object.entries(schema.columns).map(([key, spec]) => {
+    const found = report.has(key) ? report.headers[report.columns[key]] : null;
+    if (!found && spec.required) {
+      errors.push(`Missing required column ${describeColumn(spec, report.fiscalYear)}`);
+    } else if (!found) {
+      warnings.push(`Column ${describeColumn(spec, report.fiscalYear)} not found; it will be reported as empty`);
+    }
+    return { key, expected: report.columnHeader(key), found, required: Boolean(spec.required) };
+  });
+
+  if (report.rows.length === 0) {
+    errors.push("The Excel file contains headers but no data rows");
+  }
+
+  return { valid: errors.length === 0, report, errors, warnings, columns, fiscalYear: report.fiscal };
+}
+
+// Rows keyed by the schema identity columns; repeated keys get a #n suffix
+function keyRows(report) {
+  const identity = report.schema.identity || [];
+  const seen = new Map();
+  const keyed = new Map();
+
+  report.rows.forEach((row, index) => {
+    const base = identity.length
+      ? identity.map((key) => report.text(row, key).toLowerCase()).join("|")
+      : `row ${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    keyed.set(count > 1 ? `${base}#${count}` : base, row);
+  });
+
+  return keyed;
+}
+
+const identityOf = (report, row) => {
+  const identity = report.schema.identity || [];
+  const obj = {};
+  identity.forEach((key) => {
+    obj[key] = report.text(row, key);
+  });
+  return obj;
+};
+
+const cellText = (value) => (value instanceof Date ? value.toISOString() : String(value ?? "").trim());
+
+/**
+ * Compare an uploaded report with the one currently published.
+ * @param {ParsedReport|null} current - Published report, or null when there is none yet.
+ * @param {ParsedReport} next - Uploaded report.
+ * @returns {object} counts, added/removed/changed rows and the affected identity values
+ *   (merchant emails, buyers, PO numbers...) per identity column.
+ */
+function diffReports(current, next) {
+  const identity = next.schema.identity || [];
+  const before = current ? keyRows(current) : new Map();
+  const after = keyRows(next);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+  const affected = {};
+  identity.forEach((key) => {
+    affected[key] = new Set();
+  });
+
+  const markAffected = (report, row) => {
+    identity.forEach((key) => {
+      const value = report.text(row, key);
+      if (value) affected[key].add(value);
+    });
+  };
+
+  after.forEach((row, key) => {
+    const previous = before.get(key);
+    if (!previous) {
+      added.push(identityOf(next, row));
+      markAffected(next, row);
+      return;
+    }
+
+    const oldValues = current.toObject(previous);
+    const newValues = next.toObject(row);
+    const headers = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])];
+    const changes = headers
+      .filter((header) => cellText(oldValues[header]) !== cellText(newValues[header]))
+      .map((header) => ({ column: header, before: oldValues[header] ?? "", after: newValues[header] ?? "" }));
+
+    if (changes.length === 0) {
+      unchanged++;
+      return;
+    }
+    changed.push({ ...identityOf(next, row), changes });
+    markAffected(next, row);
+  });
+
+  before.forEach((row, key) => {
+    if (!after.has(key)) {
+      removed.push(identityOf(current, row));
+      markAffected(current, row);
+    }
+  });
+
+  const affectedValues = {};
+  identity.forEach((key) => {
+    affectedValues[key] = [...affected[key]].sort();
+  });
+
+  return {
+    baseline: current ? current.version : null,
+    identity,
+    counts: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+    added: added.slice(0, MAX_DIFF_ENTRIES),
+    removed: removed.slice(0, MAX_DIFF_ENTRIES),
+    changed: changed.slice(0, MAX_DIFF_ENTRIES),
+    truncated: Math.max(added.length, removed.length, changed.length) > MAX_DIFF_ENTRIES,
+    affected: affectedValues,
+  };
+}
+
+// Run a mutation, reporting rejected input as a 502 the publish route can send back
+async function runMutation(step, query, variables) {
+  try {
+    return await shopifyMutation(query, variables);
+  } catch (err) {
+    if (!(err instanceof ShopifyUserError)) throw err;
+    throw new ReportError(502, `Shopify ${step} failed`, err.userErrors.map((e) => e.message).join("; "), {
+      userErrors: err.userErrors,
+    });
+  }
+}
+
+async function resolveOwnerId(schema, customerId) {
+  if (schema.metafield.owner === "customer") {
+    return `gid://shopify/Customer/${customerId}`;
+  }
+  const data = await shopifyGraphQL(`query { shop { id } }`);
+  return data.shop.id;
+}
+
+async function uploadToShopifyFiles(buffer, filename) {
+  const staged = await runMutation(
+    "staged upload",
+    `
+      mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets { url resourceUrl parameters { name value } }
+          userErrors { field message }
+        }
+      }
+    `,
+    {
+      input: [
+        {
+          filename,
+          mimeType: XLSX_MIME_TYPE,
+          resource: "FILE",
+          httpMethod: "POST",
+          fileSize: String(buffer.length),
+        },
+      ],
+    }
+  );
+
+  const target = staged.stagedTargets[0];
+  const form = new FormData();
+  target.parameters.forEach(({ name, value }) => form.append(name, value));
+  form.append("file", new Blob([buffer], { type: XLSX_MIME_TYPE }), filename);
+  await axios.post(target.url, form, { timeout: 60000, maxBodyLength: Infinity });
+
+  const created = await runMutation(
+    "file create",
+    `
+      mutation fileCreate($files: [FileCreateInput!]!) {
+        fileCreate(files: $files) {
+          files { id fileStatus }
+          userErrors { field message }
+        }
+      }
+    `,
+    { files: [{ originalSource: target.resourceUrl, contentType: "FILE", filename }] }
+  );
+
+  return created.files[0].id;
+}
+
+// Shopify processes new files asynchronously; wait until the CDN URL exists
+async function waitForFile(fileId) {
+  for (let attempt = 1; attempt <= FILE_READY_ATTEMPTS; attempt++) {
+    const data = await shopifyGraphQL(
+      `
+        query fileStatus($id: ID!) {
+          node(id: $id) {
+            ... on GenericFile { fileStatus url fileErrors { message } }
+          }
+        }
+      `,
+      { id: fileId }
+    );
+
+    const file = data?.node;
+    if (file?.fileStatus === "READY" && file.url) return file.url;
+    if (file?.fileStatus === "FAILED") {
+      const reason = (file.fileErrors || []).map((e) => e.message).join("; ") || "unknown error";
+      throw new ReportError(502, "Shopify file processing failed", reason, { fileId });
+    }
+    await sleep(FILE_READY_DELAY_MS);
+  }
+
+  throw new ReportError(504, "Shopify file processing timed out", "The uploaded file is not ready yet; retry the publish later", {
+    fileId,
+  });
+}
+
+/**
+ * Upload a validated workbook to Shopify Files and point the report metafield at it.
+ * The metafield keeps its current type: file_reference metafields get the file
+ * GID, URL/text metafields get the CDN URL. Pass the validated report to have
+ * ingest listeners (performance history) record it straight away.
+ * @returns {Promise<object>} { fileId, fileUrl, metafield }
+ */
+async function publishWorkbook(schema, buffer, { filename, customerId, report } = {}) {
+  const ownerId = await resolveOwnerId(schema, customerId);
+  const existing = await fetchReportMetafield(schema, { customerId });
+  const type = existing?.type || "file_reference";
+
+  const fileId = await uploadToShopifyFiles(buffer, filename);
+  const fileUrl = await waitForFile(fileId);
+  console.log(`📤 ${schema.name} workbook uploaded to Shopify Files:`, fileId);
+
+  const updated = await runMutation(
+    "metafield update",
+    `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { id key value type updatedAt }
+          userErrors { field message }
+        }
+      }
+    `,
+    {
+      metafields: [
+        {
+          ownerId,
+          namespace: "custom",
+          key: schema.metafield.key,
+          type,
+          value: type === "file_reference" ? fileId : fileUrl,
+        },
+      ],
+    }
+  );
+
+  workbookCache.remove(workbookCache.slotFor(schema, customerId));
+  if (report) notifyIngested(report);
+
+  return { fileId, fileUrl, metafield: updated.metafields[0] };
+}
+
+module.exports = {
+  XLSX_MIME_TYPE,
+  schemaForReportType,
+  reportTypes,
+  isXlsx,
+  checksumOf,
+  validateWorkbook,
+  diffReports,
+  recordDryRun,
+  hasDryRun,
+  publishWorkbook,
+};
@@ -0,0 +1,224 @@
+// services/reportQuery.js
+
+const { ReportError, toDate } = require("./reportIngestion");
+
+/**
+ * Server-side filtering, sorting and paging of report rows for the PO
+ * dashboards (recent-pos, buyer-recent-pos).
+ *
+ * Query parameters:
+ *   supplier   - one or more supplier names, comma separated (case-insensitive)
+ *   status     - one or more of the report's statuses, comma separated
+ *   dateField  - date column the from/to range applies to
+ *   from, to   - inclusive date range (YYYY-MM-DD)
+ *   sort       - one of the report's sort fields; order=asc|desc (default asc)
+ *   page       - 1-based page number (default 1)
+ *   pageSize   - rows per page; without it every matching row is returned
+ * Rows with no value in the sort column are listed last in either order.
+ */
+
+const MAX_PAGE_SIZE = 500;
+
+const isConfirmed = (report, row) => ["yes", "y"].includes(report.text(row, "confirmed").toLowerCase());
+const isLate = (report, row) => report.value(row, "delayDays") > 0;
+
+// What each PO report can be sorted and filtered by
+const QUERY_OPTIONS = {
+  recentPos: {
+    sortFields: {
+      dueDate: { key: "dueDate", type: "date" },
+      ewd: { key: "ewd", type: "date" },
+      awd: { key: "awd", type: "date" },
+      delay: { key: "delayDays", type: "number" },
+    },
+    dateFields: { dueDate: "dueDate", ewd: "ewd", awd: "awd" },
+    defaultDateField: "dueDate",
+    // Same definitions as the recent-pos summary counts
+    statuses: {
+      late: { requires: "delayDays", test: isLate },
+      "on-time": { requires: "delayDays", test: (report, row) => !isLate(report, row) },
+      confirmed: { requires: "confirmed", test: isConfirmed },
+    },
+  },
+  buyerRecentPos: {
+    sortFields: {
+      poSignedDate: { key: "poSignedDate", type: "date" },
+      exFactoryDate: { key: "exFactoryDate", type: "date" },
+    },
+    dateFields: { poSignedDate: "poSignedDate", exFactoryDate: "exFactoryDate" },
+    defaultDateField: "exFactoryDate",
+    statuses: {},
+  },
+};
+
+const listParam = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const invalid = (error, details) => new ReportError(400, error, details);
+
+function parsePositiveInt(value, name, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw invalid(`Invalid ${name}`, `${name} must be a positive integer`);
+  }
+  return parsed;
+}
+
+function parseDateParam(value, name) {
+  if (value === undefined || value === "") return null;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+  if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw invalid(`Invalid ${name}`, `${name} must be a date in YYYY-MM-DD format`);
+  }
+  return date;
+}
+
+/**
+ * Validate the row query parameters for a report.
+ * @param {object} schema - Report schema (recentPos or buyerRecentPos).
+ * @param {object} query - req.query.
+ * @returns {object} the parsed query, echoed back to clients as `query`.
+ * @throws {ReportError} 400 for unknown values.
+ */
+function parseRowQuery(schema, query = {}) {
+  const options = QUERY_OPTIONS[schema.name];
+
+  const sort = query.sort || null;
+  if (sort && !options.sortFields[sort]) {
+    throw invalid("Invalid sort", `sort must be one of: ${Object.keys(options.sortFields).join(", ")}`);
+  }
+
+  const order = String(query.order || "asc").toLowerCase();
+  if (!["asc", "desc"].includes(order)) {
+    throw invalid("Invalid order", "order must be asc or desc");
+  }
+
+  const statuses = listParam(query.status).map((status) => status.toLowerCase());
+  const unknownStatus = statuses.find((status) => !options.statuses[status]);
+  if (unknownStatus) {
+    const allowed = Object.keys(options.statuses);
+    throw invalid(
+      "Invalid status",
+      allowed.length > 0
+        ? `status must be one of: ${allowed.join(", ")}`
+        : `The ${schema.label} report cannot be filtered by status`
+    );
+  }
+
+  const dateField = query.dateField || options.defaultDateField;
+  if (!options.dateFields[dateField]) {
+    throw invalid("Invalid dateField", `dateField must be one of: ${Object.keys(options.dateFields).join(", ")}`);
+  }
+
+  const from = parseDateParam(query.from, "from");
+  const to = parseDateParam(query.to, "to");
+  if (from && to && from > to) {
+    throw invalid("Invalid date range", "from must not be after to");
+  }
+
+  const pageSize = parsePositiveInt(query.pageSize, "pageSize", null);
+  if (pageSize && pageSize > MAX_PAGE_SIZE) {
+    throw invalid("Invalid pageSize", `pageSize must be at most ${MAX_PAGE_SIZE}`);
+  }
+
+  return {
+    suppliers: listParam(query.supplier),
+    statuses,
+    dateField,
+    from: from ? query.from : null,
+    to: to ? query.to : null,
+    sort,
+    order,
+    page: parsePositiveInt(query.page, "page", 1),
+    pageSize,
+  };
+}
+
+function sortValue(report, row, field) {
+  if (field.type === "number") {
+    return report.text(row, field.key) === "" ? null : report.value(row, field.key);
+  }
+  const date = toDate(report.value(row, field.key));
+  return date ? date.getTime() : null;
+}
+
+/**
+ * Filter and sort report rows, then cut out the requested page.
+ * @param {ParsedReport} report
+ * @param {Array[]} rows - Rows to query (e.g. already narrowed to one buyer).
+ * @param {object} rowQuery - Result of parseRowQuery.
+ * @returns {{ rows: Array[], pageRows: Array[], pagination: object }}
+ *   rows is the full filtered, sorted set (for summaries and exports).
+ */
+function applyRowQuery(report, rows, rowQuery) {
+  const options = QUERY_OPTIONS[report.schema.name];
+  let result = rows;
+
+  if (rowQuery.suppliers.length > 0) {
+    const suppliers = new Set(rowQuery.suppliers.map((supplier) => supplier.toLowerCase()));
+    result = result.filter((row) => suppliers.has(report.text(row, "supplier").toLowerCase()));
+  }
+
+  if (rowQuery.statuses.length > 0) {
+    const tests = rowQuery.statuses.map((status) => options.statuses[status]);
+    const missing = tests.find(({ requires }) => !report.has(requires));
+    if (missing) {
+      throw new ReportError(
+        400,
+        "Status filter not available",
+        `The ${report.schema.label} workbook has no ${report.columnHeader(missing.requires)} column`
+      );
+    }
+    // Several statuses match rows with any of them
+    result = result.filter((row) => tests.some(({ test }) => test(report, row)));
+  }
+
+  if (rowQuery.from || rowQuery.to) {
+    const key = options.dateFields[rowQuery.dateField];
+    const from = rowQuery.from ? new Date(`${rowQuery.from}T00:00:00Z`) : null;
+    const to = rowQuery.to ? new Date(`${rowQuery.to}T23:59:59.999Z`) : null;
+    result = result.filter((row) => {
+      const date = toDate(report.value(row, key));
+      return date && (!from || date >= from) && (!to || date <= to);
+    });
+  }
+
+  if (rowQuery.sort) {
+    const field = options.sortFields[rowQuery.sort];
+    const direction = rowQuery.order === "desc" ? -1 : 1;
+    result = result
+      .map((row) => ({ row, value: sortValue(report, row, field) }))
+      .sort((a, b) => {
+        if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+        return (a.value - b.value) * direction;
+      })
+      .map(({ row }) => row);
+  }
+
+  const totalRows = result.length;
+  const pageSize = rowQuery.pageSize || Math.max(totalRows, 1);
+  const totalPages = Math.max(Math.ceil(totalRows / pageSize), 1);
+  const start = (rowQuery.page - 1) * pageSize;
+
+  return {
+    rows: result,
+    pageRows: result.slice(start, start + pageSize),
+    pagination: {
+      page: rowQuery.page,
+      pageSize: rowQuery.pageSize,
+      totalRows,
+      totalPages,
+      hasNextPage: rowQuery.page < totalPages,
+    },
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  parseRowQuery,
+  applyRowQuery,
+};
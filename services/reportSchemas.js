@@ -0,0 +1,168 @@
+// services/reportSchemas.js
+
+/**
+ * Declarative schemas for the Excel reports behind the /customers dashboards.
+ *
+ * Each schema describes where the workbook lives (shop or customer metafield),
+ * how the sheet is laid out and which columns the routes read. Column specs:
+ *   header    - canonical header name (also used as the key in projected rows)
+ *   aliases   - alternative header names accepted for the same column
+ *   partial   - fall back to a "header contains name" match
+ *   contains  - match the first header that contains every listed fragment
+ *   index     - fixed column position, for sheets without meaningful headers
+ *   type      - "number" values go through cleanNumber, everything else is a string
+ *   required  - the report is unusable without this column; uploads missing it are rejected
+ *   fiscal    - "lastYear" when the {yy} in a fiscal header is the previous year (LY25 in FY26)
+ *
+ * Headers containing {yy} are fiscal-year columns: "Target FY{yy}" matches
+ * "Target FY26", "Target FY 27"... and the report resolves them for one
+ * fiscal year at a time (see ParsedReport in reportIngestion.js).
+ *
+ * identity lists the column keys that identify a row (a merchant/buyer pair, a
+ * PO number...), used to diff a new upload against the published workbook.
+ */
+
+const merchantPerformance = {
+  name: "merchantPerformance",
+  label: "merchant performance",
+  metafield: { owner: "shop", key: "merchantperformance" },
+  identity: ["email", "buyer"],
+  columns: {
+    email: { header: "Email", required: true },
+    buyer: { header: "Buyer", required: true },
+    volumeLY: { header: "Volume LY{yy}", fiscal: "lastYear", type: "number", required: true },
+    target: { header: "Target FY{yy}", type: "number", required: true },
+    ytd: { header: "YTD FY{yy}", type: "number", required: true },
+    openPos: { header: "Open Pos", type: "number" },
+    totalOrders: { header: "Total orders", type: "number" },
+    otif: { header: "OTIF", type: "number", required: true },
+    otifLY: { header: "OTIF LY", type: "number" },
+    qualityClaimsLY: { header: "Quality Claims LY", type: "number" },
+    qualityClaims: { header: "Quality Claims", type: "number" },
+    totalSKUs: { header: "Total SKUs", type: "number" },
+    convertedSKUs: { header: "Converted SKUs", type: "number" },
+    numberOfPos: { header: "Number of Pos", type: "number" },
+    latePos: { header: "Late Pos", type: "number" },
+    onTimePos: { header: "Ontime Pos", type: "number" },
+  },
+};
+
+const buyerPerformance = {
+  name: "buyerPerformance",
+  label: "buyer performance",
+  metafield: { owner: "shop", key: "buyers_performance" },
+  identity: ["email"],
+  columns: {
+    email: { header: "Email", required: true },
+    businessName: { header: "Business Name" },
+    shippedPosCurrent: { header: "Shipped Pos current", type: "number" },
+    shippedPosLast: { header: "Shipped Pos last", type: "number" },
+    ytd: { header: "YTD FY{yy}", type: "number", required: true },
+    openPosCurrent: { header: "Open Pos current", type: "number" },
+    openPosNext: { header: "Open Pos next", type: "number" },
+    totalOrders: { header: "Total orders", type: "number" },
+    otif: { header: "OTIF", type: "number", required: true },
+    openPosYTD: { header: "Open Pos YTD", type: "number" },
+    shippedPosYTD: { header: "Shipped Pos YTD", type: "number" },
+    openPosValue: { header: "Open Pos", type: "number" },
+    numberOfPos: { header: "Number of Pos", type: "number" },
+    onTimePos: { header: "Ontime Pos", type: "number" },
+  },
+};
+
+const poPerformance = {
+  name: "poPerformance",
+  label: "PO performance",
+  metafield: { owner: "customer", key: "po_excel" },
+  // This sheet has always been read with raw cell values
+  sheet: { raw: true },
+  columns: {
+    openPos: { header: "Open Pos", type: "number" },
+    totalOrders: { header: "Total orders", type: "number" },
+    ytdTarget: { header: "YTD Target FY{yy}", type: "number", required: true },
+    ytdActual: { header: "YTD Actual FY{yy}", type: "number", required: true },
+    lytd: { header: "LYTD", type: "number" },
+    otif: { header: "OTIF", type: "number" },
+    qualityClaimsLY: { header: "Quality Claims LY", type: "number" },
+    qualityClaims: { header: "Quality Claims", type: "number" },
+    totalSKUs: { header: "Total SKUs", type: "number" },
+    convertedSKUs: { header: "Converted SKUs", type: "number" },
+    numberOfPos: { header: "Number of Pos", type: "number" },
+    onTimePos: { header: "Ontime Pos", type: "number" },
+  },
+};
+
+// Buyer/Vendor followed by one column per month, optionally Total, Origin and contact columns
+const volumeShipped = {
+  name: "volumeShipped",
+  label: "volumeshippedytd",
+  metafield: { owner: "shop", key: "volumeshippedytd" },
+  headerRow: "firstNonEmpty",
+  requireRows: true,
+  keepRow: (row) => Boolean(row && row.length > 0 && (row[0] || row[1])),
+  identity: ["buyer", "vendor"],
+  columns: {
+    buyer: { header: "Buyer", index: 0, required: true },
+    vendor: { header: "Vendor", index: 1, required: true },
+    total: { header: "Total" },
+    origin: { header: "Origin" },
+    vendorEmail: { header: "Vendor Email", contains: ["vendor", "email"] },
+    contactPerson: { header: "Contact Person", contains: ["contact", "person"] },
+  },
+};
+
+const recentPos = {
+  name: "recentPos",
+  label: "recent POs",
+  metafield: { owner: "customer", key: "recentpo" },
+  identity: ["purchaseOrder"],
+  download: { timeout: 30000, maxContentLength: 10 * 1024 * 1024 },
+  workbook: { cellDates: true, cellNF: false, cellHTML: false },
+  columns: {
+    purchaseOrder: { header: "Purchase Order", partial: true, required: true },
+    supplier: { header: "Supplier", partial: true, required: true },
+    ewd: { header: "EWD", partial: true },
+    awd: { header: "AWD", partial: true },
+    dueDate: { header: "Due Date", partial: true },
+    delayDays: { header: "Delay", contains: ["delay"], type: "number" },
+    confirmed: { header: "Confirmed", contains: ["confirm"] },
+  },
+};
+
+const buyerRecentPos = {
+  name: "buyerRecentPos",
+  label: "buyer recent POs",
+  metafield: { owner: "shop", key: "buyerrecentpo" },
+  identity: ["buyer", "poNumber"],
+  download: { timeout: 30000, maxContentLength: 10 * 1024 * 1024 },
+  workbook: { cellDates: true, cellNF: false, cellHTML: false },
+  columns: {
+    buyer: { header: "Buyer", partial: true, required: true },
+    supplier: { header: "Supplier", partial: true },
+    poNumber: { header: "PO No.", partial: true },
+    poSignedDate: { header: "Po Signed Date", partial: true },
+    exFactoryDate: { header: "Ex factory Date", partial: true },
+  },
+};
+
+const supplierInfo = {
+  name: "supplierInfo",
+  label: "supplier information",
+  metafield: { owner: "customer", key: "supplier_info" },
+  identity: ["company"],
+  columns: {
+    company: { header: "Supplier Name", aliases: ["Company", "Supplier"], required: true },
+    contactPerson: { header: "Contact person", aliases: ["Contact"] },
+    email: { header: "Email ID", aliases: ["Supplier Email"] },
+  },
+};
+
+module.exports = {
+  merchantPerformance,
+  buyerPerformance,
+  poPerformance,
+  volumeShipped,
+  recentPos,
+  buyerRecentPos,
+  supplierInfo,
+};
@@ -0,0 +1,129 @@
+// services/requestSigning.js
+
+const crypto = require("crypto");
+
+/**
+ * Signed requests for authenticateManualHmac.
+ *
+ * A request carries ts (ms since epoch), nonce and hmac query parameters.
+ * hmac is the hex HMAC-SHA256, keyed with SHARED_SECRET, of:
+ *
+ *   v1\n
+ *   <METHOD>\n
+ *   <path, e.g. /customers/verify>\n
+ *   <query without hmac: key=value pairs sorted by key then value, RFC 3986 encoded, joined with &>\n
+ *   <hex SHA-256 of the exact body bytes sent (of "" when there is no body)>
+ *
+ * ts and nonce are part of the query, so they are signed too. The server
+ * accepts a ts within five minutes of its clock and each nonce only once.
+ *
+ * This module has no Firebase dependency so theme tooling and tests can use
+ * it directly, or from the command line:
+ *   SHARED_SECRET=... node services/requestSigning.js POST /customers/verify '{"customerId":"1","isVerified":true}'
+ */
+
+const SIGNATURE_VERSION = "v1";
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// encodeURIComponent leaves !'()* alone; RFC 3986 does not
+const encode = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Canonical query string: every parameter except hmac, sorted by key then value.
+ * @param {Array<[string, string]>|object} params - [key, value] pairs (repeated keys allowed) or an object.
+ */
+function canonicalQuery(params) {
+  const pairs = Array.isArray(params)
+    ? params
+    : Object.entries(params || {}).flatMap(([key, value]) =>
+        (Array.isArray(value) ? value : [value]).map((item) => [key, item])
+      );
+
+  return pairs
+    .filter(([key]) => key !== "hmac")
+    .map(([key, value]) => [String(key), value === undefined || value === null ? "" : String(value)])
+    .sort(([keyA, valueA], [keyB, valueB]) =>
+      keyA === keyB ? (valueA < valueB ? -1 : valueA > valueB ? 1 : 0) : keyA < keyB ? -1 : 1
+    )
+    .map(([key, value]) => `${encode(key)}=${encode(value)}`)
+    .join("&");
+}
+
+const bodyHash = (body) =>
+  crypto
+    .createHash("sha256")
+    .update(body === undefined || body === null ? "" : body)
+    .digest("hex");
+
+function stringToSign({ method, path, query, body }) {
+  return [SIGNATURE_VERSION, String(method).toUpperCase(), path, canonicalQuery(query), bodyHash(body)].join("\n");
+}
+
+const computeSignature = (secret, request) =>
+  crypto.createHmac("sha256", secret).update(stringToSign(request), "utf8").digest("hex");
+
+// Constant-time comparison of two hex signatures
+function signaturesMatch(expected, received) {
+  if (typeof received !== "string" || !/^[0-9a-f]+$/i.test(received)) return false;
+  const a = Buffer.from(expected, "hex");
+  const b = Buffer.from(received.toLowerCase(), "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Sign a request.
+ * @param {object} request
+ * @param {string} request.method
+ * @param {string} request.path - Path without the query string.
+ * @param {object} [request.query] - Other query parameters.
+ * @param {string|Buffer|object} [request.body] - Objects are sent as JSON.
+ * @param {string} [request.secret] - Defaults to SHARED_SECRET.
+ * @returns {{ query: object, url: string, body: string|Buffer|undefined }} what to send.
+ */
+function signRequest({ method, path, query = {}, body, secret = process.env.SHARED_SECRET, ts = Date.now(), nonce }) {
+  if (!secret) throw new Error("SHARED_SECRET is not set");
+
+  const payload = body !== undefined && body !== null && typeof body === "object" && !Buffer.isBuffer(body)
+    ? JSON.stringify(body)
+    : body;
+  const signedQuery = { ...query, ts: String(ts), nonce: nonce || crypto.randomBytes(16).toString("hex") };
+  const hmac = computeSignature(secret, { method, path, query: signedQuery, body: payload });
+
+  const fullQuery = { ...signedQuery, hmac };
+  return {
+    query: fullQuery,
+    url: `${path}?${new URLSearchParams(fullQuery)}`,
+    body: payload,
+  };
+}
+
+module.exports = {
+  MAX_CLOCK_SKEW_MS,
+  NONCE_PATTERN,
+  canonicalQuery,
+  stringToSign,
+  computeSignature,
+  signaturesMatch,
+  signRequest,
+};
+
+// CLI entrypoint: print a signed URL (and the body to send) for a request
+if (require.main === module) {
+  const [method, target, body] = process.argv.slice(2);
+  if (!method || !target) {
+    console.error("Usage: SHARED_SECRET=... node services/requestSigning.js <METHOD> <path?query> [body]");
+    process.exit(1);
+  }
+
+  const [path, search = ""] = target.split("?");
+  const query = {};
+  new URLSearchParams(search).forEach((value, key) => {
+    query[key] = value;
+  });
+
+  const signed = signRequest({ method, path, query, body });
+  console.log(signed.url);
+  if (signed.body !== undefined) console.log(signed.body);
+}
@@ -0,0 +1,293 @@
+// services/shopifyAdmin.js
+
+const axios = require("axios");
+
+/**
+ * The Shopify Admin API client. Every Admin API call (GraphQL and REST) goes
+ * through here, so they all use one API version and share the rate limits.
+ *
+ *   shopifyGraphQL(query, variables)  - returns data; throws ShopifyGraphQLError
+ *   shopifyMutation(query, variables) - returns the mutation payload; throws
+ *                                       ShopifyUserError when it has userErrors
+ *   shopifyRest.get/post/put/delete   - returns the parsed body; throws ShopifyHttpError
+ *
+ * Rate limits:
+ *   GraphQL - the cost bucket reported in extensions.cost.throttleStatus is
+ *             tracked, calls wait for it to refill before sending, and a
+ *             THROTTLED response is retried once the bucket allows it.
+ *   REST    - 429s are retried after Retry-After; the call-limit header slows
+ *             calls down before the bucket is full.
+ * Idempotent requests (REST other than POST, GraphQL queries but not
+ * mutations) are also retried on 5xx.
+ * Waits longer than MAX_INLINE_WAIT_MS are not done inline: the error is
+ * thrown (with waitMs / retryAfterMs) for the caller or the outbox to retry.
+ *
+ * SHOPIFY_API_VERSION pins the version (default 2025-07). Tests can replace
+ * the HTTP transport with setShopifyTransport().
+ */
+
+const API_VERSION = process.env.SHOPIFY_API_VERSION || "2025-07";
+const MAX_RETRIES = parseInt(process.env.SHOPIFY_MAX_RETRIES || "2", 10);
+const MAX_INLINE_WAIT_MS = 5 * 1000;
+const DEFAULT_QUERY_COST = 50;
+const REST_LEAK_PER_SECOND = 2;
+// Calls kept free in the REST bucket for other clients of the shop
+const REST_HEADROOM = 2;
+
+class ShopifyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ShopifyError";
+  }
+}
+
+// Non-2xx HTTP response, or no response at all (status null, code from the socket error)
+class ShopifyHttpError extends ShopifyError {
+  constructor(status, message, { body, retryAfterMs = null, method, path, code } = {}) {
+    super(message);
+    this.name = "ShopifyHttpError";
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+    this.method = method;
+    this.path = path;
+  }
+}
+
+// Top-level GraphQL errors: bad query, missing scope, internal error
+class ShopifyGraphQLError extends ShopifyError {
+  constructor(errors, cost) {
+    const list = Array.isArray(errors) ? errors : [{ message: String(errors) }];
+    super(`Shopify GraphQL error: ${list.map((e) => e.message).join("; ")}`);
+    this.name = "ShopifyGraphQLError";
+    this.errors = list;
+    this.code = list[0]?.extensions?.code;
+    this.cost = cost;
+  }
+}
+
+class ShopifyThrottledError extends ShopifyGraphQLError {
+  constructor(errors, cost, waitMs) {
+    super(errors, cost);
+    this.name = "ShopifyThrottledError";
+    this.waitMs = waitMs;
+  }
+}
+
+// A mutation ran but rejected its input
+class ShopifyUserError extends ShopifyError {
+  constructor(mutation, userErrors) {
+    super(`${mutation} failed: ${userErrors.map((e) => e.message).join("; ")}`);
+    this.name = "ShopifyUserError";
+    this.mutation = mutation;
+    this.userErrors = userErrors;
+    this.code = userErrors[0]?.code;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Default transport: resolves with { status, headers, data } for every HTTP status
+async function axiosTransport({ method, url, headers, data, timeout }) {
+  try {
+    const response = await axios({ method, url, headers, data, timeout, validateStatus: () => true });
+    return { status: response.status, headers: response.headers || {}, data: response.data };
+  } catch (err) {
+    if (err.response) return { status: err.response.status, headers: err.response.headers || {}, data: err.response.data };
+    throw new ShopifyHttpError(null, `Shopify request failed: ${err.message}`, { method, path: url, code: err.code });
+  }
+}
+
+let transport = axiosTransport;
+
+/**
+ * Replace the HTTP transport, e.g. with a mock in tests.
+ * @param {(request: { method, url, headers, data, timeout }) => Promise<{ status, headers, data }>} [fn]
+ *   Omit to restore the real one.
+ */
+function setShopifyTransport(fn) {
+  transport = fn || axiosTransport;
+}
+
+const baseUrl = () => `https://${process.env.SHOPIFY_STORE}/admin/api/${API_VERSION}`;
+
+function send(method, path, data, { timeout } = {}) {
+  return transport({
+    method,
+    url: `${baseUrl()}${path}`,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN,
+    },
+    data,
+    timeout,
+  });
+}
+
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Last known GraphQL cost bucket, refilled by restoreRate points per second
+let bucket = null;
+
+function bucketWait(cost) {
+  if (!bucket) return 0;
+  const elapsed = (Date.now() - bucket.at) / 1000;
+  const available = Math.min(bucket.maximum, bucket.available + elapsed * bucket.restoreRate);
+  return available >= cost ? 0 : Math.ceil(((cost - available) / bucket.restoreRate) * 1000);
+}
+
+function recordCost(cost) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+  bucket = {
+    maximum: status.maximumAvailable,
+    available: status.currentlyAvailable,
+    restoreRate: status.restoreRate,
+    at: Date.now(),
+  };
+}
+
+/**
+ * Run a GraphQL Admin query or mutation.
+ * @param {string} query
+ * @param {object} [variables]
+ * @param {object} [options]
+ * @param {number} [options.timeout] - ms.
+ * @param {number} [options.expectedCost] - Points to have available before sending.
+ * @returns {Promise<object>} the response's data.
+ */
+async function shopifyGraphQL(query, variables = {}, { timeout, expectedCost = DEFAULT_QUERY_COST } = {}) {
+  const idempotent = !/^\s*mutation\b/.test(query);
+
+  for (let attempt = 0; ; attempt++) {
+    const wait = bucketWait(Math.min(expectedCost, bucket?.maximum || expectedCost));
+    if (wait > MAX_INLINE_WAIT_MS) {
+      throw new ShopifyThrottledError([{ message: "Throttled", extensions: { code: "THROTTLED" } }], null, wait);
+    }
+    if (wait > 0) await sleep(wait);
+
+    const response = await send("POST", "/graphql.json", { query, variables }, { timeout });
+    const body = response.data || {};
+    recordCost(body.extensions?.cost);
+
+    if (response.status < 200 || response.status >= 300) {
+      const error = httpError("POST", "/graphql.json", response);
+      if (!(await retryHttp(error, idempotent, attempt))) throw error;
+      continue;
+    }
+
+    // Top-level errors come back with a 200 and no data
+    if (body.errors && !body.data) {
+      const code = Array.isArray(body.errors) ? body.errors[0]?.extensions?.code : undefined;
+      if (code !== "THROTTLED") throw new ShopifyGraphQLError(body.errors, body.extensions?.cost);
+
+      const cost = body.extensions?.cost;
+      const waitMs = Math.max(bucketWait(cost?.requestedQueryCost || expectedCost), 1000);
+      if (attempt >= MAX_RETRIES || waitMs > MAX_INLINE_WAIT_MS) {
+        throw new ShopifyThrottledError(body.errors, cost, waitMs);
+      }
+      await sleep(waitMs);
+      continue;
+    }
+
+    return body.data;
+  }
+}
+
+/**
+ * Run a mutation and return its payload (the single root field of data).
+ * @throws {ShopifyUserError} when the payload has userErrors.
+ */
+async function shopifyMutation(query, variables = {}, options = {}) {
+  const data = await shopifyGraphQL(query, variables, options);
+  const [mutation] = Object.keys(data || {});
+  const payload = data?.[mutation];
+  if (payload?.userErrors?.length > 0) throw new ShopifyUserError(mutation, payload.userErrors);
+  return payload;
+}
+
+function httpError(method, path, response) {
+  const retryAfterMs = parseRetryAfter(response.headers?.["retry-after"]);
+  const detail = typeof response.data === "string" ? response.data : JSON.stringify(response.data?.errors ?? response.data);
+  return new ShopifyHttpError(response.status, `Shopify ${method} ${path.split("?")[0]} failed with ${response.status}: ${detail}`, {
+    body: response.data,
+    retryAfterMs,
+    method,
+    path,
+  });
+}
+
+// Wait and return true when the failed request should be sent again; 5xx only when sending it twice is safe
+async function retryHttp(error, idempotent, attempt) {
+  if (attempt >= MAX_RETRIES) return false;
+
+  let wait;
+  if (error.status === 429) {
+    wait = error.retryAfterMs ?? 1000;
+  } else if (error.status >= 500 && idempotent) {
+    wait = error.retryAfterMs ?? 500 * 2 ** attempt;
+  } else {
+    return false;
+  }
+
+  if (wait > MAX_INLINE_WAIT_MS) return false;
+  await sleep(wait);
+  return true;
+}
+
+// REST leaky bucket from X-Shopify-Shop-Api-Call-Limit ("32/40")
+let restBucket = null;
+
+function restWait() {
+  if (!restBucket) return 0;
+  const used = restBucket.used - ((Date.now() - restBucket.at) / 1000) * REST_LEAK_PER_SECOND;
+  const over = Math.max(0, used - (restBucket.limit - REST_HEADROOM));
+  return Math.ceil((over / REST_LEAK_PER_SECOND) * 1000);
+}
+
+async function rest(method, path, data, options) {
+  for (let attempt = 0; ; attempt++) {
+    const wait = restWait();
+    if (wait > 0) await sleep(Math.min(wait, MAX_INLINE_WAIT_MS));
+
+    const response = await send(method, path, data, options);
+    const [used, limit] = String(response.headers?.["x-shopify-shop-api-call-limit"] || "").split("/").map(Number);
+    if (limit) restBucket = { used, limit, at: Date.now() };
+
+    if (response.status >= 200 && response.status < 300) return response.data;
+
+    const error = httpError(method, path, response);
+    if (!(await retryHttp(error, method !== "POST", attempt))) throw error;
+  }
+}
+
+/**
+ * REST Admin API, with paths relative to the versioned base
+ * (e.g. shopifyRest.get("/customers/123.json")).
+ */
+const shopifyRest = {
+  get: (path, options) => rest("GET", path, undefined, options),
+  post: (path, body, options) => rest("POST", path, body, options),
+  put: (path, body, options) => rest("PUT", path, body, options),
+  delete: (path, options) => rest("DELETE", path, undefined, options),
+};
+
+module.exports = {
+  API_VERSION,
+  ShopifyError,
+  ShopifyHttpError,
+  ShopifyGraphQLError,
+  ShopifyThrottledError,
+  ShopifyUserError,
+  shopifyGraphQL,
+  shopifyMutation,
+  shopifyRest,
+  setShopifyTransport,
+};
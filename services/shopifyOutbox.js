@@ -0,0 +1,395 @@
+// services/shopifyOutbox.js
+
+const crypto = require("crypto");
+const { db } = require("../firebaseConfig.js");
+const { ShopifyGraphQLError, ShopifyHttpError, ShopifyThrottledError, ShopifyUserError } = require("./shopifyAdmin.js");
+
+/**
+ * Durable outbox for writes to Shopify.
+ *
+ * Firestore layout:
+ *   shopifyOutbox/{operationId} - { type, params, orderingKey, status, attempts, maxAttempts,
+ *                                   nextAttemptAt, leaseExpiresAt, lastError, lastStatusCode,
+ *                                   result, error, requestedBy, createdAt, updatedAt, completedAt,
+ *                                   replayCount, replayedAt, replayedBy }
+ *
+ * Callers submit a write intent ({ type, params }) instead of calling Shopify
+ * themselves. Operation types are registered with defineOperation() and their
+ * executor does the actual read-modify-write when the operation runs, so a
+ * retried operation works on current data.
+ *
+ * Statuses:
+ *   pending   - waiting for its first or next attempt (nextAttemptAt)
+ *   running   - claimed by a worker until leaseExpiresAt
+ *   succeeded - done; result holds the executor's return value
+ *   failed    - rejected by the executor (OperationRejectedError); retrying will not help
+ *   dead      - Shopify kept failing (or refused it outright); listed for ops to replay
+ *
+ * 429s, 5xx, network errors, GraphQL throttling and stale compareDigest
+ * writes are retried with exponential backoff, waiting at least as long as
+ * Shopify's Retry-After or the time the GraphQL cost bucket needs to refill. Operations sharing an
+ * orderingKey (one customer's wishlist and lists) run one at a time, oldest
+ * first, so a remove never overtakes the add before it.
+ *
+ * The due and expired-lease queries need the composite indexes in
+ * firestore.indexes.json: deploy them (firebase deploy --only firestore:indexes)
+ * before the first worker runs.
+ */
+
+const OUTBOX_COLLECTION = "shopifyOutbox";
+const DEFAULT_MAX_ATTEMPTS = 10;
+const RETRY_BASE_MS = 2 * 1000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+const FINAL_STATUSES = ["succeeded", "failed", "dead"];
+
+const operations = new Map();
+
+/**
+ * Raised by an executor when Shopify's data rules the write out (list not
+ * found, duplicate name, ...). The operation is marked failed, not retried.
+ */
+class OperationRejectedError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "OperationRejectedError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Register an operation type.
+ * @param {string} type - e.g. "wishlist.add".
+ * @param {object} definition
+ * @param {(params: object) => Promise<object>} definition.execute - Performs the write; returns the result.
+ * @param {(params: object) => string} [definition.orderingKey] - Operations with the same key run in order.
+ * @param {number} [definition.maxAttempts]
+ */
+function defineOperation(type, { execute, orderingKey, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  operations.set(type, { execute, orderingKey, maxAttempts });
+}
+
+/**
+ * Decide whether a failed Shopify call is worth retrying, and how long to wait at least.
+ * @param {Error} error - Usually one of the shopifyAdmin error classes.
+ * @returns {{ retryable: boolean, statusCode: number|null, waitMs: number }}
+ */
+function classifyShopifyError(error) {
+  if (error instanceof ShopifyThrottledError) {
+    return { retryable: true, statusCode: null, waitMs: Math.max(error.waitMs || 0, 1000) };
+  }
+
+  if (error instanceof ShopifyGraphQLError) {
+    return { retryable: error.code === "INTERNAL_SERVER_ERROR", statusCode: null, waitMs: 0 };
+  }
+
+  // A compareDigest write that kept losing races; try again once the writers have settled
+  if (error instanceof ShopifyUserError) {
+    return { retryable: error.code === "STALE_OBJECT", statusCode: null, waitMs: 0 };
+  }
+
+  if (error instanceof ShopifyHttpError) {
+    const { status } = error;
+    // status null: no response at all (timeouts, resets, DNS)
+    const retryable = status === null || status === 429 || status >= 500;
+    return { retryable, statusCode: status, waitMs: error.retryAfterMs || 0 };
+  }
+
+  return { retryable: false, statusCode: null, waitMs: 0 };
+}
+
+/**
+ * Delay before the next attempt: exponential with jitter, never shorter than Shopify asked for.
+ * @param {number} attempts - Attempts made so far.
+ * @param {number} [waitMs] - Minimum wait from classifyShopifyError.
+ */
+function backoffDelay(attempts, waitMs = 0) {
+  const exponential = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  const jittered = exponential / 2 + Math.random() * (exponential / 2);
+  return Math.max(jittered, waitMs);
+}
+
+// What callers polling an operation see
+const publicOperation = (operationId, data) => ({
+  operationId,
+  type: data.type,
+  status: data.status,
+  attempts: data.attempts,
+  nextAttemptAt: FINAL_STATUSES.includes(data.status) ? null : data.nextAttemptAt,
+  result: data.result ?? null,
+  error: data.error ?? null,
+  createdAt: data.createdAt,
+  completedAt: data.completedAt || null,
+});
+
+/**
+ * Accept a write intent.
+ * @param {string} type - A registered operation type.
+ * @param {object} params - JSON-serialisable executor parameters.
+ * @param {object} [options]
+ * @param {string} [options.requestedBy]
+ * @returns {Promise<object>} the operation as publicOperation returns it.
+ */
+async function enqueueOperation(type, params, { requestedBy = null } = {}) {
+  const definition = operations.get(type);
+  if (!definition) throw new Error(`Unknown outbox operation type: ${type}`);
+
+  const operationId = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const data = {
+    type,
+    params,
+    orderingKey: definition.orderingKey ? definition.orderingKey(params) : null,
+    status: "pending",
+    attempts: 0,
+    maxAttempts: definition.maxAttempts,
+    nextAttemptAt: now,
+    requestedBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await db.collection(OUTBOX_COLLECTION).doc(operationId).set(data);
+  return publicOperation(operationId, data);
+}
+
+// True when an older operation with the same ordering key has not finished yet
+async function blockedByEarlier(operationId, data) {
+  if (!data.orderingKey) return false;
+  const open = await db
+    .collection(OUTBOX_COLLECTION)
+    .where("orderingKey", "==", data.orderingKey)
+    .where("status", "in", ["pending", "running"])
+    .get();
+  return open.docs.some((doc) => {
+    if (doc.id === operationId) return false;
+    const other = doc.data().createdAt;
+    return other < data.createdAt || (other === data.createdAt && doc.id < operationId);
+  });
+}
+
+// Take the lease on a due operation; null if it is not ours to run
+async function claimOperation(ref) {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    const now = new Date();
+    const due = data.status === "pending" && new Date(data.nextAttemptAt) <= now;
+    const abandoned = data.status === "running" && new Date(data.leaseExpiresAt) <= now;
+    if (!due && !abandoned) return null;
+
+    const claimed = {
+      status: "running",
+      attempts: (data.attempts || 0) + 1,
+      leaseExpiresAt: new Date(now.getTime() + LEASE_MS).toISOString(),
+      updatedAt: now.toISOString(),
+    };
+    transaction.update(ref, claimed);
+    return { ...data, ...claimed };
+  });
+}
+
+/**
+ * Attempt an operation now if it is due and nothing older with the same
+ * ordering key is outstanding. Never throws for Shopify failures: they are
+ * recorded on the operation.
+ * @returns {Promise<object|null>} the operation after the attempt; null if it does not exist.
+ */
+async function runOperation(operationId) {
+  const ref = db.collection(OUTBOX_COLLECTION).doc(operationId);
+  const doc = await ref.get();
+  if (!doc.exists) return null;
+  if (FINAL_STATUSES.includes(doc.data().status) || (await blockedByEarlier(operationId, doc.data()))) {
+    return publicOperation(operationId, doc.data());
+  }
+
+  const operation = await claimOperation(ref);
+  if (!operation) return publicOperation(operationId, (await ref.get()).data());
+
+  const definition = operations.get(operation.type);
+  const now = () => new Date().toISOString();
+  let update;
+
+  try {
+    if (!definition) throw new Error(`Unknown outbox operation type: ${operation.type}`);
+    const result = await definition.execute(operation.params);
+    update = { status: "succeeded", result: result ?? null, error: null, completedAt: now() };
+  } catch (error) {
+    if (error instanceof OperationRejectedError) {
+      update = {
+        status: "failed",
+        error: { status: error.status, message: error.message, details: error.details ?? null },
+        completedAt: now(),
+      };
+    } else {
+      const { retryable, statusCode, waitMs } = classifyShopifyError(error);
+      const { message } = error;
+      const exhausted = operation.attempts >= (operation.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+
+      if (retryable && !exhausted) {
+        update = {
+          status: "pending",
+          nextAttemptAt: new Date(Date.now() + backoffDelay(operation.attempts, waitMs)).toISOString(),
+          lastError: message,
+          lastStatusCode: statusCode,
+        };
+        console.warn(`⚠️ Outbox ${operation.type} ${operationId} attempt ${operation.attempts} failed, retrying:`, message);
+      } else {
+        update = {
+          status: "dead",
+          lastError: message,
+          lastStatusCode: statusCode,
+          error: { status: statusCode || 502, message: "Shopify write failed", details: message },
+          completedAt: now(),
+        };
+        console.error(`❌ Outbox ${operation.type} ${operationId} dead-lettered after ${operation.attempts} attempt(s):`, message);
+      }
+    }
+  }
+
+  update = { ...update, leaseExpiresAt: null, updatedAt: now() };
+  await ref.update(update);
+  return publicOperation(operationId, { ...operation, ...update });
+}
+
+/**
+ * Accept a write and try it straight away, for request handlers: a healthy
+ * Shopify answers within the request, anything else is left to the worker.
+ */
+async function submitOperation(type, params, options) {
+  const { operationId } = await enqueueOperation(type, params, options);
+  return runOperation(operationId);
+}
+
+/**
+ * Attempt every due operation (and any whose worker died mid-attempt).
+ * @param {object} [options]
+ * @param {number} [options.limit] - Operations per run.
+ * @returns {Promise<object>} counts by resulting status.
+ */
+async function processOutbox({ limit = 100 } = {}) {
+  const now = new Date().toISOString();
+  const [due, abandoned] = await Promise.all([
+    db.collection(OUTBOX_COLLECTION).where("status", "==", "pending").where("nextAttemptAt", "<=", now).limit(limit).get(),
+    db.collection(OUTBOX_COLLECTION).where("status", "==", "running").where("leaseExpiresAt", "<=", now).limit(limit).get(),
+  ]);
+
+  // Oldest first, so ordered operations are not left waiting behind a later one
+  const docs = [...due.docs, ...abandoned.docs].sort((a, b) => a.data().createdAt.localeCompare(b.data().createdAt));
+  const stats = { due: docs.length, succeeded: 0, failed: 0, dead: 0, pending: 0, running: 0 };
+
+  for (const doc of docs) {
+    const operation = await runOperation(doc.id);
+    if (operation) stats[operation.status]++;
+  }
+  return stats;
+}
+
+/**
+ * An operation as callers polling it see it.
+ * @param {string} operationId
+ * @param {object} [options]
+ * @param {boolean} [options.withParams] - Also return the executor parameters (for access checks).
+ * @returns {Promise<object|null>}
+ */
+async function getOperation(operationId, { withParams = false } = {}) {
+  const doc = await db.collection(OUTBOX_COLLECTION).doc(operationId).get();
+  if (!doc.exists) return null;
+  const operation = publicOperation(doc.id, doc.data());
+  return withParams ? { ...operation, params: doc.data().params || {} } : operation;
+}
+
+/**
+ * Operations for ops, newest first, with their parameters and last error.
+ * @param {object} [options]
+ * @param {string} [options.status] - Defaults to "dead".
+ */
+async function listOperations({ status = "dead", limit = 100 } = {}) {
+  const snapshot = await db.collection(OUTBOX_COLLECTION).where("status", "==", status).get();
+  return snapshot.docs
+    .map((doc) => ({ operationId: doc.id, ...doc.data() }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Put a dead-lettered operation back in the queue with a fresh set of attempts.
+ * @returns {Promise<object|null>} the operation after an immediate attempt; null if it is not dead.
+ */
+async function replayOperation(operationId, replayedBy) {
+  const ref = db.collection(OUTBOX_COLLECTION).doc(operationId);
+
+  const replayed = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().status !== "dead") return false;
+
+    const now = new Date().toISOString();
+    transaction.update(ref, {
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      error: null,
+      completedAt: null,
+      replayCount: (doc.data().replayCount || 0) + 1,
+      replayedAt: now,
+      replayedBy,
+      updatedAt: now,
+    });
+    return true;
+  });
+
+  return replayed ? runOperation(operationId) : null;
+}
+
+const operationUrl = (operationId) =>
+  `${(process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "")}/outbox/operations/${operationId}`;
+
+/**
+ * Send the outcome of a submitted operation: the executor's result once it
+ * succeeded, its rejection, or a 202 with the URL to poll while it is queued.
+ * @param {object} res - Express response.
+ * @param {object} operation - From submitOperation.
+ * @param {object} [options]
+ * @param {number} [options.status] - Status for a success (default 200).
+ * @param {string} [options.failure] - Error message for a dead-lettered write.
+ */
+function sendOperationResult(res, operation, { status = 200, failure = "Failed to update Shopify" } = {}) {
+  const { operationId } = operation;
+
+  if (operation.status === "succeeded") {
+    return res.status(status).json({ success: true, ...operation.result, operationId });
+  }
+  if (operation.status === "failed") {
+    return res.status(operation.error.status).json({ success: false, error: operation.error.message, operationId });
+  }
+  if (operation.status === "dead") {
+    return res.status(502).json({ success: false, error: failure, details: operation.error.details, operationId });
+  }
+
+  return res.status(202).json({
+    success: true,
+    pending: true,
+    message: "Shopify is busy; the change has been queued",
+    operationId,
+    status: operation.status,
+    statusUrl: operationUrl(operationId),
+  });
+}
+
+module.exports = {
+  OperationRejectedError,
+  defineOperation,
+  classifyShopifyError,
+  backoffDelay,
+  enqueueOperation,
+  submitOperation,
+  runOperation,
+  processOutbox,
+  getOperation,
+  listOperations,
+  replayOperation,
+  sendOperationResult,
+};
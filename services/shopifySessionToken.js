@@ -0,0 +1,195 @@
+// services/shopifySessionToken.js
+
+const crypto = require("crypto");
+
+/**
+ * Shopify App Bridge session tokens (HS256 JWTs signed with the app's API secret).
+ *
+ * A token is accepted when:
+ *   - the header is { alg: "HS256", typ: "JWT" } and the signature matches
+ *   - exp is in the future and nbf in the past, give or take the clock skew
+ *     (SHOPIFY_SESSION_CLOCK_SKEW_SECONDS, default 10)
+ *   - aud is our API key (SHOPIFY_API_KEY)
+ *   - dest is https://<shop>.myshopify.com and iss is that shop's /admin
+ *   - the shop matches x-shop-domain, when the caller sends it
+ *
+ * signSessionToken builds tokens the same way Shopify does, so local tests can
+ * generate vectors:
+ *   SHOPIFY_API_KEY=... SHOPIFY_API_SECRET=... node services/shopifySessionToken.js my-shop.myshopify.com [userId]
+ */
+
+const DEFAULT_CLOCK_SKEW_SECONDS = 10;
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+class SessionTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SessionTokenError";
+  }
+}
+
+const base64url = (input) => Buffer.from(input).toString("base64url");
+
+const sign = (data, secret) => crypto.createHmac("sha256", secret).update(data).digest();
+
+function decodeSegment(segment, name) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+    if (value && typeof value === "object") return value;
+  } catch (err) {
+    // fall through
+  }
+  throw new SessionTokenError(`Malformed token ${name}`);
+}
+
+// Host of an https URL claim, or null
+function shopOf(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "https:" ? parsed.hostname.toLowerCase() : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+const clockSkew = () => {
+  const configured = Number(process.env.SHOPIFY_SESSION_CLOCK_SKEW_SECONDS);
+  return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_CLOCK_SKEW_SECONDS;
+};
+
+/**
+ * Verify a session token.
+ * @param {string} token
+ * @param {object} [options]
+ * @param {string} [options.shopDomain] - Shop the caller claims to be (x-shop-domain).
+ * @param {string} [options.secret] - Defaults to SHOPIFY_API_SECRET.
+ * @param {string} [options.apiKey] - Expected aud; defaults to SHOPIFY_API_KEY.
+ * @param {number} [options.now] - Seconds since epoch, for tests.
+ * @returns {{ shop: string, userId: string|null, sessionId: string|null, expiresAt: number, payload: object }}
+ * @throws {SessionTokenError} describing the first check that failed.
+ */
+function verifySessionToken(token, options = {}) {
+  const {
+    shopDomain,
+    secret = process.env.SHOPIFY_API_SECRET,
+    apiKey = process.env.SHOPIFY_API_KEY,
+    now = Math.floor(Date.now() / 1000),
+  } = options;
+
+  // Fail closed when the app credentials are missing
+  if (!secret || !apiKey) {
+    throw new SessionTokenError("Session tokens are not configured (SHOPIFY_API_SECRET and SHOPIFY_API_KEY are required)");
+  }
+
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) throw new SessionTokenError("Malformed token");
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+
+  const header = decodeSegment(headerSegment, "header");
+  if (header.alg !== "HS256" || (header.typ && header.typ !== "JWT")) {
+    throw new SessionTokenError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expected = sign(`${headerSegment}.${payloadSegment}`, secret);
+  const received = Buffer.from(signatureSegment, "base64url");
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new SessionTokenError("Invalid token signature");
+  }
+
+  const payload = decodeSegment(payloadSegment, "payload");
+  const skew = clockSkew();
+
+  if (typeof payload.exp !== "number" || payload.exp + skew <= now) {
+    throw new SessionTokenError("Token has expired");
+  }
+  if (typeof payload.nbf === "number" && payload.nbf - skew > now) {
+    throw new SessionTokenError("Token is not valid yet");
+  }
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(apiKey)) {
+    throw new SessionTokenError("Token audience does not match this app");
+  }
+
+  const shop = shopOf(payload.dest);
+  if (!shop || !SHOP_DOMAIN_PATTERN.test(shop)) {
+    throw new SessionTokenError("Token destination is not a Shopify shop");
+  }
+  if (shopOf(payload.iss) !== shop || !/^https:\/\/[^/]+\/admin\/?$/.test(payload.iss)) {
+    throw new SessionTokenError("Token issuer does not match its destination shop");
+  }
+  if (shopDomain && String(shopDomain).toLowerCase() !== shop) {
+    throw new SessionTokenError("Token shop domain mismatch");
+  }
+
+  return {
+    shop,
+    userId: payload.sub ? String(payload.sub) : null,
+    sessionId: payload.sid || null,
+    expiresAt: payload.exp,
+    payload,
+  };
+}
+
+/**
+ * Build a session token like Shopify's.
+ * @param {object} claims - Overrides for the generated claims (e.g. exp, aud).
+ * @param {object} [options]
+ * @param {string} options.shop - e.g. my-shop.myshopify.com
+ * @param {string} [options.secret] - Defaults to SHOPIFY_API_SECRET.
+ * @param {string} [options.apiKey] - Defaults to SHOPIFY_API_KEY.
+ * @param {number} [options.ttlSeconds] - Lifetime; Shopify's tokens last a minute.
+ * @returns {string}
+ */
+function signSessionToken(claims = {}, options = {}) {
+  const {
+    shop,
+    secret = process.env.SHOPIFY_API_SECRET,
+    apiKey = process.env.SHOPIFY_API_KEY,
+    ttlSeconds = 60,
+  } = options;
+  if (!secret) throw new Error("SHOPIFY_API_SECRET is not set");
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    iss: `https://${shop}/admin`,
+    dest: `https://${shop}`,
+    aud: apiKey,
+    sub: "1",
+    exp: now + ttlSeconds,
+    nbf: now,
+    iat: now,
+    jti: crypto.randomUUID(),
+    sid: crypto.randomBytes(16).toString("hex"),
+    ...claims,
+  };
+
+  const unsigned = `${base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }))}.${base64url(JSON.stringify(payload))}`;
+  return `${unsigned}.${sign(unsigned, secret).toString("base64url")}`;
+}
+
+module.exports = {
+  SessionTokenError,
+  verifySessionToken,
+  signSessionToken,
+};
+
+// CLI entrypoint: print a valid token and a few that must be rejected
+if (require.main === module) {
+  const [shop, userId = "1"] = process.argv.slice(2);
+  if (!shop) {
+    console.error("Usage: SHOPIFY_API_KEY=... SHOPIFY_API_SECRET=... node services/shopifySessionToken.js <shop.myshopify.com> [userId]");
+    process.exit(1);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const vectors = {
+    valid: signSessionToken({ sub: userId }, { shop }),
+    expired: signSessionToken({ sub: userId, exp: now - 120 }, { shop }),
+    notYetValid: signSessionToken({ sub: userId, nbf: now + 120 }, { shop }),
+    wrongAudience: signSessionToken({ sub: userId, aud: "another-app" }, { shop }),
+    wrongIssuer: signSessionToken({ sub: userId, iss: "https://other-shop.myshopify.com/admin" }, { shop }),
+    badSignature: signSessionToken({ sub: userId }, { shop, secret: "not-the-app-secret" }),
+  };
+  console.log(JSON.stringify(vectors, null, 2));
+}
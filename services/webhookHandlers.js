@@ -0,0 +1,210 @@
+// services/webhookHandlers.js
+
+const { admin, db } = require("../firebaseConfig.js");
+const { onWebhook } = require("./webhooks.js");
+const { transporter } = require("./mailer.js");
+const { auditPrivacyAction, createCustomerExport, eraseCustomerData, purgeShopData } = require("./privacy.js");
+const { pullProfile } = require("./profileSync.js");
+
+/**
+ * Built-in Shopify webhook handlers. Requiring this module registers them.
+ *
+ *   customers/create, customers/update - mirror the email onto an existing customers/{id} doc
+ *   customers/update                   - pull profile metafield edits (services/profileSync.js)
+ *   customers/delete                   - remove the customer doc, its role assignment and user links
+ *   products/update, products/delete   - keep productSnapshots/{id} current
+ *   app/uninstalled                    - mark shops/{shop} as uninstalled
+ *   customers/data_request             - build an export bundle and mail it to PRIVACY_CONTACT_EMAIL
+ *   customers/redact                   - erase the customer's data (services/privacy.js)
+ *   shop/redact                        - purge all shop data once the app is uninstalled
+ *
+ * Shopify does not guarantee delivery order, so updates older than what is
+ * already stored (by the payload's updated_at) are skipped.
+ */
+
+const isStale = (stored, updatedAt) =>
+  Boolean(stored && updatedAt && new Date(updatedAt) < new Date(stored));
+
+async function syncCustomer(payload) {
+  const customerId = String(payload.id);
+  const ref = db.collection("customers").doc(customerId);
+  const doc = await ref.get();
+
+  // Only customers who registered through the storefront form have a doc
+  if (!doc.exists) return;
+
+  const customer = doc.data();
+  if (isStale(customer.shopifyUpdatedAt, payload.updated_at)) {
+    console.log(`⏭️ Skipping out-of-date webhook for customer ${customerId}`);
+    return;
+  }
+
+  const update = { shopifyUpdatedAt: payload.updated_at || new Date().toISOString() };
+  if (payload.email && payload.email !== customer.email) {
+    update.email = payload.email;
+    update.updatedAt = new Date().toISOString();
+    console.log(`✅ Customer ${customerId} email updated from Shopify`);
+  }
+  await ref.update(update);
+}
+
+// The payload carries no metafields, so pullProfile reads them from Shopify
+async function pullCustomerProfile(payload) {
+  const result = await pullProfile(String(payload.id));
+  if (result.conflicts.length > 0) {
+    console.warn(`⚠️ Customer ${payload.id} has conflicting profile edits: ${result.conflicts.join(", ")}`);
+  }
+}
+
+async function deleteCustomer(payload) {
+  const customerId = String(payload.id);
+  const linkedUsers = await db.collection("users").where("shopifyCustomerId", "==", customerId).get();
+
+  const batch = db.batch();
+  batch.delete(db.collection("customers").doc(customerId));
+  batch.delete(db.collection("roleAssignments").doc(`customer:${customerId}`));
+  linkedUsers.docs.forEach((doc) => {
+    batch.update(doc.ref, { shopifyCustomerId: admin.firestore.FieldValue.delete() });
+  });
+  await batch.commit();
+
+  console.log(`✅ Customer ${customerId} deleted in Shopify; removed doc and ${linkedUsers.size} user link(s)`);
+}
+
+// A variant is buyable when it has stock, is not stock-tracked, or may be oversold
+const variantAvailable = (variant) =>
+  !variant.inventory_management ||
+  variant.inventory_policy === "continue" ||
+  Number(variant.inventory_quantity) > 0;
+
+async function snapshotProduct(payload) {
+  const productId = String(payload.id);
+  const ref = db.collection("productSnapshots").doc(productId);
+  const doc = await ref.get();
+
+  // Product IDs are never reused, so a late update must not bring a deleted product back
+  if (doc.exists && (doc.data().deleted || isStale(doc.data().updatedAt, payload.updated_at))) {
+    console.log(`⏭️ Skipping out-of-date webhook for product ${productId}`);
+    return;
+  }
+
+  await ref.set({
+    productId,
+    title: payload.title || "",
+    handle: payload.handle || "",
+    status: payload.status || null,
+    updatedAt: payload.updated_at || new Date().toISOString(),
+    deleted: false,
+    variants: (payload.variants || []).map((variant) => ({
+      variantId: String(variant.id),
+      title: variant.title || "",
+      sku: variant.sku || "",
+      price: variant.price ?? null,
+      compareAtPrice: variant.compare_at_price ?? null,
+      inventoryQuantity: variant.inventory_quantity ?? null,
+      available: variantAvailable(variant),
+    })),
+  });
+}
+
+async function markProductDeleted(payload) {
+  await db
+    .collection("productSnapshots")
+    .doc(String(payload.id))
+    .set({ productId: String(payload.id), deleted: true, deletedAt: new Date().toISOString() }, { merge: true });
+  console.log(`✅ Product ${payload.id} marked as deleted`);
+}
+
+async function markUninstalled(payload, webhook) {
+  await db
+    .collection("shops")
+    .doc(webhook.shop)
+    .set({ shop: webhook.shop, installed: false, uninstalledAt: new Date().toISOString() }, { merge: true });
+  console.warn(`⚠️ App uninstalled from ${webhook.shop}`);
+}
+
+// Run a privacy action and audit its outcome, including failures
+async function auditedPrivacyAction(entry, action) {
+  try {
+    const result = await action();
+    await auditPrivacyAction({ ...entry, status: result?.skipped ? "skipped" : "completed", result });
+    return result;
+  } catch (error) {
+    await auditPrivacyAction({ ...entry, status: "failed", error: error.message }).catch((err) =>
+      console.error("❌ Failed to write privacy audit log:", err.message)
+    );
+    throw error;
+  }
+}
+
+// A privacy request without a customer ID fails the delivery rather than acting on "undefined"
+function privacyCustomerId(payload, webhook) {
+  const id = payload.customer?.id;
+  if (id === undefined || id === null || id === "") {
+    throw new Error(`${webhook.topic} payload has no customer.id`);
+  }
+  return String(id);
+}
+
+async function exportCustomerData(payload, webhook) {
+  const customerId = privacyCustomerId(payload, webhook);
+  const requestId = `shopify-${payload.data_request?.id || webhook.id}`;
+
+  const { expiresAt, bundle } = await auditedPrivacyAction(
+    { action: "export", source: "webhook", topic: webhook.topic, shop: webhook.shop, customerId, requestId },
+    async () => {
+      const exported = await createCustomerExport(requestId, customerId, payload.customer?.email);
+      return { expiresAt: exported.expiresAt, bundle: exported.bundle };
+    }
+  );
+
+  // The store owner answers the customer; the bundle stays in Firestore if the mail fails
+  const to = process.env.PRIVACY_CONTACT_EMAIL || process.env.ADMIN_EMAIL;
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to,
+      subject: `Customer data request ${requestId} (customer ${customerId})`,
+      html: `
+        <p>Shopify forwarded a data request for customer <strong>${customerId}</strong>.</p>
+        <p>The attached file holds everything this backend stores about them. It is also kept
+        in privacyExports/${requestId} until ${expiresAt}.</p>
+      `,
+      attachments: [
+        { filename: `customer-${customerId}-data.json`, content: JSON.stringify(bundle, null, 2), contentType: "application/json" },
+      ],
+    });
+    console.log(`📧 Data export for customer ${customerId} sent to ${to}`);
+  } catch (err) {
+    console.error(`❌ Failed to mail data export ${requestId}:`, err.message);
+  }
+}
+
+async function redactCustomer(payload, webhook) {
+  const customerId = privacyCustomerId(payload, webhook);
+  const result = await auditedPrivacyAction(
+    { action: "redact", source: "webhook", topic: webhook.topic, shop: webhook.shop, customerId, requestId: webhook.id },
+    () => eraseCustomerData(customerId, payload.customer?.email)
+  );
+  console.log(`✅ Customer ${customerId} redacted:`, result);
+}
+
+async function redactShop(payload, webhook) {
+  const result = await auditedPrivacyAction(
+    { action: "shop-redact", source: "webhook", topic: webhook.topic, shop: webhook.shop, requestId: webhook.id },
+    () => purgeShopData(webhook.shop)
+  );
+  if (!result.skipped) console.log(`✅ Shop ${webhook.shop} data purged:`, result.deleted);
+  else console.warn(`⚠️ shop/redact for ${webhook.shop} not applied: ${result.reason}`);
+}
+
+onWebhook("customers/create", syncCustomer);
+onWebhook("customers/update", syncCustomer);
+onWebhook("customers/update", pullCustomerProfile);
+onWebhook("customers/delete", deleteCustomer);
+onWebhook("products/update", snapshotProduct);
+onWebhook("products/delete", markProductDeleted);
+onWebhook("app/uninstalled", markUninstalled);
+onWebhook("customers/data_request", exportCustomerData);
+onWebhook("customers/redact", redactCustomer);
+onWebhook("shop/redact", redactShop);
@@ -0,0 +1,94 @@
+// services/webhooks.js
+
+const { db } = require("../firebaseConfig.js");
+
+/**
+ * Shopify webhook dispatch.
+ *
+ * Handlers register per topic with onWebhook(topic, handler) and are called
+ * with (payload, webhook) where webhook is { id, topic, shop, apiVersion }.
+ *
+ * Shopify delivers at least once, so every delivery is recorded by its
+ * X-Shopify-Webhook-Id in webhookEvents/{id}:
+ *   { topic, shop, status: processing|processed|ignored|failed, attempts,
+ *     receivedAt, startedAt, processedAt, error }
+ * Processed (or ignored) ids are acknowledged without running handlers again.
+ * A failed delivery is retried by Shopify and runs again; one still marked
+ * processing after PROCESSING_TIMEOUT_MS is assumed lost and taken over.
+ */
+
+const EVENTS_COLLECTION = "webhookEvents";
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+const handlers = new Map();
+
+/**
+ * Register a handler for a webhook topic (e.g. "customers/update").
+ * Handlers for a topic run in registration order; a thrown error fails the delivery.
+ * @param {string} topic
+ * @param {(payload: object, webhook: object) => Promise<void>} handler
+ */
+function onWebhook(topic, handler) {
+  if (!handlers.has(topic)) handlers.set(topic, []);
+  handlers.get(topic).push(handler);
+}
+
+// Claim a delivery: "claimed", or "duplicate" / "in-progress" when another delivery owns it
+async function claimEvent(ref, { topic, shop }) {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const event = doc.exists ? doc.data() : null;
+    const now = new Date();
+
+    if (event && ["processed", "ignored"].includes(event.status)) return "duplicate";
+    if (event?.status === "processing" && now - new Date(event.startedAt) < PROCESSING_TIMEOUT_MS) {
+      return "in-progress";
+    }
+
+    transaction.set(ref, {
+      topic,
+      shop,
+      status: "processing",
+      attempts: (event?.attempts || 0) + 1,
+      receivedAt: event?.receivedAt || now.toISOString(),
+      startedAt: now.toISOString(),
+      error: null,
+    });
+    return "claimed";
+  });
+}
+
+/**
+ * Run the handlers for a verified webhook delivery, at most once per webhook id.
+ * @param {{ id: string, topic: string, shop: string, apiVersion?: string }} webhook
+ * @param {object} payload - Parsed JSON body.
+ * @returns {Promise<"processed"|"ignored"|"duplicate"|"in-progress">}
+ * @throws the first handler error, after recording the delivery as failed.
+ */
+async function processWebhook(webhook, payload) {
+  const ref = db.collection(EVENTS_COLLECTION).doc(webhook.id);
+  const claim = await claimEvent(ref, webhook);
+  if (claim !== "claimed") return claim;
+
+  const topicHandlers = handlers.get(webhook.topic) || [];
+
+  try {
+    for (const handler of topicHandlers) {
+      await handler(payload, webhook);
+    }
+  } catch (error) {
+    await ref
+      .update({ status: "failed", error: error.message, failedAt: new Date().toISOString() })
+      .catch((err) => console.error(`❌ Failed to record webhook ${webhook.id} failure:`, err.message));
+    throw error;
+  }
+
+  const status = topicHandlers.length > 0 ? "processed" : "ignored";
+  await ref.update({ status, processedAt: new Date().toISOString() });
+  return status;
+}
+
+module.exports = {
+  onWebhook,
+  processWebhook,
+};
@@ -0,0 +1,425 @@
+// services/wishlistAlerts.js
+
+const { db } = require("../firebaseConfig.js");
+const { shopifyGraphQL } = require("./shopifyAdmin.js");
+const { escapeHtml } = require("./reportExport.js");
+const { transporter } = require("./mailer.js");
+const { wantsWishlistAlerts, unsubscribeLinksConfigured, unsubscribeUrl } = require("./digestPreferences.js");
+const { normalizeProductId, normalizeVariantId } = require("./wishlistOperations.js");
+
+/**
+ * Price-drop and back-in-stock emails for wishlisted products.
+ *
+ * Each check snapshots the price and availability of every wishlisted
+ * product and compares them with the previous check:
+ *   wishlistProductSnapshots/{productId} - price / availability of the product
+ *                                          and its variants at the last check
+ *   wishlistAlerts/{customerId}          - changes waiting to be mailed, and
+ *                                          when the customer was last mailed
+ * A wishlist item with a variant watches that variant; one without watches
+ * the product (its lowest price, and whether any variant is for sale). The
+ * first snapshot of a product only records a baseline, and a price has to
+ * fall by WISHLIST_PRICE_DROP_MIN_PERCENT to count as a drop.
+ *
+ * Changes are queued on the customer before the snapshots move on, then
+ * mailed together: at most one email per customer every
+ * WISHLIST_ALERT_MIN_INTERVAL_HOURS, anything found in between waits for the
+ * next one. Queued changes that no longer hold (the price went back up, the
+ * item sold out again or left the wishlist) are dropped before mailing.
+ *
+ * Only customers subscribed to email marketing in Shopify (the consent
+ * captured at signup or checkout) and with a Firestore customer doc are
+ * mailed: the opt-out (digestPreferences.wishlistAlerts) and the unsubscribe
+ * link live there. Nothing is mailed without an unsubscribe link: until
+ * SHARED_SECRET and PUBLIC_BASE_URL are set, changes stay queued.
+ * Run from jobs/wishlistAlerts.js.
+ */
+
+const SNAPSHOTS_COLLECTION = "wishlistProductSnapshots";
+const ALERTS_COLLECTION = "wishlistAlerts";
+const MIN_INTERVAL_MS = (parseFloat(process.env.WISHLIST_ALERT_MIN_INTERVAL_HOURS || "24") || 24) * 60 * 60 * 1000;
+const MIN_DROP_PERCENT = parseFloat(process.env.WISHLIST_PRICE_DROP_MIN_PERCENT || "1") || 0;
+const MAX_CHANGES_PER_EMAIL = 20;
+// Each product brings up to VARIANTS_PER_PRODUCT variants into the query cost
+const PRODUCTS_PER_QUERY = 10;
+const VARIANTS_PER_PRODUCT = 50;
+const VARIANTS_PER_QUERY = 100;
+const WRITE_BATCH_SIZE = 400;
+
+let warnedNoUnsubscribe = false;
+
+const productGid = (productId) => `gid://shopify/Product/${productId}`;
+const variantGid = (variantId) => `gid://shopify/ProductVariant/${variantId}`;
+
+// What a wishlist item watches: "<productId>" or "<productId>:<variantId>"
+const watchKey = (productId, variantId) => (variantId ? `${productId}:${variantId}` : String(productId));
+
+const watchKeysOf = (items) =>
+  new Set(items.map((item) => watchKey(normalizeProductId(item.productId), normalizeVariantId(item.variantId))));
+
+const toPrice = (amount) => {
+  const price = parseFloat(amount);
+  return Number.isFinite(price) ? price : null;
+};
+
+const formatPrice = (price, currency) => `${price.toFixed(2)}${currency ? ` ${currency}` : ""}`;
+
+const variantState = (variant) => ({
+  title: variant.title || "",
+  price: toPrice(variant.price),
+  available: Boolean(variant.availableForSale),
+  inventory: typeof variant.inventoryQuantity === "number" ? variant.inventoryQuantity : null,
+});
+
+async function fetchNodes(name, ids, fields, batchSize, expectedCost) {
+  const nodes = [];
+  for (let i = 0; i < ids.length; i += batchSize) {
+    const data = await shopifyGraphQL(
+      `
+        query ${name}($ids: [ID!]!) {
+          nodes(ids: $ids) { ${fields} }
+        }
+      `,
+      { ids: ids.slice(i, i + batchSize) },
+      { expectedCost }
+    );
+    nodes.push(...(data.nodes || []).filter(Boolean));
+  }
+  return nodes;
+}
+
+/**
+ * Current price and availability of products, with the watched variants.
+ * @param {string[]} productIds - Numeric product IDs.
+ * @param {string[]} [variantIds] - Numeric variant IDs that must be included.
+ * @returns {Promise<Map<string, object>>} productId -> snapshot; deleted products are left out.
+ */
+async function snapshotProducts(productIds, variantIds = []) {
+  const products = await fetchNodes(
+    "wishlistAlertProducts",
+    productIds.map(productGid),
+    `
+      ... on Product {
+        id
+        title
+        handle
+        status
+        onlineStoreUrl
+        featuredImage { url }
+        totalInventory
+        priceRangeV2 { minVariantPrice { amount currencyCode } }
+        variants(first: ${VARIANTS_PER_PRODUCT}) {
+          nodes { id title price availableForSale inventoryQuantity }
+        }
+      }
+    `,
+    PRODUCTS_PER_QUERY,
+    PRODUCTS_PER_QUERY * (VARIANTS_PER_PRODUCT + 2)
+  );
+
+  const snapshots = new Map();
+  const checkedAt = new Date().toISOString();
+  products.forEach((product) => {
+    const active = product.status === "ACTIVE";
+    const variants = {};
+    product.variants.nodes.forEach((variant) => {
+      variants[normalizeVariantId(variant.id)] = variantState(variant);
+    });
+
+    snapshots.set(normalizeProductId(product.id), {
+      productId: normalizeProductId(product.id),
+      title: product.title,
+      handle: product.handle,
+      url: product.onlineStoreUrl || null,
+      image: product.featuredImage?.url || null,
+      active,
+      currency: product.priceRangeV2?.minVariantPrice?.currencyCode || null,
+      price: toPrice(product.priceRangeV2?.minVariantPrice?.amount),
+      available: active && product.variants.nodes.some((variant) => variant.availableForSale),
+      inventory: typeof product.totalInventory === "number" ? product.totalInventory : null,
+      variants,
+      checkedAt,
+    });
+  });
+
+  // Watched variants beyond the first VARIANTS_PER_PRODUCT of their product
+  const missing = variantIds.filter((id) => ![...snapshots.values()].some((snapshot) => snapshot.variants[id]));
+  if (missing.length > 0) {
+    const variants = await fetchNodes(
+      "wishlistAlertVariants",
+      missing.map(variantGid),
+      "... on ProductVariant { id title price availableForSale inventoryQuantity product { id } }",
+      VARIANTS_PER_QUERY,
+      VARIANTS_PER_QUERY
+    );
+    variants.forEach((variant) => {
+      const snapshot = snapshots.get(normalizeProductId(variant.product.id));
+      if (snapshot) snapshot.variants[normalizeVariantId(variant.id)] = variantState(variant);
+    });
+  }
+
+  return snapshots;
+}
+
+// The price / availability a watch key sees in a snapshot, or null when it is gone
+function watchedState(snapshot, variantId) {
+  if (!snapshot) return null;
+  if (!variantId) return { title: "", price: snapshot.price, available: snapshot.available };
+  const variant = snapshot.variants?.[variantId];
+  return variant ? { ...variant, available: snapshot.active !== false && variant.available } : null;
+}
+
+const isPriceDrop = (oldPrice, newPrice) =>
+  oldPrice > 0 && newPrice !== null && newPrice <= oldPrice * (1 - MIN_DROP_PERCENT / 100) && newPrice < oldPrice;
+
+/**
+ * Price drops and restocks between two snapshots of a product.
+ * @returns {object[]} { key, type, watch, productId, variantId, oldPrice, newPrice, detectedAt }
+ */
+function detectChanges(previous, current) {
+  if (!previous || !current.active) return [];
+
+  const changes = [];
+  const detectedAt = new Date().toISOString();
+  const watches = [null, ...Object.keys(current.variants)];
+
+  watches.forEach((variantId) => {
+    const before = watchedState(previous, variantId);
+    const after = watchedState(current, variantId);
+    if (!before || !after) return;
+
+    const watch = watchKey(current.productId, variantId);
+    const base = { watch, productId: current.productId, variantId, detectedAt };
+    if (isPriceDrop(before.price, after.price)) {
+      changes.push({ ...base, key: `priceDrop:${watch}`, type: "priceDrop", oldPrice: before.price, newPrice: after.price });
+    }
+    if (!before.available && after.available) {
+      changes.push({ ...base, key: `backInStock:${watch}`, type: "backInStock", oldPrice: null, newPrice: after.price });
+    }
+  });
+
+  return changes;
+}
+
+// Whether a queued change is still true in the latest snapshot
+function stillHolds(change, snapshots) {
+  const state = watchedState(snapshots.get(change.productId), change.variantId);
+  if (!state || !state.available) return false;
+  return change.type === "backInStock" || isPriceDrop(change.oldPrice, state.price);
+}
+
+function alertRows(changes, snapshots) {
+  return changes
+    .map((change) => {
+      const snapshot = snapshots.get(change.productId);
+      const state = watchedState(snapshot, change.variantId);
+      const name = state.title && state.title !== "Default Title" ? `${snapshot.title} - ${state.title}` : snapshot.title;
+      const title = snapshot.url
+        ? `<a href="${escapeHtml(snapshot.url)}">${escapeHtml(name)}</a>`
+        : escapeHtml(name);
+      const status =
+        change.type === "priceDrop"
+          ? `Price dropped from ${formatPrice(change.oldPrice, snapshot.currency)} to <strong>${formatPrice(state.price, snapshot.currency)}</strong>`
+          : `Back in stock${state.price !== null ? ` at ${formatPrice(state.price, snapshot.currency)}` : ""}`;
+      const image = snapshot.image
+        ? `<img src="${escapeHtml(snapshot.image)}" alt="" width="64" style="display:block">`
+        : "";
+
+      return `<tr>${[image, title, status]
+        .map((value) => `<td style="padding:6px 12px 6px 0;border-bottom:1px solid #eee;vertical-align:middle">${value}</td>`)
+        .join("")}</tr>`;
+    })
+    .join("");
+}
+
+function alertSubject(changes) {
+  const drops = changes.filter((change) => change.type === "priceDrop").length;
+  if (drops === changes.length) return "Price drop on your wishlist";
+  if (drops === 0) return "Back in stock: items on your wishlist";
+  return "Price drops and restocks on your wishlist";
+}
+
+function alertHtml(customer, changes, snapshots, unsubscribe) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"></head>
+<body style="font-family:Arial,sans-serif;font-size:14px;color:#222">
+  <h1 style="font-size:20px">Good news about your wishlist</h1>
+  <p>Hello ${escapeHtml(customer.firstName || "")},</p>
+  <p>Some products on your wishlist have dropped in price or are back in stock:</p>
+  <table style="border-collapse:collapse">${alertRows(changes, snapshots)}</table>
+  <p style="color:#777;font-size:12px;margin-top:24px">You receive these emails because wishlist alerts are enabled for your account.
+    <a href="${escapeHtml(unsubscribe)}">Unsubscribe</a>.</p>
+</body></html>`;
+}
+
+async function loadSnapshots() {
+  const snapshot = await db.collection(SNAPSHOTS_COLLECTION).get();
+  return new Map(snapshot.docs.map((doc) => [doc.id, doc.data()]));
+}
+
+async function saveSnapshots(snapshots) {
+  const entries = [...snapshots.values()];
+  for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    entries
+      .slice(i, i + WRITE_BATCH_SIZE)
+      .forEach((snapshot) => batch.set(db.collection(SNAPSHOTS_COLLECTION).doc(snapshot.productId), snapshot));
+    await batch.commit();
+  }
+}
+
+async function loadAlertStates() {
+  const snapshot = await db.collection(ALERTS_COLLECTION).get();
+  return new Map(snapshot.docs.map((doc) => [doc.id, { pending: {}, lastSentAt: null, ...doc.data() }]));
+}
+
+const saveAlertState = (customerId, state) =>
+  db
+    .collection(ALERTS_COLLECTION)
+    .doc(customerId)
+    .set({ ...state, hasPending: Object.keys(state.pending).length > 0, updatedAt: new Date().toISOString() });
+
+/**
+ * Mail one customer's queued changes, if they still hold and the customer is due.
+ * @returns {Promise<string>} "sent", "throttled", "skipped" or "failed".
+ */
+async function deliverAlerts(customer, state, snapshots, { dryRun }) {
+  const watched = watchKeysOf(customer.items);
+  const changes = Object.values(state.pending)
+    .filter((change) => watched.has(change.watch) && stillHolds(change, snapshots))
+    .sort((a, b) => a.detectedAt.localeCompare(b.detectedAt));
+
+  if (changes.length === 0) {
+    state.pending = {};
+    return "skipped";
+  }
+
+  const customerDoc = await db.collection("customers").doc(customer.customerId).get();
+  if (
+    !customer.email ||
+    customer.marketingState !== "SUBSCRIBED" ||
+    !customerDoc.exists ||
+    !wantsWishlistAlerts(customerDoc.data())
+  ) {
+    state.pending = {};
+    return "skipped";
+  }
+
+  state.pending = Object.fromEntries(changes.map((change) => [change.key, change]));
+  if (state.lastSentAt && Date.now() - new Date(state.lastSentAt).getTime() < MIN_INTERVAL_MS) {
+    return "throttled";
+  }
+
+  const mailed = changes.slice(-MAX_CHANGES_PER_EMAIL);
+  if (dryRun) {
+    console.log(`🧪 [dry run] Wishlist alert for ${customer.email}:`, mailed.map((change) => change.key).join(", "));
+    return "sent";
+  }
+
+  const unsubscribe = unsubscribeUrl(customer.customerId, "wishlist-alerts");
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: customer.email,
+      subject: alertSubject(mailed),
+      html: alertHtml(customer, mailed, snapshots, unsubscribe),
+      list: { unsubscribe },
+      headers: { "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" },
+    });
+  } catch (err) {
+    console.error(`❌ Wishlist alert to ${customer.email} failed:`, err.message);
+    return "failed";
+  }
+
+  state.pending = {};
+  state.lastSentAt = new Date().toISOString();
+  console.log(`📧 Wishlist alert sent to ${customer.email} (${mailed.length} change${mailed.length === 1 ? "" : "s"})`);
+  return "sent";
+}
+
+/**
+ * Snapshot every wishlisted product, queue the changes for the customers
+ * watching them and mail the customers that are due.
+ * @param {object[]} wishlists - { customerId, email, firstName, marketingState, items } for every
+ *   customer with a wishlist; queued changes of customers left out are dropped.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Work out the emails without sending or recording anything.
+ * @returns {Promise<object>} counts of products, changes and emails.
+ */
+async function checkWishlistAlerts(wishlists, { dryRun = false } = {}) {
+  const stats = { customers: wishlists.length, products: 0, changes: 0, queued: 0, sent: 0, throttled: 0, skipped: 0, failed: 0, dryRun };
+
+  const productIds = new Set();
+  const variantIds = new Set();
+  wishlists.forEach(({ items }) =>
+    items.forEach((item) => {
+      productIds.add(normalizeProductId(item.productId));
+      if (item.variantId) variantIds.add(normalizeVariantId(item.variantId));
+    })
+  );
+
+  const current = await snapshotProducts([...productIds], [...variantIds]);
+  const previous = await loadSnapshots();
+  stats.products = current.size;
+
+  const changesByWatch = new Map();
+  current.forEach((snapshot, productId) => {
+    detectChanges(previous.get(productId), snapshot).forEach((change) => {
+      stats.changes++;
+      changesByWatch.set(change.watch, [...(changesByWatch.get(change.watch) || []), change]);
+    });
+  });
+
+  // 1. Queue the changes on the customers watching them
+  const states = await loadAlertStates();
+  for (const { customerId, items } of wishlists) {
+    const fresh = [...watchKeysOf(items)].flatMap((key) => changesByWatch.get(key) || []);
+    if (fresh.length === 0) continue;
+
+    const state = states.get(customerId) || { pending: {}, lastSentAt: null };
+    fresh.forEach((change) => {
+      // A drop already waiting keeps the price the customer last heard about
+      const queued = state.pending[change.key];
+      state.pending[change.key] = queued && change.type === "priceDrop" ? { ...change, oldPrice: queued.oldPrice } : change;
+    });
+    states.set(customerId, state);
+    stats.queued += fresh.length;
+    if (!dryRun) await saveAlertState(customerId, state);
+  }
+
+  // 2. Move the snapshots on; what they found is safely queued
+  if (!dryRun) await saveSnapshots(current);
+
+  // 3. Mail everyone with queued changes who is due
+  if (!unsubscribeLinksConfigured()) {
+    if (!warnedNoUnsubscribe) {
+      console.warn("⚠️ Wishlist alerts not sent: SHARED_SECRET and PUBLIC_BASE_URL are needed for unsubscribe links");
+      warnedNoUnsubscribe = true;
+    }
+    console.log("📊 Wishlist alert check finished:", stats);
+    return stats;
+  }
+
+  const customers = new Map(wishlists.map((wishlist) => [wishlist.customerId, wishlist]));
+  for (const [customerId, state] of states) {
+    if (Object.keys(state.pending || {}).length === 0) continue;
+
+    const customer = customers.get(customerId) || { customerId, items: [] };
+    try {
+      const outcome = await deliverAlerts(customer, state, current, { dryRun });
+      stats[outcome]++;
+      if (!dryRun) await saveAlertState(customerId, state);
+    } catch (err) {
+      console.error(`❌ Wishlist alerts failed for customer ${customerId}:`, err.message);
+      stats.failed++;
+    }
+  }
+
+  console.log("📊 Wishlist alert check finished:", stats);
+  return stats;
+}
+
+module.exports = {
+  detectChanges,
+  snapshotProducts,
+  checkWishlistAlerts,
+};
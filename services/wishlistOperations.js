@@ -0,0 +1,577 @@
+// services/wishlistOperations.js
+
+const { ShopifyUserError, shopifyGraphQL, shopifyMutation } = require("./shopifyAdmin.js");
+const { OperationRejectedError, defineOperation } = require("./shopifyOutbox.js");
+
+/**
+ * Outbox operations for the customer wishlist and favourite lists, all
+ * stored as customer metafields in the "custom" namespace:
+ *   wishlist_items      - json array of wishlist items:
+ *                         { productId, variantId, quantity, note, addedAt, updatedAt }
+ *   wishlist            - list.product_reference of the items' product GIDs, kept
+ *                         in step with wishlist_items for the storefront and older readers
+ *   favList             - list.single_line_text_field of list names
+ *   favList_<sanitised> - list.product_reference, one per list
+ *
+ * Customers whose wishlist predates wishlist_items are read from the product
+ * list (one item per product, quantity 1, no variant, addedAt null) and get
+ * wishlist_items on their next write, or from jobs/migrateWishlistItems.js.
+ * The product list stays writable by the storefront after that, so it decides
+ * which products are on the wishlist: wishlist_items entries for products no
+ * longer in it were removed there and are dropped, products it has that
+ * wishlist_items lacks were added there and are read as legacy items. Our
+ * next write brings wishlist_items back in line.
+ *
+ * Each executor reads the metafield when it runs and returns the body the
+ * route sends back. All of a customer's operations share one ordering key.
+ *
+ * Writes go through GraphQL metafieldsSet with the compareDigest of the value
+ * that was read, so a write based on a stale read (another instance, the
+ * storefront, an admin edit) is refused with STALE_OBJECT. updateMetafield()
+ * then re-reads and re-applies the change, up to MAX_CONFLICT_RETRIES times;
+ * after that the error goes to the outbox, which retries the operation later.
+ */
+
+const MAX_CONFLICT_RETRIES = 5;
+const CONFLICT_CODE = "STALE_OBJECT";
+const PRODUCT_LIST = "list.product_reference";
+const NAME_LIST = "list.single_line_text_field";
+const METAFIELD_FIELDS = "id namespace key type value compareDigest updatedAt";
+const ITEMS_KEY = "wishlist_items";
+const MAX_NOTE_LENGTH = 500;
+const MAX_QUANTITY = 100000;
+
+const productGid = (productId) => `gid://shopify/Product/${productId}`;
+const variantGid = (variantId) => `gid://shopify/ProductVariant/${String(variantId).split("/").pop()}`;
+
+const listMetafieldKey = (listName) => `favList_${listName.replace(/[^a-zA-Z0-9]/g, "_")}`;
+
+/**
+ * Numeric product ID as a string, from either a product GID or a number.
+ * @param {string|number} id
+ * @returns {string}
+ */
+function normalizeProductId(id) {
+  const value = id.toString();
+  return value.includes("gid://shopify/Product/") ? value.split("/").pop() : value;
+}
+
+// Matches a stored entry against a product ID in either numeric or GID form
+const sameProduct = (item, productId) => normalizeProductId(item) === normalizeProductId(productId);
+
+const normalizeVariantId = (id) => (id ? String(id).split("/").pop() : null);
+
+// Same product and same variant (or both without one)
+const sameItem = (item, productId, variantId) =>
+  sameProduct(item.productId, productId) && normalizeVariantId(item.variantId) === normalizeVariantId(variantId);
+
+const customerGid = (customerId) => `gid://shopify/Customer/${customerId}`;
+
+async function getMetafield(customerId, key) {
+  const data = await shopifyGraphQL(
+    `
+      query customerMetafield($id: ID!, $key: String!) {
+        customer(id: $id) {
+          metafield(namespace: "custom", key: $key) { ${METAFIELD_FIELDS} }
+        }
+      }
+    `,
+    { id: customerGid(customerId), key }
+  );
+  return data?.customer?.metafield || null;
+}
+
+const parseArray = (metafield) => {
+  try {
+    const value = metafield?.value ? JSON.parse(metafield.value) : [];
+    return Array.isArray(value) ? value : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+/**
+ * Values of one of a customer's list metafields ([] when unset or unreadable).
+ * @param {string} customerId
+ * @param {string} key - e.g. "favList" or listMetafieldKey(name).
+ * @returns {Promise<Array>}
+ */
+async function readList(customerId, key) {
+  return parseArray(await getMetafield(customerId, key));
+}
+
+// Write a list metafield, failing with STALE_OBJECT if it changed since `existing` was read
+async function setMetafield(customerId, existing, key, type, values) {
+  const payload = await shopifyMutation(
+    `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { ${METAFIELD_FIELDS} }
+          userErrors { field message code }
+        }
+      }
+    `,
+    {
+      metafields: [
+        {
+          ownerId: customerGid(customerId),
+          namespace: "custom",
+          key,
+          type,
+          value: JSON.stringify(values),
+          // null: only create it if it still does not exist
+          compareDigest: existing ? existing.compareDigest : null,
+        },
+      ],
+    }
+  );
+  return payload.metafields[0];
+}
+
+async function deleteMetafield(customerId, key) {
+  await shopifyMutation(
+    `
+      mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          deletedMetafields { key }
+          userErrors { field message }
+        }
+      }
+    `,
+    { metafields: [{ ownerId: customerGid(customerId), namespace: "custom", key }] }
+  );
+}
+
+const isConflict = (err) => err instanceof ShopifyUserError && err.code === CONFLICT_CODE;
+
+// Run a read-modify-write again from the read whenever its write loses a race
+async function retryOnConflict(label, readModifyWrite) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await readModifyWrite();
+    } catch (err) {
+      if (!isConflict(err) || attempt >= MAX_CONFLICT_RETRIES) throw err;
+      console.warn(`⚠️ ${label} changed while updating it, retrying (${attempt})`);
+      await new Promise((resolve) => setTimeout(resolve, Math.random() * 100 * attempt));
+    }
+  }
+}
+
+/**
+ * Read-modify-write a list metafield. `change` gets the current metafield and
+ * returns { values } to write them, or { result } to finish without writing.
+ * It is called again with fresh data whenever the write loses a race.
+ * @returns {Promise<object>} { result } or { metafield, values, existing }.
+ */
+function updateMetafield(customerId, key, type, change) {
+  return retryOnConflict(`${key} of customer ${customerId}`, async () => {
+    const existing = await getMetafield(customerId, key);
+    const outcome = change(existing);
+    if (!outcome.values) return outcome;
+
+    const metafield = await setMetafield(customerId, existing, key, type, outcome.values);
+    return { metafield, values: outcome.values, existing };
+  });
+}
+
+// Wishlist entries from the old product list format
+const legacyItems = (metafield) =>
+  parseArray(metafield)
+    .filter((id) => typeof id === "string" || typeof id === "number")
+    .map((id) => ({
+      productId: productGid(normalizeProductId(id)),
+      variantId: null,
+      quantity: 1,
+      note: "",
+      addedAt: null,
+      updatedAt: null,
+    }));
+
+const parseItems = (metafield) =>
+  parseArray(metafield).filter((item) => item && typeof item === "object" && item.productId);
+
+/**
+ * Wishlist items from the two customer metafields (either may be null),
+ * for callers that fetch them in their own query. The product list decides
+ * membership: items for products not in it are left out, and products only
+ * in it are appended as legacy items.
+ * @param {object|null} itemsMetafield - custom.wishlist_items
+ * @param {object|null} legacyMetafield - custom.wishlist
+ * @returns {object[]}
+ */
+function parseWishlist(itemsMetafield, legacyMetafield) {
+  const listed = legacyItems(legacyMetafield);
+  const items = parseItems(itemsMetafield).filter((item) =>
+    listed.some((legacy) => sameProduct(item.productId, legacy.productId))
+  );
+  const legacyOnly = listed.filter((legacy) => !items.some((item) => sameProduct(item.productId, legacy.productId)));
+  return [...items, ...legacyOnly];
+}
+
+/**
+ * Both wishlist metafields of a customer.
+ * @returns {Promise<object|null>} { items, itemsMetafield, legacy, migrated }, or null for an unknown customer.
+ */
+async function getWishlist(customerId) {
+  const data = await shopifyGraphQL(
+    `
+      query customerWishlist($id: ID!) {
+        customer(id: $id) {
+          items: metafield(namespace: "custom", key: "${ITEMS_KEY}") { ${METAFIELD_FIELDS} }
+          legacy: metafield(namespace: "custom", key: "wishlist") { ${METAFIELD_FIELDS} }
+        }
+      }
+    `,
+    { id: customerGid(String(customerId).split("/").pop()) }
+  );
+
+  const customer = data?.customer;
+  if (!customer) return null;
+  return {
+    items: parseWishlist(customer.items, customer.legacy),
+    itemsMetafield: customer.items,
+    legacy: customer.legacy,
+    migrated: Boolean(customer.items),
+  };
+}
+
+/**
+ * A customer's wishlist items, oldest first.
+ * @param {string} customerId - Numeric ID or customer GID.
+ * @returns {Promise<object[]|null>} null for an unknown customer.
+ */
+async function readWishlist(customerId) {
+  const wishlist = await getWishlist(customerId);
+  return wishlist ? wishlist.items : null;
+}
+
+// Write the items and the product list mirror together, each checked against the digest that was read
+async function saveWishlist(customerId, current, items) {
+  const productIds = [...new Set(items.map((item) => item.productId))];
+  const payload = await shopifyMutation(
+    `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { ${METAFIELD_FIELDS} }
+          userErrors { field message code }
+        }
+      }
+    `,
+    {
+      metafields: [
+        {
+          ownerId: customerGid(customerId),
+          namespace: "custom",
+          key: ITEMS_KEY,
+          type: "json",
+          value: JSON.stringify(items),
+          compareDigest: current.itemsMetafield ? current.itemsMetafield.compareDigest : null,
+        },
+        {
+          ownerId: customerGid(customerId),
+          namespace: "custom",
+          key: "wishlist",
+          type: PRODUCT_LIST,
+          value: JSON.stringify(productIds),
+          compareDigest: current.legacy ? current.legacy.compareDigest : null,
+        },
+      ],
+    }
+  );
+
+  return {
+    itemsMetafield: payload.metafields.find((metafield) => metafield.key === ITEMS_KEY),
+    metafield: payload.metafields.find((metafield) => metafield.key === "wishlist"),
+  };
+}
+
+/**
+ * Read-modify-write the wishlist items. `change` gets a copy of the current
+ * items and returns { items, ... } to save them, or { result } to finish
+ * without writing. Whatever else it returns is passed through.
+ */
+function updateWishlist(customerId, change) {
+  return retryOnConflict(`Wishlist of customer ${customerId}`, async () => {
+    const current = await getWishlist(customerId);
+    if (!current) throw new OperationRejectedError(404, "Customer not found");
+
+    const outcome = change(current.items.map((item) => ({ ...item })), current);
+    if (!outcome.items) return outcome;
+
+    return { ...outcome, ...(await saveWishlist(customerId, current, outcome.items)) };
+  });
+}
+
+/**
+ * Copy a customer's old product-list wishlist into wishlist_items.
+ * @returns {Promise<string>} "migrated", "current" (already has items), "empty" or "missing".
+ */
+async function migrateWishlist(customerId) {
+  const outcome = await updateWishlist(customerId, (items, current) => {
+    if (current.migrated) return { result: "current" };
+    if (!current.legacy) return { result: "empty" };
+    return { items, result: "migrated" };
+  }).catch((err) => {
+    if (err instanceof OperationRejectedError) return { result: "missing" };
+    throw err;
+  });
+  return outcome.result;
+}
+
+async function addToWishlist({ customerId, productId, variantId = null, quantity, note }) {
+  const update = await updateWishlist(customerId, (items) => {
+    const now = new Date().toISOString();
+    const existing = items.find((item) => sameItem(item, productId, variantId));
+
+    if (existing) {
+      const changes = {};
+      if (quantity !== undefined && quantity !== existing.quantity) changes.quantity = quantity;
+      if (note !== undefined && note !== existing.note) changes.note = note;
+      if (Object.keys(changes).length === 0) {
+        return { result: { message: "Product already in wishlist", item: existing, items } };
+      }
+      Object.assign(existing, changes, { updatedAt: now });
+      return { items, item: existing, message: "Wishlist item updated" };
+    }
+
+    const item = {
+      productId: productGid(normalizeProductId(productId)),
+      variantId: variantId ? variantGid(variantId) : null,
+      quantity: quantity ?? 1,
+      note: note ?? "",
+      addedAt: now,
+      updatedAt: now,
+    };
+    return { items: [...items, item], item };
+  });
+  if (update.result) return update.result;
+
+  const { message, item, items, metafield } = update;
+  return { ...(message ? { message } : {}), item, items, metafield };
+}
+
+// Without a variantId every item of the product goes
+async function removeFromWishlist({ customerId, productId, variantId = null }) {
+  const update = await updateWishlist(customerId, (original, current) => {
+    if (!current.migrated && !current.legacy) {
+      return { result: { message: "Wishlist not found, no action needed." } };
+    }
+
+    const items = original.filter((item) =>
+      variantId ? !sameItem(item, productId, variantId) : !sameProduct(item.productId, productId)
+    );
+    if (items.length === original.length) {
+      return {
+        result: {
+          message: "Product not found in wishlist.",
+          originalWishlist: original.map((item) => item.productId),
+          productId,
+          variantId,
+          searchedFormats: [productGid(productId), productId.toString()],
+        },
+      };
+    }
+    return { items };
+  });
+  if (update.result) return update.result;
+
+  console.log(`Successfully removed product ${productId} from wishlist of customer ${customerId}`);
+  return {
+    metafield: update.metafield,
+    items: update.items,
+    removedProductId: productId,
+    removedVariantId: variantId,
+    newWishlistLength: update.items.length,
+  };
+}
+
+// Storefront access to a list's products needs a metafield definition; failures are reported, not fatal
+async function createListDefinition(listName) {
+  const key = listName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "")
+    .substring(0, 30);
+
+  try {
+    const data = await shopifyGraphQL(
+      `
+        mutation MetafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+          metafieldDefinitionCreate(definition: $definition) {
+            createdDefinition { id name key namespace type { name } }
+            userErrors { field message code }
+          }
+        }
+      `,
+      {
+        definition: {
+          name: listName,
+          namespace: "custom",
+          key,
+          type: "list.product_reference",
+          ownerType: "CUSTOMER",
+          access: { storefront: "PUBLIC_READ" },
+          description: `Favorite products list: ${listName}`,
+        },
+      }
+    );
+
+    const { createdDefinition, userErrors } = data.metafieldDefinitionCreate;
+    if (userErrors.length > 0) {
+      const [firstError] = userErrors;
+      return ["DUPLICATE_KEY_NAMESPACE", "TAKEN"].includes(firstError.code)
+        ? { key, status: "exists", message: "Definition already exists" }
+        : { key, status: "error", error: firstError };
+    }
+    return { key, status: "created", definition: createdDefinition };
+  } catch (err) {
+    console.error("Metafield definition request failed:", err.message);
+    return { key, status: "error", error: err.message };
+  }
+}
+
+async function createList({ customerId, listName, createDefinition = false }) {
+  const update = await updateMetafield(customerId, "favList", NAME_LIST, (existing) => {
+    const listNames = parseArray(existing);
+    if (listNames.some((name) => typeof name === "string" && name.toLowerCase() === listName.toLowerCase())) {
+      return { result: { message: "List already exists", lists: listNames } };
+    }
+    return { values: [...listNames, listName] };
+  });
+  if (update.result) return update.result;
+
+  const { metafield, values: listNames, existing } = update;
+  const result = { message: "List created successfully", lists: listNames, metafield };
+  if (createDefinition) {
+    const definitionResult = await createListDefinition(listName);
+    result.definitionResult = definitionResult;
+    result.data = {
+      customerId,
+      listName,
+      metafieldKey: definitionResult.key,
+      totalLists: listNames.length,
+      shopDomain: process.env.SHOPIFY_STORE,
+      metafieldId: existing?.id || null,
+      wasUpdate: Boolean(existing),
+    };
+  }
+  return result;
+}
+
+// Where a rename stands: "pending" (old name listed), "done" (only the new name listed)
+function renameState(existing, oldListName, newListName) {
+  if (!existing) throw new OperationRejectedError(404, "No lists found");
+
+  let names;
+  try {
+    names = JSON.parse(existing.value);
+  } catch (err) {
+    throw new OperationRejectedError(500, "Invalid list format");
+  }
+
+  const hasName = (listName) => names.some((name) => name.toLowerCase() === listName.toLowerCase());
+  if (!hasName(oldListName)) {
+    // A rename that got as far as favList: finish moving the products
+    if (hasName(newListName)) return { names, state: "done" };
+    throw new OperationRejectedError(404, "Old list name not found");
+  }
+  if (hasName(newListName)) throw new OperationRejectedError(409, "A list with the new name already exists");
+  return { names, state: "pending" };
+}
+
+// Move the products under the new key, then drop the old one; a retry after a partial failure loses nothing
+async function moveListProducts(customerId, oldListName, newListName) {
+  const oldKey = listMetafieldKey(oldListName);
+  const newKey = listMetafieldKey(newListName);
+  const products = oldKey === newKey ? null : await getMetafield(customerId, oldKey);
+  if (!products) return;
+
+  await updateMetafield(customerId, newKey, PRODUCT_LIST, (existing) => {
+    const productIds = parseArray(existing);
+    const moved = parseArray(products).filter((item) => !productIds.some((id) => sameProduct(id, item)));
+    return moved.length > 0 || !existing ? { values: [...productIds, ...moved] } : { result: productIds };
+  });
+  await deleteMetafield(customerId, oldKey);
+}
+
+// Products move before favList changes, so the old name stays listed until its products have a new home
+async function renameList({ customerId, oldListName, newListName }) {
+  renameState(await getMetafield(customerId, "favList"), oldListName, newListName);
+  await moveListProducts(customerId, oldListName, newListName);
+
+  const update = await updateMetafield(customerId, "favList", NAME_LIST, (existing) => {
+    const { names, state } = renameState(existing, oldListName, newListName);
+    if (state === "done") return { result: names };
+    return { values: names.map((name) => (name.toLowerCase() === oldListName.toLowerCase() ? newListName : name)) };
+  });
+
+  return { lists: update.values || update.result, message: "List renamed successfully" };
+}
+
+async function deleteList({ customerId, listName }) {
+  const update = await updateMetafield(customerId, "favList", NAME_LIST, (existing) => {
+    const listNames = parseArray(existing).filter((name) => name.toLowerCase() !== listName.toLowerCase());
+    return existing ? { values: listNames } : { result: listNames };
+  });
+
+  await deleteMetafield(customerId, listMetafieldKey(listName));
+
+  return { message: "List deleted successfully", lists: update.values || update.result };
+}
+
+async function addToList({ customerId, listName, productId }) {
+  const update = await updateMetafield(customerId, listMetafieldKey(listName), PRODUCT_LIST, (existing) => {
+    const productIds = parseArray(existing);
+    if (productIds.some((item) => sameProduct(item, productId))) {
+      return { result: { message: "Product already in list", products: productIds } };
+    }
+    return { values: [...productIds, productGid(productId)] };
+  });
+  if (update.result) return update.result;
+
+  return { products: update.values, metafield: update.metafield, message: "Product added to list successfully" };
+}
+
+async function removeFromList({ customerId, listName, productId }) {
+  const update = await updateMetafield(customerId, listMetafieldKey(listName), PRODUCT_LIST, (existing) => {
+    if (!existing) throw new OperationRejectedError(404, "List not found");
+
+    let original;
+    try {
+      original = JSON.parse(existing.value) || [];
+    } catch (err) {
+      throw new OperationRejectedError(404, "List not found or invalid");
+    }
+
+    const productIds = original.filter((item) => !sameProduct(item, productId));
+    if (productIds.length === original.length) {
+      return { result: { message: "Product not found in list.", productId } };
+    }
+    return { values: productIds };
+  });
+  if (update.result) return update.result;
+
+  return { products: update.values, message: "Product removed from list successfully", metafield: update.metafield };
+}
+
+const byCustomer = ({ customerId }) => `customer-lists:${customerId}`;
+
+defineOperation("wishlist.add", { execute: addToWishlist, orderingKey: byCustomer });
+defineOperation("wishlist.remove", { execute: removeFromWishlist, orderingKey: byCustomer });
+defineOperation("lists.create", { execute: createList, orderingKey: byCustomer });
+defineOperation("lists.rename", { execute: renameList, orderingKey: byCustomer });
+defineOperation("lists.delete", { execute: deleteList, orderingKey: byCustomer });
+defineOperation("lists.addProduct", { execute: addToList, orderingKey: byCustomer });
+defineOperation("lists.removeProduct", { execute: removeFromList, orderingKey: byCustomer });
+
+module.exports = {
+  MAX_NOTE_LENGTH,
+  MAX_QUANTITY,
+  listMetafieldKey,
+  normalizeProductId,
+  normalizeVariantId,
+  parseWishlist,
+  readList,
+  readWishlist,
+  migrateWishlist,
+};
@@ -0,0 +1,87 @@
+// services/workbookCache.js
+
+/**
+ * In-memory store of parsed report workbooks.
+ *
+ * Each report owner gets one slot ("merchantPerformance:shop",
+ * "recentPos:<customerId>"). A slot holds the parsed workbook together with
+ * the metafield value and ETag it was built from, so a changed metafield
+ * replaces the entry and an unchanged file is revalidated with a conditional
+ * GET instead of being downloaded and parsed again.
+ */
+
+const envInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Entries older than this are revalidated against the CDN before use (0 = always revalidate)
+const REVALIDATE_AFTER_MS = envInt(process.env.REPORT_CACHE_TTL_MS, 5 * 60 * 1000);
+const MAX_ENTRIES = Math.max(envInt(process.env.REPORT_CACHE_MAX_ENTRIES, 50), 1);
+
+// Map keeps insertion order, so re-inserting on access gives us LRU eviction
+const entries = new Map();
+const inFlight = new Map();
+
+const slotFor = (schema, customerId) =>
+  `${schema.name}:${schema.metafield.owner === "customer" ? customerId : "shop"}`;
+
+function get(slot) {
+  const entry = entries.get(slot);
+  if (entry) {
+    entries.delete(slot);
+    entries.set(slot, entry);
+  }
+  return entry || null;
+}
+
+function set(slot, entry) {
+  entries.delete(slot);
+  entries.set(slot, entry);
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+const isFresh = (entry) => Date.now() - entry.validatedAt < REVALIDATE_AFTER_MS;
+
+/**
+ * Drop cached workbooks.
+ * @param {string} [schemaName] - Only drop slots for this report; clears everything when omitted.
+ */
+function invalidate(schemaName) {
+  if (!schemaName) {
+    entries.clear();
+    return;
+  }
+  for (const slot of entries.keys()) {
+    if (slot.startsWith(`${schemaName}:`)) entries.delete(slot);
+  }
+}
+
+function remove(slot) {
+  entries.delete(slot);
+}
+
+/**
+ * Share one in-flight load between concurrent callers, so four dashboard
+ * widgets opened together trigger a single download.
+ */
+function dedupe(key, load) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const promise = load().finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+module.exports = {
+  slotFor,
+  get,
+  set,
+  isFresh,
+  invalidate,
+  remove,
+  dedupe,
+};
@@ -2,6 +2,7 @@ const { shopifyApi } = require('@shopify/shopify-api');
 const { MemorySessionStorage } = require('@shopify/shopify-app-session-storage-memory');
 require('@shopify/shopify-api/adapters/node');
 require('dotenv/config');
+const { API_VERSION } = require('./services/shopifyAdmin.js');
 
 // Modern Shopify API Configuration (2025)
 const shopify = shopifyApi({
@@ -9,7 +10,7 @@ const shopify = shopifyApi({
   apiKey: process.env.SHOPIFY_API_KEY,
   apiSecretKey: process.env.SHOPIFY_API_SECRET,
   scopes: process.env.SHOPIFY_API_SCOPES?.split(',') || [],
-  apiVersion: '2025-01', // Use latest stable API version
+  apiVersion: API_VERSION, // Pinned in services/shopifyAdmin.js (SHOPIFY_API_VERSION)
   
   // Host configuration
   hostName: process.env.HOST || 'https://shopify-backend-gt39.onrender.com',
@@ -0,0 +1,220 @@
+// test/shopifyAdmin.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.SHOPIFY_STORE = "test-shop.myshopify.com";
+process.env.SHOPIFY_ADMIN_TOKEN = "shpat_test";
+
+const MODULE_PATH = require.resolve("../services/shopifyAdmin.js");
+
+/**
+ * A fresh copy of the client per test, so the cost buckets from one test do
+ * not leak into the next. The clock only moves by tick(ms) and by the
+ * client's own waits, which are recorded in `sleeps` and skipped.
+ */
+function loadClient(t, responses) {
+  let now = Date.parse("2026-01-01T00:00:00Z");
+  const sleeps = [];
+  t.mock.method(Date, "now", () => now);
+  t.mock.method(global, "setTimeout", (fn, ms) => {
+    sleeps.push(ms);
+    now += ms;
+    return setImmediate(fn);
+  });
+
+  delete require.cache[MODULE_PATH];
+  const client = require(MODULE_PATH);
+  const requests = [];
+  client.setShopifyTransport(async (request) => {
+    requests.push(request);
+    const response = responses.shift();
+    if (!response) throw new Error(`Unexpected request: ${request.method} ${request.url}`);
+    return { headers: {}, ...response };
+  });
+  const tick = (ms) => {
+    now += ms;
+  };
+  return { client, requests, sleeps, tick };
+}
+
+const throttleStatus = (currentlyAvailable, { maximumAvailable = 1000, restoreRate = 50 } = {}) => ({
+  cost: { requestedQueryCost: 50, throttleStatus: { maximumAvailable, currentlyAvailable, restoreRate } },
+});
+
+const ok = (data, extensions) => ({ status: 200, data: { data, ...(extensions ? { extensions } : {}) } });
+
+const throttled = (extensions) => ({
+  status: 200,
+  data: { errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }], extensions },
+});
+
+test("GraphQL sends to the versioned endpoint and returns data", async (t) => {
+  const { client, requests } = loadClient(t, [ok({ shop: { name: "Test" } })]);
+
+  const data = await client.shopifyGraphQL("query { shop { name } }", { a: 1 });
+
+  assert.deepEqual(data, { shop: { name: "Test" } });
+  assert.equal(requests[0].method, "POST");
+  assert.equal(requests[0].url, `https://test-shop.myshopify.com/admin/api/${client.API_VERSION}/graphql.json`);
+  assert.equal(requests[0].headers["X-Shopify-Access-Token"], "shpat_test");
+  assert.deepEqual(requests[0].data, { query: "query { shop { name } }", variables: { a: 1 } });
+});
+
+test("GraphQL top-level errors throw ShopifyGraphQLError with the error code", async (t) => {
+  const { client } = loadClient(t, [
+    { status: 200, data: { errors: [{ message: "Access denied", extensions: { code: "ACCESS_DENIED" } }] } },
+  ]);
+
+  await assert.rejects(client.shopifyGraphQL("query { shop { name } }"), (err) => {
+    assert.ok(err instanceof client.ShopifyGraphQLError);
+    assert.ok(!(err instanceof client.ShopifyThrottledError));
+    assert.equal(err.code, "ACCESS_DENIED");
+    return true;
+  });
+});
+
+test("a THROTTLED response is retried once the bucket allows it", async (t) => {
+  const { client, requests, sleeps } = loadClient(t, [
+    throttled(throttleStatus(0, { restoreRate: 1000 })),
+    ok({ shop: { name: "Test" } }, throttleStatus(950)),
+  ]);
+
+  const data = await client.shopifyGraphQL("query { shop { name } }");
+
+  assert.deepEqual(data, { shop: { name: "Test" } });
+  assert.equal(requests.length, 2);
+  // Never sooner than a second after a THROTTLED response
+  assert.deepEqual(sleeps, [1000]);
+});
+
+test("a THROTTLED response with a long refill throws ShopifyThrottledError without retrying", async (t) => {
+  const { client, requests } = loadClient(t, [throttled(throttleStatus(0, { restoreRate: 1 }))]);
+
+  await assert.rejects(client.shopifyGraphQL("query { shop { name } }"), (err) => {
+    assert.ok(err instanceof client.ShopifyThrottledError);
+    assert.ok(err.waitMs > 5000);
+    return true;
+  });
+  assert.equal(requests.length, 1);
+});
+
+test("GraphQL calls wait for the cost bucket to refill before sending", async (t) => {
+  const { client, sleeps } = loadClient(t, [
+    ok({ first: true }, throttleStatus(0, { restoreRate: 1000 })),
+    ok({ second: true }, throttleStatus(1000, { restoreRate: 1000 })),
+  ]);
+
+  await client.shopifyGraphQL("query { first }");
+  await client.shopifyGraphQL("query { second }");
+
+  // 50 points at 1000 per second
+  assert.deepEqual(sleeps, [50]);
+});
+
+test("GraphQL calls are refused up front when the bucket needs longer than an inline wait", async (t) => {
+  const { client, requests } = loadClient(t, [ok({ first: true }, throttleStatus(0, { restoreRate: 1 }))]);
+
+  await client.shopifyGraphQL("query { first }");
+  await assert.rejects(client.shopifyGraphQL("query { second }"), client.ShopifyThrottledError);
+  assert.equal(requests.length, 1);
+});
+
+test("GraphQL queries are retried on 5xx", async (t) => {
+  const { client, requests } = loadClient(t, [
+    { status: 503, headers: { "retry-after": "0" }, data: "Service unavailable" },
+    ok({ shop: { name: "Test" } }),
+  ]);
+
+  assert.deepEqual(await client.shopifyGraphQL("query shopName { shop { name } }"), { shop: { name: "Test" } });
+  assert.equal(requests.length, 2);
+});
+
+test("GraphQL mutations are not retried on 5xx", async (t) => {
+  const { client, requests } = loadClient(t, [{ status: 502, headers: { "retry-after": "0" }, data: "Bad gateway" }]);
+
+  await assert.rejects(client.shopifyGraphQL("mutation { tagsAdd(id: \"1\", tags: [\"a\"]) { node { id } } }"), (err) => {
+    assert.ok(err instanceof client.ShopifyHttpError);
+    assert.equal(err.status, 502);
+    return true;
+  });
+  assert.equal(requests.length, 1);
+});
+
+test("shopifyMutation throws ShopifyUserError for userErrors", async (t) => {
+  const { client } = loadClient(t, [
+    ok({ metafieldsSet: { metafields: [], userErrors: [{ field: ["value"], message: "Stale", code: "STALE_OBJECT" }] } }),
+  ]);
+
+  await assert.rejects(client.shopifyMutation("mutation metafieldsSet { metafieldsSet { userErrors { message } } }"), (err) => {
+    assert.ok(err instanceof client.ShopifyUserError);
+    assert.equal(err.mutation, "metafieldsSet");
+    assert.equal(err.code, "STALE_OBJECT");
+    return true;
+  });
+});
+
+test("shopifyMutation returns the mutation payload", async (t) => {
+  const { client } = loadClient(t, [ok({ tagsAdd: { node: { id: "1" }, userErrors: [] } })]);
+
+  assert.deepEqual(await client.shopifyMutation("mutation { tagsAdd { node { id } } }"), { node: { id: "1" }, userErrors: [] });
+});
+
+test("REST 429s are retried after Retry-After", async (t) => {
+  const { client, requests, sleeps } = loadClient(t, [
+    { status: 429, headers: { "retry-after": "0.05" }, data: { errors: "Exceeded" } },
+    { status: 200, data: { customer: { id: 1 } } },
+  ]);
+
+  assert.deepEqual(await client.shopifyRest.get("/customers/1.json"), { customer: { id: 1 } });
+  assert.equal(requests.length, 2);
+  assert.deepEqual(sleeps, [50]);
+});
+
+test("REST 429s with a long Retry-After throw ShopifyHttpError with retryAfterMs", async (t) => {
+  const { client, requests } = loadClient(t, [{ status: 429, headers: { "retry-after": "10" }, data: { errors: "Exceeded" } }]);
+
+  await assert.rejects(client.shopifyRest.get("/customers/1.json"), (err) => {
+    assert.ok(err instanceof client.ShopifyHttpError);
+    assert.equal(err.status, 429);
+    assert.equal(err.retryAfterMs, 10000);
+    return true;
+  });
+  assert.equal(requests.length, 1);
+});
+
+test("REST calls slow down when the call-limit header shows the bucket nearly full", async (t) => {
+  const { client, sleeps, tick } = loadClient(t, [
+    { status: 200, headers: { "x-shopify-shop-api-call-limit": "39/40" }, data: {} },
+    { status: 200, headers: { "x-shopify-shop-api-call-limit": "38/40" }, data: {} },
+    { status: 200, headers: { "x-shopify-shop-api-call-limit": "1/40" }, data: {} },
+    { status: 200, headers: { "x-shopify-shop-api-call-limit": "1/40" }, data: {} },
+  ]);
+
+  await client.shopifyRest.get("/shop.json");
+  tick(1);
+  await client.shopifyRest.get("/shop.json");
+  await client.shopifyRest.get("/shop.json");
+  await client.shopifyRest.get("/shop.json");
+
+  // 39/40 is one call over the two kept free, which leaks at two per second
+  // (less the 1 ms since); after that the bucket has room
+  assert.deepEqual(sleeps, [499]);
+});
+
+test("REST GETs are retried on 5xx but POSTs are not", async (t) => {
+  const { client, requests } = loadClient(t, [
+    { status: 500, headers: { "retry-after": "0" }, data: "Internal error" },
+    { status: 200, data: { orders: [] } },
+    { status: 500, headers: { "retry-after": "0" }, data: "Internal error" },
+  ]);
+
+  assert.deepEqual(await client.shopifyRest.get("/orders.json"), { orders: [] });
+  await assert.rejects(client.shopifyRest.post("/orders.json", {}), (err) => {
+    assert.ok(err instanceof client.ShopifyHttpError);
+    assert.equal(err.status, 500);
+    assert.equal(err.method, "POST");
+    return true;
+  });
+  assert.equal(requests.length, 3);
+});
@@ -0,0 +1,71 @@
+// test/shopifyProxy.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// The secret of Shopify's documented App Proxy example
+process.env.SHOPIFY_API_SECRET = "hush";
+
+require("./support/firebaseConfig.js");
+const { authenticateShopifyProxy } = require("../middleware/authenticate.js");
+
+// Shopify's example request: extra=1,2 path_prefix=/apps/awesome_reviews shop=... timestamp=1317327555
+const SIGNED_QUERY =
+  "extra=1&extra=2&shop=shop-name.myshopify.com&path_prefix=%2Fapps%2Fawesome_reviews&timestamp=1317327555" +
+  "&signature=a9718877bea71c2484f91608a7eaea1532bdf71f5c56825065fa4ccabe549ef3";
+
+// Same request for a logged-in customer
+const CUSTOMER_QUERY =
+  "extra=1&extra=2&shop=shop-name.myshopify.com&logged_in_customer_id=1&path_prefix=%2Fapps%2Fawesome_reviews" +
+  "&timestamp=1317327555&signature=4c68c8624d737112c91818c11017d24d334b524cb5c2b8ba08daa056f7395ddb";
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.get("/proxy", authenticateShopifyProxy, (req, res) => res.json({ success: true, shopify: req.shopify }));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+const get = (query) => fetch(`${baseUrl}/proxy?${query}`);
+
+test("Shopify's example App Proxy signature is accepted", async () => {
+  const response = await get(SIGNED_QUERY);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual((await response.json()).shopify, { shop: "shop-name.myshopify.com", verified: true, source: "app-proxy" });
+});
+
+test("a signed logged-in customer request is accepted", async () => {
+  assert.equal((await get(CUSTOMER_QUERY)).status, 200);
+});
+
+test("changing the logged-in customer breaks the signature", async () => {
+  const response = await get(CUSTOMER_QUERY.replace("logged_in_customer_id=1", "logged_in_customer_id=2"));
+
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).error, "Invalid proxy signature");
+});
+
+test("adding a parameter breaks the signature", async () => {
+  assert.equal((await get(`${SIGNED_QUERY}&logged_in_customer_id=1`)).status, 403);
+});
+
+test("a request without a signature is rejected", async () => {
+  const response = await get(SIGNED_QUERY.split("&signature=")[0]);
+
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).error, "Missing proxy signature");
+});
+
+test("a malformed signature is rejected", async () => {
+  assert.equal((await get(SIGNED_QUERY.replace(/signature=\w+/, "signature=not-hex"))).status, 403);
+});
@@ -0,0 +1,109 @@
+// test/shopifySessionToken.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { SessionTokenError, verifySessionToken } = require("../services/shopifySessionToken.js");
+
+const SECRET = "test-app-secret";
+const API_KEY = "test-api-key";
+const SHOP = "my-shop.myshopify.com";
+const NOW = 1767225600; // 2026-01-01T00:00:00Z
+const SKEW = 10; // the default SHOPIFY_SESSION_CLOCK_SKEW_SECONDS
+
+delete process.env.SHOPIFY_SESSION_CLOCK_SKEW_SECONDS;
+
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// An HS256 JWT built here rather than with signSessionToken, so the test does not trust the code under test
+function jwt(claims = {}, { header = { alg: "HS256", typ: "JWT" }, secret = SECRET } = {}) {
+  const payload = {
+    iss: `https://${SHOP}/admin`,
+    dest: `https://${SHOP}`,
+    aud: API_KEY,
+    sub: "42",
+    exp: NOW + 60,
+    nbf: NOW,
+    iat: NOW,
+    jti: "7b1d2f0e-2c55-4a8e-9a44-3f3d1c2b9e10",
+    sid: "a1b2c3",
+    ...claims,
+  };
+  const unsigned = `${segment(header)}.${segment(payload)}`;
+  const signature = crypto.createHmac("sha256", secret).update(unsigned).digest("base64url");
+  return `${unsigned}.${signature}`;
+}
+
+const verify = (token, options = {}) => verifySessionToken(token, { secret: SECRET, apiKey: API_KEY, now: NOW, ...options });
+
+const rejects = (token, message, options) =>
+  assert.throws(() => verify(token, options), (err) => err instanceof SessionTokenError && err.message === message);
+
+test("a valid token resolves to its shop and user", () => {
+  const session = verify(jwt());
+
+  assert.equal(session.shop, SHOP);
+  assert.equal(session.userId, "42");
+  assert.equal(session.sessionId, "a1b2c3");
+  assert.equal(session.expiresAt, NOW + 60);
+});
+
+test("a token without a user is an offline token", () => {
+  assert.equal(verify(jwt({ sub: undefined })).userId, null);
+});
+
+test("a token signed with another secret is rejected", () => {
+  rejects(jwt({}, { secret: "not-the-app-secret" }), "Invalid token signature");
+});
+
+test("a token whose payload was changed after signing is rejected", () => {
+  const [header, , signature] = jwt().split(".");
+  rejects(`${header}.${segment({ dest: "https://other-shop.myshopify.com" })}.${signature}`, "Invalid token signature");
+});
+
+test("algorithms other than HS256 are rejected", () => {
+  rejects(jwt({}, { header: { alg: "none", typ: "JWT" } }), "Unsupported token algorithm: none");
+  rejects(jwt({}, { header: { alg: "HS512", typ: "JWT" } }), "Unsupported token algorithm: HS512");
+  rejects(jwt({}, { header: { alg: "RS256", typ: "JWT" } }), "Unsupported token algorithm: RS256");
+});
+
+test("exp is accepted within the clock skew and rejected at and beyond it", () => {
+  assert.equal(verify(jwt({ exp: NOW - SKEW + 1 })).shop, SHOP);
+  rejects(jwt({ exp: NOW - SKEW }), "Token has expired");
+  rejects(jwt({ exp: NOW - SKEW - 1 }), "Token has expired");
+  rejects(jwt({ exp: undefined }), "Token has expired");
+});
+
+test("nbf is accepted up to the clock skew and rejected beyond it", () => {
+  assert.equal(verify(jwt({ nbf: NOW + SKEW })).shop, SHOP);
+  rejects(jwt({ nbf: NOW + SKEW + 1 }), "Token is not valid yet");
+});
+
+test("a token for another app is rejected", () => {
+  rejects(jwt({ aud: "another-app" }), "Token audience does not match this app");
+});
+
+test("iss must be the destination shop's admin", () => {
+  rejects(jwt({ iss: "https://other-shop.myshopify.com/admin" }), "Token issuer does not match its destination shop");
+  rejects(jwt({ iss: `https://${SHOP}/` }), "Token issuer does not match its destination shop");
+  rejects(jwt({ iss: `http://${SHOP}/admin` }), "Token issuer does not match its destination shop");
+});
+
+test("dest must be an https myshopify.com shop", () => {
+  rejects(
+    jwt({ dest: "https://shop.example.com", iss: "https://shop.example.com/admin" }),
+    "Token destination is not a Shopify shop"
+  );
+  rejects(jwt({ dest: `http://${SHOP}` }), "Token destination is not a Shopify shop");
+});
+
+test("the shop must match x-shop-domain when the caller sends it", () => {
+  assert.equal(verify(jwt(), { shopDomain: "My-Shop.myshopify.com" }).shop, SHOP);
+  rejects(jwt(), "Token shop domain mismatch", { shopDomain: "other-shop.myshopify.com" });
+});
+
+test("verification fails closed without the app credentials", () => {
+  assert.throws(() => verifySessionToken(jwt(), { secret: "", apiKey: API_KEY, now: NOW }), SessionTokenError);
+  assert.throws(() => verifySessionToken(jwt(), { secret: SECRET, apiKey: "", now: NOW }), SessionTokenError);
+});
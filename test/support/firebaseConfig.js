@@ -0,0 +1,32 @@
+// test/support/firebaseConfig.js
+
+/**
+ * Stand-in for firebaseConfig.js (which needs real credentials) in tests.
+ * Require this before anything that loads firebaseConfig.js; the in-memory
+ * db has just enough Firestore for the modules under test.
+ */
+
+const docs = new Map();
+
+const db = {
+  collection: (collection) => ({
+    doc: (id) => ({
+      // create() fails like Firestore's ALREADY_EXISTS when the doc is there
+      create: async (data) => {
+        const path = `${collection}/${id}`;
+        if (docs.has(path)) throw Object.assign(new Error(`Document already exists: ${path}`), { code: 6 });
+        docs.set(path, data);
+      },
+    }),
+  }),
+};
+
+const firebaseConfigPath = require.resolve("../../firebaseConfig.js");
+require.cache[firebaseConfigPath] = {
+  id: firebaseConfigPath,
+  filename: firebaseConfigPath,
+  loaded: true,
+  exports: { admin: {}, db },
+};
+
+module.exports = { db, docs };
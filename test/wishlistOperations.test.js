@@ -0,0 +1,55 @@
+// test/wishlistOperations.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("./support/firebaseConfig.js");
+const { parseWishlist } = require("../services/wishlistOperations.js");
+
+const product = (id) => `gid://shopify/Product/${id}`;
+
+const item = (id, extra = {}) => ({
+  productId: product(id),
+  variantId: null,
+  quantity: 1,
+  note: "",
+  addedAt: "2026-01-01T00:00:00.000Z",
+  updatedAt: "2026-01-01T00:00:00.000Z",
+  ...extra,
+});
+
+const metafield = (value) => ({ value: JSON.stringify(value) });
+
+test("a wishlist that predates wishlist_items is read from the product list", () => {
+  assert.deepEqual(parseWishlist(null, metafield([product(1), "2"])), [
+    { productId: product(1), variantId: null, quantity: 1, note: "", addedAt: null, updatedAt: null },
+    { productId: product(2), variantId: null, quantity: 1, note: "", addedAt: null, updatedAt: null },
+  ]);
+});
+
+test("items in step with the product list are read as they are", () => {
+  const items = [item(1, { quantity: 3 }), item(1, { variantId: "gid://shopify/ProductVariant/9" }), item(2)];
+
+  assert.deepEqual(parseWishlist(metafield(items), metafield([product(1), product(2)])), items);
+});
+
+test("products removed from the product list by the storefront are dropped", () => {
+  const items = [item(1), item(2, { variantId: "gid://shopify/ProductVariant/9" }), item(2), item(3)];
+
+  const parsed = parseWishlist(metafield(items), metafield([product(1), product(3)]));
+
+  assert.deepEqual(parsed.map((entry) => entry.productId), [product(1), product(3)]);
+});
+
+test("products added to the product list by the storefront are appended", () => {
+  const parsed = parseWishlist(metafield([item(1, { note: "navy" })]), metafield([product(1), product(4)]));
+
+  assert.deepEqual(parsed, [
+    item(1, { note: "navy" }),
+    { productId: product(4), variantId: null, quantity: 1, note: "", addedAt: null, updatedAt: null },
+  ]);
+});
+
+test("an emptied product list empties the wishlist", () => {
+  assert.deepEqual(parseWishlist(metafield([item(1), item(2)]), metafield([])), []);
+});